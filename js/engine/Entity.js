@@ -168,6 +168,19 @@ nurdz.game.Entity = function (name, stage, x, y, width, height, properties, zOrd
         return true;
     };
 
+    /**
+     * Query whether or not this entity blocks sight, so that nothing can be seen through the map location
+     * that it is in. This is separate from whether it blocks movement.
+     *
+     * @returns {Boolean} true if this entity can't be seen through, or false otherwise
+     * @see nurdz.game.Level.isSightBlockedAtXY
+     */
+    nurdz.game.Entity.prototype.blocksSight = function ()
+    {
+        // By default, entities can be seen through.
+        return false;
+    };
+
     //noinspection JSUnusedGlobalSymbols
     /**
      * This method is invoked whenever this entity gets triggered by another entity. This can happen
@@ -0,0 +1,151 @@
+/**
+ * This class is a simple publish/subscribe event bus. Anything can publish a named event on the bus, and
+ * anything that has subscribed to that name gets told about it, so that the code that makes something
+ * happen (e.g. a door opening) does not have to know about any of the code that cares that it did (e.g.
+ * the HUD, sound effects or achievements), and vice versa.
+ *
+ * Handlers are invoked synchronously, in the order that they subscribed, as soon as an event is published.
+ * Subscribing to the event name "*" subscribes to every event that is published.
+ *
+ * @constructor
+ */
+nurdz.game.EventBus = function ()
+{
+    "use strict";
+
+    /**
+     * The handlers that are subscribed to each event, keyed by the event name. Each entry has the handler
+     * function and the object to use as "this" when invoking it.
+     *
+     * @type {Object.<String,{handler: Function, context: Object|null}[]>}
+     */
+    this.subscribers = {};
+};
+
+// Now define the various member functions and any static stage.
+(function ()
+{
+    "use strict";
+
+    /**
+     * The event name that subscribes a handler to all events, no matter what their name is.
+     *
+     * @const
+     * @type {String}
+     */
+    var ALL_EVENTS = "*";
+
+    /**
+     * Subscribe a handler to an event. Every time the event is published, the handler is invoked with the
+     * data that was published with the event and the name of the event.
+     *
+     * @param {String} name the name of the event to subscribe to, or "*" for all events
+     * @param {Function} handler the function to invoke when the event is published
+     * @param {Object|null} [context=null] the object to use as "this" when invoking the handler
+     * @throws {TypeError} if the handler is not a function
+     * @see nurdz.game.EventBus.unsubscribe
+     */
+    nurdz.game.EventBus.prototype.subscribe = function (name, handler, context)
+    {
+        if (typeof (handler) != "function")
+            throw new TypeError ("Cannot subscribe to event '" + name + "': handler is not a function");
+
+        if (this.subscribers.hasOwnProperty (name) == false)
+            this.subscribers[name] = [];
+
+        this.subscribers[name].push ({
+            handler: handler,
+            context: context || null
+        });
+    };
+
+    /**
+     * Unsubscribe a handler from an event that it was previously subscribed to with subscribe(). The name,
+     * handler and context have to be the same as the ones that it was subscribed with.
+     *
+     * @param {String} name the name of the event to unsubscribe from
+     * @param {Function} handler the handler that was subscribed
+     * @param {Object|null} [context=null] the context that the handler was subscribed with
+     * @returns {Boolean} true if the handler was unsubscribed, or false if it was not subscribed
+     */
+    nurdz.game.EventBus.prototype.unsubscribe = function (name, handler, context)
+    {
+        var list = this.subscribers[name];
+        if (list == null)
+            return false;
+
+        context = context || null;
+        for (var i = 0 ; i < list.length ; i++)
+        {
+            if (list[i].handler == handler && list[i].context == context)
+            {
+                list.splice (i, 1);
+                return true;
+            }
+        }
+
+        return false;
+    };
+
+    /**
+     * Unsubscribe every handler that was subscribed with the context provided, from all events. This is
+     * handy for an object that is going away and subscribed its own methods to several events.
+     *
+     * @param {Object} context the context that the handlers were subscribed with
+     */
+    nurdz.game.EventBus.prototype.unsubscribeAll = function (context)
+    {
+        for (var name in this.subscribers)
+        {
+            if (this.subscribers.hasOwnProperty (name))
+                this.subscribers[name] = this.subscribers[name].filter (function (entry)
+                                                                        {
+                                                                            return entry.context != context;
+                                                                        });
+        }
+    };
+
+    /**
+     * Publish an event, invoking all of the handlers that are subscribed to it, followed by all of the
+     * handlers that are subscribed to all events.
+     *
+     * A handler that throws an error does not stop the other handlers from being told about the event; the
+     * error is reported to the console instead.
+     *
+     * @param {String} name the name of the event to publish
+     * @param {Object|null} [data=null] the data that describes the event, which is passed to the handlers
+     */
+    nurdz.game.EventBus.prototype.publish = function (name, data)
+    {
+        // Take copies of the lists, so that handlers can subscribe and unsubscribe while we are publishing
+        // without changing who gets told about this event.
+        var list = (this.subscribers[name] || []).slice ();
+        if (name != ALL_EVENTS)
+            list = list.concat (this.subscribers[ALL_EVENTS] || []);
+
+        if (data === undefined)
+            data = null;
+
+        for (var i = 0 ; i < list.length ; i++)
+        {
+            try
+            {
+                list[i].handler.call (list[i].context, data, name);
+            }
+            catch (error)
+            {
+                console.log ("Error in handler for event '" + name + "': " + error);
+            }
+        }
+    };
+
+    /**
+     * Return a string representation of the object, for debugging purposes.
+     *
+     * @returns {String}
+     */
+    nurdz.game.EventBus.prototype.toString = function ()
+    {
+        return String.format ("[EventBus events={0}]", Object.keys (this.subscribers).join (","));
+    };
+} ());
@@ -58,6 +58,22 @@
      */
     nurdz.game.keys =
     {
+        /**
+         * The backspace key.
+         *
+         * @const
+         * @type {Number}
+         */
+        KEY_BACKSPACE: 8,
+
+        /**
+         * The tab key.
+         *
+         * @const
+         * @type {Number}
+         */
+        KEY_TAB: 9,
+
         /**
          * The enter/return key (both of them).
          *
@@ -66,6 +82,14 @@
          */
         KEY_ENTER: 13,
 
+        /**
+         * The escape key.
+         *
+         * @const
+         * @type {Number}
+         */
+        KEY_ESCAPE: 27,
+
         /**
          * The spacebar.
          *
@@ -106,6 +130,94 @@
          */
         KEY_DOWN: 40,
 
+        /**
+         * The delete key.
+         *
+         * @const
+         * @type {Number}
+         */
+        KEY_DELETE: 46,
+
+        /**
+         * The 0 key on the main keyboard (not the number pad).
+         *
+         * @const
+         * @type {Number}
+         */
+        KEY_0: 48,
+
+        /**
+         * The 1 key on the main keyboard (not the number pad).
+         *
+         * @const
+         * @type {Number}
+         */
+        KEY_1: 49,
+
+        /**
+         * The 2 key on the main keyboard (not the number pad).
+         *
+         * @const
+         * @type {Number}
+         */
+        KEY_2: 50,
+
+        /**
+         * The 3 key on the main keyboard (not the number pad).
+         *
+         * @const
+         * @type {Number}
+         */
+        KEY_3: 51,
+
+        /**
+         * The 4 key on the main keyboard (not the number pad).
+         *
+         * @const
+         * @type {Number}
+         */
+        KEY_4: 52,
+
+        /**
+         * The 5 key on the main keyboard (not the number pad).
+         *
+         * @const
+         * @type {Number}
+         */
+        KEY_5: 53,
+
+        /**
+         * The 6 key on the main keyboard (not the number pad).
+         *
+         * @const
+         * @type {Number}
+         */
+        KEY_6: 54,
+
+        /**
+         * The 7 key on the main keyboard (not the number pad).
+         *
+         * @const
+         * @type {Number}
+         */
+        KEY_7: 55,
+
+        /**
+         * The 8 key on the main keyboard (not the number pad).
+         *
+         * @const
+         * @type {Number}
+         */
+        KEY_8: 56,
+
+        /**
+         * The 9 key on the main keyboard (not the number pad).
+         *
+         * @const
+         * @type {Number}
+         */
+        KEY_9: 57,
+
         /**
          * The A key
          *
@@ -0,0 +1,341 @@
+/**
+ * This class maps keys on the keyboard to the actions that they perform in a scene (e.g. "moveUp" or
+ * "interact"), so that scenes handle actions instead of particular keys and the player can change which
+ * keys do what. Changes to the bindings are saved to local storage, and loaded again the next time that a
+ * map with the same storage key is created.
+ *
+ * Keys are named by the physical key that they are on, using the names of KeyboardEvent.code, such as
+ * "KeyW", "Digit1", "ArrowUp", "Space" or "F1". This means that bindings stay in the same place on the
+ * keyboard regardless of the keyboard layout. Browsers that don't provide the code of a key event have
+ * its name worked out from KeyboardEvent.key instead, or failing that from the deprecated
+ * KeyboardEvent.keyCode.
+ *
+ * Each key is bound to at most one action, but an action can have any number of keys. An action can be
+ * marked as required, which means that it always has at least one key; this is for actions that the
+ * player needs in order to be able to change the bindings at all.
+ *
+ * @param {String} storageKey the key in local storage that the bindings are saved under
+ * @param {{name: String, description: String, keys: String[], required: Boolean}[]} actions the actions
+ * that keys can be bound to, in the order that they should be listed in, with a description for the
+ * player, the names of the keys that they are bound to by default and optionally whether they are
+ * required
+ * @constructor
+ */
+nurdz.game.InputMap = function (storageKey, actions)
+{
+    "use strict";
+
+    /**
+     * The key in local storage that the bindings are saved under.
+     *
+     * @const
+     * @type {String}
+     */
+    this.storageKey = storageKey;
+
+    /**
+     * The actions that keys can be bound to, in the order that they should be listed in.
+     *
+     * @const
+     * @type {{name: String, description: String, keys: String[], required: Boolean}[]}
+     */
+    this.actions = actions;
+
+    /**
+     * The names of the keys that are currently bound to each action, keyed by the name of the action.
+     *
+     * @type {Object.<String,String[]>}
+     */
+    this.bindings = {};
+
+    // Start with the default bindings, then apply any that were saved.
+    this.reset ();
+    this.load ();
+};
+
+// Now define the various member functions and any static stage.
+(function ()
+{
+    "use strict";
+
+    /**
+     * The names of keys (as KeyboardEvent.code would name them) for the values of KeyboardEvent.keyCode
+     * that have a constant in nurdz.game.keys, keyed by key code. This is filled in below.
+     *
+     * @const
+     * @type {Object.<Number,String>}
+     */
+    var KEY_CODE_NAMES = {};
+
+    /**
+     * The names of keys (as KeyboardEvent.code would name them) for the values of KeyboardEvent.key that
+     * are named differently, including the names that older browsers use. Letters and digits are handled
+     * separately.
+     *
+     * @const
+     * @type {Object.<String,String>}
+     */
+    var KEY_NAMES = {
+        " ":        "Space",
+        "Spacebar": "Space",
+        "Esc":      "Escape",
+        "Del":      "Delete",
+        "Left":     "ArrowLeft",
+        "Right":    "ArrowRight",
+        "Up":       "ArrowUp",
+        "Down":     "ArrowDown"
+    };
+
+    /**
+     * The text that the keys whose names are not obvious are described with, for display to the player.
+     * Letters, digits and the function keys are described by their letter, digit or name.
+     *
+     * @const
+     * @type {Object.<String,String>}
+     */
+    var KEY_DESCRIPTIONS = {
+        "ArrowLeft":  "Left",
+        "ArrowRight": "Right",
+        "ArrowUp":    "Up",
+        "ArrowDown":  "Down",
+        "Escape":     "Esc",
+        "Backspace":  "Backspace"
+    };
+
+    // Fill in the names of the key codes from the constants that we have for them; the names of the
+    // constants are close to the names that KeyboardEvent.code uses.
+    for (var constant in nurdz.game.keys)
+    {
+        if (nurdz.game.keys.hasOwnProperty (constant) == false)
+            continue;
+
+        var name = constant.substr (4);
+        if (/^[A-Z]$/.test (name))
+            name = "Key" + name;
+        else if (/^[0-9]$/.test (name))
+            name = "Digit" + name;
+        else if (name == "SPACEBAR")
+            name = "Space";
+        else if (/^F[0-9]+$/.test (name) == false)
+        {
+            name = name.charAt (0) + name.substr (1).toLowerCase ();
+            if (KEY_NAMES[name] != null)
+                name = KEY_NAMES[name];
+        }
+
+        KEY_CODE_NAMES[nurdz.game.keys[constant]] = name;
+    }
+
+    /**
+     * Get the name of the key that the keyboard event provided is for, as KeyboardEvent.code would name
+     * it. The code of the event is used when the browser provides it; otherwise the name is worked out
+     * from the key of the event, or from its key code.
+     *
+     * @param {KeyboardEvent} eventObj the keyboard event
+     * @returns {String|null} the name of the key, or null if it can't be worked out
+     */
+    nurdz.game.InputMap.prototype.keyName = function (eventObj)
+    {
+        if (eventObj.code)
+            return eventObj.code;
+
+        if (eventObj.key && eventObj.key != "Unidentified")
+        {
+            if (KEY_NAMES[eventObj.key] != null)
+                return KEY_NAMES[eventObj.key];
+            if (/^[a-z]$/i.test (eventObj.key))
+                return "Key" + eventObj.key.toUpperCase ();
+            if (/^[0-9]$/.test (eventObj.key))
+                return "Digit" + eventObj.key;
+            return eventObj.key;
+        }
+
+        return KEY_CODE_NAMES[eventObj.keyCode] || null;
+    };
+
+    /**
+     * Get a description of the key with the name provided, for display to the player, such as "W" for
+     * "KeyW" or "Up" for "ArrowUp".
+     *
+     * @param {String} keyName the name of the key
+     * @returns {String} the description of the key
+     */
+    nurdz.game.InputMap.prototype.describeKey = function (keyName)
+    {
+        if (KEY_DESCRIPTIONS[keyName] != null)
+            return KEY_DESCRIPTIONS[keyName];
+
+        var match = /^(Key|Digit)(.)$/.exec (keyName);
+        return (match != null) ? match[2] : keyName;
+    };
+
+    /**
+     * Get the definition of the action with the name provided.
+     *
+     * @param {String} action the name of the action
+     * @returns {{name: String, description: String, keys: String[], required: Boolean}} the definition of
+     * the action
+     * @throws {ReferenceError} if there is no such action
+     */
+    nurdz.game.InputMap.prototype.action = function (action)
+    {
+        for (var i = 0 ; i < this.actions.length ; i++)
+        {
+            if (this.actions[i].name == action)
+                return this.actions[i];
+        }
+
+        throw new ReferenceError ("Input map has no action named '" + action + "'");
+    };
+
+    /**
+     * Get the action that the keyboard event provided performs.
+     *
+     * @param {KeyboardEvent} eventObj the keyboard event
+     * @returns {String|null} the name of the action, or null if the key is not bound to one
+     */
+    nurdz.game.InputMap.prototype.actionFor = function (eventObj)
+    {
+        var keyName = this.keyName (eventObj);
+        for (var action in this.bindings)
+        {
+            if (this.bindings.hasOwnProperty (action) && this.bindings[action].indexOf (keyName) != -1)
+                return action;
+        }
+
+        return null;
+    };
+
+    /**
+     * Get the names of the keys that are bound to the action provided.
+     *
+     * @param {String} action the name of the action
+     * @returns {String[]} the names of the keys bound to the action (may be empty)
+     * @throws {ReferenceError} if there is no such action
+     */
+    nurdz.game.InputMap.prototype.keysFor = function (action)
+    {
+        this.action (action);
+        return this.bindings[action].slice ();
+    };
+
+    /**
+     * Get a description of the keys that are bound to the action provided, for display to the player,
+     * such as "W/Up".
+     *
+     * @param {String} action the name of the action
+     * @returns {String} the description of the keys, which is empty when no keys are bound to the action
+     * @throws {ReferenceError} if there is no such action
+     */
+    nurdz.game.InputMap.prototype.describeKeysFor = function (action)
+    {
+        return this.keysFor (action).map (this.describeKey, this).join ("/");
+    };
+
+    /**
+     * Bind the keys provided to an action, replacing the keys that were bound to it. Any of the keys that
+     * were bound to other actions are taken away from them. The new bindings are saved.
+     *
+     * Nothing is changed if this would leave a required action without any keys.
+     *
+     * @param {String} action the name of the action
+     * @param {String[]} keyNames the names of the keys to bind to the action
+     * @returns {Boolean} true if the keys were bound, or false if a required action would have no keys
+     * @throws {ReferenceError} if there is no such action
+     */
+    nurdz.game.InputMap.prototype.bind = function (action, keyNames)
+    {
+        this.action (action);
+
+        var unused = function (keyName)
+        {
+            return keyNames.indexOf (keyName) == -1;
+        };
+
+        // Work out the new bindings before changing anything, so that they can be refused.
+        var bindings = {};
+        for (var i = 0 ; i < this.actions.length ; i++)
+        {
+            var name = this.actions[i].name;
+            bindings[name] = (name == action) ? keyNames.slice () : this.bindings[name].filter (unused);
+            if (this.actions[i].required && bindings[name].length == 0)
+                return false;
+        }
+
+        this.bindings = bindings;
+        this.save ();
+        return true;
+    };
+
+    /**
+     * Put all of the bindings back to their defaults. This does not save them; see resetAndSave() for
+     * that.
+     */
+    nurdz.game.InputMap.prototype.reset = function ()
+    {
+        this.bindings = {};
+        for (var i = 0 ; i < this.actions.length ; i++)
+            this.bindings[this.actions[i].name] = this.actions[i].keys.slice ();
+    };
+
+    /**
+     * Put all of the bindings back to their defaults and save them, so that the defaults are also used
+     * the next time.
+     */
+    nurdz.game.InputMap.prototype.resetAndSave = function ()
+    {
+        this.reset ();
+        this.save ();
+    };
+
+    /**
+     * Load the bindings from local storage, if they were saved there. Saved bindings for actions that no
+     * longer exist are ignored, as are saved bindings that leave a required action without any keys, and
+     * actions that have no saved bindings keep the ones they have.
+     */
+    nurdz.game.InputMap.prototype.load = function ()
+    {
+        try
+        {
+            var saved = JSON.parse (window.localStorage.getItem (this.storageKey) || "{}");
+            for (var action in saved)
+            {
+                if (saved.hasOwnProperty (action) && this.bindings.hasOwnProperty (action) &&
+                    Array.isArray (saved[action]) &&
+                    (saved[action].length > 0 || this.action (action).required != true))
+                    this.bindings[action] = saved[action].slice ();
+            }
+        }
+        catch (error)
+        {
+            console.log ("Unable to load key bindings: " + error);
+        }
+    };
+
+    /**
+     * Save the bindings to local storage, if possible.
+     */
+    nurdz.game.InputMap.prototype.save = function ()
+    {
+        try
+        {
+            window.localStorage.setItem (this.storageKey, JSON.stringify (this.bindings));
+        }
+        catch (error)
+        {
+            console.log ("Unable to save key bindings: " + error);
+        }
+    };
+
+    /**
+     * Return a string representation of the object, for debugging purposes.
+     *
+     * @returns {String}
+     */
+    nurdz.game.InputMap.prototype.toString = function ()
+    {
+        return String.format ("[InputMap storageKey='{0}' actions={1}]",
+                              this.storageKey,
+                              this.actions.length);
+    };
+} ());
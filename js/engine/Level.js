@@ -60,6 +60,16 @@ nurdz.game.Level = function (stage, levelData)
      * @type {nurdz.game.Tileset}
      */
     this.tileset = levelData.tileset;
+
+    /**
+     * The neighbour mask of every tile in the level, in the same order as the level data. Tiles use these
+     * to pick how they look based on the tiles around them; since the tiles never change, they are
+     * calculated once here instead of every time the level is rendered.
+     *
+     * @type {Number[]}
+     * @see nurdz.game.Tile.neighbourMask
+     */
+    this.neighbourMasks = this.calculateNeighbourMasks ();
 };
 
 // Now define the various member functions and any static stage.
@@ -102,7 +112,7 @@ nurdz.game.Level = function (stage, levelData)
     nurdz.game.Level.prototype.entitiesAtMapXY = function (x, y)
     {
         // Return null if the coordinate is out of bounds.
-        if (x < 0 || y < 0 || x >= this.width || y >= this.width)
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height)
             return null;
 
         // Iterate over all entities to see if they are at the map location provided.
@@ -269,7 +279,7 @@ nurdz.game.Level = function (stage, levelData)
     nurdz.game.Level.prototype.tileAtXY = function (x, y)
     {
         // Bounds check the location.
-        if (x < 0 || y < 0 || x >= this.width || y >= this.width)
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height)
             return null;
 
         // This is safe because the level data validates that all of the tiles in its data are also
@@ -283,11 +293,12 @@ nurdz.game.Level = function (stage, levelData)
      * as far as movement is concerned.
      *
      * @param {nurdz.game.Point} location the location to check
+     * @param {nurdz.game.Actor|null} [actor=null] the actor that is trying to move, if known
      * @returns {Boolean} true if the level location is blocked and cannot be moved to, or false otherwise.
      */
-    nurdz.game.Level.prototype.isBlockedAt = function (location)
+    nurdz.game.Level.prototype.isBlockedAt = function (location, actor)
     {
-        return this.isBlockedAtXY (location.x, location.y);
+        return this.isBlockedAtXY (location.x, location.y, actor);
     };
 
     /**
@@ -296,9 +307,10 @@ nurdz.game.Level = function (stage, levelData)
      *
      * @param {Number} x the X-coordinate to check
      * @param {Number} y the Y-coordinate to check
+     * @param {nurdz.game.Actor|null} [actor=null] the actor that is trying to move, if known
      * @returns {Boolean} true if the level location is blocked and cannot be moved to, or false otherwise.
      */
-    nurdz.game.Level.prototype.isBlockedAtXY = function (x, y)
+    nurdz.game.Level.prototype.isBlockedAtXY = function (x, y, actor)
     {
         // Get the tile; it's blocked if it is a wall.
         var tile = this.tileAtXY (x, y);
@@ -306,7 +318,7 @@ nurdz.game.Level = function (stage, levelData)
             return true;
 
         // If the tile at this location blocks actor movement, then the move is blocked.
-        if (tile.blocksActorMovement ())
+        if (tile.blocksActorMovement (actor || null))
             return true;
 
         // Get the list of entities that are at this location on the map. If there are any and any of them
@@ -326,22 +338,297 @@ nurdz.game.Level = function (stage, levelData)
     };
 
     /**
-     * Render this level to the stage provided.
+     * Given coordinates in the map, return back a boolean that indicates if that space is something that
+     * a path found by findPath() is allowed to pass through.
      *
-     * @param {nurdz.game.Stage} stage the stage to render to
+     * The base version considers a space pathable whenever it is not blocked. Subclasses can override this
+     * to allow paths through things that block movement now but might not later (e.g. doors).
+     *
+     * @param {Number} x the X-coordinate to check
+     * @param {Number} y the Y-coordinate to check
+     * @param {nurdz.game.Actor|null} actor the actor that the path is being found for, or null
+     * @returns {Boolean} true if a path can pass through the location, or false otherwise
+     * @see nurdz.game.Level.findPath
      */
-    nurdz.game.Level.prototype.render = function (stage)
+    nurdz.game.Level.prototype.isPathableAtXY = function (x, y, actor)
+    {
+        return this.isBlockedAtXY (x, y, actor) == false;
+    };
+
+    //noinspection JSUnusedGlobalSymbols
+    /**
+     * Given coordinates in the map, return back a boolean that indicates if that space blocks sight, so
+     * that nothing can be seen through it.
+     *
+     * @param {nurdz.game.Point} location the location to check
+     * @returns {Boolean} true if the level location can't be seen through, or false otherwise
+     */
+    nurdz.game.Level.prototype.isSightBlockedAt = function (location)
+    {
+        return this.isSightBlockedAtXY (location.x, location.y);
+    };
+
+    /**
+     * Given coordinates in the map, return back a boolean that indicates if that space blocks sight, so
+     * that nothing can be seen through it. This is the case outside of the world, for tiles that block
+     * sight, and where there is an entity that blocks sight.
+     *
+     * Whether something blocks sight has nothing to do with whether it blocks movement; a glass wall can
+     * be seen through but not walked through, for example.
+     *
+     * @param {Number} x the X-coordinate to check
+     * @param {Number} y the Y-coordinate to check
+     * @returns {Boolean} true if the level location can't be seen through, or false otherwise
+     * @see nurdz.game.Tile.blocksSight
+     * @see nurdz.game.Entity.blocksSight
+     */
+    nurdz.game.Level.prototype.isSightBlockedAtXY = function (x, y)
     {
-        // Iterate over the tiles.
+        var tile = this.tileAtXY (x, y);
+        if (tile == null || tile.blocksSight ())
+            return true;
+
+        var entities = this.entitiesAtMapXY (x, y);
+        for (var i = 0 ; i < entities.length ; i++)
+        {
+            if (entities[i].blocksSight ())
+                return true;
+        }
+
+        return false;
+    };
+
+    /**
+     * The distance (in pixels) between the points along a line that are checked by hasLineOfSight(). This
+     * is small enough that a line can't pass through the corner of a tile without it being checked.
+     *
+     * @const
+     * @type {Number}
+     */
+    var SIGHT_STEP = nurdz.game.TILE_SIZE / 8;
+
+    /**
+     * Determine if there is a clear line of sight between the two positions provided, which are in world
+     * coordinates. The line is clear if it does not pass through any map location for which
+     * isSightBlockedAtXY() returns true.
+     *
+     * The map locations that the line starts and ends in are not checked, since those are where whatever
+     * is looking and whatever is being looked at are.
+     *
+     * @param {nurdz.game.Point} from the position (world coordinates) that the line starts at
+     * @param {nurdz.game.Point} to the position (world coordinates) that the line ends at
+     * @returns {Boolean} true if the line is clear, or false otherwise
+     * @see nurdz.game.Level.isSightBlockedAtXY
+     */
+    nurdz.game.Level.prototype.hasLineOfSight = function (from, to)
+    {
+        var tSize = nurdz.game.TILE_SIZE;
+        var fromX = Math.floor (from.x / tSize), fromY = Math.floor (from.y / tSize);
+        var toX = Math.floor (to.x / tSize), toY = Math.floor (to.y / tSize);
+
+        // Walk along the line in small increments, checking every map location that we pass through.
+        var distance = Math.sqrt (Math.pow (to.x - from.x, 2) + Math.pow (to.y - from.y, 2));
+        var steps = Math.ceil (distance / SIGHT_STEP);
+
+        for (var i = 1 ; i < steps ; i++)
+        {
+            var mapX = Math.floor ((from.x + (to.x - from.x) * (i / steps)) / tSize);
+            var mapY = Math.floor ((from.y + (to.y - from.y) * (i / steps)) / tSize);
+
+            if ((mapX == fromX && mapY == fromY) || (mapX == toX && mapY == toY))
+                continue;
+
+            if (this.isSightBlockedAtXY (mapX, mapY))
+                return false;
+        }
+
+        return true;
+    };
+
+    /**
+     * The change in map position for each of the four directions that a path can take a step in. The
+     * order here is the order in which the neighbours of a location are considered while finding a path,
+     * which keeps the paths that are found consistent.
+     *
+     * @const
+     * @type {Number[][]}
+     */
+    var PATH_DIRECTIONS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+
+    /**
+     * Find the shortest path between two locations in the map, using the A* algorithm. Paths are made of
+     * horizontal and vertical steps only, and only pass through locations for which isPathableAtXY()
+     * returns true. The start location itself is never checked, since that is where the actor is.
+     *
+     * The path is returned as a list of map positions, one for each step, where the first element is the
+     * first step to take from the start location and the last element is the goal location. The list is
+     * empty if the start and the goal are the same location.
+     *
+     * @param {nurdz.game.Point} start the map location to start the path at
+     * @param {nurdz.game.Point} goal the map location that the path should end at
+     * @param {nurdz.game.Actor|null} [actor=null] the actor that the path is being found for, or null
+     * @returns {nurdz.game.Point[]|null} the path, or null if there is no path from the start to the goal
+     * @see nurdz.game.Level.isPathableAtXY
+     */
+    nurdz.game.Level.prototype.findPath = function (start, goal, actor)
+    {
+        var i, index, current, currentIndex;
+        var width = this.width;
+
+        // Default the actor if it was not given.
+        actor = actor || null;
+
+        // Convert a map location to an index into our arrays, and estimate the number of steps needed to
+        // get to the goal from a location (this is exact when nothing is in the way).
+        var indexOf = function (x, y) { return y * width + x; };
+        var estimate = function (x, y) { return Math.abs (goal.x - x) + Math.abs (goal.y - y); };
+
+        // The goal has to be in the world for there to be a path to it.
+        if (this.tileAtXY (goal.x, goal.y) == null)
+            return null;
+
+        // For each location, the number of steps in the best path found to it so far, and the location
+        // index that the path got there from.
+        var steps = [];
+        var cameFrom = [];
+
+        // The locations that have been found but not yet explored, and the locations that have been.
+        var open = [{x: start.x, y: start.y, cost: estimate (start.x, start.y)}];
+        var closed = [];
+        steps[indexOf (start.x, start.y)] = 0;
+
+        while (open.length > 0)
+        {
+            // Explore the open location with the lowest estimated total cost. When there is a tie, the
+            // one found first wins.
+            currentIndex = 0;
+            for (i = 1 ; i < open.length ; i++)
+            {
+                if (open[i].cost < open[currentIndex].cost)
+                    currentIndex = i;
+            }
+            current = open.splice (currentIndex, 1)[0];
+
+            // If this is the goal, we're done.
+            if (current.x == goal.x && current.y == goal.y)
+                break;
+
+            index = indexOf (current.x, current.y);
+            if (closed[index])
+                continue;
+            closed[index] = true;
+
+            // Look at all of the neighbours of this location that can be passed through.
+            for (i = 0 ; i < PATH_DIRECTIONS.length ; i++)
+            {
+                var x = current.x + PATH_DIRECTIONS[i][0];
+                var y = current.y + PATH_DIRECTIONS[i][1];
+                if (this.tileAtXY (x, y) == null || this.isPathableAtXY (x, y, actor) == false)
+                    continue;
+
+                // If getting to the neighbour through this location is better than any way of getting
+                // there that we already know about, remember this way and add the neighbour to the list.
+                var neighbour = indexOf (x, y);
+                if (steps[neighbour] == null || steps[index] + 1 < steps[neighbour])
+                {
+                    steps[neighbour] = steps[index] + 1;
+                    cameFrom[neighbour] = index;
+                    open.push ({x: x, y: y, cost: steps[neighbour] + estimate (x, y)});
+                }
+            }
+
+            current = null;
+        }
+
+        // If we ran out of locations without getting to the goal, there is no path.
+        if (current == null)
+            return null;
+
+        // Walk backwards from the goal to the start to build the path.
+        var retVal = [];
+        for (index = indexOf (goal.x, goal.y) ; index != indexOf (start.x, start.y) ; index = cameFrom[index])
+            retVal.unshift (new nurdz.game.Point (index % width, Math.floor (index / width)));
+
+        return retVal;
+    };
+
+    /**
+     * Calculate the neighbour mask of every tile in the level.
+     *
+     * @returns {Number[]} the neighbour masks, in the same order as the level data
+     * @see nurdz.game.Tile.neighbourMask
+     */
+    nurdz.game.Level.prototype.calculateNeighbourMasks = function ()
+    {
+        var retVal = [];
         for (var y = 0 ; y < this.height ; y++)
         {
             for (var x = 0 ; x < this.width ; x++)
+            {
+                // Tiles that are not valid have no neighbours to speak of.
+                var tile = this.tileAtXY (x, y);
+                retVal.push (tile != null ? tile.neighbourMask (this, x, y) : 0);
+            }
+        }
+
+        return retVal;
+    };
+
+    /**
+     * Move the camera of the stage that owns this level so that the world position provided is as close to
+     * the center of the stage as it can be without showing anything outside of the level.
+     *
+     * @param {nurdz.game.Point} position the world position to center the camera on
+     * @see nurdz.game.Stage.centerCameraOn
+     */
+    nurdz.game.Level.prototype.centerCameraOn = function (position)
+    {
+        this.stage.centerCameraOn (position,
+                                   this.width * nurdz.game.TILE_SIZE,
+                                   this.height * nurdz.game.TILE_SIZE);
+    };
+
+    /**
+     * Work out the range of map locations that the camera of the stage provided can currently see,
+     * including any that are only partially visible. The range includes the left and top locations, but
+     * not the right and bottom ones.
+     *
+     * @param {nurdz.game.Stage} stage the stage whose camera is looking at the level
+     * @returns {{left: Number, top: Number, right: Number, bottom: Number}} the visible range of locations
+     */
+    nurdz.game.Level.prototype.visibleTileRange = function (stage)
+    {
+        var tSize = nurdz.game.TILE_SIZE;
+        return {
+            left:   Math.max (0, Math.floor (stage.camera.x / tSize)),
+            top:    Math.max (0, Math.floor (stage.camera.y / tSize)),
+            right:  Math.min (this.width, Math.ceil ((stage.camera.x + stage.width) / tSize)),
+            bottom: Math.min (this.height, Math.ceil ((stage.camera.y + stage.height) / tSize))
+        };
+    };
+
+    /**
+     * Render this level to the stage provided. Only the tiles that the camera of the stage can see are
+     * rendered; this assumes that the camera has already been applied to the stage.
+     *
+     * @param {nurdz.game.Stage} stage the stage to render to
+     * @see nurdz.game.Stage.applyCamera
+     */
+    nurdz.game.Level.prototype.render = function (stage)
+    {
+        var visible = this.visibleTileRange (stage);
+
+        // Iterate over the visible tiles.
+        for (var y = visible.top ; y < visible.bottom ; y++)
+        {
+            for (var x = visible.left ; x < visible.right ; x++)
             {
                 var tile = this.tileAtXY (x, y);
 
                 // Get the tile and render it.
                 if (tile != null)
-                    tile.render (stage, x * tile.size, y * tile.size);
+                    tile.render (stage, x * tile.size, y * tile.size, this.tileset.spriteSheet,
+                                 this.neighbourMasks[y * this.width + x]);
             }
         }
     };
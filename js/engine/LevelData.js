@@ -4,7 +4,8 @@
  * The map data is just a series of integer tile ID values that associate with the tile set that has been
  * provided. The data also contains a list of entities that are attached to the map.
  *
- * Various simple checks are done to ensure that the level data provided is actually valid.
+ * The level data is checked to ensure that it is actually valid; every problem that is found is collected
+ * into a report, and if there are any, an error that lists all of them is thrown.
  *
  * @param {nurdz.game.Stage} stage the stage that will own the data
  * @param {String} name the name of this level
@@ -20,6 +21,13 @@ nurdz.game.LevelData = function (stage, name, width, height, levelData, entityLi
 {
     "use strict";
 
+    /**
+     * The stage that owns this data.
+     *
+     * @type {nurdz.game.Stage}
+     */
+    this.stage = stage;
+
     /**
      * The name of this level.
      *
@@ -90,11 +98,8 @@ nurdz.game.LevelData = function (stage, name, width, height, levelData, entityLi
         if (entity.stage == null)
             throw new Error ("LevelData passed an entity that has no stage, id=" + entityID);
 
-        // Now store this entity in the lookup table; generate a warning if such an ID already exists, as
-        // it will clobber.
-        if (this.entitiesByID[entityID])
-            console.log ("LevelData has an entity with a duplicate 'id' property: " + entityID);
-
+        // Now store this entity in the lookup table. If such an ID already exists, it will clobber; that
+        // gets reported when the data is validated.
         this.entitiesByID[entityID] = entity;
     }
 
@@ -107,26 +112,82 @@ nurdz.game.LevelData = function (stage, name, width, height, levelData, entityLi
 {
     "use strict";
 
-    // Handle a load error if the data is found to be invalid.
-    var error = function (message)
+    /**
+     * Validate the level data by linting it, throwing an error if any problems were found. The message of
+     * the error lists every problem, and the error has a problems property that holds the report that
+     * lint() returned.
+     *
+     * @throws {Error} if the level data is not valid
+     * @see nurdz.game.LevelData.lint
+     */
+    nurdz.game.LevelData.prototype.validateData = function ()
+    {
+        var problems = this.lint ();
+        if (problems.length == 0)
+            return;
+
+        var lines = [];
+        for (var i = 0 ; i < problems.length ; i++)
+        {
+            var problem = problems[i];
+            lines.push (problem.entityIndex == -1
+                            ? "  - " + problem.message
+                            : String.format ("  - entity {0} ('{1}'): {2}", problem.entityIndex,
+                                             problem.entityID, problem.message));
+        }
+
+        var error = new Error ("Level data '" + this.name + "' is not valid:\n" + lines.join ("\n"));
+        error.problems = problems;
+        throw error;
+    };
+
+    /**
+     * Create an entry for the report returned by lint(), for a problem with the entity provided or with the
+     * level as a whole.
+     *
+     * @param {nurdz.game.Entity|null} entity the entity that the problem is with, or null for the level
+     * @param {String} message the description of the problem
+     * @returns {{entityIndex: Number, entityID: String|null, message: String}} the problem entry; the
+     * entity index is the index of the entity in the entity list, or -1 for the level as a whole
+     */
+    nurdz.game.LevelData.prototype.lintProblem = function (entity, message)
     {
-        throw new Error (message);
+        return {
+            entityIndex: entity == null ? -1 : this.entities.indexOf (entity),
+            entityID:    entity == null ? null : entity.properties.id,
+            message:     message
+        };
     };
 
     /**
-     * This method does a thing.
+     * Check the level data for problems, returning a report that contains every problem found rather than
+     * stopping at the first one. The report is empty when the level data is valid.
+     *
+     * This base version checks that the dimensions and the tiles are valid and that the entities have
+     * unique ID values; subclasses can extend it to check things that are specific to their entities.
+     *
+     * @returns {{entityIndex: Number, entityID: String|null, message: String}[]} the problems found
+     * @see nurdz.game.LevelData.lintProblem
      */
-    nurdz.game.LevelData.prototype.validateData = function ()
+    nurdz.game.LevelData.prototype.lint = function ()
     {
+        var problems = [];
+
         // Ensure that the length of the level data agrees with the dimensions that we were given, to make
-        // sure we didn't get sorted.
+        // sure we didn't get sorted. If it doesn't, the tiles can't be checked.
         if (this.levelData.length != this.width * this.height)
-            error ("Level data '" + this.name + "' has an incorrect length given its dimensions");
+        {
+            problems.push (this.lintProblem (null, "incorrect length given its dimensions"));
+            return problems;
+        }
 
-        // For now, there is no scrolling of levels, so it is important that the dimensions be the same as the
-        // constant for the viewport.
-        if (this.width != nurdz.game.STAGE_TILE_WIDTH || this.height != nurdz.game.STAGE_TILE_HEIGHT)
-            error ("Scrolling is not implemented; level '" + this.name + "'must be the same size as the viewport");
+        // Every entity needs its own ID, or it will clobber another one in the lookup table.
+        for (var i = 0 ; i < this.entities.length ; i++)
+        {
+            var entity = this.entities[i];
+            if (this.entitiesByID[entity.properties.id] !== entity)
+                problems.push (this.lintProblem (entity, "duplicate 'id' property: " + entity.properties.id));
+        }
 
         // Validate that all tiles are valid.
         for (var y = 0 ; y < this.height ; y++)
@@ -136,10 +197,11 @@ nurdz.game.LevelData = function (stage, name, width, height, levelData, entityLi
                 // Pull a tileID out of the level data, and validate that the tileset knows what it is.
                 var tileID = this.levelData[y * this.width + x];
                 if (this.tileset.isValidTileID(tileID) == false)
-                    error (
-                        "Invalid tileID '" + tileID + "' found at [" + x + "," + y + "] in level" + this.name);
+                    problems.push (this.lintProblem (null, "Invalid tileID '" + tileID + "' found at [" + x + "," + y + "]"));
             }
         }
+
+        return problems;
     };
 
     /**
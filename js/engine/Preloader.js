@@ -0,0 +1,165 @@
+/**
+ * This class loads the images that a game needs before the game starts, so that they are ready to be
+ * rendered as soon as they are needed. Images are registered with a name, loaded all at once, and then
+ * looked up by that name.
+ *
+ * An image that fails to load is not an error, and it is not reported; it is looked up as null, so that
+ * whatever would have rendered it can fall back to rendering something else instead. This lets a game
+ * register images for artwork that it does not have yet.
+ *
+ * @constructor
+ */
+nurdz.game.Preloader = function ()
+{
+    "use strict";
+
+    /**
+     * The images that have been registered, keyed by their names. Each entry has the URL of the image and
+     * the sprite size to use to turn it into a sprite sheet, as well as the sprite sheet itself once the
+     * image has loaded (which stays null if it fails to load).
+     *
+     * @type {Object.<String,{url: String, spriteWidth: Number, spriteHeight: Number, started: Boolean, sheet: nurdz.game.SpriteSheet|null}>}
+     */
+    this.entries = {};
+
+    /**
+     * The number of images that have been registered.
+     *
+     * @type {Number}
+     */
+    this.total = 0;
+
+    /**
+     * The number of images that have finished loading, whether they loaded or failed to.
+     *
+     * @type {Number}
+     */
+    this.finished = 0;
+};
+
+// Now define the various member functions and any static stage.
+(function ()
+{
+    "use strict";
+
+    /**
+     * Register an image that contains a sprite sheet, to be loaded the next time that load() is invoked.
+     *
+     * @param {String} name the name to look up the sprite sheet with once it is loaded
+     * @param {String} url the URL of the image
+     * @param {Number} spriteWidth the width of each sprite in the image, in pixels
+     * @param {Number} spriteHeight the height of each sprite in the image, in pixels
+     * @throws {Error} if an image has already been registered with the name provided
+     * @see nurdz.game.Preloader.load
+     */
+    nurdz.game.Preloader.prototype.addSpriteSheet = function (name, url, spriteWidth, spriteHeight)
+    {
+        if (this.entries[name] != null)
+            throw new Error ("Preloader already has an image named '" + name + "'");
+
+        this.entries[name] = {
+            url:          url,
+            spriteWidth:  spriteWidth,
+            spriteHeight: spriteHeight,
+            started:      false,
+            sheet:        null
+        };
+        this.total++;
+    };
+
+    /**
+     * Start loading all of the registered images that have not been loaded yet. The callback provided is
+     * invoked once all of them have finished loading, whether they loaded or failed to; if there is
+     * nothing to load, it is invoked right away.
+     *
+     * @param {Function} [onComplete] the function to invoke once everything has finished loading
+     */
+    nurdz.game.Preloader.prototype.load = function (onComplete)
+    {
+        var preloader = this;
+
+        // Invoke the callback if everything is done.
+        var checkComplete = function ()
+        {
+            if (onComplete != null && preloader.isComplete ())
+            {
+                onComplete ();
+                onComplete = null;
+            }
+        };
+
+        // Start loading one entry; the image handlers are set before the source, since some browsers
+        // will fire them right away for cached images.
+        var loadEntry = function (entry)
+        {
+            var image = new Image ();
+            image.onload = function ()
+            {
+                entry.sheet = new nurdz.game.SpriteSheet (image, entry.spriteWidth, entry.spriteHeight);
+                preloader.finished++;
+                checkComplete ();
+            };
+            image.onerror = function ()
+            {
+                // The sheet stays null, which is how the image is looked up from now on.
+                preloader.finished++;
+                checkComplete ();
+            };
+            image.src = entry.url;
+        };
+
+        for (var name in this.entries)
+        {
+            if (this.entries.hasOwnProperty (name) && this.entries[name].started == false)
+            {
+                this.entries[name].started = true;
+                loadEntry (this.entries[name]);
+            }
+        }
+
+        checkComplete ();
+    };
+
+    /**
+     * Determine how much of the loading is done.
+     *
+     * @returns {Number} the fraction of the registered images that have finished loading, from 0 to 1
+     */
+    nurdz.game.Preloader.prototype.progress = function ()
+    {
+        return this.total == 0 ? 1 : this.finished / this.total;
+    };
+
+    /**
+     * Query whether all of the registered images have finished loading, whether they loaded or failed to.
+     *
+     * @returns {Boolean} true if there is nothing left to load, or false otherwise
+     */
+    nurdz.game.Preloader.prototype.isComplete = function ()
+    {
+        return this.finished == this.total;
+    };
+
+    /**
+     * Get the sprite sheet that was registered with the name provided.
+     *
+     * @param {String} name the name of the sprite sheet
+     * @returns {nurdz.game.SpriteSheet|null} the sprite sheet, or null if there is no such sprite sheet or
+     * its image has not loaded (or failed to)
+     */
+    nurdz.game.Preloader.prototype.spriteSheet = function (name)
+    {
+        var entry = this.entries[name];
+        return entry == null ? null : entry.sheet;
+    };
+
+    /**
+     * Return a string representation of the object, for debugging purposes.
+     *
+     * @returns {String}
+     */
+    nurdz.game.Preloader.prototype.toString = function ()
+    {
+        return String.format ("[Preloader loaded={0}/{1}]", this.finished, this.total);
+    };
+} ());
@@ -42,6 +42,15 @@ nurdz.game.Scene = function (name, stage)
      * @type {{}}
      */
     this.keys = nurdz.game.keys;
+
+    /**
+     * The map of keys to the actions that they perform in this scene, for scenes that handle their input
+     * as actions instead of keys. This is null for scenes that don't.
+     *
+     * @type {nurdz.game.InputMap|null}
+     * @see nurdz.game.Scene.inputAction
+     */
+    this.inputMap = null;
 };
 
 // Now define the various member functions and any static stage.
@@ -230,6 +239,20 @@ nurdz.game.Scene = function (name, stage)
         return false;
     };
 
+    /**
+     * Get the action that the keyboard event provided performs in this scene, according to the input map
+     * of the scene.
+     *
+     * @param {KeyboardEvent} eventObj the keyboard event
+     * @returns {String|null} the name of the action, or null if the key does not perform one or this scene
+     * has no input map
+     * @see nurdz.game.InputMap.actionFor
+     */
+    nurdz.game.Scene.prototype.inputAction = function (eventObj)
+    {
+        return (this.inputMap != null) ? this.inputMap.actionFor (eventObj) : null;
+    };
+
     //noinspection JSUnusedLocalSymbols
     /**
      * This gets triggered while the game is running, this scene is the current scene, and a key has been
@@ -0,0 +1,127 @@
+/**
+ * This class represents a sprite sheet, which is a single image that contains a grid of sprites that are
+ * all the same size. The sprites are numbered starting from 0 at the top left, going from left to right
+ * and then from top to bottom.
+ *
+ * @param {Image} image the image that contains the sprites
+ * @param {Number} spriteWidth the width of each sprite in the image, in pixels
+ * @param {Number} spriteHeight the height of each sprite in the image, in pixels
+ * @constructor
+ */
+nurdz.game.SpriteSheet = function (image, spriteWidth, spriteHeight)
+{
+    "use strict";
+
+    /**
+     * The image that contains the sprites.
+     *
+     * @type {Image}
+     */
+    this.image = image;
+
+    /**
+     * The width of each sprite, in pixels.
+     *
+     * @type {Number}
+     */
+    this.spriteWidth = spriteWidth;
+
+    /**
+     * The height of each sprite, in pixels.
+     *
+     * @type {Number}
+     */
+    this.spriteHeight = spriteHeight;
+
+    /**
+     * The number of sprites in each row of the image. Any partial sprite at the right edge of the image is
+     * not counted.
+     *
+     * @type {Number}
+     */
+    this.columns = Math.floor (image.width / spriteWidth);
+
+    /**
+     * The number of sprites that the image contains.
+     *
+     * @type {Number}
+     */
+    this.count = this.columns * Math.floor (image.height / spriteHeight);
+};
+
+// Now define the various member functions and any static stage.
+(function ()
+{
+    "use strict";
+
+    /**
+     * Query whether or not this sprite sheet contains the sprite with the index provided.
+     *
+     * @param {Number} index the index of the sprite to check for
+     * @returns {Boolean} true if there is such a sprite, or false otherwise
+     */
+    nurdz.game.SpriteSheet.prototype.hasSprite = function (index)
+    {
+        return index >= 0 && index < this.count;
+    };
+
+    /**
+     * Get the index of the sprite that is in the column and row of the sprite sheet provided.
+     *
+     * @param {Number} column the column that the sprite is in
+     * @param {Number} row the row that the sprite is in
+     * @returns {Number} the index of the sprite, or -1 if the sprite sheet has no such sprite
+     */
+    nurdz.game.SpriteSheet.prototype.indexOf = function (column, row)
+    {
+        if (column < 0 || column >= this.columns)
+            return -1;
+
+        var index = row * this.columns + column;
+        return this.hasSprite (index) ? index : -1;
+    };
+
+    /**
+     * Render the sprite with the index provided to the stage, with its upper left corner at the position
+     * provided.
+     *
+     * @param {nurdz.game.Stage} stage the stage to render to
+     * @param {Number} index the index of the sprite to render
+     * @param {Number} x the X location to render the sprite at
+     * @param {Number} y the Y location to render the sprite at
+     * @see nurdz.game.SpriteSheet.renderCentered
+     */
+    nurdz.game.SpriteSheet.prototype.render = function (stage, index, x, y)
+    {
+        stage.canvasContext.drawImage (this.image,
+                                       (index % this.columns) * this.spriteWidth,
+                                       Math.floor (index / this.columns) * this.spriteHeight,
+                                       this.spriteWidth, this.spriteHeight,
+                                       x, y, this.spriteWidth, this.spriteHeight);
+    };
+
+    /**
+     * Render the sprite with the index provided to the stage, with its center at the position provided.
+     *
+     * @param {nurdz.game.Stage} stage the stage to render to
+     * @param {Number} index the index of the sprite to render
+     * @param {Number} x the X location to render the center of the sprite at
+     * @param {Number} y the Y location to render the center of the sprite at
+     * @see nurdz.game.SpriteSheet.render
+     */
+    nurdz.game.SpriteSheet.prototype.renderCentered = function (stage, index, x, y)
+    {
+        this.render (stage, index, x - (this.spriteWidth / 2), y - (this.spriteHeight / 2));
+    };
+
+    /**
+     * Return a string representation of the object, for debugging purposes.
+     *
+     * @returns {String}
+     */
+    nurdz.game.SpriteSheet.prototype.toString = function ()
+    {
+        return String.format ("[SpriteSheet spriteSize={0}x{1} count={2}]",
+                              this.spriteWidth, this.spriteHeight, this.count);
+    };
+} ());
@@ -47,6 +47,26 @@ nurdz.game.Stage = function (containerDivID, initialColor)
      */
     this.canvasContext = null;
 
+    /**
+     * The camera for the stage, which is the position in the world (in pixels) that is displayed at the
+     * top left corner of the stage. Scenes that display a world larger than the stage move the camera
+     * around to scroll it into view.
+     *
+     * @type {nurdz.game.Point}
+     * @see nurdz.game.Stage.applyCamera
+     */
+    this.camera = new nurdz.game.Point (0, 0);
+
+    /**
+     * The event bus for the stage. Anything that can get at the stage (scenes, entities and anything that
+     * they create) can publish events on it and subscribe to the events that others publish, without
+     * needing to know about each other.
+     *
+     * @type {nurdz.game.EventBus}
+     * @const
+     */
+    this.events = new nurdz.game.EventBus ();
+
     // Get the container that will hold the canvas, and error if it does not exist.
     var container = document.getElementById (containerDivID);
     if (container == null)
@@ -665,6 +685,51 @@ nurdz.game.Stage = function (containerDivID, initialColor)
         this.canvasContext.restore ();
     };
 
+    /**
+     * Set the position of the camera to the world position provided. The position is clamped so that the
+     * camera never shows anything outside of a world with the dimensions given; when the world is smaller
+     * than the stage, it is displayed at the top left.
+     *
+     * @param {Number} x the X position in the world to display at the left edge of the stage
+     * @param {Number} y the Y position in the world to display at the top edge of the stage
+     * @param {Number} worldWidth the width of the world, in pixels
+     * @param {Number} worldHeight the height of the world, in pixels
+     * @see nurdz.game.Stage.centerCameraOn
+     */
+    nurdz.game.Stage.prototype.setCameraXY = function (x, y, worldWidth, worldHeight)
+    {
+        this.camera.setToXY (Math.max (0, Math.min (x, worldWidth - this.width)),
+                             Math.max (0, Math.min (y, worldHeight - this.height)));
+    };
+
+    /**
+     * Set the position of the camera so that the world position provided is at the center of the stage,
+     * as much as it can be without showing anything outside of a world with the dimensions given.
+     *
+     * @param {nurdz.game.Point} position the world position to center the camera on
+     * @param {Number} worldWidth the width of the world, in pixels
+     * @param {Number} worldHeight the height of the world, in pixels
+     * @see nurdz.game.Stage.setCameraXY
+     */
+    nurdz.game.Stage.prototype.centerCameraOn = function (position, worldWidth, worldHeight)
+    {
+        this.setCameraXY (position.x - this.width / 2, position.y - this.height / 2, worldWidth, worldHeight);
+    };
+
+    /**
+     * Translate the canvas so that everything rendered after this call is drawn relative to the world that
+     * the camera is looking at instead of relative to the stage. Anything that should stay in place on the
+     * stage (e.g. text overlays) should be rendered after a call to restore().
+     *
+     * Like translateAndRotate(), every call to this method needs to be balanced with a call to restore().
+     *
+     * @see nurdz.game.Stage.restore
+     */
+    nurdz.game.Stage.prototype.applyCamera = function ()
+    {
+        this.translateAndRotate (-this.camera.x, -this.camera.y);
+    };
+
     //noinspection JSUnusedGlobalSymbols
     /**
      * Display text to the stage at the position provided. How the the text anchors to the point provided
@@ -737,8 +802,10 @@ nurdz.game.Stage = function (containerDivID, initialColor)
 
     /**
      * Given an event that represents a mouse event for the stage, calculate the position that the mouse
-     * is actually at relative to the top left of the stage. This is needed because the position of mouse
-     * events is normally relative to the document itself, which may be larger than the actual window.
+     * is actually at in the world that the camera is looking at. This is needed because the position of
+     * mouse events is normally relative to the document itself, which may be larger than the actual window.
+     *
+     * When the camera is at the origin, this is the position relative to the top left of the stage.
      *
      * @param {Event} event the mouse movement or click event
      * @returns {nurdz.game.Point}
@@ -755,7 +822,8 @@ nurdz.game.Stage = function (containerDivID, initialColor)
         var mouseX = event.clientX - rect.left - root.scrollLeft;
         var mouseY = event.clientY - rect.top - root.scrollTop;
 
-        return new nurdz.game.Point (mouseX, mouseY);
+        // Now shift the position by the camera, so that it is in the world and not on the stage.
+        return new nurdz.game.Point (mouseX + this.camera.x, mouseY + this.camera.y);
     };
 
     /**
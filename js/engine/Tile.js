@@ -47,25 +47,220 @@ nurdz.game.Tile = function (name, internalID, debugColor)
 
 
     /**
-     * Query whether or not this tile blocks movement of actors or not.
+     * Query whether or not this tile blocks movement of actors or not. Some tiles only let some actors
+     * through, so the actor that is trying to move is given; when it's not known, tiles should assume the
+     * worst.
      *
+     * @param {nurdz.game.Actor|null} [actor=null] the actor that is trying to move, if known
      * @returns {Boolean} true if actor movement is blocked by this tile, or false otherwise
      */
-    nurdz.game.Tile.prototype.blocksActorMovement = function ()
+    nurdz.game.Tile.prototype.blocksActorMovement = function (actor)
     {
         return true;
     };
 
+    /**
+     * Query whether or not this tile blocks sight, so that nothing can be seen through it.
+     *
+     * @returns {Boolean} true if this tile can't be seen through, or false otherwise
+     */
+    nurdz.game.Tile.prototype.blocksSight = function ()
+    {
+        return true;
+    };
+
+    /**
+     * Query whether or not this tile hides the player standing on it, so that they are harder to detect.
+     *
+     * @returns {Boolean} true if this tile hides the player, or false otherwise
+     */
+    nurdz.game.Tile.prototype.hidesPlayer = function ()
+    {
+        return false;
+    };
+
+    /**
+     * Query how much noise is made by moving onto this tile, as the distance (in tiles) that it can be
+     * heard from.
+     *
+     * @returns {Number} the distance that the noise can be heard from, or 0 if moving here makes no noise
+     */
+    nurdz.game.Tile.prototype.noise = function ()
+    {
+        return 0;
+    };
+
+    /**
+     * The offsets to the neighbours of a tile, in the order of their bits in a neighbour mask: north, east,
+     * south, west, and then the north east, south east, south west and north west corners.
+     *
+     * @const
+     * @type {Number[][]}
+     */
+    var NEIGHBOURS = [[0, -1], [1, 0], [0, 1], [-1, 0], [1, -1], [1, 1], [-1, 1], [-1, -1]];
+
+    /**
+     * For tiles that look at 8 neighbours, the variant for each neighbour mask. A corner only matters when
+     * both of the sides next to it connect, so there are only 47 different masks; they are numbered in
+     * increasing order.
+     *
+     * @const
+     * @type {Number[]}
+     */
+    var VARIANTS_8 = (function ()
+    {
+        var retVal = [];
+        var count = 0;
+        for (var mask = 0 ; mask < 256 ; mask++)
+        {
+            // Skip any mask with a corner whose sides don't both connect.
+            var valid = true;
+            for (var corner = 4 ; corner < 8 ; corner++)
+            {
+                var sides = (1 << (corner - 4)) | (1 << ((corner - 3) % 4));
+                if ((mask & (1 << corner)) && (mask & sides) != sides)
+                    valid = false;
+            }
+
+            if (valid)
+                retVal[mask] = count++;
+        }
+
+        return retVal;
+    } ());
+
+    /**
+     * Query how many of its neighbours this tile looks at to pick how it looks (e.g. so that walls can be
+     * drawn with edges and corners where they meet other tiles). This is 4 for just the sides, 8 for the
+     * sides and the corners, or 0 for tiles that always look the same.
+     *
+     * The base version returns 0.
+     *
+     * @returns {Number} 0, 4 or 8
+     * @see nurdz.game.Tile.neighbourMask
+     */
+    nurdz.game.Tile.prototype.autotileNeighbours = function ()
+    {
+        return 0;
+    };
+
+    /**
+     * Query whether this tile connects to the tile provided, when picking how it looks based on its
+     * neighbours. The base version connects to tiles of the same type and to the outside of the level, so
+     * that tiles at the edge look like they carry on past it.
+     *
+     * @param {nurdz.game.Tile|null} tile the neighbouring tile, or null if the neighbour is outside of the
+     * level
+     * @returns {Boolean} true if this tile connects to the tile provided, or false otherwise
+     */
+    nurdz.game.Tile.prototype.connectsTo = function (tile)
+    {
+        return tile == null || tile.tileID == this.tileID;
+    };
+
+    /**
+     * Calculate the neighbour mask for this tile at the location provided in the level. Each bit of the
+     * mask is set when this tile connects to the neighbour in that direction; from the lowest bit, these
+     * are north, east, south, west, north east, south east, south west and north west.
+     *
+     * Only the sides are checked for tiles that look at 4 neighbours. A corner bit is only set when both
+     * of the sides next to it are set, since otherwise the corner can't be seen. This is 0 for tiles that
+     * don't look at their neighbours at all.
+     *
+     * This is not cheap, so the level calculates it once for every tile when it is created.
+     *
+     * @param {nurdz.game.Level} level the level that the tile is in
+     * @param {Number} x the X-coordinate of the tile in the level
+     * @param {Number} y the Y-coordinate of the tile in the level
+     * @returns {Number} the neighbour mask
+     * @see nurdz.game.Tile.autotileNeighbours
+     */
+    nurdz.game.Tile.prototype.neighbourMask = function (level, x, y)
+    {
+        var count = this.autotileNeighbours ();
+        var mask = 0;
+
+        for (var i = 0 ; i < count ; i++)
+        {
+            // A corner is only checked if both of the sides next to it connect.
+            if (i >= 4)
+            {
+                var sides = (1 << (i - 4)) | (1 << ((i - 3) % 4));
+                if ((mask & sides) != sides)
+                    continue;
+            }
+
+            var nx = x + NEIGHBOURS[i][0];
+            var ny = y + NEIGHBOURS[i][1];
+            var inLevel = nx >= 0 && ny >= 0 && nx < level.width && ny < level.height;
+            if (this.connectsTo (inLevel ? level.tileAtXY (nx, ny) : null))
+                mask |= (1 << i);
+        }
+
+        return mask;
+    };
+
+    /**
+     * Get the variant of this tile that is used for the neighbour mask provided, which picks the sprite
+     * that it is rendered with. Variants are numbered from 0; for tiles that look at 4 neighbours, the
+     * variant is the mask itself (0-15), and for 8 neighbours, there are 47 of them, numbered in order of
+     * increasing mask.
+     *
+     * @param {Number} mask the neighbour mask of the tile
+     * @returns {Number} the variant
+     * @see nurdz.game.Tile.neighbourMask
+     */
+    nurdz.game.Tile.prototype.variant = function (mask)
+    {
+        switch (this.autotileNeighbours ())
+        {
+            case 4:
+                return mask & 15;
+
+            case 8:
+                return VARIANTS_8[mask];
+
+            default:
+                return 0;
+        }
+    };
+
+    /**
+     * Get the index of the sprite that this tile is rendered with from the sprite sheet provided. This is
+     * in the row of the sheet whose number is the tile ID of this tile; the column is the variant of the
+     * tile for the neighbour mask given.
+     *
+     * @param {nurdz.game.SpriteSheet|null} spriteSheet the sprite sheet of the tileset that the tile is in
+     * @param {Number} [mask=0] the neighbour mask of the tile
+     * @returns {Number} the index of the sprite, or -1 if there is no sprite sheet or it has no such sprite
+     * @see nurdz.game.Tile.variant
+     */
+    nurdz.game.Tile.prototype.spriteIndex = function (spriteSheet, mask)
+    {
+        return spriteSheet != null ? spriteSheet.indexOf (this.variant (mask || 0), this.tileID) : -1;
+    };
+
     /**
      * Render this tile to the location provided.
      *
+     * When a sprite sheet is given, the tile renders its sprite from it. If there is no sprite sheet or it
+     * does not have that sprite, the tile is rendered with its debug color instead.
+     *
      * @param {nurdz.game.Stage} stage the stage to render to
      * @param {Number} x the X-coordinate to draw the tile at
      * @param {Number} y the Y-coordinate to draw the tile at
+     * @param {nurdz.game.SpriteSheet|null} [spriteSheet=null] the sprite sheet of the tileset that the tile
+     * is being rendered from
+     * @param {Number} [mask=0] the neighbour mask of the tile
+     * @see nurdz.game.Tile.spriteIndex
      */
-    nurdz.game.Tile.prototype.render = function (stage, x, y)
+    nurdz.game.Tile.prototype.render = function (stage, x, y, spriteSheet, mask)
     {
-        stage.fillRect (x, y, this.size, this.size, this.debugColor);
+        var index = this.spriteIndex (spriteSheet, mask);
+        if (index != -1)
+            spriteSheet.render (stage, index, x, y);
+        else
+            stage.fillRect (x, y, this.size, this.size, this.debugColor);
     };
 
     /**
@@ -36,6 +36,15 @@ nurdz.game.Tileset = function (name, tiles)
      */
     this.tilesByValue = [];
 
+    /**
+     * The sprite sheet that the tiles in this tile set are rendered with, where the sprites for each tile
+     * are in the row whose number is its tile ID, one for each of its variants. While this is null (e.g. no
+     * image could be loaded for the tile set), the tiles render with their debug colors.
+     *
+     * @type {nurdz.game.SpriteSheet|null}
+     */
+    this.spriteSheet = null;
+
     // Iterate the array of tiles passed in and insert them into our two arrays.
     for (var i = 0 ; i < tiles.length ; i++)
     {
@@ -75,10 +75,15 @@
             setupButton (stage, "controlBtn");
 
             // Register all of our scenes.
-            stage.addScene (cv.SCENE_GAME, new nurdz.sneak.GameScene (stage));
+            stage.addScene (cv.SCENE_LOADING, new nurdz.sneak.LoadingScene (stage, cv.SCENE_GAME));
+            var gameScene = new nurdz.sneak.GameScene (stage, nurdz.sneak.levels.campaign);
+            stage.addScene (cv.SCENE_GAME, gameScene);
+            stage.addScene (cv.SCENE_RESULTS, new nurdz.sneak.ResultsScene (stage));
+            stage.addScene (cv.SCENE_EDITOR, new nurdz.sneak.EditorScene (stage, gameScene, "editorPanel"));
+            stage.addScene (cv.SCENE_CONTROLS, new nurdz.sneak.ControlsScene (stage, gameScene));
 
-            // Switch to the title screen scene and run the game.
-            stage.switchToScene (cv.SCENE_GAME);
+            // Load everything and then switch to the game, and run the game.
+            stage.switchToScene (cv.SCENE_LOADING);
             stage.run ();
         }
         catch (error)
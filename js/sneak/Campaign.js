@@ -0,0 +1,254 @@
+/**
+ * This class represents a campaign, which is an ordered list of levels that the player plays through. Each
+ * level has a display name and a list of the levels that must be completed before it is unlocked, and the
+ * campaign keeps track of which levels the player has completed.
+ *
+ * Each level in the campaign is described by an object with the following properties:
+ *    - 'id': string (required)
+ *       - The unique ID of the level, which is how the level is referred to everywhere else.
+ *    - 'name': string (required)
+ *       - The name of the level, for display to the player.
+ *    - 'create': function (required)
+ *       - A function that takes a stage and returns the nurdz.game.LevelData for the level.
+ *    - 'requires': string or array of strings (default: the ID of the previous level)
+ *       - The ID values of the levels that need to be completed before this level is unlocked. By default
+ *         each level requires the one before it, which makes the first level always unlocked.
+ *
+ * The list of completed levels is persisted in local storage (when the browser allows it) so that progress
+ * is kept between visits.
+ *
+ * @param {String} name the name of this campaign; used to keep the progress of campaigns separate
+ * @param {Object[]} levels the list of level descriptors, in the order that they should be played
+ * @throws {Error} if the level descriptors are not valid
+ * @constructor
+ */
+nurdz.sneak.Campaign = function (name, levels)
+{
+    "use strict";
+
+    /**
+     * The name of this campaign.
+     *
+     * @type {String}
+     */
+    this.name = name;
+
+    /**
+     * The level descriptors of this campaign, in the order they should be played. These are copies of the
+     * ones given to the constructor, with all of their properties filled out.
+     *
+     * @type {{id: String, name: String, create: Function, requires: String[]}[]}
+     */
+    this.levels = [];
+
+    /**
+     * The level descriptors of this campaign, keyed by their ID values.
+     *
+     * @type {Object.<String,{id: String, name: String, create: Function, requires: String[]}>}
+     */
+    this.levelsByID = {};
+
+    /**
+     * The ID values of the levels that the player has completed are the keys in this object.
+     *
+     * @type {Object.<String,Boolean>}
+     */
+    this.completed = {};
+
+    // Copy all of the levels, filling out the requirements.
+    for (var i = 0 ; i < levels.length ; i++)
+    {
+        var level = levels[i];
+        var requires = level.requires;
+        if (requires == null)
+            requires = (i == 0) ? [] : [levels[i - 1].id];
+        else if (typeof (requires) == "string")
+            requires = [requires];
+
+        if (typeof (level.id) != "string" || typeof (level.name) != "string" || typeof (level.create) != "function")
+            throw new TypeError ("Campaign level " + i + " is missing its id, name or create function");
+
+        if (this.levelsByID[level.id] != null)
+            throw new Error ("Campaign has a duplicate level id: " + level.id);
+
+        level = {id: level.id, name: level.name, create: level.create, requires: requires.slice ()};
+        this.levels.push (level);
+        this.levelsByID[level.id] = level;
+    }
+
+    // Now that we know all of the levels, make sure that all of the requirements are levels we know.
+    for (i = 0 ; i < this.levels.length ; i++)
+    {
+        for (var j = 0 ; j < this.levels[i].requires.length ; j++)
+        {
+            if (this.levelsByID[this.levels[i].requires[j]] == null)
+                throw new ReferenceError ("Campaign level " + this.levels[i].id + " requires unknown level " +
+                                          this.levels[i].requires[j]);
+        }
+    }
+
+    // Pick up where the player left off.
+    this.loadProgress ();
+};
+
+// Now define the various member functions and any static stage.
+(function ()
+{
+    "use strict";
+
+    /**
+     * The prefix of the key in local storage that campaign progress is stored under; the name of the
+     * campaign is added to the end.
+     *
+     * @const
+     * @type {String}
+     */
+    var STORAGE_PREFIX = "ChronoSneak.campaign.";
+
+    /**
+     * Get the level descriptor for the level with the ID provided.
+     *
+     * @param {String} levelID the ID of the level to get
+     * @returns {{id: String, name: String, create: Function, requires: String[]}} the level descriptor
+     * @throws {ReferenceError} if there is no level with this ID in the campaign
+     */
+    nurdz.sneak.Campaign.prototype.levelInfo = function (levelID)
+    {
+        var level = this.levelsByID[levelID];
+        if (level == null)
+            throw new ReferenceError ("Campaign " + this.name + " has no level with id " + levelID);
+
+        return level;
+    };
+
+    /**
+     * Get the ID of the first level in the campaign.
+     *
+     * @returns {String} the ID of the first level
+     */
+    nurdz.sneak.Campaign.prototype.firstLevelID = function ()
+    {
+        return this.levels[0].id;
+    };
+
+    /**
+     * Get the ID of the level that follows the level provided in the campaign, if there is one.
+     *
+     * @param {String} levelID the ID of the level to get the next level for
+     * @returns {String|null} the ID of the next level or null if this is the last level
+     */
+    nurdz.sneak.Campaign.prototype.nextLevelID = function (levelID)
+    {
+        var index = this.levels.indexOf (this.levelInfo (levelID));
+        return (index < this.levels.length - 1) ? this.levels[index + 1].id : null;
+    };
+
+    /**
+     * Check if the level provided has been completed by the player.
+     *
+     * @param {String} levelID the ID of the level to check
+     * @returns {Boolean} true if the level has been completed, false otherwise
+     */
+    nurdz.sneak.Campaign.prototype.isCompleted = function (levelID)
+    {
+        return this.completed[this.levelInfo (levelID).id] == true;
+    };
+
+    /**
+     * Check if the level provided is unlocked, which is the case when all of the levels that it requires
+     * have been completed.
+     *
+     * @param {String} levelID the ID of the level to check
+     * @returns {Boolean} true if the level is unlocked, false otherwise
+     */
+    nurdz.sneak.Campaign.prototype.isUnlocked = function (levelID)
+    {
+        var requires = this.levelInfo (levelID).requires;
+        for (var i = 0 ; i < requires.length ; i++)
+        {
+            if (this.isCompleted (requires[i]) == false)
+                return false;
+        }
+
+        return true;
+    };
+
+    /**
+     * Mark the level provided as completed, which may unlock other levels. The progress of the campaign
+     * is saved.
+     *
+     * @param {String} levelID the ID of the level that was completed
+     */
+    nurdz.sneak.Campaign.prototype.markCompleted = function (levelID)
+    {
+        this.completed[this.levelInfo (levelID).id] = true;
+        this.saveProgress ();
+    };
+
+    /**
+     * Create the level data for the level provided.
+     *
+     * @param {String} levelID the ID of the level to create
+     * @param {nurdz.game.Stage} stage the stage that the level will be displayed on
+     * @returns {nurdz.game.LevelData} the level data for the level
+     */
+    nurdz.sneak.Campaign.prototype.createLevelData = function (levelID, stage)
+    {
+        return this.levelInfo (levelID).create (stage);
+    };
+
+    /**
+     * Load the list of completed levels from local storage, if there is one. Levels that are no longer a
+     * part of the campaign are ignored.
+     */
+    nurdz.sneak.Campaign.prototype.loadProgress = function ()
+    {
+        this.completed = {};
+
+        try
+        {
+            var saved = JSON.parse (window.localStorage.getItem (STORAGE_PREFIX + this.name) || "[]");
+            for (var i = 0 ; i < saved.length ; i++)
+            {
+                if (this.levelsByID[saved[i]] != null)
+                    this.completed[saved[i]] = true;
+            }
+        }
+        catch (error)
+        {
+            console.log ("Unable to load campaign progress: " + error);
+        }
+    };
+
+    /**
+     * Save the list of completed levels to local storage, if possible.
+     */
+    nurdz.sneak.Campaign.prototype.saveProgress = function ()
+    {
+        var saved = [];
+        for (var levelID in this.completed)
+        {
+            if (this.completed.hasOwnProperty (levelID))
+                saved.push (levelID);
+        }
+
+        try
+        {
+            window.localStorage.setItem (STORAGE_PREFIX + this.name, JSON.stringify (saved));
+        }
+        catch (error)
+        {
+            console.log ("Unable to save campaign progress: " + error);
+        }
+    };
+
+    /**
+     * Return a string representation of the object, for debugging purposes.
+     *
+     * @returns {String}
+     */
+    nurdz.sneak.Campaign.prototype.toString = function ()
+    {
+        return String.format ("[Campaign name='{0}' levels={1}]", this.name, this.levels.length);
+    };
+} ());
@@ -0,0 +1,190 @@
+/**
+ * This class is a registry of all of the kinds of entity that can be created from level data. Each kind of
+ * entity is registered under a class name, which is what the "class" field of an entity descriptor in
+ * level data refers to, along with the constructor that creates it and any aliases that can be used in
+ * place of the class name.
+ *
+ * Entities register themselves when they are loaded, so an entity defined anywhere (e.g. in the namespace
+ * of a mod) can be placed in a level by registering it here; nothing that is not registered can be.
+ *
+ * The properties that each kind of entity supports are described by its property schema.
+ *
+ * @see nurdz.sneak.ChronoEntity.propertySchema
+ * @constructor
+ */
+nurdz.sneak.EntityRegistry = function ()
+{
+    "use strict";
+
+    /**
+     * The registered classes, keyed by their class names.
+     *
+     * @type {Object.<String,{constructor: Function, aliases: String[]}>}
+     */
+    this.classes = {};
+
+    /**
+     * The class names that all of the aliases refer to, keyed by the alias.
+     *
+     * @type {Object.<String,String>}
+     */
+    this.aliases = {};
+};
+
+// Now define the various member functions and any static stage.
+(function ()
+{
+    "use strict";
+
+    /**
+     * Register a kind of entity so that it can be created from level data and placed in the level editor.
+     *
+     * @param {String} name the class name to register the entity under
+     * @param {Function} constructor the constructor of the entity, which takes the stage, the map position
+     * and the properties of the entity, like the constructor of nurdz.sneak.Door does
+     * @param {String[]} [aliases=[]] other names that can be used to refer to this class in level data
+     * @throws {Error} if the name or any of the aliases is already in use
+     * @throws {TypeError} if the constructor does not create a ChronoEntity
+     */
+    nurdz.sneak.EntityRegistry.prototype.register = function (name, constructor, aliases)
+    {
+        aliases = aliases || [];
+
+        if (typeof (constructor) != "function" || constructor.length != 4 ||
+            constructor.prototype instanceof nurdz.sneak.ChronoEntity == false)
+            throw new TypeError ("Cannot register entity class '" + name + "': constructor is not valid");
+
+        var names = [name].concat (aliases);
+        for (var i = 0 ; i < names.length ; i++)
+        {
+            if (this.lookup (names[i]) != null)
+                throw new Error ("Cannot register entity class '" + name + "': '" + names[i] + "' is already in use");
+        }
+
+        this.classes[name] = {
+            constructor: constructor,
+            aliases:     aliases.slice ()
+        };
+
+        for (i = 0 ; i < aliases.length ; i++)
+            this.aliases[aliases[i]] = name;
+    };
+
+    /**
+     * Remove a kind of entity from the registry, along with all of its aliases. Levels that have already
+     * been created are not affected, but no more entities of this kind can be created from level data.
+     *
+     * @param {String} name the class name that the entity was registered under
+     * @returns {Boolean} true if the class was removed, or false if it was not registered
+     */
+    nurdz.sneak.EntityRegistry.prototype.unregister = function (name)
+    {
+        if (this.classes.hasOwnProperty (name) == false)
+            return false;
+
+        var entry = this.classes[name];
+        for (var i = 0 ; i < entry.aliases.length ; i++)
+            delete this.aliases[entry.aliases[i]];
+        delete this.classes[name];
+        return true;
+    };
+
+    /**
+     * Get the class name that the name provided refers to, which is either a class name or an alias.
+     *
+     * @param {String} name the class name or alias to look up
+     * @returns {String|null} the class name, or null if there is no such class or alias
+     */
+    nurdz.sneak.EntityRegistry.prototype.className = function (name)
+    {
+        if (this.classes.hasOwnProperty (name))
+            return name;
+        if (this.aliases.hasOwnProperty (name))
+            return this.aliases[name];
+        return null;
+    };
+
+    /**
+     * Get the class name that the entity provided was registered under.
+     *
+     * @param {nurdz.sneak.ChronoEntity} entity the entity to get the class name of
+     * @returns {String|null} the class name, or null if the class of the entity is not registered
+     */
+    nurdz.sneak.EntityRegistry.prototype.classNameOf = function (entity)
+    {
+        for (var name in this.classes)
+        {
+            if (this.classes.hasOwnProperty (name) && this.classes[name].constructor == entity.constructor)
+                return name;
+        }
+
+        return null;
+    };
+
+    /**
+     * Get the constructor for the kind of entity that the name provided refers to.
+     *
+     * @param {String} name the class name or alias to look up
+     * @returns {Function|null} the constructor, or null if there is no such class or alias
+     */
+    nurdz.sneak.EntityRegistry.prototype.lookup = function (name)
+    {
+        var className = this.className (name);
+        return (className != null) ? this.classes[className].constructor : null;
+    };
+
+    /**
+     * Get the complete schema for the properties of the kind of entity that the name provided refers to.
+     *
+     * @param {String} name the class name or alias to look up
+     * @returns {Object.<String,Object>|null} the schema, or null if there is no such class or alias
+     * @see nurdz.sneak.ChronoEntity.completePropertySchema
+     */
+    nurdz.sneak.EntityRegistry.prototype.schema = function (name)
+    {
+        var constructor = this.lookup (name);
+        return (constructor != null) ? constructor.prototype.completePropertySchema () : null;
+    };
+
+    /**
+     * Get the documentation for all of the properties of the kind of entity that the name provided refers
+     * to, in the same format that the properties of engine entities are documented in.
+     *
+     * @param {String} name the class name or alias to look up
+     * @returns {String|null} the documentation, or null if there is no such class or alias
+     * @see nurdz.sneak.ChronoEntity.describeProperties
+     */
+    nurdz.sneak.EntityRegistry.prototype.documentation = function (name)
+    {
+        var constructor = this.lookup (name);
+        return (constructor != null) ? constructor.prototype.describeProperties () : null;
+    };
+
+    /**
+     * Get the class names of all of the registered kinds of entity, sorted by name.
+     *
+     * @returns {String[]} the registered class names
+     */
+    nurdz.sneak.EntityRegistry.prototype.classNames = function ()
+    {
+        return Object.keys (this.classes).sort ();
+    };
+
+    /**
+     * Return a string representation of the object, for debugging purposes.
+     *
+     * @returns {String}
+     */
+    nurdz.sneak.EntityRegistry.prototype.toString = function ()
+    {
+        return String.format ("[EntityRegistry classes={0}]", this.classNames ().join (","));
+    };
+} ());
+
+
+/**
+ * The registry of all of the kinds of entity that can be created from level data.
+ *
+ * @type {nurdz.sneak.EntityRegistry}
+ */
+nurdz.sneak.entityRegistry = new nurdz.sneak.EntityRegistry ();
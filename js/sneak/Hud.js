@@ -0,0 +1,409 @@
+/**
+ * This class is the heads up display that is drawn over the level while it is being played. It shows the
+ * current turn, how alert the guards are, what the player is carrying, what the player would interact
+ * with if they pressed the interact key, and a log of messages about what has been happening in the level.
+ *
+ * Messages about things happening in the level (doors opening, buttons being pressed, guards reacting to
+ * the player and so on) come from the event bus of the stage, so the HUD does not need to know where they
+ * came from; anything else that wants to tell the player something can add a message directly.
+ *
+ * @param {nurdz.game.Stage} stage the stage to render to and whose events get reported
+ * @see nurdz.game.EventBus
+ * @constructor
+ */
+nurdz.sneak.Hud = function (stage)
+{
+    "use strict";
+
+    /**
+     * The stage that we render to.
+     *
+     * @type {nurdz.game.Stage}
+     */
+    this.stage = stage;
+
+    /**
+     * The messages in the log, oldest first. Only the most recent ones are displayed.
+     *
+     * @type {{text: String, color: String}[]}
+     */
+    this.messages = [];
+
+    // Report on everything that we have a message for.
+    for (var name in this.eventMessages)
+    {
+        if (this.eventMessages.hasOwnProperty (name))
+            stage.events.subscribe (name, this.eventMessages[name], this);
+    }
+};
+
+// Now define the various member functions and any static stage.
+(function ()
+{
+    "use strict";
+
+    /**
+     * The most messages that are kept in the log; older ones are thrown away.
+     *
+     * @const
+     * @type {Number}
+     */
+    var MAX_MESSAGES = 50;
+
+    /**
+     * The number of the most recent messages in the log that are displayed.
+     *
+     * @const
+     * @type {Number}
+     */
+    var DISPLAYED_MESSAGES = 5;
+
+    /**
+     * The font that messages and the interaction prompt are rendered in.
+     *
+     * @const
+     * @type {String}
+     */
+    var SMALL_FONT = "14px monospace";
+
+    /**
+     * The color that messages are rendered in when no other color is given.
+     *
+     * @const
+     * @type {String}
+     */
+    var MESSAGE_COLOR = "white";
+
+    /**
+     * The color of messages that warn the player that they are in danger.
+     *
+     * @const
+     * @type {String}
+     */
+    var DANGER_COLOR = "#FF6060";
+
+    /**
+     * The width of the alert meter, in pixels.
+     *
+     * @const
+     * @type {Number}
+     */
+    var METER_WIDTH = 120;
+
+    /**
+     * The height of the alert meter, in pixels.
+     *
+     * @const
+     * @type {Number}
+     */
+    var METER_HEIGHT = 14;
+
+    /**
+     * The alert states of guards from the least alert to the most alert, along with the color that the
+     * alert meter is drawn in when that is the global alert level. These match the colors of the vision
+     * cones of guards.
+     *
+     * @const
+     * @type {{state: String, color: String}[]}
+     */
+    var ALERT_LEVELS = [
+        {state: nurdz.sneak.constants.GUARD_PATROL, color: "green"},
+        {state: nurdz.sneak.constants.GUARD_RETURNING, color: "#4080FF"},
+        {state: nurdz.sneak.constants.GUARD_SUSPICIOUS, color: "yellow"},
+        {state: nurdz.sneak.constants.GUARD_SEARCHING, color: "orange"},
+        {state: nurdz.sneak.constants.GUARD_CHASING, color: "red"}
+    ];
+
+    /**
+     * The messages that guards changing to each alert state are reported with.
+     *
+     * @const
+     * @type {Object.<String,String>}
+     */
+    var GUARD_MESSAGES = {};
+    GUARD_MESSAGES[nurdz.sneak.constants.GUARD_PATROL] = "A guard went back to its patrol.";
+    GUARD_MESSAGES[nurdz.sneak.constants.GUARD_RETURNING] = "A guard gave up searching for you.";
+    GUARD_MESSAGES[nurdz.sneak.constants.GUARD_SUSPICIOUS] = "A guard is suspicious and is coming to look.";
+    GUARD_MESSAGES[nurdz.sneak.constants.GUARD_SEARCHING] = "A guard lost sight of you and is searching.";
+    GUARD_MESSAGES[nurdz.sneak.constants.GUARD_CHASING] = "A guard is chasing you!";
+
+    /**
+     * Get a short description of the entity provided for use in a message, such as "a guard".
+     *
+     * @param {nurdz.game.Actor|null} entity the entity to describe
+     * @returns {String} the description
+     */
+    var describe = function (entity)
+    {
+        if (entity instanceof nurdz.sneak.Player)
+            return "you";
+        if (entity instanceof nurdz.sneak.GuardBase)
+            return "a guard";
+        if (entity instanceof nurdz.sneak.SecurityCamera)
+            return "a camera";
+        return "something";
+    };
+
+    /**
+     * Get the rank of the alert state provided, from 0 for the least alert state up.
+     *
+     * @param {String} alertState the alert state, which is one of the GUARD_* values in
+     * nurdz.sneak.constants
+     * @returns {Number} the rank of the alert state, or 0 if it is not known
+     */
+    var alertRank = function (alertState)
+    {
+        for (var i = 0 ; i < ALERT_LEVELS.length ; i++)
+        {
+            if (ALERT_LEVELS[i].state == alertState)
+                return i;
+        }
+
+        return 0;
+    };
+
+    /**
+     * The handlers for the events that get reported in the message log, keyed by the name of the event.
+     * Each handler is invoked with the HUD as "this" and the data of the event.
+     *
+     * @type {Object.<String,Function>}
+     */
+    nurdz.sneak.Hud.prototype.eventMessages = {};
+
+    nurdz.sneak.Hud.prototype.eventMessages[nurdz.sneak.constants.EVENT_DOOR_OPENED] = function ()
+    {
+        this.addMessage ("A door opened.");
+    };
+
+    nurdz.sneak.Hud.prototype.eventMessages[nurdz.sneak.constants.EVENT_DOOR_CLOSED] = function ()
+    {
+        this.addMessage ("A door closed.");
+    };
+
+    nurdz.sneak.Hud.prototype.eventMessages[nurdz.sneak.constants.EVENT_DOOR_LOCKED] = function (data)
+    {
+        this.addMessage (data.door.properties.requires != null
+                             ? "The door is locked; it needs the " + data.door.properties.requires + "."
+                             : "The door is locked.");
+    };
+
+    nurdz.sneak.Hud.prototype.eventMessages[nurdz.sneak.constants.EVENT_DOOR_BLOCKED] = function ()
+    {
+        this.addMessage ("A door can't close; something is in the way.");
+    };
+
+    nurdz.sneak.Hud.prototype.eventMessages[nurdz.sneak.constants.EVENT_BUTTON_PRESSED] = function (data)
+    {
+        this.addMessage (data.activator instanceof nurdz.sneak.Player
+                             ? "You pressed a button." : "A button was pressed.");
+    };
+
+    nurdz.sneak.Hud.prototype.eventMessages[nurdz.sneak.constants.EVENT_BUTTON_RELEASED] = function ()
+    {
+        this.addMessage ("A button was released.");
+    };
+
+    nurdz.sneak.Hud.prototype.eventMessages[nurdz.sneak.constants.EVENT_ITEM_PICKED_UP] = function (data)
+    {
+        this.addMessage ("You picked up the " + data.item + ".");
+    };
+
+    nurdz.sneak.Hud.prototype.eventMessages[nurdz.sneak.constants.EVENT_PLAYER_SPOTTED] = function (data)
+    {
+        this.addMessage ("You have been spotted by " + describe (data.watcher) + "!", DANGER_COLOR);
+    };
+
+    nurdz.sneak.Hud.prototype.eventMessages[nurdz.sneak.constants.EVENT_MOVE_ABANDONED] = function (data)
+    {
+        // Only the player needs to know that they didn't get where they were going.
+        if (data.entity instanceof nurdz.sneak.Player)
+            this.addMessage ("You couldn't move; something got in the way.");
+    };
+
+    nurdz.sneak.Hud.prototype.eventMessages[nurdz.sneak.constants.EVENT_PLAYER_CAUGHT] = function ()
+    {
+        this.addMessage ("You have been caught by a guard!", DANGER_COLOR);
+    };
+
+    nurdz.sneak.Hud.prototype.eventMessages[nurdz.sneak.constants.EVENT_GUARD_ALERTED] = function (data)
+    {
+        // Guards getting more alert is bad news.
+        var worse = alertRank (data.state) > alertRank (data.previousState);
+        this.addMessage (GUARD_MESSAGES[data.state], worse ? DANGER_COLOR : MESSAGE_COLOR);
+    };
+
+    /**
+     * Get the global alert level of the level provided, which is the alert state of the most alert guard;
+     * the player is only as safe as the guard that is closest to catching them. Levels without guards are
+     * always on patrol.
+     *
+     * @param {nurdz.sneak.SneakLevel} level the level to get the alert level of
+     * @returns {String} the global alert level, which is one of the GUARD_* values in nurdz.sneak.constants
+     */
+    nurdz.sneak.Hud.prototype.alertLevel = function (level)
+    {
+        var guards = level.entitiesWithType (nurdz.sneak.GuardBase);
+        var retVal = nurdz.sneak.constants.GUARD_PATROL;
+        for (var i = 0 ; i < guards.length ; i++)
+        {
+            if (alertRank (guards[i].alertState) > alertRank (retVal))
+                retVal = guards[i].alertState;
+        }
+
+        return retVal;
+    };
+
+    /**
+     * Add a message to the message log.
+     *
+     * @param {String} text the text of the message
+     * @param {String} [color="white"] the color to display the message in
+     */
+    nurdz.sneak.Hud.prototype.addMessage = function (text, color)
+    {
+        this.messages.push ({text: text, color: color || MESSAGE_COLOR});
+        if (this.messages.length > MAX_MESSAGES)
+            this.messages.shift ();
+    };
+
+    /**
+     * Throw away all of the messages in the message log, such as when a new level starts.
+     */
+    nurdz.sneak.Hud.prototype.clearMessages = function ()
+    {
+        this.messages = [];
+    };
+
+    /**
+     * Render the HUD for the game scene provided over the top of everything else. The camera should not
+     * be applied, since the HUD stays in place as the level scrolls.
+     *
+     * @param {nurdz.sneak.GameScene} scene the scene whose HUD is being rendered
+     */
+    nurdz.sneak.Hud.prototype.render = function (scene)
+    {
+        this.renderTurn (scene.level);
+        this.renderAlertMeter (this.alertLevel (scene.level));
+        this.renderMessages ();
+        this.renderInventory (scene.player);
+
+        // There is nothing to interact with once the level is over or the player has been caught.
+        if (scene.levelOver == false && scene.playerCaught == false)
+            this.renderPrompt (scene.getInteractionEntities (), scene.player,
+                               scene.inputMap.describeKeysFor ("interact"));
+    };
+
+    /**
+     * Render the turn counter at the top of the stage. When the player has stepped back in time, this also
+     * shows the most recent turn, since they can step forward to it again.
+     *
+     * @param {nurdz.sneak.SneakLevel} level the level being played
+     */
+    nurdz.sneak.Hud.prototype.renderTurn = function (level)
+    {
+        var lastTurn = level.turnHistory.length - 1;
+        var text = "Turn " + level.turnIndex;
+        if (level.turnIndex != lastTurn)
+            text += "/" + lastTurn;
+
+        this.stage.drawTxt (text, 50, 20, "white");
+    };
+
+    /**
+     * Render the alert meter in the top right corner of the stage, which fills up and changes color as the
+     * guards get more alert.
+     *
+     * @param {String} alertState the global alert level, which is one of the GUARD_* values in
+     * nurdz.sneak.constants
+     */
+    nurdz.sneak.Hud.prototype.renderAlertMeter = function (alertState)
+    {
+        var rank = alertRank (alertState);
+        var x = this.stage.width - METER_WIDTH - 10;
+        var fill = Math.round (METER_WIDTH * (rank + 1) / ALERT_LEVELS.length);
+
+        this.stage.fillRect (x, 8, fill, METER_HEIGHT, ALERT_LEVELS[rank].color);
+        this.stage.setLineStyle ("white", 1);
+        this.stage.canvasContext.strokeRect (x, 8, METER_WIDTH, METER_HEIGHT);
+
+        this.stage.canvasContext.save ();
+        this.stage.canvasContext.font = SMALL_FONT;
+        this.stage.canvasContext.textAlign = "right";
+        this.stage.drawTxt (alertState, x - 8, 20, ALERT_LEVELS[rank].color);
+        this.stage.canvasContext.restore ();
+    };
+
+    /**
+     * Render the most recent messages in the message log in the top left corner of the stage, below the
+     * turn counter, with the older messages fading out.
+     */
+    nurdz.sneak.Hud.prototype.renderMessages = function ()
+    {
+        var first = Math.max (0, this.messages.length - DISPLAYED_MESSAGES);
+
+        this.stage.canvasContext.save ();
+        this.stage.canvasContext.font = SMALL_FONT;
+        for (var i = first ; i < this.messages.length ; i++)
+        {
+            // The newest message is fully opaque; each older one is a little more transparent.
+            this.stage.canvasContext.globalAlpha = 1 - 0.15 * (this.messages.length - 1 - i);
+            this.stage.drawTxt (this.messages[i].text, 6, 44 + (i - first) * 18, this.messages[i].color);
+        }
+        this.stage.canvasContext.restore ();
+    };
+
+    /**
+     * Render the inventory of the player as a list of item names in the bottom right corner of the stage.
+     * Nothing is rendered when the player is not carrying anything.
+     *
+     * @param {nurdz.sneak.Player} player the player whose inventory is rendered
+     */
+    nurdz.sneak.Hud.prototype.renderInventory = function (player)
+    {
+        if (player.inventory.length == 0)
+            return;
+
+        this.stage.canvasContext.save ();
+        this.stage.canvasContext.textAlign = "right";
+        this.stage.drawTxt ("Carrying: " + player.inventory.join (", "), this.stage.width - 16,
+                            this.stage.height - 6, "white");
+        this.stage.canvasContext.restore ();
+    };
+
+    /**
+     * Render a prompt that says what the player would interact with if they pressed the interact key,
+     * centered near the bottom of the stage. Nothing is rendered when there is nothing to interact with,
+     * or no key to interact with it.
+     *
+     * @param {nurdz.sneak.ChronoEntity[]} entities the entities that the player would interact with
+     * @param {nurdz.sneak.Player} player the player
+     * @param {String} keys the description of the keys that are bound to interacting, e.g. "Space/Q"
+     */
+    nurdz.sneak.Hud.prototype.renderPrompt = function (entities, player, keys)
+    {
+        if (entities.length == 0 || keys == "")
+            return;
+
+        var actions = entities.map (function (entity)
+                                    {
+                                        return entity.interactionPrompt (player);
+                                    });
+
+        this.stage.canvasContext.save ();
+        this.stage.canvasContext.font = SMALL_FONT;
+        this.stage.canvasContext.textAlign = "center";
+        this.stage.drawTxt ("Press " + keys + " to " + actions.join (" and "), this.stage.width / 2,
+                            this.stage.height - 34, "yellow");
+        this.stage.canvasContext.restore ();
+    };
+
+    /**
+     * Return a string representation of the object, for debugging purposes.
+     *
+     * @returns {String}
+     */
+    nurdz.sneak.Hud.prototype.toString = function ()
+    {
+        return String.format ("[Hud messages={0}]", this.messages.length);
+    };
+} ());
@@ -0,0 +1,581 @@
+/**
+ * This class loads ChronoSneak levels that are stored as JSON text, validating them and turning them into
+ * SneakLevelData instances that the game can play.
+ *
+ * A level in JSON is an object with the following fields:
+ *    - 'name': string (required)
+ *       - The name of the level.
+ *    - 'width', 'height': number (required)
+ *       - The size of the level, in tiles.
+ *    - 'tileset': string (required)
+ *       - The name of the tileset that the level uses; this must be one of the tilesets registered in
+ *         nurdz.sneak.tilesets.
+ *    - 'tiles': array of numbers (required)
+ *       - The tile ID values of the level, one row after another; there must be width * height of them.
+ *    - 'entities': array of objects (required)
+ *       - The entities in the level. Each has a 'class' field that is the class name or an alias of an
+ *         entity registered in nurdz.sneak.entityRegistry and a 'position' field that is an array of the x
+ *         and y map position of the entity. All other fields are given to the entity as its properties.
+ *
+ * Rather than stopping at the first problem, the loader checks as much of the level as it can and throws a
+ * single error that describes every problem it found, each with the line and field in the JSON that it
+ * relates to.
+ *
+ * @param {nurdz.game.Stage} stage the stage that loaded levels will be displayed on
+ * @constructor
+ */
+nurdz.sneak.LevelLoader = function (stage)
+{
+    "use strict";
+
+    /**
+     * The stage that loaded levels will be displayed on.
+     *
+     * @type {nurdz.game.Stage}
+     */
+    this.stage = stage;
+};
+
+// Now define the various member functions and any static stage.
+(function ()
+{
+    "use strict";
+
+    /**
+     * The fields that are allowed at the top level of a level, and the type that each has to be. The types
+     * are what the typeof operator returns, plus "array".
+     *
+     * @const
+     * @type {Object.<String,String>}
+     */
+    var LEVEL_FIELDS = {
+        name:     "string",
+        width:    "number",
+        height:   "number",
+        tileset:  "string",
+        tiles:    "array",
+        entities: "array"
+    };
+
+    /**
+     * The fields of an entity descriptor that are used to create the entity, rather than being given to it
+     * as properties.
+     *
+     * @const
+     * @type {String[]}
+     */
+    var DESCRIPTOR_FIELDS = ["class", "position"];
+
+    /**
+     * The regular expressions that match the tokens of JSON text that parseJSON() reads with a single
+     * match, keyed by the kind of token. They are sticky, so that they only match at the position that
+     * they are set to start at instead of searching the rest of the text.
+     *
+     * @const
+     * @type {Object.<String,RegExp>}
+     */
+    var TOKENS = {
+        string: /"(?:[^"\\\n]|\\.)*"/y,
+        number: /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y,
+        true:   /true\b/y,
+        false:  /false\b/y,
+        null:   /null\b/y,
+        comma:  /,/y
+    };
+
+    /**
+     * Get the type of a value parsed from JSON, which is what the typeof operator returns except that
+     * arrays are "array" and null is "null".
+     *
+     * @param {*} value the value to get the type of
+     * @returns {String} the type of the value
+     */
+    var typeOf = function (value)
+    {
+        if (value === null)
+            return "null";
+
+        return Array.isArray (value) ? "array" : typeof (value);
+    };
+
+    /**
+     * Check if a value is a whole number.
+     *
+     * @param {*} value the value to check
+     * @returns {Boolean} true if the value is a whole number, false otherwise
+     */
+    var isInteger = function (value)
+    {
+        return typeof (value) == "number" && isFinite (value) && Math.floor (value) == value;
+    };
+
+    /**
+     * Check if the entity descriptor provided has the fields that are needed to create the entity that it
+     * describes, so that the properties of the entity can be checked by creating it.
+     *
+     * @param {*} descriptor the entity descriptor parsed from JSON
+     * @returns {Boolean} true if the entity can be created, or false otherwise
+     * @see nurdz.sneak.LevelLoader.validateEntityDescriptor
+     */
+    var canCreate = function (descriptor)
+    {
+        if (typeOf (descriptor) != "object" || typeOf (descriptor.class) != "string" ||
+            nurdz.sneak.entityRegistry.lookup (descriptor.class) == null)
+            return false;
+
+        var position = descriptor.position;
+        if (typeOf (position) != "array" || position.length != 2 ||
+            isInteger (position[0]) == false || isInteger (position[1]) == false)
+            return false;
+
+        return descriptor.id == null || typeOf (descriptor.id) == "string";
+    };
+
+    /**
+     * Parse the JSON text provided, keeping track of the line in the text that every value starts on.
+     *
+     * The lines are returned in an object keyed by the path of each value, which is the same as the
+     * expression that would be used to get at the value from the root object, e.g. "entities[2].facing".
+     * The root object has the path "".
+     *
+     * @param {String} text the JSON text to parse
+     * @returns {{value: *, lines: Object.<String,Number>}} the parsed value and the lines of all values
+     * @throws {SyntaxError} if the text is not valid JSON; the error has a line property that tells where
+     */
+    var parseJSON = function (text)
+    {
+        var pos = 0;
+        var line = 1;
+        var lines = {};
+
+        // Throw a syntax error at the current line.
+        var syntaxError = function (message)
+        {
+            var error = new SyntaxError (message);
+            error.line = line;
+            throw error;
+        };
+
+        // Skip past any white space, counting lines as we go.
+        var skipWhitespace = function ()
+        {
+            while (pos < text.length)
+            {
+                var ch = text.charAt (pos);
+                if (ch == "\n")
+                    line++;
+                else if (ch != " " && ch != "\t" && ch != "\r")
+                    return;
+
+                pos++;
+            }
+        };
+
+        // Match a sticky regular expression against the text at the current position, returning the text
+        // that matched or null.
+        var match = function (regex)
+        {
+            regex.lastIndex = pos;
+            var result = regex.exec (text);
+            if (result == null)
+                return null;
+
+            pos += result[0].length;
+            return result[0];
+        };
+
+        // Parse a value and record the line it started on under the path given.
+        var parseValue = function (path)
+        {
+            skipWhitespace ();
+            lines[path] = line;
+
+            var token;
+            var ch = text.charAt (pos);
+            if (ch == "{")
+                return parseObject (path);
+            if (ch == "[")
+                return parseArray (path);
+
+            if (ch == '"')
+            {
+                token = match (TOKENS.string);
+                if (token == null)
+                    syntaxError ("unterminated string");
+
+                return JSON.parse (token);
+            }
+
+            token = match (TOKENS.number);
+            if (token != null)
+                return Number (token);
+
+            if (match (TOKENS.true))
+                return true;
+            if (match (TOKENS.false))
+                return false;
+            if (match (TOKENS.null))
+                return null;
+
+            return syntaxError (pos >= text.length ? "unexpected end of text" : "unexpected '" + ch + "'");
+        };
+
+        // Skip white space and then make sure that the next character is the one given, moving past it.
+        var expect = function (ch)
+        {
+            skipWhitespace ();
+            if (text.charAt (pos) != ch)
+                syntaxError ("expected '" + ch + "'");
+
+            pos++;
+        };
+
+        // Parse an object, whose opening brace is at the current position.
+        var parseObject = function (path)
+        {
+            var result = {};
+
+            pos++;
+            skipWhitespace ();
+            if (text.charAt (pos) == "}")
+            {
+                pos++;
+                return result;
+            }
+
+            do
+            {
+                skipWhitespace ();
+                var key = match (TOKENS.string);
+                if (key == null)
+                    syntaxError ("expected a field name");
+
+                key = JSON.parse (key);
+                if (result.hasOwnProperty (key))
+                    syntaxError ("duplicate field '" + key + "'");
+
+                expect (":");
+                result[key] = parseValue (path == "" ? key : path + "." + key);
+                skipWhitespace ();
+            } while (match (TOKENS.comma));
+
+            expect ("}");
+            return result;
+        };
+
+        // Parse an array, whose opening bracket is at the current position.
+        var parseArray = function (path)
+        {
+            var result = [];
+
+            pos++;
+            skipWhitespace ();
+            if (text.charAt (pos) == "]")
+            {
+                pos++;
+                return result;
+            }
+
+            do
+            {
+                result.push (parseValue (path + "[" + result.length + "]"));
+                skipWhitespace ();
+            } while (match (TOKENS.comma));
+
+            expect ("]");
+            return result;
+        };
+
+        var value = parseValue ("");
+        skipWhitespace ();
+        if (pos < text.length)
+            syntaxError ("unexpected text after the level");
+
+        return {value: value, lines: lines};
+    };
+
+    /**
+     * Load a level from the JSON text provided and return the level data for it.
+     *
+     * If there are any problems with the level, the error thrown has a problems property, which is an array
+     * of objects with line, field and message properties that describe each problem. The message of the
+     * error lists all of them.
+     *
+     * @param {String} text the JSON text of the level
+     * @param {String} [source="level"] where the text came from (e.g. the file name), for error messages
+     * @returns {nurdz.sneak.SneakLevelData} the loaded level data
+     * @throws {Error} if the text is not valid JSON or does not describe a valid level
+     */
+    nurdz.sneak.LevelLoader.prototype.load = function (text, source)
+    {
+        source = source || "level";
+
+        var parsed;
+        var problems = [];
+
+        // Add a problem to the list, for the field at the path given.
+        var problem = function (path, message)
+        {
+            problems.push ({line: parsed.lines[path] || 1, field: path, message: message});
+        };
+
+        try
+        {
+            parsed = parseJSON (text);
+        }
+        catch (error)
+        {
+            if (error instanceof SyntaxError == false)
+                throw error;
+
+            problems.push ({line: error.line, field: "", message: error.message});
+            throw this.loadError (source, problems);
+        }
+
+        // Validate the level and the properties of its entities, and if that found anything wrong, we're
+        // done.
+        this.validateLevel (parsed.value, problem);
+        this.validateEntities (parsed.value, problem);
+
+        if (problems.length != 0)
+            throw this.loadError (source, problems);
+
+        // Everything checks out, so create the level data. Anything that goes wrong now is about the level
+        // as a whole.
+        var level = parsed.value;
+        try
+        {
+            return new nurdz.sneak.SneakLevelData (this.stage, level.name, level.width, level.height,
+                                                   level.tiles, level.entities,
+                                                   nurdz.sneak.tilesets[level.tileset]);
+        }
+        catch (error)
+        {
+            // A level that fails its checks says which entity each problem is with, so point at it.
+            if (error.problems == null)
+                problem ("", error.message);
+            else
+            {
+                for (var i = 0 ; i < error.problems.length ; i++)
+                {
+                    var entityIndex = error.problems[i].entityIndex;
+                    problem (entityIndex < 0 ? "" : "entities[" + entityIndex + "]", error.problems[i].message);
+                }
+            }
+
+            throw this.loadError (source, problems);
+        }
+    };
+
+    /**
+     * Validate the fields of the level provided (but not the properties of its entities), reporting any
+     * problems found to the function provided.
+     *
+     * @param {*} level the level parsed from JSON
+     * @param {Function} problem the function to invoke with the path and a message for each problem
+     */
+    nurdz.sneak.LevelLoader.prototype.validateLevel = function (level, problem)
+    {
+        if (typeOf (level) != "object")
+        {
+            problem ("", "a level must be an object");
+            return;
+        }
+
+        // Make sure that all of the fields exist and are the right type, and that there are no others.
+        var field;
+        for (field in LEVEL_FIELDS)
+        {
+            if (LEVEL_FIELDS.hasOwnProperty (field) == false)
+                continue;
+
+            if (level.hasOwnProperty (field) == false)
+                problem ("", "missing field '" + field + "'");
+            else if (typeOf (level[field]) != LEVEL_FIELDS[field])
+                problem (field, "expected " + LEVEL_FIELDS[field] + " but got " + typeOf (level[field]));
+        }
+
+        for (field in level)
+        {
+            if (level.hasOwnProperty (field) && LEVEL_FIELDS.hasOwnProperty (field) == false)
+                problem (field, "unknown field '" + field + "'");
+        }
+
+        // Check the size.
+        var sizeValid = true;
+        var sizes = ["width", "height"];
+        for (var i = 0 ; i < sizes.length ; i++)
+        {
+            if (level[sizes[i]] == null || isInteger (level[sizes[i]]) == false || level[sizes[i]] < 1)
+            {
+                if (typeOf (level[sizes[i]]) == "number")
+                    problem (sizes[i], "must be a whole number of at least 1");
+
+                sizeValid = false;
+            }
+        }
+
+        // Check the tiles against the tileset, if there is one.
+        var tileset = null;
+        if (typeOf (level.tileset) == "string")
+        {
+            tileset = nurdz.sneak.tilesets[level.tileset];
+            if (tileset == null)
+                problem ("tileset", "unknown tileset '" + level.tileset + "'");
+        }
+
+        if (typeOf (level.tiles) == "array")
+        {
+            if (sizeValid && level.tiles.length != level.width * level.height)
+                problem ("tiles", "expected " + (level.width * level.height) + " tiles for a " + level.width +
+                                  "x" + level.height + " level but got " + level.tiles.length);
+
+            for (i = 0 ; i < level.tiles.length ; i++)
+            {
+                var path = "tiles[" + i + "]";
+                if (isInteger (level.tiles[i]) == false)
+                    problem (path, "tile ID must be a whole number");
+                else if (tileset != null && tileset.isValidTileID (level.tiles[i]) == false)
+                    problem (path, "tile ID " + level.tiles[i] + " is not in tileset '" + tileset.name + "'");
+            }
+        }
+
+        // Check that the entities have the fields that are needed to create them.
+        if (typeOf (level.entities) == "array")
+        {
+            for (i = 0 ; i < level.entities.length ; i++)
+                this.validateEntityDescriptor (level, i, sizeValid, problem);
+        }
+    };
+
+    /**
+     * Validate the fields of a single entity descriptor that are used to create the entity (but not the
+     * properties of the entity itself), reporting any problems found to the function provided.
+     *
+     * @param {Object} level the level parsed from JSON, whose entity list is known to be an array
+     * @param {Number} index the index of the entity in the entity list of the level
+     * @param {Boolean} sizeValid true if the size of the level is valid, so positions can be checked
+     * @param {Function} problem the function to invoke with the path and a message for each problem
+     */
+    nurdz.sneak.LevelLoader.prototype.validateEntityDescriptor = function (level, index, sizeValid, problem)
+    {
+        var path = "entities[" + index + "]";
+        var descriptor = level.entities[index];
+        if (typeOf (descriptor) != "object")
+        {
+            problem (path, "an entity must be an object");
+            return;
+        }
+
+        // The class has to be the name or alias of a registered entity.
+        if (descriptor.class == null)
+            problem (path, "missing field 'class'");
+        else if (typeOf (descriptor.class) != "string")
+            problem (path + ".class", "expected string but got " + typeOf (descriptor.class));
+        else if (nurdz.sneak.entityRegistry.lookup (descriptor.class) == null)
+            problem (path + ".class", "unknown entity class '" + descriptor.class + "'");
+
+        // The position has to be two whole numbers inside of the level.
+        var position = descriptor.position;
+        if (position == null)
+            problem (path, "missing field 'position'");
+        else if (typeOf (position) != "array" || position.length != 2 ||
+                 isInteger (position[0]) == false || isInteger (position[1]) == false)
+            problem (path + ".position", "expected an array of two whole numbers");
+        else if (sizeValid && (position[0] < 0 || position[0] >= level.width ||
+                               position[1] < 0 || position[1] >= level.height))
+            problem (path + ".position", "position [" + position[0] + ", " + position[1] +
+                                         "] is outside of the level");
+
+        if (descriptor.id != null && typeOf (descriptor.id) != "string")
+            problem (path + ".id", "expected string but got " + typeOf (descriptor.id));
+    };
+
+    /**
+     * Validate the properties of all of the entities in the level provided by creating each of them,
+     * reporting every property that is not valid or not in the schema of the entity to the function
+     * provided.
+     *
+     * This checks every entity that validateLevel() found can be created, whether or not it found any
+     * other problems with the level; it has already reported the entities that can't be.
+     *
+     * @param {*} level the level parsed from JSON
+     * @param {Function} problem the function to invoke with the path and a message for each problem
+     */
+    nurdz.sneak.LevelLoader.prototype.validateEntities = function (level, problem)
+    {
+        if (typeOf (level) != "object" || typeOf (level.entities) != "array")
+            return;
+
+        for (var i = 0 ; i < level.entities.length ; i++)
+        {
+            var descriptor = level.entities[i];
+            if (canCreate (descriptor) == false)
+                continue;
+
+            // Any property that is not in the schema is most likely misspelled, since nothing uses it.
+            var path = "entities[" + i + "]";
+            var constructor = nurdz.sneak.entityRegistry.lookup (descriptor.class);
+            var schema = constructor.prototype.completePropertySchema ();
+            for (var name in descriptor)
+            {
+                if (descriptor.hasOwnProperty (name) && DESCRIPTOR_FIELDS.indexOf (name) == -1 &&
+                    schema.hasOwnProperty (name) == false)
+                    problem (path + "." + name, "unknown property '" + name + "'");
+            }
+
+            try
+            {
+                nurdz.sneak.SneakLevelData.prototype.createEntities (this.stage, [descriptor]);
+            }
+            catch (error)
+            {
+                // Entities say which property was the problem, so point at it when the level has it.
+                var errors = error.errors || [error];
+                for (var j = 0 ; j < errors.length ; j++)
+                {
+                    var property = /property '([^']+)'/.exec (errors[j].message);
+                    if (property != null && descriptor.hasOwnProperty (property[1]))
+                        problem (path + "." + property[1], errors[j].message);
+                    else
+                        problem (path, errors[j].message);
+                }
+            }
+        }
+    };
+
+    /**
+     * Create the error that is thrown when a level fails to load, which lists all of the problems provided.
+     *
+     * @param {String} source where the level came from
+     * @param {{line: Number, field: String, message: String}[]} problems the problems with the level
+     * @returns {Error} the error to throw
+     */
+    nurdz.sneak.LevelLoader.prototype.loadError = function (source, problems)
+    {
+        // Report the problems in the order that they appear in the level.
+        problems.sort (function (left, right) { return left.line - right.line; });
+
+        var lines = [];
+        for (var i = 0 ; i < problems.length ; i++)
+        {
+            var problem = problems[i];
+            lines.push (String.format ("{0}:{1}: {2}{3}", source, problem.line,
+                                       problem.field ? problem.field + ": " : "", problem.message));
+        }
+
+        var error = new Error ("Unable to load level '" + source + "':\n" + lines.join ("\n"));
+        error.problems = problems;
+        return error;
+    };
+
+    /**
+     * Return a string representation of the object, for debugging purposes.
+     *
+     * @returns {String}
+     */
+    nurdz.sneak.LevelLoader.prototype.toString = function ()
+    {
+        return "[LevelLoader]";
+    };
+} ());
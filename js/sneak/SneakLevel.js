@@ -2,6 +2,23 @@
  * This is a subclass of Level for ChronoSneak. It contains extra code that can invoke the step() function
  * on all entities, which are expected to be instances of ChronoEntity.
  *
+ * The level also keeps a history of the state of every entity at the end of every turn, which allows the
+ * timeline of the level to be stepped backwards and forwards.
+ *
+ * All triggers and moves made by entities in ChronoSneak are not carried out right away; instead they are
+ * put into an action queue and resolved at the start of the next step, in the order that they were
+ * queued. This stops one trigger from instantly cascading through a whole network of entities and keeps
+ * the outcome of a turn independent of the order in which entities happen to be stepped.
+ *
+ * Noises made while a turn is taken (e.g. the player running, or a door opening) are collected by the
+ * level, so that guards can hear them when they observe at the end of the turn. The sound spreads out
+ * through the map from where it was made, getting quieter with every step and a lot quieter still when
+ * it has to go through something solid.
+ *
+ * A level that contains lights is dark except where the lights shine; the level keeps a light map that
+ * says how brightly lit every map location is, which is updated every turn. Dark places are rendered
+ * darker, and make it harder for guards to see the player.
+ *
  * @param {nurdz.game.Stage} stage the stage that owns the level
  * @param {nurdz.game.LevelData} levelData the data to display initially
  * @constructor
@@ -21,6 +38,50 @@ nurdz.sneak.SneakLevel = function (stage, levelData)
         if (this.entities[i] instanceof nurdz.sneak.GuardBase)
             this.entities[i].collectWaypoints (this);
     }
+
+    /**
+     * The list of actions that have been queued up to happen at the start of the next step, in the order
+     * that they will be carried out.
+     *
+     * @type {Object[]}
+     * @see nurdz.sneak.SneakLevel.processActionQueue
+     */
+    this.actionQueue = [];
+
+    /**
+     * The list of noises that were made during the current turn, in the order that they were made.
+     *
+     * @type {{position: nurdz.game.Point, radius: Number, source: nurdz.game.Actor|null, loudness: Number[]}[]}
+     * @see nurdz.sneak.SneakLevel.makeNoise
+     */
+    this.noises = [];
+
+    /**
+     * How brightly lit every map location is (in the same layout as the level data), from 0 (dark) to 1
+     * (fully lit). This is null when the level has no lights, in which case everything is fully lit.
+     *
+     * @type {Number[]|null}
+     * @see nurdz.sneak.SneakLevel.calculateLightMap
+     */
+    this.lightMap = this.calculateLightMap ();
+
+    /**
+     * The history of this level. Each element is the captured state of the level at the end of a turn,
+     * with the first element being the state of the level as it was when it was loaded.
+     *
+     * @type {Object[]}
+     * @see nurdz.sneak.SneakLevel.captureState
+     */
+    this.turnHistory = [this.captureState ()];
+
+    /**
+     * The index into the turn history of the turn whose state the level is currently displaying. This is
+     * usually the last turn in the history, but it will be smaller while the player is stepping backwards
+     * through time.
+     *
+     * @type {Number}
+     */
+    this.turnIndex = 0;
 };
 
 // Now define the various member functions and any static stage.
@@ -39,15 +100,584 @@ nurdz.sneak.SneakLevel = function (stage, levelData)
         }
     });
 
+    /**
+     * The type of a queued action that invokes the trigger() method of an entity.
+     *
+     * @const
+     * @type {String}
+     */
+    var ACTION_TRIGGER = "trigger";
+
+    /**
+     * The type of a queued action that invokes the triggerTouch() method of an entity.
+     *
+     * @const
+     * @type {String}
+     */
+    var ACTION_TOUCH = "touch";
+
+    /**
+     * The type of a queued action that moves an entity to a new map position.
+     *
+     * @const
+     * @type {String}
+     */
+    var ACTION_MOVE = "move";
+
+    /**
+     * How much quieter a noise gets (in addition to the usual single step) when it spreads into a map
+     * location that muffles sound.
+     *
+     * @const
+     * @type {Number}
+     */
+    var NOISE_MUFFLING = 3;
+
+    /**
+     * The change in map position for each of the four directions that a noise spreads in.
+     *
+     * @const
+     * @type {Number[][]}
+     */
+    var NOISE_DIRECTIONS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+
+    /**
+     * The most that an unlit map location is darkened by when it is rendered, as the opacity of the black
+     * that is drawn over it.
+     *
+     * @const
+     * @type {Number}
+     */
+    var MAX_DARKNESS = 0.75;
+
+    /**
+     * Queue up a trigger of the entity provided, which will happen at the start of the next step.
+     *
+     * @param {nurdz.game.Entity} entity the entity to trigger
+     * @param {nurdz.game.Actor|null} activator the actor that is activating the entity, or null
+     * @see nurdz.game.Entity.trigger
+     */
+    nurdz.sneak.SneakLevel.prototype.queueTrigger = function (entity, activator)
+    {
+        this.actionQueue.push ({type: ACTION_TRIGGER, entity: entity, activator: activator});
+    };
+
+    //noinspection JSUnusedGlobalSymbols
+    /**
+     * Queue up a touch trigger of the entity provided, which will happen at the start of the next step.
+     *
+     * @param {nurdz.game.Entity} entity the entity to trigger
+     * @param {nurdz.game.Actor} activator the actor that is touching the entity
+     * @see nurdz.game.Entity.triggerTouch
+     */
+    nurdz.sneak.SneakLevel.prototype.queueTriggerTouch = function (entity, activator)
+    {
+        this.actionQueue.push ({type: ACTION_TOUCH, entity: entity, activator: activator});
+    };
+
+    /**
+     * Queue up a move of the entity provided to a new map location, which will happen at the start of the
+     * next step.
+     *
+     * Moves are always a single step to a location next to the entity. When the move happens, it will be
+     * abandoned if the destination is blocked at that time, or if it is no longer a single step away
+     * (e.g. an earlier move of the entity was abandoned); a move that is abandoned because it is blocked
+     * publishes EVENT_MOVE_ABANDONED. Otherwise the entity moves and all entities at the destination are
+     * touch triggered by it.
+     *
+     * A move can optionally make a noise when it happens (e.g. when the entity is running), which is made
+     * at the destination. This is on top of any noise that the tile at the destination makes.
+     *
+     * @param {nurdz.game.Entity} entity the entity to move
+     * @param {nurdz.game.Point} position the map position to move the entity to
+     * @param {Number} [noise=0] the radius of the noise that the move makes, or 0 for none
+     * @see nurdz.game.Tile.noise
+     */
+    nurdz.sneak.SneakLevel.prototype.queueMove = function (entity, position, noise)
+    {
+        this.actionQueue.push ({type: ACTION_MOVE, entity: entity, position: position.copy (), noise: noise || 0});
+    };
+
+    /**
+     * Find all entities that match the id list passed in and then queue up a trigger for each of them,
+     * using the provided activator as the source of the trigger.
+     *
+     * This changes the behaviour of the base class, which triggers the entities immediately. As a
+     * convenience, if the idSpec provided is null, nothing happens.
+     *
+     * @param {String[]|null} idSpec the id or ids of entities to find or null too do nothing
+     * @param {nurdz.game.Actor|null} activator the actor that is activating the entities, or null
+     * @see nurdz.sneak.SneakLevel.queueTrigger
+     */
+    nurdz.sneak.SneakLevel.prototype.triggerEntitiesWithIDs = function (idSpec, activator)
+    {
+        // If there is not an idSpec, do nothing.
+        if (idSpec == null)
+            return;
+
+        // Get the list of entities that match the idSpec provided and queue up triggers for them.
+        var entities = this.entitiesWithIDs (idSpec);
+        for (var i = 0 ; i < entities.length ; i++)
+            this.queueTrigger (entities[i], activator);
+    };
+
+    /**
+     * Given coordinates in the map, return back a boolean that indicates if that space is something that
+     * a path found by findPath() is allowed to pass through.
+     *
+     * In ChronoSneak, paths can pass through doors (which can be triggered to open them) as well as the
+     * player and guards (who will move out of the way eventually), but not through anything else that
+     * blocks movement. Closed doors that are locked against the actor only let paths for the player
+     * through, since the player might pick up what they need to unlock them along the way.
+     *
+     * @param {Number} x the X-coordinate to check
+     * @param {Number} y the Y-coordinate to check
+     * @param {nurdz.game.Actor|null} actor the actor that the path is being found for, or null
+     * @returns {Boolean} true if a path can pass through the location, or false otherwise
+     */
+    nurdz.sneak.SneakLevel.prototype.isPathableAtXY = function (x, y, actor)
+    {
+        // Get the tile; it's not pathable if it's outside the world or blocks movement.
+        var tile = this.tileAtXY (x, y);
+        if (tile == null || tile.blocksActorMovement (actor))
+            return false;
+
+        // Check the entities here for any that block movement and can't be gotten past.
+        var entities = this.entitiesAtMapXY (x, y);
+        for (var i = 0 ; i < entities.length ; i++)
+        {
+            var entity = entities[i];
+            if (entity.blocksActorMovement () && entity instanceof nurdz.sneak.Door &&
+                entity.isLockedAgainst (actor) && actor instanceof nurdz.sneak.Player == false)
+                return false;
+
+            if (entity.blocksActorMovement () &&
+                entity instanceof nurdz.sneak.Door == false &&
+                entity instanceof nurdz.sneak.Player == false &&
+                entity instanceof nurdz.sneak.GuardBase == false)
+                return false;
+        }
+
+        return true;
+    };
+
+    /**
+     * Carry out all of the actions that are currently queued, in the order in which they were queued.
+     *
+     * Any actions that get queued while this is happening (e.g. a button that gets triggered triggering a
+     * door) do not happen now; they remain in the queue until the next time this is invoked. The exception
+     * is the touch triggers caused by a move, which happen right after the move that caused them.
+     */
+    nurdz.sneak.SneakLevel.prototype.processActionQueue = function ()
+    {
+        // Swap out the queue so that anything queued from here on out ends up in a new queue.
+        var actions = this.actionQueue;
+        this.actionQueue = [];
+
+        for (var i = 0 ; i < actions.length ; i++)
+        {
+            var action = actions[i];
+            switch (action.type)
+            {
+                case ACTION_TRIGGER:
+                    action.entity.trigger (action.activator);
+                    break;
+
+                case ACTION_TOUCH:
+                    action.entity.triggerTouch (action.activator);
+                    break;
+
+                case ACTION_MOVE:
+                    // The world may have changed since the move was queued, so make sure that the move is
+                    // still possible.
+                    if (this.isBlockedAt (action.position, action.entity))
+                    {
+                        action.entity.publishEvent (nurdz.sneak.constants.EVENT_MOVE_ABANDONED,
+                                                    {entity: action.entity, position: action.position});
+                        break;
+                    }
+
+                    // This only happens when an earlier move of the entity was abandoned, which has already
+                    // been announced.
+                    if (Math.abs (action.position.x - action.entity.mapPosition.x) +
+                        Math.abs (action.position.y - action.entity.mapPosition.y) != 1)
+                        break;
+
+                    action.entity.setMapPosition (action.position);
+
+                    // Moving can be noisy, either because of how the entity moved or what it moved onto.
+                    this.makeNoise (action.position, action.noise, action.entity);
+                    this.makeNoise (action.position, this.tileAt (action.position).noise (), action.entity);
+
+                    // Everything at the destination (except the entity that moved) gets touched by the
+                    // entity that moved. These go into the list right after this move so that they happen
+                    // before anything that was queued after it.
+                    var touched = this.entitiesAtMapPosition (action.position);
+                    for (var j = touched.length - 1 ; j >= 0 ; j--)
+                    {
+                        if (touched[j] !== action.entity)
+                            actions.splice (i + 1, 0, {type: ACTION_TOUCH, entity: touched[j], activator: action.entity});
+                    }
+                    break;
+            }
+        }
+    };
+
+    /**
+     * Given coordinates in the map, return back a boolean that indicates if that space muffles sound
+     * that spreads through it. Tiles that block movement (e.g. walls) and entities that block sight (e.g.
+     * closed doors) muffle sound.
+     *
+     * @param {Number} x the X-coordinate to check
+     * @param {Number} y the Y-coordinate to check
+     * @returns {Boolean} true if the level location muffles sound, or false otherwise
+     */
+    nurdz.sneak.SneakLevel.prototype.isSoundMuffledAtXY = function (x, y)
+    {
+        var tile = this.tileAtXY (x, y);
+        if (tile == null || tile.blocksActorMovement (null))
+            return true;
+
+        var entities = this.entitiesAtMapXY (x, y);
+        for (var i = 0 ; i < entities.length ; i++)
+        {
+            if (entities[i].blocksSight ())
+                return true;
+        }
+
+        return false;
+    };
+
+    /**
+     * Calculate how loud a noise of the radius provided is everywhere in the map when it is made at the
+     * position provided.
+     *
+     * The noise spreads out from its position horizontally and vertically, getting quieter by one for
+     * every step it takes, and by NOISE_MUFFLING more for every step into a location that muffles sound.
+     * The loudness at the position of the noise is its radius, and it can be heard anywhere that its
+     * loudness is 0 or more.
+     *
+     * @param {nurdz.game.Point} position the map position that the noise is made at
+     * @param {Number} radius the radius of the noise, in tiles
+     * @returns {Number[]} the loudness of the noise at every map location (in the same layout as the level
+     * data), which is -1 everywhere that the noise can't be heard
+     * @see nurdz.sneak.SneakLevel.isSoundMuffledAtXY
+     */
+    nurdz.sneak.SneakLevel.prototype.calculateNoiseSpread = function (position, radius)
+    {
+        var loudness = [];
+        for (var i = 0 ; i < this.width * this.height ; i++)
+            loudness.push (-1);
+
+        if (this.tileAt (position) == null)
+            return loudness;
+
+        // Spread the noise out from where it was made. Since muffling makes some steps cost more than
+        // others, a location can be reached again later in a louder way, so it is spread from again.
+        loudness[position.y * this.width + position.x] = radius;
+        var open = [position.copy ()];
+        while (open.length > 0)
+        {
+            var current = open.shift ();
+            var currentLoudness = loudness[current.y * this.width + current.x];
+
+            for (var d = 0 ; d < NOISE_DIRECTIONS.length ; d++)
+            {
+                var x = current.x + NOISE_DIRECTIONS[d][0];
+                var y = current.y + NOISE_DIRECTIONS[d][1];
+                if (x < 0 || y < 0 || x >= this.width || y >= this.height)
+                    continue;
+
+                var nextLoudness = currentLoudness - 1 - (this.isSoundMuffledAtXY (x, y) ? NOISE_MUFFLING : 0);
+                if (nextLoudness > loudness[y * this.width + x])
+                {
+                    loudness[y * this.width + x] = nextLoudness;
+                    if (nextLoudness > 0)
+                        open.push (new nurdz.game.Point (x, y));
+                }
+            }
+        }
+
+        return loudness;
+    };
+
+    /**
+     * Make a noise at the map position provided, which guards may hear when they observe at the end of
+     * this turn. As a convenience, a noise with a radius of 0 or less is not made at all.
+     *
+     * @param {nurdz.game.Point} position the map position that the noise is made at
+     * @param {Number} radius the radius of the noise, in tiles
+     * @param {nurdz.game.Actor|null} source the actor that made the noise, or null if unknown
+     * @see nurdz.sneak.SneakLevel.calculateNoiseSpread
+     * @see nurdz.sneak.SneakLevel.noiseLoudnessAt
+     */
+    nurdz.sneak.SneakLevel.prototype.makeNoise = function (position, radius, source)
+    {
+        if (radius <= 0)
+            return;
+
+        this.noises.push ({
+            position: position.copy (),
+            radius:   radius,
+            source:   source,
+            loudness: this.calculateNoiseSpread (position, radius)
+        });
+    };
+
+    /**
+     * Determine how loud a noise that was made this turn is at the map position provided.
+     *
+     * @param {{position: nurdz.game.Point, radius: Number, source: nurdz.game.Actor|null, loudness: Number[]}} noise
+     * the noise to check, from the list of noises in the level
+     * @param {nurdz.game.Point} position the map position to check
+     * @returns {Number} the loudness of the noise at the position, which is -1 if it can't be heard there
+     */
+    nurdz.sneak.SneakLevel.prototype.noiseLoudnessAt = function (noise, position)
+    {
+        if (this.tileAt (position) == null)
+            return -1;
+
+        return noise.loudness[position.y * this.width + position.x];
+    };
+
+    /**
+     * Calculate how brightly lit every map location is, based on the lights in the level. Every light that
+     * is on lights up the map locations within its radius that it has a clear line of sight to, and where
+     * lights overlap, the brightest one wins.
+     *
+     * @returns {Number[]|null} the brightness of every map location (in the same layout as the level data),
+     * from 0 (dark) to 1 (fully lit), or null if the level has no lights and so is fully lit everywhere
+     * @see nurdz.sneak.Light
+     * @see nurdz.game.Level.hasLineOfSight
+     */
+    nurdz.sneak.SneakLevel.prototype.calculateLightMap = function ()
+    {
+        var lights = this.entitiesWithType (nurdz.sneak.Light);
+        if (lights.length == 0)
+            return null;
+
+        var lightMap = [];
+        for (var i = 0 ; i < this.width * this.height ; i++)
+            lightMap.push (0);
+
+        var half = nurdz.game.TILE_SIZE / 2;
+        for (i = 0 ; i < lights.length ; i++)
+        {
+            var light = lights[i];
+            var radius = Math.floor (light.properties.radius);
+            var center = light.position.copyTranslatedXY (half, half);
+
+            for (var y = light.mapPosition.y - radius ; y <= light.mapPosition.y + radius ; y++)
+            {
+                for (var x = light.mapPosition.x - radius ; x <= light.mapPosition.x + radius ; x++)
+                {
+                    if (x < 0 || y < 0 || x >= this.width || y >= this.height)
+                        continue;
+
+                    // Skip this location if it's not brighter here than it already is, or if the light
+                    // can't reach it.
+                    var dx = x - light.mapPosition.x, dy = y - light.mapPosition.y;
+                    var brightness = light.brightnessAt (Math.sqrt (dx * dx + dy * dy));
+                    if (brightness <= lightMap[y * this.width + x] ||
+                        this.hasLineOfSight (center, new nurdz.game.Point (x * nurdz.game.TILE_SIZE + half,
+                                                                           y * nurdz.game.TILE_SIZE + half)) == false)
+                        continue;
+
+                    lightMap[y * this.width + x] = brightness;
+                }
+            }
+        }
+
+        return lightMap;
+    };
+
+    /**
+     * Determine how brightly lit the map location provided is.
+     *
+     * @param {nurdz.game.Point} position the map position to check
+     * @returns {Number} the brightness at the location, from 0 (dark) to 1 (fully lit); locations outside of
+     * the map are dark
+     */
+    nurdz.sneak.SneakLevel.prototype.lightAt = function (position)
+    {
+        if (this.tileAt (position) == null)
+            return 0;
+
+        return this.lightMap == null ? 1 : this.lightMap[position.y * this.width + position.x];
+    };
+
     /**
      * This method will invoke the step method on all entities that currently exist on the map. In
      * ChronoSneak, this gets invoked every time we move the player, so that all entities can get a logic
      * step whenever the player takes an action.
+     *
+     * Before the entities get their step, the noises from the last turn are forgotten and all of the
+     * actions that were queued since the last step are carried out. Once every entity has had its step,
+     * the light map is updated and they all get to observe the results, including any noises that were
+     * made.
+     *
+     * @see nurdz.sneak.ChronoEntity.observe
      */
     nurdz.sneak.SneakLevel.prototype.stepAllEntities = function ()
     {
-        for (var i = 0 ; i < this.entities.length ; i++)
+        var i;
+
+        this.noises = [];
+        this.processActionQueue ();
+
+        for (i = 0 ; i < this.entities.length ; i++)
             this.entities[i].step (this);
+
+        // Lights may have been switched and doors opened or closed, which changes what is lit.
+        this.lightMap = this.calculateLightMap ();
+
+        for (i = 0 ; i < this.entities.length ; i++)
+            this.entities[i].observe (this);
+    };
+
+    /**
+     * Find all of the guards in the level that have caught the player provided.
+     *
+     * @param {nurdz.sneak.Player} player the player to check for
+     * @returns {nurdz.sneak.GuardBase[]} the list of guards that have caught the player (may be empty)
+     * @see nurdz.sneak.GuardBase.hasCaught
+     */
+    nurdz.sneak.SneakLevel.prototype.guardsThatCaught = function (player)
+    {
+        var retVal = [];
+        for (var i = 0 ; i < this.entities.length ; i++)
+        {
+            var guard = this.entities[i];
+            if (guard instanceof nurdz.sneak.GuardBase && guard.hasCaught (player))
+                retVal.push (guard);
+        }
+
+        return retVal;
+    };
+
+    /**
+     * Capture the current state of every entity in the level and return it. The captured state can be
+     * passed to restoreState() to put the level back the way it was when the capture happened.
+     *
+     * @returns {Object} the captured state of the level
+     */
+    nurdz.sneak.SneakLevel.prototype.captureState = function ()
+    {
+        // The entity list never changes once the level is loaded, so the state of each entity is stored at
+        // the same index as the entity itself.
+        var entityStates = [];
+        for (var i = 0 ; i < this.entities.length ; i++)
+            entityStates.push (this.entities[i].saveState ());
+
+        // The actions in the queue and the noises are never modified once they are created, so copies of
+        // the lists are enough to capture what was pending and what was heard at the end of the turn.
+        return {
+            entities: entityStates,
+            actions:  this.actionQueue.slice (),
+            noises:   this.noises.slice ()
+        };
+    };
+
+    /**
+     * Restore the state of every entity in the level to a state that was previously returned from a call
+     * to captureState().
+     *
+     * @param {Object} state the state to restore
+     */
+    nurdz.sneak.SneakLevel.prototype.restoreState = function (state)
+    {
+        var i;
+
+        for (i = 0 ; i < this.entities.length ; i++)
+            this.entities[i].restoreState (state.entities[i]);
+
+        this.actionQueue = state.actions.slice ();
+        this.noises = state.noises.slice ();
+        this.lightMap = this.calculateLightMap ();
+
+        // Vision cones depend on the state of other entities (e.g. doors), so now that everything is back
+        // where it belongs, have everything that can see recalculate.
+        for (i = 0 ; i < this.entities.length ; i++)
+        {
+            if (this.entities[i] instanceof nurdz.sneak.Watcher)
+                this.entities[i].calculateVisionCone ();
+        }
+    };
+
+    /**
+     * This should be invoked at the end of every turn in order to record the state of the level into the
+     * turn history.
+     *
+     * If we are not currently at the end of the history (because the player stepped backwards), all of
+     * the turns that follow the current turn are discarded first; taking a turn creates a new timeline.
+     */
+    nurdz.sneak.SneakLevel.prototype.recordTurn = function ()
+    {
+        this.turnHistory.length = this.turnIndex + 1;
+        this.turnHistory.push (this.captureState ());
+        this.turnIndex++;
+    };
+
+    /**
+     * Step the state of the level backwards by a single turn, if possible.
+     *
+     * @returns {Boolean} true if the level stepped backwards or false if we are already at the first turn
+     */
+    nurdz.sneak.SneakLevel.prototype.rewindTurn = function ()
+    {
+        if (this.turnIndex == 0)
+            return false;
+
+        this.turnIndex--;
+        this.restoreState (this.turnHistory[this.turnIndex]);
+        return true;
+    };
+
+    /**
+     * Step the state of the level forwards by a single turn, if possible. This only works if the level has
+     * previously been stepped backwards, and replays the turns that were recorded at that time.
+     *
+     * @returns {Boolean} true if the level stepped forwards, or false if we are already at the last turn
+     */
+    nurdz.sneak.SneakLevel.prototype.replayTurn = function ()
+    {
+        if (this.turnIndex == this.turnHistory.length - 1)
+            return false;
+
+        this.turnIndex++;
+        this.restoreState (this.turnHistory[this.turnIndex]);
+        return true;
+    };
+
+    /**
+     * Render this level to the stage provided. On top of the tiles rendered by the base version, every
+     * visible map location that is not fully lit is darkened.
+     *
+     * @param {nurdz.game.Stage} stage the stage to render to
+     */
+    nurdz.sneak.SneakLevel.prototype.render = function (stage)
+    {
+        nurdz.game.Level.prototype.render.call (this, stage);
+        if (this.lightMap == null)
+            return;
+
+        var tSize = nurdz.game.TILE_SIZE;
+        var visible = this.visibleTileRange (stage);
+
+        stage.canvasContext.save ();
+        for (var y = visible.top ; y < visible.bottom ; y++)
+        {
+            for (var x = visible.left ; x < visible.right ; x++)
+            {
+                var darkness = 1 - this.lightMap[y * this.width + x];
+                if (darkness > 0)
+                {
+                    stage.canvasContext.globalAlpha = MAX_DARKNESS * darkness;
+                    stage.fillRect (x * tSize, y * tSize, tSize, tSize, "black");
+                }
+            }
+        }
+        stage.canvasContext.restore ();
     };
 
     /**
@@ -12,8 +12,7 @@
  * whatever is left is used to initialize the properties in the newly created object.
  *
  * For clarity, the "x" and "y" are the location to create the entity at and the "class" field is a string
- * which represents the name of the constructor function. This function is assumed to be in the
- * nurdz.sneak namespace.
+ * which is the class name (or an alias) of the entity, as registered with nurdz.sneak.entityRegistry.
  *
  * In all other regards, this class operates as a regular LevelData instance.
  *
@@ -31,6 +30,15 @@ nurdz.sneak.SneakLevelData = function (stage, name, width, height, levelData, en
 {
     "use strict";
 
+    /**
+     * The entity descriptors that the entities in this level were created from. The descriptors are not
+     * modified by creating the entities, so this is how the level can be turned back into the format it
+     * was given in (e.g. by the level editor).
+     *
+     * @type {Object[]}
+     */
+    this.entityDescriptors = entityList;
+
     // Convert the entity list that we get as a parameter to an actual array of entities like our super
     // expects to get.
     entityList = this.createEntities (stage, entityList);
@@ -55,13 +63,6 @@ nurdz.sneak.SneakLevelData = function (stage, name, width, height, levelData, en
         }
     });
 
-    /**
-     * The namespace that contains all of the entity constructors.
-     *
-     * @type {{}}
-     */
-    var sneakNamespace = nurdz.createOrGetNamespace ("nurdz.sneak");
-
     /**
      * Throws an error that explains why an entity could not be created.
      *
@@ -79,7 +80,7 @@ nurdz.sneak.SneakLevelData = function (stage, name, width, height, levelData, en
      *
      * @param {nurdz.game.Stage} stage the stage to create the entity  on
      * @param {Object} descriptor the entity descriptor to use to create the entity
-     * @param {String} descriptor.class the name of the constructor function to use
+     * @param {String} descriptor.class the registered class name or alias of the entity
      * @param {Number[]} descriptor.position the position to create the entity at
      */
     var createEntity = function (stage, descriptor)
@@ -97,7 +98,7 @@ nurdz.sneak.SneakLevelData = function (stage, name, width, height, levelData, en
          *
          * @type {Function}
          */
-        var constructor = sneakNamespace[properties.class];
+        var constructor = nurdz.sneak.entityRegistry.lookup (properties.class);
 
         /**
          * The position of the entity. This should be an array of two numbers.
@@ -106,13 +107,12 @@ nurdz.sneak.SneakLevelData = function (stage, name, width, height, levelData, en
          */
         var position = properties.position;
 
-        // Ensure that the fields are valid.
-        if (constructor == null || position == null)
+        // Ensure that the fields are valid. The registry only accepts constructors that are valid, so
+        // there is no need to check it any further.
+        if (properties.class == null || position == null)
             creationError ("incomplete entity specification in level data");
-
-        // Make sure that the constructor is a function that takes the appropriate number of parameters.
-        if (typeof (constructor) != "function" || constructor.length != 4)
-            creationError ("constructor function is not valid");
+        if (constructor == null)
+            creationError ("unknown entity class '" + properties.class + "'");
 
         // Make sure that the position is valid.
         if (!Array.isArray (position) || position.length != 2 ||
@@ -173,6 +173,226 @@ nurdz.sneak.SneakLevelData = function (stage, name, width, height, levelData, en
         return retVal;
     };
 
+    /**
+     * Check the level data for problems, returning a report that contains every problem found rather than
+     * stopping at the first one. In addition to the checks that the base version makes, this checks that:
+     *   - there is exactly one player, and it has the id 'player'
+     *   - every entity that a property refers to exists, and is of the class that the property expects
+     *   - the spawn points and patrols of guards are waypoints, and the patrols can be walked
+     *   - no entities are placed in walls, unless they are allowed to be
+     *   - entities only have the properties that are in their property schema
+     *   - logic gates are triggered by something and trigger something, and the doors that a "not" gate
+     *     triggers start open
+     *   - there is a goal that wins the level, and all such goals can be reached by the player (either by
+     *     walking to them or by something triggering them)
+     *
+     * @returns {{entityIndex: Number, entityID: String|null, message: String}[]} the problems found
+     * @see nurdz.game.LevelData.lintProblem
+     */
+    nurdz.sneak.SneakLevelData.prototype.lint = function ()
+    {
+        var i, j, entity;
+        var problems = nurdz.game.LevelData.prototype.lint.call (this);
+
+        // The tile and path checks need the tiles to be sensible, so they are only done if the tiles are
+        // valid; the base version has already reported the problem if they are not.
+        var tileset = this.tileset;
+        var tilesValid = this.levelData.length == this.width * this.height &&
+                         this.levelData.every (function (tileID) { return tileset.isValidTileID (tileID); });
+
+        // Create a level to check the tiles and find paths with. This does not invoke the SneakLevel
+        // constructor, since that sets up the guards, which expects the level to already be valid.
+        var level = Object.create (nurdz.sneak.SneakLevel.prototype);
+        nurdz.game.Level.call (level, this.stage, this);
+
+        // Find the player, along with all of the entities that get triggered by something and all of the
+        // items that can be picked up.
+        var players = this.entities.filter (function (entity) { return entity instanceof nurdz.sneak.Player; });
+        var triggered = {};
+        var items = {};
+        for (i = 0 ; i < this.entities.length ; i++)
+        {
+            if (this.entities[i] instanceof nurdz.sneak.Pickup)
+                items[this.entities[i].properties.item] = true;
+        }
+
+        if (players.length == 0)
+            problems.push (this.lintProblem (null, "there is no player"));
+        for (i = 1 ; i < players.length ; i++)
+            problems.push (this.lintProblem (players[i], "there is more than one player"));
+        if (players.length > 0 && players[0].properties.id != "player")
+            problems.push (this.lintProblem (players[0], "the player must have the id 'player'"));
+
+        for (i = 0 ; i < this.entities.length ; i++)
+        {
+            entity = this.entities[i];
+
+            var trigger = entity.properties.trigger || [];
+            for (j = 0 ; j < trigger.length ; j++)
+                triggered[trigger[j]] = true;
+
+            this.lintProperties (entity, problems);
+
+            if (entity instanceof nurdz.sneak.GuardBase)
+                this.lintGuard (level, entity, tilesValid, problems);
+
+            // Anything that a door requires has to be somewhere in the level.
+            if (entity instanceof nurdz.sneak.Door && entity.properties.requires != null &&
+                items[entity.properties.requires] == null)
+                problems.push (this.lintProblem (entity, "required item '" + entity.properties.requires + "' can't be picked up anywhere"));
+
+            // The entity has to be in the level, and not in a wall unless it's allowed to be.
+            if (tilesValid && entity.allowedInWall () == false)
+            {
+                var tile = level.tileAt (entity.mapPosition);
+                if (tile == null)
+                    problems.push (this.lintProblem (entity, "placed outside of the level at " + entity.mapPosition));
+                else if (tile.blocksActorMovement (entity))
+                    problems.push (this.lintProblem (entity, "placed in a wall at " + entity.mapPosition));
+            }
+        }
+
+        // Logic gates only relay triggers, so they have to be triggered by something and trigger something.
+        for (i = 0 ; i < this.entities.length ; i++)
+        {
+            entity = this.entities[i];
+            if (entity instanceof nurdz.sneak.LogicGate)
+            {
+                if (triggered[entity.properties.id] == null)
+                    problems.push (this.lintProblem (entity, "nothing triggers this logic gate"));
+                if (entity.properties.trigger == null)
+                    problems.push (this.lintProblem (entity, "this logic gate does not trigger anything"));
+
+                // A "not" gate starts with its output on without triggering anything, so the doors that it
+                // triggers have to start open to match.
+                if (entity.properties.gate == "not")
+                    this.lintNotGate (entity, problems);
+            }
+        }
+
+        // There has to be a way to win, and the player has to be able to get to every way to win.
+        var goals = this.entities.filter (function (entity)
+        {
+            return entity instanceof nurdz.sneak.LevelGoal && entity.properties.winLevel;
+        });
+
+        if (goals.length == 0)
+            problems.push (this.lintProblem (null, "there is no goal that wins the level"));
+        else if (tilesValid && players.length > 0)
+        {
+            for (i = 0 ; i < goals.length ; i++)
+            {
+                if (triggered[goals[i].properties.id] == null &&
+                    level.findPath (players[0].mapPosition, goals[i].mapPosition, players[0]) == null)
+                    problems.push (this.lintProblem (goals[i], "the player can't reach this goal"));
+            }
+        }
+
+        return problems;
+    };
+
+    /**
+     * Check the entities that the "not" logic gate provided triggers as a part of lint(), adding any
+     * problems found to the list provided. The output of the gate starts on, so any doors that it
+     * triggers have to start open; otherwise they would open when an input turns on, which is what they
+     * would do if the gate wasn't there.
+     *
+     * @param {nurdz.sneak.LogicGate} gate the gate to check
+     * @param {{entityIndex: Number, entityID: String|null, message: String}[]} problems the problems found
+     * @see nurdz.sneak.LogicGate
+     */
+    nurdz.sneak.SneakLevelData.prototype.lintNotGate = function (gate, problems)
+    {
+        var trigger = gate.properties.trigger || [];
+        for (var i = 0 ; i < trigger.length ; i++)
+        {
+            var target = this.entitiesByID[trigger[i]];
+            if (target instanceof nurdz.sneak.Door && target.properties.open == false)
+                problems.push (this.lintProblem (gate, "door '" + trigger[i] + "' has to start open, since " +
+                                                       "the output of a 'not' gate starts on"));
+        }
+    };
+
+    /**
+     * Check the properties of the entity provided against its property schema as a part of lint(), adding
+     * any problems found to the list provided. Properties that are not in the schema are most likely
+     * misspelled, since nothing uses them, and every entity that a property refers to has to exist and be
+     * of the class that the schema expects.
+     *
+     * @param {nurdz.sneak.ChronoEntity} entity the entity to check
+     * @param {{entityIndex: Number, entityID: String|null, message: String}[]} problems the problems found
+     * @see nurdz.sneak.ChronoEntity.propertySchema
+     */
+    nurdz.sneak.SneakLevelData.prototype.lintProperties = function (entity, problems)
+    {
+        var schema = entity.completePropertySchema ();
+        for (var name in entity.properties)
+        {
+            if (entity.properties.hasOwnProperty (name) == false)
+                continue;
+
+            var entry = schema[name];
+            if (entry == null)
+            {
+                problems.push (this.lintProblem (entity, "unknown property '" + name + "'"));
+                continue;
+            }
+
+            if (entry.reference == null)
+                continue;
+
+            // The expected class can only be checked if it is registered.
+            var expected = (entry.reference === true) ? null : nurdz.sneak.entityRegistry.lookup (entry.reference);
+            var targets = [].concat (entity.properties[name]);
+            for (var i = 0 ; i < targets.length ; i++)
+            {
+                var target = this.entitiesByID[targets[i]];
+                if (target == null)
+                    problems.push (this.lintProblem (entity, "'" + name + "' refers to '" + targets[i] + "', which does not exist"));
+                else if (expected != null && target instanceof expected == false)
+                    problems.push (this.lintProblem (entity, "'" + name + "' refers to '" + targets[i] + "', which is not a " +
+                                                             entry.reference));
+            }
+        }
+    };
+
+    /**
+     * Check the guard provided for problems as a part of lint(), adding any problems found to the list
+     * provided.
+     *
+     * @param {nurdz.game.Level} level the level to use to find the entities and paths of the patrol
+     * @param {nurdz.sneak.GuardBase} guard the guard to check
+     * @param {Boolean} tilesValid true if the tiles of the level are valid, so that paths can be checked
+     * @param {{entityIndex: Number, entityID: String|null, message: String}[]} problems the problems found
+     */
+    nurdz.sneak.SneakLevelData.prototype.lintGuard = function (level, guard, tilesValid, problems)
+    {
+        // The spawn point and patrol waypoints are references, which lintProperties() has already checked.
+        var spawn = this.entitiesByID[guard.properties.spawnPoint];
+        var patrol = guard.properties.patrol || [];
+        var patrolPoints = [];
+        for (var i = 0 ; i < patrol.length ; i++)
+        {
+            var point = this.entitiesByID[patrol[i]];
+            if (point instanceof nurdz.sneak.Waypoint)
+                patrolPoints.push (point);
+        }
+
+        // Only check that the patrol can be walked if all of the waypoints are valid.
+        if (tilesValid && spawn instanceof nurdz.sneak.Waypoint && patrolPoints.length == patrol.length &&
+            patrol.length > 0)
+        {
+            try
+            {
+                guard.validatePatrol (level, spawn, patrolPoints);
+            }
+            catch (error)
+            {
+                problems.push (this.lintProblem (guard, error.message));
+            }
+        }
+    };
+
     /**
      * Return a string representation of the object, for debugging purposes.
      *
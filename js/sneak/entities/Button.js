@@ -4,22 +4,14 @@
  *
  * Buttons are either pressed or released. A trigger (by any entity) when they are in their released state
  * causes them to change to a pressed state and also trigger all linked entities. In the released state
- * any entity but the player can trigger them, which causes the button to reset.
+ * any entity but the player can trigger them, which causes the button to reset. Pressing a button makes a
+ * noise.
  *
  * Properties on the button allow it to cycle back to a released state after it is pressed.
  *
  * The facing of the button determines what side of the map tile it is rendered on.
  *
- * This entity supports the following properties:
- *    - 'panel': true or false (default: false)
- *       - When this is set to true, the button renders as a wall panel instead of a button. Visually this
- *         means that the panel does not change size but does show a green light when it is open and a red
- *         light when it is closed.
- *    - 'pressed': true or false (default: false)
- *       - Controls whether the button appears pressed or not
- *    - 'cycleTime': integer (default: -1)
- *       - Specifies how many turns a button appears pressed before it resets. -1 means that the button
- *         never resets unless something else triggers it to do so (Player entities cannot do this)
+ * The properties that this entity supports are declared in its propertySchema.
  *
  * @param {nurdz.game.Stage} stage the stage that will manage this entity
  * @param {Number} x the X coordinate of the entity, in map coordinates
@@ -31,13 +23,6 @@ nurdz.sneak.Button = function (stage, x, y, properties)
 {
     "use strict";
 
-    // Set up the default properties for entities of this type.
-    this.defaultProperties = {
-        pressed:   false,
-        panel:     false,
-        cycleTime: -1
-    };
-
     // Call the super class constructor.
     nurdz.sneak.ChronoEntity.call (this, "Button", stage, x, y, properties, 100, '#CC5200');
 
@@ -111,6 +96,14 @@ nurdz.sneak.Button = function (stage, x, y, properties)
      */
     var PANEL_WIDTH = Math.floor (nurdz.game.TILE_SIZE * 0.30);
 
+    /**
+     * The radius (in tiles) of the noise that a button makes when it is pressed.
+     *
+     * @const
+     * @type {Number}
+     */
+    var BUTTON_NOISE = 2;
+
     /**
      * When rendering as a wall panel, this is how far away from the "floor" edge of the tile the panel
      * appears.
@@ -121,20 +114,32 @@ nurdz.sneak.Button = function (stage, x, y, properties)
     var PANEL_MARGIN = 3;
 
     /**
-     * This is automatically invoked at the end of the constructor to validate that the properties object
-     * that we have is valid as far as we can tell (i.e. needed properties exist and have a sensible value).
+     * The schema for the properties that this entity supports, in addition to the ones that it inherits
+     * from nurdz.sneak.ChronoEntity.
      *
-     * This validates that
+     * @type {Object.<String,Object>}
+     * @see nurdz.sneak.ChronoEntity.propertySchema
      */
-    nurdz.sneak.Button.prototype.validateProperties = function ()
-    {
-        // Validate properties
-        this.isPropertyValid ("panel", "boolean", true);
-        this.isPropertyValid ("pressed", "boolean", true);
-        this.isPropertyValid ("cycleTime", "number", true);
-
-        // Chain to the super to check properties it might have inserted or know about.
-        nurdz.sneak.ChronoEntity.prototype.validateProperties.call (this);
+    nurdz.sneak.Button.prototype.propertySchema = {
+        panel:     {
+            type:        "boolean",
+            default:     false,
+            description: "When true, the button renders as a wall panel instead of a button. Visually this " +
+                         "means that the panel does not change size but does show a green light when it " +
+                         "is open and a red light when it is closed."
+        },
+        pressed:   {
+            type:        "boolean",
+            default:     false,
+            description: "Whether the button appears pressed or not."
+        },
+        cycleTime: {
+            type:        "number",
+            default:     -1,
+            description: "How many turns the button stays pressed before it resets. A value of -1 means " +
+                         "that the button never resets unless something else triggers it to do so (the " +
+                         "player can't)."
+        }
     };
 
     /**
@@ -169,6 +174,22 @@ nurdz.sneak.Button = function (stage, x, y, properties)
         return false;
     };
 
+    //noinspection JSUnusedLocalSymbols
+    /**
+     * Describe what interacting with this entity would do, as a short phrase that completes the sentence
+     * "Press Space to ...".
+     *
+     * @param {nurdz.sneak.ChronoEntity} otherEntity the entity that would be doing the interacting
+     * @returns {String} the description of the interaction
+     */
+    nurdz.sneak.Button.prototype.interactionPrompt = function (otherEntity)
+    {
+        var retVal = this.properties.panel ? "use the panel" : "press the button";
+
+        // The player can't release a button, so pressing one that is already pressed does nothing.
+        return this.properties.pressed ? retVal + " (it is already pressed)" : retVal;
+    };
+
     /**
      * Query whether or not this entity blocks movement of actors or not.
      *
@@ -181,6 +202,18 @@ nurdz.sneak.Button = function (stage, x, y, properties)
         return this.properties.panel == true;
     };
 
+    /**
+     * Query whether or not this entity is allowed to be placed in a tile that blocks movement (i.e. a
+     * wall) in the level data.
+     *
+     * @returns {Boolean} true if this entity can be placed in a wall, or false otherwise
+     */
+    nurdz.sneak.Button.prototype.allowedInWall = function ()
+    {
+        // Panels are affixed to walls, but buttons have to be stood on.
+        return this.properties.panel == true;
+    };
+
     /**
      * Render this actor to the stage provided. The base class version renders a positioning box for this
      * actor using its position and size, using the debug color provided in the constructor.
@@ -192,6 +225,12 @@ nurdz.sneak.Button = function (stage, x, y, properties)
         // Are we visible?
         if (this.properties.visible)
         {
+            // The sprites are of a button and then a panel, each released and then pressed, on the right
+            // hand side of the tile just like the drawing code below.
+            if (this.renderSprite (stage, (this.properties.panel ? 2 : 0) + (this.properties.pressed ? 1 : 0),
+                                   this.properties.facing))
+                return;
+
             // Now draw the button as if we are on the right hand side of the map tile. The rotation will
             // handle positioning things on the appropriate side of the tile.
             this.startRendering (stage, this.properties.facing);
@@ -227,6 +266,54 @@ nurdz.sneak.Button = function (stage, x, y, properties)
             nurdz.sneak.ChronoEntity.prototype.render.call (this, stage);
     };
 
+    /**
+     * Capture the current state of this entity so that it can be put back later via restoreState(). In
+     * addition to the base state, this also captures the number of turns until the button state toggles.
+     *
+     * @returns {Object} an object that represents the current state of this entity
+     */
+    nurdz.sneak.Button.prototype.saveState = function ()
+    {
+        var state = nurdz.sneak.ChronoEntity.prototype.saveState.call (this);
+        state.turnsUntilToggle = this.turnsUntilToggle;
+        return state;
+    };
+
+    /**
+     * Restore the state of this entity to the state that was captured by a previous call to saveState().
+     *
+     * @param {Object} state the state object previously returned from saveState()
+     */
+    nurdz.sneak.Button.prototype.restoreState = function (state)
+    {
+        nurdz.sneak.ChronoEntity.prototype.restoreState.call (this, state);
+        this.turnsUntilToggle = state.turnsUntilToggle;
+    };
+
+    /**
+     * Get the state that this entity is signalling to the entities that it triggers; a button is on while
+     * it is pressed.
+     *
+     * @returns {Boolean} true if the button is pressed, false otherwise
+     */
+    nurdz.sneak.Button.prototype.triggerState = function ()
+    {
+        return this.properties.pressed;
+    };
+
+    /**
+     * Release the button if it is currently pressed. This does not trigger any linked entities; only
+     * pressing the button does that.
+     */
+    nurdz.sneak.Button.prototype.release = function ()
+    {
+        if (this.properties.pressed)
+        {
+            this.properties.pressed = false;
+            this.publishEvent (nurdz.sneak.constants.EVENT_BUTTON_RELEASED, {button: this});
+        }
+    };
+
     //noinspection JSUnusedLocalSymbols
     /**
      * Entities are actors, which means tha they have an update and a render function. The update function
@@ -247,7 +334,7 @@ nurdz.sneak.Button = function (stage, x, y, properties)
 
         // If there are any turns, toggle the button now.
         if (this.turnsUntilToggle == 0)
-            this.properties.pressed = false;
+            this.release ();
     };
 
     /**
@@ -272,6 +359,9 @@ nurdz.sneak.Button = function (stage, x, y, properties)
 
             // Trigger all of the entities that have an ID that matches an ID in our trigger list.
             this.triggerLinkedEntities ();
+            this.makeNoise (BUTTON_NOISE, activator);
+            this.publishEvent (nurdz.sneak.constants.EVENT_BUTTON_PRESSED,
+                               {button: this, activator: activator});
         }
         else
         {
@@ -279,7 +369,7 @@ nurdz.sneak.Button = function (stage, x, y, properties)
             // the player, then handle the trigger by swapping back to the unpressed state. The player is
             // not allowed to reset a button, but other entities (e.g. other buttons) are.
             if (activator instanceof nurdz.sneak.Player == false)
-                this.properties.pressed = false;
+                this.release ();
         }
     };
 
@@ -296,3 +386,6 @@ nurdz.sneak.Button = function (stage, x, y, properties)
                               this.properties.pressed);
     };
 } ());
+
+// Register this entity so that it can be created from level data.
+nurdz.sneak.entityRegistry.register ("Button", nurdz.sneak.Button);
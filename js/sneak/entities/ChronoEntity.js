@@ -8,23 +8,11 @@
  * ChronoEntities assume that the coordinates you give them when you create them are in map (tile based)
  * coordinates and not world coordinates. This makes creating them as part of level data easier.
  *
- * This entity supports the following properties:
- *    - 'visible': true or false (default: true)
- *       - controls whether the entity is visible in the map or not; When this property is set to false,
- *         the entity does not render visibly, although it still operates as normal otherwise.
- *    - 'facing': "up", "down", "left" or "right" (default: "right")
- *       - controls what direction the entity is facing. Depending on the entity, this may or may not have
- *         different effects. In the initial property setup, this is a string value, but on instantiation
- *         the facing is converted to an appropriate angle (in degrees).
- *    - 'handedness': "right" or "left" (default: "right")
- *       - This controls if this entity is right or left handed, which affects things such as what
- *         direction it turns when it needs to make an about face. This property is optional, and at
- *         construction time the value is converted to true for "right" and false for "left" to make its
- *         use in code easier.
- *    - 'trigger': string or array of strings (default: none)
- *       - If specified, this is an entity ID or a list of entity ID's for which a trigger should be
- *         invoked whenever this entity gets triggered itself. NOTE: Not all entity subclasses support this
- *         functionality, but all will accept a valid trigger anyway.
+ * The properties that an entity supports are declared in the propertySchema of its prototype, which is
+ * combined with the schemas of all of the classes that it inherits from. The schema drives the defaults of
+ * the properties, their validation and their conversion from the values given in level data to the
+ * values used in code, and it also describes them for documentation and the level editor; see
+ * describeProperties() for a description of all of the properties that an entity supports.
  *
  * @param {String} name the internal name of this actor instance, for debugging
  * @param {nurdz.game.Stage} stage the stage that will manage this entity
@@ -33,6 +21,7 @@
  * @param {Object} [properties={}] entity specific properties to apply to this entity, or null for none
  * @param {Number} [zOrder=1] the Z-Order of this entity when rendered (smaller numbers go below larger ones)
  * @param {String} [debugColor='white'] the color specification to use in debug rendering for this actor
+ * @see nurdz.sneak.ChronoEntity.propertySchema
  * @constructor
  */
 nurdz.sneak.ChronoEntity = function (name, stage, x, y, properties, zOrder, debugColor)
@@ -42,25 +31,17 @@ nurdz.sneak.ChronoEntity = function (name, stage, x, y, properties, zOrder, debu
     // The size of tiles in the game, so that we can use it for our dimensions.
     var tSize = nurdz.game.TILE_SIZE;
 
-    // Modify the list of default properties to make sure that all entities get a visibility property that
-    // defaults to true
-    this.defaultProperties = nurdz.copyProperties (this.defaultProperties || {}, {
-        visible: true,
-        facing:  "right"
-    });
+    // Add the defaults from the property schema to any default properties that a subclass set up; those
+    // take precedence over the schema.
+    this.defaultProperties = nurdz.copyProperties (this.defaultProperties || {}, this.schemaDefaults ());
 
     // Call the super class constructor. We use tile size for the dimensions and we also need to modify
     // the position passed in so that it translates to screen coordinates.
     nurdz.game.Entity.call (this, name, stage, x * tSize, y * tSize, tSize, tSize, properties || {}, zOrder,
                             debugColor);
 
-    // Now convert the facing that we have (which is a string) to the appropriate number value.
+    // The schema has already converted the facing to an angle, but it still needs to be normalized.
     this.setFacing (this.properties.facing);
-
-    // If there is a handedness property, then we will convert it from its string version to a boolean
-    // version, where true is used for right handed.
-    if (this.properties.handedness)
-        this.properties.handedness = (this.properties.handedness == "right");
 };
 
 // Now define the various member functions and any static stage.
@@ -79,28 +60,275 @@ nurdz.sneak.ChronoEntity = function (name, stage, x, y, properties, zOrder, debu
         }
     });
 
+    /**
+     * The schema for the properties that this class supports, keyed by property name. Subclasses declare
+     * a schema of their own on their prototype for the properties that they add; an entry for a property
+     * that a super class already declares only needs the fields that are different (e.g. the default).
+     *
+     * Each entry describes its property with the following fields:
+     *    - 'type': "boolean", "number", "string", "array" or "string-or-array" (required)
+     *       - The type of the value. A "string-or-array" value is either a single string or an array of
+     *         them, and is always converted to an array. A string value given for a number or a boolean
+     *         is converted when it is a valid number or "true" or "false", respectively.
+     *    - 'default': any (default: none)
+     *       - The value that the property has when it is not given.
+     *    - 'required': true or false (default: false)
+     *       - Whether or not the property has to have a value, either given or by default.
+     *    - 'values': array (default: none)
+     *       - When given, the list of all of the values that the property can have.
+     *    - 'convert': object (default: none)
+     *       - When given, the value of the property is replaced with the value of the field of this
+     *         object that it names, e.g. to turn names into numbers.
+     *    - 'reference': true or a string (default: none)
+     *       - When given, the values of the property are the ID values of other entities in the level.
+     *         A string is the registered class name of the entities that are expected to be referenced.
+     *    - 'description': string (required)
+     *       - What the property does, for documentation and the level editor.
+     *
+     * @type {Object.<String,Object>}
+     * @see nurdz.sneak.ChronoEntity.completePropertySchema
+     */
+    nurdz.sneak.ChronoEntity.prototype.propertySchema = {
+        id:         {
+            type:        "string",
+            description: "The ID of this entity, which other entities use to refer to it. An ID is " +
+                         "automatically generated if this is not given."
+        },
+        visible:    {
+            type:        "boolean",
+            default:     true,
+            description: "Whether the entity is visible in the map or not. An entity that is not visible " +
+                         "still operates as normal otherwise."
+        },
+        facing:     {
+            type:        "string",
+            default:     "right",
+            values:      ["up", "down", "left", "right"],
+            convert:     {right: 0, down: 90, left: 180, up: 270},
+            description: "The direction that the entity is facing, which may or may not have an effect " +
+                         "depending on the entity. This is converted to an angle (in degrees)."
+        },
+        handedness: {
+            type:        "string",
+            values:      ["right", "left"],
+            convert:     {right: true, left: false},
+            description: "Which way the entity turns when it needs to make an about face. This is " +
+                         "converted to true for \"right\" and false for \"left\"."
+        },
+        trigger:    {
+            type:        "string-or-array",
+            reference:   true,
+            description: "The entities to trigger whenever this entity gets triggered itself. Not all " +
+                         "entities support this, but all will accept a valid trigger anyway."
+        }
+    };
+
+    /**
+     * Get the complete schema for the properties that this entity supports, which combines the schema of
+     * its class with the schemas of all of the classes that it inherits from. This can also be invoked on
+     * the prototype of a class to get the schema of that class without creating an instance.
+     *
+     * @returns {Object.<String,Object>} the complete property schema
+     * @see nurdz.sneak.ChronoEntity.propertySchema
+     */
+    nurdz.sneak.ChronoEntity.prototype.completePropertySchema = function ()
+    {
+        // Collect the schemas from the most derived class up, so that the entries of subclasses take
+        // precedence over those of their super classes, field by field.
+        var retVal = {};
+        for (var proto = this ; proto != null ; proto = Object.getPrototypeOf (proto))
+        {
+            if (proto.hasOwnProperty ("propertySchema") == false)
+                continue;
+
+            for (var name in proto.propertySchema)
+            {
+                if (proto.propertySchema.hasOwnProperty (name))
+                    retVal[name] = nurdz.copyProperties (retVal[name] || {}, proto.propertySchema[name]);
+            }
+        }
+
+        return retVal;
+    };
+
+    /**
+     * Get the default values of all of the properties in the schema of this entity that have one.
+     *
+     * @returns {Object} the default properties
+     */
+    nurdz.sneak.ChronoEntity.prototype.schemaDefaults = function ()
+    {
+        var retVal = {};
+        var schema = this.completePropertySchema ();
+        for (var name in schema)
+        {
+            if (schema.hasOwnProperty (name) && schema[name].default !== undefined)
+            {
+                var value = schema[name].default;
+                retVal[name] = Array.isArray (value) ? value.slice () : value;
+            }
+        }
+
+        return retVal;
+    };
+
+    /**
+     * Convert the value of the property with the name given from the form that it was given in to the
+     * type in its schema entry, if there is a sensible way to do that.
+     *
+     * @param {String} name the name of the property to coerce
+     * @param {Object} entry the schema entry for the property
+     */
+    nurdz.sneak.ChronoEntity.prototype.coerceProperty = function (name, entry)
+    {
+        var value = this.properties[name];
+        if (typeof (value) != "string")
+            return;
+
+        switch (entry.type)
+        {
+            case "string-or-array":
+                this.properties[name] = [value];
+                break;
+
+            case "number":
+                if (value.trim () != "" && isFinite (Number (value)))
+                    this.properties[name] = Number (value);
+                break;
+
+            case "boolean":
+                if (value == "true" || value == "false")
+                    this.properties[name] = (value == "true");
+                break;
+        }
+    };
+
     /**
      * This is automatically invoked at the end of the constructor to validate that the properties object
      * that we have is valid as far as we can tell (i.e. needed properties exist and have a sensible value).
      *
-     * This validates that
+     * This coerces, validates and converts every property in the schema of this entity, in that order.
+     * Subclasses only need to override this to check things that the schema can't express, chaining to
+     * this version first.
+     *
+     * Every property is checked even if an earlier one is not valid. When only one property is not valid,
+     * the error for it is thrown as is; otherwise the error thrown lists all of them, and has an errors
+     * property that holds the error for each one.
+     *
+     * @throws {Error} if a property is not valid
      */
     nurdz.sneak.ChronoEntity.prototype.validateProperties = function ()
     {
-        // If there is a trigger property and it's a string, convert it to an array with a single element,
-        // to make code later easier.
-        if (typeof (this.properties.trigger) == "string")
-            this.properties.trigger = [this.properties.trigger];
-
-        // The visible property needs to exist and be a boolean, while the trigger does NOT need to exist
-        // but has to be an array if it does exist.
-        this.isPropertyValid ("visible", "boolean", true);
-        this.isPropertyValid ("trigger", "array", false);
-        this.isPropertyValid ("facing", "string", true, ["up", "down", "left", "right"]);
-        this.isPropertyValid ("handedness", "string", false, ["right", "left"]);
+        var errors = [];
+        var schema = this.completePropertySchema ();
+        for (var name in schema)
+        {
+            if (schema.hasOwnProperty (name) == false)
+                continue;
+
+            var entry = schema[name];
+            this.coerceProperty (name, entry);
+
+            try
+            {
+                if (entry.type == "string-or-array")
+                {
+                    this.isPropertyValid (name, "array", entry.required == true);
+                    var values = this.properties[name] || [];
+                    for (var i = 0 ; i < values.length ; i++)
+                    {
+                        if (typeof (values[i]) != "string")
+                            throw new TypeError ("Entity " + this.name + ": invalid property '" + name + "': expected strings");
+                    }
+                }
+                else
+                    this.isPropertyValid (name, entry.type, entry.required == true, entry.values);
+
+                if (entry.convert != null && this.properties[name] != null)
+                    this.properties[name] = entry.convert[this.properties[name]];
+            }
+            catch (error)
+            {
+                errors.push (error);
+            }
+        }
 
         // Chain to the super to check properties it might have inserted or know about.
-        nurdz.game.Entity.prototype.validateProperties.call (this);
+        try
+        {
+            nurdz.game.Entity.prototype.validateProperties.call (this);
+        }
+        catch (error)
+        {
+            errors.push (error);
+        }
+
+        if (errors.length == 1)
+            throw errors[0];
+
+        if (errors.length > 1)
+        {
+            var messages = errors.map (function (error) { return "  - " + error.message; });
+            var combined = new TypeError ("Entity " + this.name + ": " + errors.length + " properties are not " +
+                                          "valid:\n" + messages.join ("\n"));
+            combined.errors = errors;
+            throw combined;
+        }
+    };
+
+    /**
+     * Describe the property with the name given, in the same format as the properties of engine entities
+     * are documented, e.g.:
+     *    - 'facing': "up", "down", "left" or "right" (default: "right")
+     *       - The direction that the entity is facing...
+     *
+     * @param {String} name the name of the property to describe
+     * @returns {String} the description of the property, or an empty string if it is not in the schema
+     */
+    nurdz.sneak.ChronoEntity.prototype.describeProperty = function (name)
+    {
+        var entry = this.completePropertySchema ()[name];
+        if (entry == null)
+            return "";
+
+        var type;
+        if (entry.values != null)
+        {
+            type = entry.values.map (function (value) { return JSON.stringify (value); }).join (", ");
+            type = type.replace (/, ([^,]*)$/, " or $1");
+        }
+        else if (entry.type == "boolean")
+            type = "true or false";
+        else if (entry.reference != null)
+        {
+            type = (entry.reference === true) ? "entity ID" : entry.reference + " ID";
+            if (entry.type == "string-or-array")
+                type += " or array of " + type + "s";
+        }
+        else if (entry.type == "string-or-array")
+            type = "string or array of strings";
+        else
+            type = entry.type;
+
+        var qualifier = (entry.default !== undefined) ? "default: " + JSON.stringify (entry.default)
+                                                      : (entry.required ? "required" : "default: none");
+
+        return "- '" + name + "': " + type + " (" + qualifier + ")\n   - " + entry.description;
+    };
+
+    /**
+     * Describe all of the properties that this entity supports, one after the other.
+     *
+     * @returns {String} the description of the properties
+     * @see nurdz.sneak.ChronoEntity.describeProperty
+     */
+    nurdz.sneak.ChronoEntity.prototype.describeProperties = function ()
+    {
+        var entity = this;
+        return Object.keys (this.completePropertySchema ()).map (function (name)
+                                                                 {
+                                                                     return entity.describeProperty (name);
+                                                                 }).join ("\n");
     };
 
     /**
@@ -205,49 +433,15 @@ nurdz.sneak.ChronoEntity = function (name, stage, x, y, properties, zOrder, debu
     };
 
     /**
-     * Change the facing of this entity to the value passed in. You can pass in an angle (in degrees) as a
-     * number of one of the strings "up", "down", "left" or "right" to have the routine calculate the
-     * correct angle.
+     * Change the facing of this entity to the angle (in degrees) passed in.
      *
      * As a result of ChronoSneak being a grid based game, the facing is constrained to one of the four
-     * cardinal directions. The default is the right (0 degrees) if the passed in angle or facing string
-     * is not valid.
-     * @param {String|Number} newFacing the new facing
+     * cardinal directions.
+     *
+     * @param {Number} newFacing the new facing
      */
     nurdz.sneak.ChronoEntity.prototype.setFacing = function (newFacing)
     {
-        // If we got a string, then convert it to a number.
-        if (typeof (newFacing) == "string")
-        {
-            // These textual facing values should be converted into degrees. Rotations start with 0 on the
-            // right and proceeding clockwise as angles get bigger.
-            switch (newFacing)
-            {
-                case "right":
-                    newFacing = 0;
-                    break;
-
-                case "down":
-                    newFacing = 90;
-                    break;
-
-                case "left":
-                    newFacing = 180;
-                    break;
-
-                case "up":
-                    newFacing = 270;
-                    break;
-
-                // In case something goes awry.
-                default:
-                    console.log ("Invalid facing string: ", newFacing);
-                    newFacing = 0;
-                    break;
-            }
-        }
-
-        // Set the property now.
         this.properties.facing = this.normalizeFacingAngle (newFacing);
     };
 
@@ -256,6 +450,9 @@ nurdz.sneak.ChronoEntity = function (name, stage, x, y, properties, zOrder, debu
      * values in the "trigger" property of this entity, and invokes their trigger methods specifying this
      * object as the source of the trigger event.
      *
+     * In ChronoSneak the level does not trigger the entities right away; the triggers are queued up and
+     * happen at the start of the next step.
+     *
      * In order for this to work, the current scene needs to have a property named level that represents
      * the current level, and this object needs to have a property named "trigger" that specifies either a
      * string with the ID of a single entity to trigger, or an array of entity IDs to trigger.
@@ -271,6 +468,99 @@ nurdz.sneak.ChronoEntity = function (name, stage, x, y, properties, zOrder, debu
             scene.level.triggerEntitiesWithIDs (/** @type {String[]} */this.properties.trigger, this);
     };
 
+    /**
+     * Make a noise at the position of this entity, which guards may hear at the end of the turn.
+     *
+     * In order for this to work, the current scene needs to have a property named level that represents
+     * the current level, which needs to support noises. If it does not, this silently does nothing.
+     *
+     * @param {Number} radius the radius of the noise, in tiles
+     * @param {nurdz.game.Actor|null} source the actor that caused the noise to be made, or null if unknown
+     * @see nurdz.sneak.SneakLevel.makeNoise
+     */
+    nurdz.sneak.ChronoEntity.prototype.makeNoise = function (radius, source)
+    {
+        var scene = this.stage.currentScene ();
+        if (scene.level != null && scene.level.makeNoise != null)
+            scene.level.makeNoise (this.mapPosition, radius, source);
+    };
+
+    /**
+     * Publish an event on the event bus of the stage that this entity is on, so that anything that is
+     * interested in what this entity just did can find out about it. This silently does nothing if the
+     * entity is not on a stage.
+     *
+     * @param {String} name the name of the event to publish, from nurdz.sneak.constants
+     * @param {Object} data the data that describes the event
+     * @see nurdz.game.EventBus.publish
+     */
+    nurdz.sneak.ChronoEntity.prototype.publishEvent = function (name, data)
+    {
+        if (this.stage != null)
+            this.stage.events.publish (name, data);
+    };
+
+    /**
+     * Make a copy of a properties object so that it can be stored as part of the state of an entity.
+     * This is a shallow copy, except that any array values are also copied so that changes made to the
+     * arrays of the live entity do not leak into the stored copy (and vice versa).
+     *
+     * @param {Object} properties the properties to copy
+     * @returns {Object} the copy of the properties
+     */
+    var cloneProperties = function (properties)
+    {
+        var retVal = {};
+        for (var name in properties)
+        {
+            if (properties.hasOwnProperty (name))
+            {
+                var value = properties[name];
+                retVal[name] = Array.isArray (value) ? value.slice () : value;
+            }
+        }
+
+        return retVal;
+    };
+
+    /**
+     * Capture the current state of this entity so that it can be put back later via restoreState(). This
+     * is what allows the level to record every turn and then step backwards and forwards through them.
+     *
+     * The base version captures the map position and the properties of the entity. Subclasses that have
+     * extra internal state that changes as turns are taken need to override this to add that state to the
+     * returned object, chaining to this version first.
+     *
+     * The returned object should be treated as opaque by everything except the entity that created it.
+     *
+     * @returns {Object} an object that represents the current state of this entity
+     * @see nurdz.sneak.ChronoEntity.restoreState
+     */
+    nurdz.sneak.ChronoEntity.prototype.saveState = function ()
+    {
+        return {
+            position:   this.mapPosition.copy (),
+            properties: cloneProperties (this.properties)
+        };
+    };
+
+    /**
+     * Restore the state of this entity to the state that was captured by a previous call to saveState().
+     * The state object is not modified and can be used to restore the entity state again later.
+     *
+     * Subclasses that override saveState() to capture extra state should also override this method to put
+     * that state back, chaining to this version first.
+     *
+     * @param {Object} state the state object previously returned from saveState()
+     * @see nurdz.sneak.ChronoEntity.saveState
+     */
+    nurdz.sneak.ChronoEntity.prototype.restoreState = function (state)
+    {
+        // Restore the properties first, since some subclasses use them while their position is being set.
+        this.properties = cloneProperties (state.properties);
+        this.setMapPosition (state.position);
+    };
+
     /**
      * ChronoEntity instances are actors, which means tha they have an update and a render function. The
      * update function in a ChronoEntity is meant to do things like visually update its appearance. The step
@@ -286,6 +576,64 @@ nurdz.sneak.ChronoEntity = function (name, stage, x, y, properties, zOrder, debu
     {
     };
 
+    //noinspection JSUnusedLocalSymbols
+    /**
+     * This is invoked on every entity once all entities have had their step() for the turn. It gives
+     * entities a chance to look at the state of the world at the end of the turn (e.g. to see what is in
+     * front of them) and react to it.
+     *
+     * The base version does nothing.
+     *
+     * @param {nurdz.game.Level} level the level the entity is contained in
+     */
+    nurdz.sneak.ChronoEntity.prototype.observe = function (level)
+    {
+    };
+
+    /**
+     * Get the state that this entity is signalling to the entities that it triggers, for entities that
+     * are either on or off (such as a button, which is on while it is pressed). Entities that are
+     * triggered by this one can look at this to see if it is on, instead of keeping track of the triggers
+     * that they receive, which doesn't work for entities that turn off without triggering anything.
+     *
+     * The base version returns null, since most entities only send a trigger when something happens.
+     *
+     * @returns {Boolean|null} true if this entity is on, false if it is off, or null if it is neither
+     * @see nurdz.sneak.LogicGate
+     */
+    nurdz.sneak.ChronoEntity.prototype.triggerState = function ()
+    {
+        return null;
+    };
+
+    /**
+     * Get the map position that the triggers this entity sends are about, for entities that react to
+     * where a trigger came from (such as a guard, which goes to investigate it).
+     *
+     * The base version returns the position of this entity; entities that detect something somewhere
+     * else (such as a tripwire) return where they detected it instead.
+     *
+     * @returns {nurdz.game.Point} the map position that the triggers of this entity are about
+     * @see nurdz.sneak.GuardBase.trigger
+     */
+    nurdz.sneak.ChronoEntity.prototype.triggerPosition = function ()
+    {
+        return this.mapPosition;
+    };
+
+    /**
+     * Query whether or not this entity is allowed to be placed in a tile that blocks movement (i.e. a
+     * wall) in the level data. This is used when validating levels.
+     *
+     * The base version does not allow it, since nothing could ever get to the entity.
+     *
+     * @returns {Boolean} true if this entity can be placed in a wall, or false otherwise
+     */
+    nurdz.sneak.ChronoEntity.prototype.allowedInWall = function ()
+    {
+        return false;
+    };
+
     /**
      * In ChronoSneak, all entities are the size of a tile and have an inherent facing which might affect
      * their rendering.
@@ -320,11 +668,49 @@ nurdz.sneak.ChronoEntity = function (name, stage, x, y, properties, zOrder, debu
         stage.restore ();
     };
 
+    /**
+     * Get the sprite sheet that entities of this type are rendered with. Every type of entity has its own
+     * sprite sheet, which is found by the name of the entity.
+     *
+     * @returns {nurdz.game.SpriteSheet|null} the sprite sheet, or null if there isn't one loaded
+     * @see nurdz.sneak.sprites
+     */
+    nurdz.sneak.ChronoEntity.prototype.spriteSheet = function ()
+    {
+        return nurdz.sneak.sprites.spriteSheet ("entity." + this.name);
+    };
+
+    /**
+     * Render a sprite from the sprite sheet of this entity, centered on the tile that this entity is on
+     * and optionally rotated.
+     *
+     * Nothing is rendered if there is no sprite sheet for this entity or it does not have the sprite, so
+     * that the entity can fall back to rendering itself some other way.
+     *
+     * @param {nurdz.game.Stage} stage the stage to render on
+     * @param {Number} index the index of the sprite to render
+     * @param {Number|null} [angle=null] the amount to rotate, or null if not required
+     * @returns {Boolean} true if the sprite was rendered, or false otherwise
+     * @see nurdz.sneak.ChronoEntity.spriteSheet
+     */
+    nurdz.sneak.ChronoEntity.prototype.renderSprite = function (stage, index, angle)
+    {
+        var sheet = this.spriteSheet ();
+        if (sheet == null || sheet.hasSprite (index) == false)
+            return false;
+
+        this.startRendering (stage, angle);
+        sheet.renderCentered (stage, index, 0, 0);
+        this.endRendering (stage);
+        return true;
+    };
+
     /**
      * Render this chrono entity to the stage provided.
      *
-     * This base class will render either a rectangle in the debug color (if the entity has a property
-     * that indicates that it should be visible) or a small X if the entity is not supposed to be visible.
+     * This base class will render either its first sprite or, if it doesn't have one, a rectangle in the
+     * debug color (if the entity has a property that indicates that it should be visible), or a small X if
+     * the entity is not supposed to be visible.
      *
      * This allows for tracking during initial debugging of the engine by allowing some visible recognition
      * of otherwise invisible entities without having to see their actual representations.
@@ -337,7 +723,10 @@ nurdz.sneak.ChronoEntity = function (name, stage, x, y, properties, zOrder, debu
     nurdz.sneak.ChronoEntity.prototype.render = function (stage)
     {
         if (this.properties.visible)
-            stage.fillRect (this.position.x, this.position.y, this.width, this.height, this.debugColor);
+        {
+            if (this.renderSprite (stage, 0) == false)
+                stage.fillRect (this.position.x, this.position.y, this.width, this.height, this.debugColor);
+        }
         else
         {
             this.startRendering (stage);
@@ -371,6 +760,20 @@ nurdz.sneak.ChronoEntity = function (name, stage, x, y, properties, zOrder, debu
         return false;
     };
 
+    //noinspection JSUnusedLocalSymbols
+    /**
+     * Describe what interacting with this entity would do, as a short phrase that completes the sentence
+     * "Press Space to ..."; this is shown to the player when this entity is what they would interact with.
+     * This is only asked of entities whose canInteractWith() allows the interaction.
+     *
+     * @param {nurdz.sneak.ChronoEntity} otherEntity the entity that would be doing the interacting
+     * @returns {String} the description of the interaction
+     */
+    nurdz.sneak.ChronoEntity.prototype.interactionPrompt = function (otherEntity)
+    {
+        return "use the " + this.name;
+    };
+
     /**
      * Return a string representation of the object, for debugging purposes.
      *
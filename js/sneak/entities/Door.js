@@ -3,19 +3,15 @@
  *
  * Doors can be in either a horizontal or vertical orientation, open or closed, and can automatically open
  * and/or close after a set number of triggers. Every time the door is triggered, its state changes to the
- * alternate of its current state, regardless of what the current state is.
+ * alternate of its current state, regardless of what the current state is. Doors that change state
+ * because they were triggered make a noise; doors that change state on their own are quiet.
  *
- * This entity supports the following properties:
- *    - 'open': true or false (default: false)
- *       - controls whether the door is open or closed. Toggles on trigger.
- *    - 'horizontal': true or false (default: false)
- *       - controls whether the door is rendered as a vertical or horizontal door.
- *    - 'openTime': integer (default: -1)
- *       - An open door will only stay open this many turns, and will then close. The value resets every
- *         time the door opens. A value of -1 means always open (unless manually closed).
- *    - 'closeTime': integer (default: -1)
- *       - A closed door will automatically open after this many turns. The value resets every time the
- *        door closes. A value of -1 means always closed (unless manually opened).
+ * A door can require the player to be carrying an item (such as a keycard) to operate it; a player that
+ * is carrying the item can open and close the door by interacting with it. Doors can also be locked, in
+ * which case only a player carrying the required item can open or close them; triggers from anything
+ * else (e.g. buttons) are ignored, and guards can't get through them.
+ *
+ * The properties that this entity supports are declared in its propertySchema.
  *
  * @param {nurdz.game.Stage} stage the stage that will manage this entity
  * @param {Number} x the X coordinate of the entity, in map coordinates
@@ -27,14 +23,6 @@ nurdz.sneak.Door = function (stage, x, y, properties)
 {
     "use strict";
 
-    // Set up the default properties for entities of this type.
-    this.defaultProperties = {
-        open:       true,
-        horizontal: false,
-        openTime:   -1,
-        closeTime:  -1
-    };
-
     // Call the super class constructor.
     nurdz.sneak.ChronoEntity.call (this, "Door", stage, x, y, properties, 100, '#7a00f4');
 
@@ -86,21 +74,49 @@ nurdz.sneak.Door = function (stage, x, y, properties)
     var DOOR_STUB = Math.floor (nurdz.game.TILE_SIZE * 0.125);
 
     /**
-     * This is automatically invoked at the end of the constructor to validate that the properties object
-     * that we have is valid as far as we can tell (i.e. needed properties exist and have a sensible value).
+     * The schema for the properties that this entity supports, in addition to the ones that it inherits
+     * from nurdz.sneak.ChronoEntity.
      *
-     * This validates that
+     * @type {Object.<String,Object>}
+     * @see nurdz.sneak.ChronoEntity.propertySchema
      */
-    nurdz.sneak.Door.prototype.validateProperties = function ()
-    {
-        // Validate our special properties.
-        this.isPropertyValid ("open", "boolean", true);
-        this.isPropertyValid ("horizontal", "boolean", true);
-        this.isPropertyValid ("openTime", "number", true);
-        this.isPropertyValid ("closeTime", "number", true);
-
-        // Chain to the super to check properties it might have inserted or know about.
-        nurdz.sneak.ChronoEntity.prototype.validateProperties.call (this);
+    nurdz.sneak.Door.prototype.propertySchema = {
+        open:       {
+            type:        "boolean",
+            default:     true,
+            description: "Whether the door is open or closed. Toggles on trigger."
+        },
+        horizontal: {
+            type:        "boolean",
+            default:     false,
+            description: "Whether the door is rendered as a vertical or horizontal door."
+        },
+        openTime:   {
+            type:        "number",
+            default:     -1,
+            description: "An open door only stays open this many turns, and then closes. The value resets " +
+                         "every time the door opens. A value of -1 means always open (unless manually " +
+                         "closed)."
+        },
+        closeTime:  {
+            type:        "number",
+            default:     -1,
+            description: "A closed door automatically opens after this many turns. The value resets every " +
+                         "time the door closes. A value of -1 means always closed (unless manually " +
+                         "opened)."
+        },
+        requires:   {
+            type:        "string",
+            description: "The name of the item that the player has to be carrying to open or close the door " +
+                         "(see nurdz.sneak.Pickup)."
+        },
+        locked:     {
+            type:        "boolean",
+            default:     false,
+            description: "When true, the door can only be opened or closed by a player that is carrying the " +
+                         "item named by 'requires'; a locked door that does not require anything can't be " +
+                         "opened or closed by triggers at all."
+        }
     };
 
     /**
@@ -114,6 +130,73 @@ nurdz.sneak.Door = function (stage, x, y, properties)
         return !this.properties.open;
     };
 
+    /**
+     * Query whether or not this entity blocks sight, so that nothing can be seen through the map location
+     * that it is in.
+     *
+     * @returns {Boolean} true if this entity can't be seen through, or false otherwise
+     */
+    nurdz.sneak.Door.prototype.blocksSight = function ()
+    {
+        // Like movement, a door blocks sight only while it is closed.
+        return !this.properties.open;
+    };
+
+    /**
+     * Query whether or not the actor provided is carrying the item that is required to operate this door.
+     * Only the player carries items.
+     *
+     * @param {nurdz.game.Actor|null} actor the actor to check
+     * @returns {Boolean} true if this door requires an item and the actor is carrying it, or false
+     * otherwise
+     */
+    nurdz.sneak.Door.prototype.hasRequiredItem = function (actor)
+    {
+        return this.properties.requires != null && actor instanceof nurdz.sneak.Player &&
+            actor.hasItem (this.properties.requires);
+    };
+
+    /**
+     * Query whether or not this door is locked against the actor provided, so that the actor can't open or
+     * close it. Locked doors can only be operated by a player carrying the required item.
+     *
+     * @param {nurdz.game.Actor|null} actor the actor to check
+     * @returns {Boolean} true if the actor can't open or close this door, or false otherwise
+     */
+    nurdz.sneak.Door.prototype.isLockedAgainst = function (actor)
+    {
+        return this.properties.locked && this.hasRequiredItem (actor) == false;
+    };
+
+    /**
+     * This method queries whether the entity provided is able to interact with this entity. This can be as
+     * simple or as introspective as desired, e.g.) any class of entity, only a certain class of entity,
+     * or only entities with certain properties.
+     *
+     * Only doors that require an item can be interacted with, and only by a player that is carrying it.
+     *
+     * @returns {Boolean} true if this entity can be interacted with by the passed in entity, or false
+     * otherwise.
+     */
+    nurdz.sneak.Door.prototype.canInteractWith = function (otherEntity)
+    {
+        return this.hasRequiredItem (otherEntity);
+    };
+
+    //noinspection JSUnusedLocalSymbols
+    /**
+     * Describe what interacting with this entity would do, as a short phrase that completes the sentence
+     * "Press Space to ...".
+     *
+     * @param {nurdz.sneak.ChronoEntity} otherEntity the entity that would be doing the interacting
+     * @returns {String} the description of the interaction
+     */
+    nurdz.sneak.Door.prototype.interactionPrompt = function (otherEntity)
+    {
+        return (this.properties.open ? "close the door with the " : "open the door with the ") +
+            this.properties.requires;
+    };
+
     /**
      * Render this actor to the stage provided. The base class version renders a positioning box for this
      * actor using its position and size, using the debug color provided in the constructor.
@@ -125,6 +208,11 @@ nurdz.sneak.Door = function (stage, x, y, properties)
         // If the entity is visible, draw the door. Otherwise, chain to the superclass version.
         if (this.properties.visible)
         {
+            // The sprites are of a horizontal door, closed and then open; the same rotation as below is
+            // used for vertical doors.
+            if (this.renderSprite (stage, this.properties.open ? 1 : 0, this.properties.horizontal ? null : 90))
+                return;
+
             // The drawing code renders a horizontal door, so if this is a vertical door we need some
             // rotation. It doesn't matter if it's 90 or 270; both work.
             this.startRendering (stage, this.properties.horizontal ? null : 90);
@@ -142,15 +230,30 @@ nurdz.sneak.Door = function (stage, x, y, properties)
             else
                 stage.fillRect (-(this.width / 2), renderY, this.width, DOOR_THICKNESS, this.debugColor);
 
+            // Locked doors have a lock in the middle.
+            if (this.properties.locked)
+                stage.fillCircle (0, 0, DOOR_THICKNESS / 2, 'red');
+
             this.endRendering (stage);
         }
         else
             nurdz.sneak.ChronoEntity.prototype.render.call (this, stage);
     };
 
+    /**
+     * The radius (in tiles) of the noise that a door makes when it is triggered to open or close.
+     *
+     * @const
+     * @type {Number}
+     */
+    var DOOR_NOISE = 4;
+
     /**
      * When invoked, this toggles the state of the door from open to closed, and will also reset the
      * appropriate timers for door stage.
+     *
+     * @returns {Boolean} true if the door changed state, or false if it could not close because something
+     * is in the way
      */
     nurdz.sneak.Door.prototype.toggleDoorState = function ()
     {
@@ -173,8 +276,8 @@ nurdz.sneak.Door = function (stage, x, y, properties)
             var actors = scene.actorsAt (this.position);
             if (actors.length != 1)
             {
-                console.log ("Can't toggle door this step; currently blocked");
-                return;
+                this.publishEvent (nurdz.sneak.constants.EVENT_DOOR_BLOCKED, {door: this});
+                return false;
             }
         }
 
@@ -183,6 +286,35 @@ nurdz.sneak.Door = function (stage, x, y, properties)
 
         // Reset the automatic timers for changing the door state.
         this.turnsUntilToggle = (this.properties.open ? this.properties.openTime : this.properties.closeTime);
+
+        // Let everyone know.
+        this.publishEvent (this.properties.open ? nurdz.sneak.constants.EVENT_DOOR_OPENED
+                               : nurdz.sneak.constants.EVENT_DOOR_CLOSED, {door: this});
+        return true;
+    };
+
+    /**
+     * Capture the current state of this entity so that it can be put back later via restoreState(). In
+     * addition to the base state, this also captures the number of turns until the door state toggles.
+     *
+     * @returns {Object} an object that represents the current state of this entity
+     */
+    nurdz.sneak.Door.prototype.saveState = function ()
+    {
+        var state = nurdz.sneak.ChronoEntity.prototype.saveState.call (this);
+        state.turnsUntilToggle = this.turnsUntilToggle;
+        return state;
+    };
+
+    /**
+     * Restore the state of this entity to the state that was captured by a previous call to saveState().
+     *
+     * @param {Object} state the state object previously returned from saveState()
+     */
+    nurdz.sneak.Door.prototype.restoreState = function (state)
+    {
+        nurdz.sneak.ChronoEntity.prototype.restoreState.call (this, state);
+        this.turnsUntilToggle = state.turnsUntilToggle;
     };
 
     //noinspection JSUnusedLocalSymbols
@@ -222,8 +354,16 @@ nurdz.sneak.Door = function (stage, x, y, properties)
      */
     nurdz.sneak.Door.prototype.trigger = function (activator)
     {
-        // Toggle the door stage.
-        this.toggleDoorState ();
+        // Locked doors ignore anything that can't unlock them.
+        if (this.isLockedAgainst (activator))
+        {
+            this.publishEvent (nurdz.sneak.constants.EVENT_DOOR_LOCKED, {door: this, activator: activator});
+            return;
+        }
+
+        // Toggle the door stage; if it changes, whoever triggered us made some noise doing it.
+        if (this.toggleDoorState ())
+            this.makeNoise (DOOR_NOISE, activator);
     };
 
     /**
@@ -233,9 +373,13 @@ nurdz.sneak.Door = function (stage, x, y, properties)
      */
     nurdz.sneak.Door.prototype.toString = function ()
     {
-        return String.format ("[Door id='{0}' pos={1} type={2}]",
+        return String.format ("[Door id='{0}' pos={1} type={2} locked={3}]",
                               this.properties.id,
                               this.mapPosition.toString(),
-                              (this.properties.horizontal ? "horizontal" : "vertical"));
+                              (this.properties.horizontal ? "horizontal" : "vertical"),
+                              this.properties.locked);
     };
 } ());
+
+// Register this entity so that it can be created from level data.
+nurdz.sneak.entityRegistry.register ("Door", nurdz.sneak.Door);
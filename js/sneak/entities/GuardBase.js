@@ -7,27 +7,30 @@
  * then for each step call. The patrol can loop, in which case the guard moves from the last point back to
  * the first point; otherwise they just stop at the last point.
  *
- * Guards will permanently halt their patrol if they run into level geometry. Entities that block movement
- * will stop them on this step() but they will try again; they attempt to trigger the entity to see if
- * that allows for passage before continuing.
+ * Guards find their way between waypoints using the pathfinding in the level, so waypoints can be placed
+ * anywhere as long as there is a path between them; this is validated when they are instantiated. If the
+ * path to the next waypoint stops existing, the guard permanently halts its patrol. Entities that block
+ * movement will stop them on this step() but they will try again; they attempt to trigger the entity to
+ * see if that allows for passage before continuing. Like all triggers, this takes effect on the next step.
  *
- * Base guards only know how to move in horizontal or vertical lines, and so they validate that their
- * patrol route is navigable in that regard when they are instantiated.
+ * On top of patrolling, guards have an alert state that changes based on what they see at the end of
+ * every turn (see nurdz.sneak.constants for the states):
+ *    - A patrolling guard that sees the player becomes suspicious and walks to where the player was seen.
+ *    - A suspicious guard that sees the player again starts chasing them. A chasing guard that gets next
+ *      to the player catches them, which fails the level.
+ *    - A suspicious or chasing guard that gets to where the player was last seen without seeing them
+ *      searches the area by looking around for a while, and then returns to the closest waypoint on its
+ *      patrol (or its spawn point if it does not have a patrol) to continue patrolling from there.
+ *    - A guard that does not see the player but hears a noise (that another guard did not make) turns
+ *      towards it and becomes suspicious, walking to where the noise came from. Chasing guards are too
+ *      busy to be distracted by noises.
+ *    - A guard that is triggered (e.g. by a security camera or a tripwire) investigates whatever
+ *      triggered it in the same way.
  *
- * This entity supports the following properties:
- *    - 'spawnPoint': string (default: none)
- *       - The guard spawns at the waypoint that has this ID value; it is an error if no such waypoint exists.
- *    - 'patrol': string or array of strings (default: none)
- *       - If specified, this is an entity ID or a list of entity ID's of waypoints that this guard should
- *         follow. The guard will start walking towards the first waypoint in the list, then to the next
- *         waypoint after that, until it reaches the end of the list.
- *    - 'patrolLoop': true or false (default: false)
- *        - This only has an effect when a patrol is specified, but it indicates that when the last waypoint
- *          in the patrol is reached, the patrol should walk back to the first waypoint in the patrol and
- *          continue.
- *    - 'fov': number (default: 90)
- *        - The complete size of the vision cone that this guard can see in, in degrees. The field of
- *          vision is centered on the facing of the guard.
+ * Guards are watchers, so what they can see is handled by nurdz.sneak.Watcher; the vision cone of a guard
+ * is drawn in a color that shows its alert state.
+ *
+ * The properties that this entity supports are declared in its propertySchema.
  *
  * @param {nurdz.game.Stage} stage the stage that will manage this entity
  * @param {Number} x the X coordinate of the entity, in map coordinates
@@ -39,12 +42,6 @@ nurdz.sneak.GuardBase = function (stage, x, y, properties)
 {
     "use strict";
 
-    // Set up the default properties for entities of this type.
-    this.defaultProperties = {
-        patrolLoop: false,
-        fov:        90
-    };
-
     /**
      * The waypoint where this guard should spawn. This is null when the object is first initialized but gets
      * set after the level is loaded.
@@ -92,24 +89,33 @@ nurdz.sneak.GuardBase = function (stage, x, y, properties)
     this.nextPatrolPoint = null;
 
     /**
-     * This is an array of points that determine where the vision cone for this guard visually extends.
-     * This is only used for display on the map; other mechanisms are used to determine what the guard can
-     * actually detect.
+     * The current alert state of this guard, which controls what the guard does when it steps. This is one
+     * of the GUARD_* values in nurdz.sneak.constants.
      *
-     * The contents of this is an array of points that should be joined together in order to form the
-     * cone. The array is empty at startup, and then will have 1 or more points. A single point means that
-     * no rays have been cast yet.
+     * @type {String}
+     * @see nurdz.sneak.GuardBase.setAlertState
+     */
+    this.alertState = nurdz.sneak.constants.GUARD_PATROL;
+
+    /**
+     * The map position that the guard is heading towards while it is not patrolling. While suspicious or
+     * chasing, this is where the player was last seen, and while returning it is the point on the patrol
+     * that the guard is returning to. This is null while patrolling.
      *
-     * The final result is a list of points which, when connected, form the vision cone. The first point
-     * is the eye position of the guard, which is somewhere inside of the tile that the guard is currently
-     * sitting in.
+     * @type {nurdz.game.Point|null}
+     */
+    this.alertTarget = null;
+
+    /**
+     * The number of turns that the guard has spent in its current alert state. While suspicious or
+     * chasing, this counts from the last time the player was seen instead.
      *
-     * @type {nurdz.game.Point[]}
+     * @type {Number}
      */
-    this.visionCone = [];
+    this.alertTurns = 0;
 
     // Call the super class constructor.
-    nurdz.sneak.ChronoEntity.call (this, "GuardBase", stage, x, y, properties, 2, '#EB3B00');
+    nurdz.sneak.Watcher.call (this, "GuardBase", stage, x, y, properties, 2, '#EB3B00');
 };
 
 // Now define the various member functions and any static stage.
@@ -119,7 +125,7 @@ nurdz.sneak.GuardBase = function (stage, x, y, properties)
 
     // Now set our prototype to be an instance of our super class, making sure that the prototype knows to
     // use the correct constructor function.
-    nurdz.sneak.GuardBase.prototype = Object.create (nurdz.sneak.ChronoEntity.prototype, {
+    nurdz.sneak.GuardBase.prototype = Object.create (nurdz.sneak.Watcher.prototype, {
         constructor: {
             configurable: true,
             enumerable:   true,
@@ -129,90 +135,51 @@ nurdz.sneak.GuardBase = function (stage, x, y, properties)
     });
 
     /**
-     * Our cached copy of the tile size. This value is used extensively in the raycasting process so we
-     * want an easier way to access it.
-     *
-     * @type {Number}
-     */
-    var TILE_SIZE = nurdz.game.TILE_SIZE;
-
-    /**
-     * Convert an angle in degrees to radians.
-     *
-     * @param {Number} degrees an angle in degrees
-     * @returns {number}
-     */
-    var toRadians = function (degrees)
-    {
-        return degrees * (Math.PI / 180);
-    };
-
-    /**
-     * This is automatically invoked at the end of the constructor to validate that the properties object
-     * that we have is valid as far as we can tell (i.e. needed properties exist and have a sensible value).
-     *
-     * This validates that
-     */
-    nurdz.sneak.GuardBase.prototype.validateProperties = function ()
-    {
-        // If there is a patrol property and it's a string, convert it to an array with a single element
-        // to make code later easier.
-        if (typeof (this.properties.patrol) == "string")
-            this.properties.patrol = [this.properties.patrol];
-
-        // Validate all properties.
-        this.isPropertyValid ("patrol", "array", false);
-        this.isPropertyValid ("patrolLoop", "boolean", false);
-        this.isPropertyValid ("spawnPoint", "string", true);
-        this.isPropertyValid ("fov", "number", true);
-
-        // Chain to the super to check properties it might have inserted or know about.
-        nurdz.sneak.ChronoEntity.prototype.validateProperties.call (this);
-    };
-
-    /**
-     * Change the facing of this entity to the value passed in. You can pass in an angle (in degrees) as a
-     * number of one of the strings "up", "down", "left" or "right" to have the routine calculate the
-     * correct angle.
-     *
-     * As a result of ChronoSneak being a grid based game, the facing is constrained to one of the four
-     * cardinal directions. The default is the right (0 degrees) if the passed in angle or facing string
-     * is not valid.
-     * @param {String|Number} newFacing the new facing
-     */
-    nurdz.sneak.GuardBase.prototype.setFacing = function (newFacing)
-    {
-        // Invoke the super method to do the actual work, then recalculate what our vision cone is.
-        nurdz.sneak.ChronoEntity.prototype.setFacing.call (this, newFacing);
-        this.calculateVisionCone ();
-    };
-
-    /**
-     * Set the position of this entity by setting its position on the stage (world coordinates). The
-     * position of the entity on the map will automatically be updated.
+     * The schema for the properties that this entity supports, in addition to the ones that it inherits
+     * from nurdz.sneak.Watcher.
      *
-     * @param {Number} x the X coordinate of the new stage position
-     * @param {Number} y the Y coordinate of the new stage position
+     * @type {Object.<String,Object>}
+     * @see nurdz.sneak.ChronoEntity.propertySchema
      */
-    nurdz.sneak.GuardBase.prototype.setStagePositionXY = function (x, y)
-    {
-        // Invoke the super method to do the actual work, then recalculate what our vision cone is.
-        nurdz.sneak.ChronoEntity.prototype.setStagePositionXY.call (this, x, y);
-        this.calculateVisionCone ();
-    };
-
-    /**
-     * Set the position of this entity by setting its position in the level (map coordinates). The
-     * position of the entity on the stage will automatically be updated.
-     *
-     * @param {Number} x the X coordinate of the new stage position
-     * @param {Number} y the Y coordinate of the new stage position
-     */
-    nurdz.sneak.GuardBase.prototype.setMapPositionXY = function (x, y)
-    {
-        // Invoke the super method to do the actual work, then recalculate what our vision cone is.
-        nurdz.sneak.ChronoEntity.prototype.setMapPositionXY.call (this, x, y);
-        this.calculateVisionCone ();
+    nurdz.sneak.GuardBase.prototype.propertySchema = {
+        spawnPoint:       {
+            type:        "string",
+            required:    true,
+            reference:   "Waypoint",
+            description: "The waypoint that the guard spawns at."
+        },
+        patrol:           {
+            type:        "string-or-array",
+            reference:   "Waypoint",
+            description: "The waypoints that this guard should follow. The guard starts walking towards the " +
+                         "first waypoint in the list, then to the next waypoint after that, until it " +
+                         "reaches the end of the list."
+        },
+        patrolLoop:       {
+            type:        "boolean",
+            default:     false,
+            description: "When the last waypoint in the patrol is reached, whether the guard walks back to " +
+                         "the first waypoint in the patrol and continues."
+        },
+        fov:              {default: 90},
+        chaseOnSight:     {
+            type:        "boolean",
+            default:     false,
+            description: "When true, this guard skips being suspicious and starts chasing the player as " +
+                         "soon as it sees them."
+        },
+        investigateTurns: {
+            type:        "number",
+            default:     10,
+            description: "The number of turns that the guard spends trying to get to where it last saw the " +
+                         "player before it gives up and starts searching where it is."
+        },
+        searchTurns:      {
+            type:        "number",
+            default:     4,
+            description: "The number of turns that the guard spends looking around for the player before it " +
+                         "returns to its patrol."
+        }
     };
 
     /**
@@ -254,6 +221,19 @@ nurdz.sneak.GuardBase = function (stage, x, y, properties)
         this.nextPatrolPoint = this.patrolPoints[this.patrolIndex];
     };
 
+    /**
+     * Query whether or not this entity is allowed to be placed in a tile that blocks movement (i.e. a
+     * wall) in the level data.
+     *
+     * @returns {Boolean} true if this entity can be placed in a wall, or false otherwise
+     */
+    nurdz.sneak.GuardBase.prototype.allowedInWall = function ()
+    {
+        // Guards are moved to their spawn point when the level starts, so where they are placed in the
+        // level data doesn't matter.
+        return true;
+    };
+
     /**
      * The spawn location of guards as well as their patrols (if they have one) are given in the form of
      * the id of waypoint objects in the level. As such, until the level is fully loaded, the guard does
@@ -307,7 +287,7 @@ nurdz.sneak.GuardBase = function (stage, x, y, properties)
 
         // Attempt to validate the patrol now, if there is one.
         if (patrolEntities != null)
-            this.validatePatrol (/** @type {nurdz.sneak.Waypoint} */ spawnEntity, patrolEntities);
+            this.validatePatrol (level, /** @type {nurdz.sneak.Waypoint} */ spawnEntity, patrolEntities);
 
         // All good, store the spawn location and the locations of all of the patrol points.
         this.spawnEntity = spawnEntity;
@@ -328,50 +308,80 @@ nurdz.sneak.GuardBase = function (stage, x, y, properties)
      * The validation attempts to ensure that we can at least reasonably ensure that the guard can
      * complete the patrol.
      *
+     * @param {nurdz.game.Level} level the level that the guard is in
      * @param {nurdz.sneak.Waypoint} startPoint the point the guard spawns at
      * @param {nurdz.sneak.Waypoint[]} patrolPoints the list of patrol points the guard will patrol.
      */
-    nurdz.sneak.GuardBase.prototype.validatePatrol = function (startPoint, patrolPoints)
+    nurdz.sneak.GuardBase.prototype.validatePatrol = function (level, startPoint, patrolPoints)
     {
-
         /**
-         * Validate that the line that connects the two points provided is a horizontal or vertical line.
+         * Validate that there is a path in the level that connects the two points provided.
+         *
          * @param {nurdz.game.Point} startPos first point of path to validate
          * @param {nurdz.game.Point} endPos second point of path to validate
+         * @param {nurdz.sneak.GuardBase} guard the guard that will be walking the path
          */
-        function validatePath (startPos, endPos)
+        function validatePath (startPos, endPos, guard)
         {
-            // If both components of both points are different, the line connecting them is not horizontal
-            // or vertical. This DOES allow for the points to be coincident though, which is no big whoop.
-            if (startPos.x != endPos.x && startPos.y != endPos.y)
-                throw new RangeError ("Invalid patrol for guard; waypoints are not properly aligned");
+            if (level.findPath (startPos, endPos, guard) == null)
+                throw new RangeError ("Invalid patrol for guard; there is no path between waypoints");
         }
 
-        // This naive implementation of guard movement requires the guards to make only horizontal or
-        // vertical movement. As a result, the path leading from one waypoint to the next needs to be
-        // either a horizontal or vertical line.
-        //
-        // To accomplish this, we compare the X and Y of each waypoint and ensure that one component is
-        // the same. If both are different, the points are connected via a diagonal line and the path is
-        // rejected.
+        // Make sure that the guard can get from each waypoint to the next. When this is the first point on
+        // the actual patrol route, the previous point is the spawn location, validating that the guard can
+        // get from the spawn location to the first patrol location.
         for (var i = 0 ; i < patrolPoints.length ; i++)
         {
-            // Compare this point with the point that comes before it in the patrol. When this is the
-            // first point on the actual patrol route, the previous point is the spawn location,
-            // validating that the guard can get from the spawn location to the first patrol location.
-            validatePath ((i == 0 ? startPoint.position : patrolPoints[i - 1].position),
-                          patrolPoints[i].position);
+            validatePath ((i == 0 ? startPoint.mapPosition : patrolPoints[i - 1].mapPosition),
+                          patrolPoints[i].mapPosition, this);
         }
 
         // If the patrol is supposed to loop, we need to validate that the last point on the patrol can
         // get to the first point the same way.
         if (this.properties.patrolLoop)
         {
-            validatePath (patrolPoints[patrolPoints.length - 1].position,
-                          patrolPoints[0].position);
+            validatePath (patrolPoints[patrolPoints.length - 1].mapPosition,
+                          patrolPoints[0].mapPosition, this);
         }
     };
 
+    /**
+     * Capture the current state of this entity so that it can be put back later via restoreState(). In
+     * addition to the base state, this also captures where the guard is in its patrol and its alert state.
+     *
+     * @returns {Object} an object that represents the current state of this entity
+     */
+    nurdz.sneak.GuardBase.prototype.saveState = function ()
+    {
+        var state = nurdz.sneak.Watcher.prototype.saveState.call (this);
+        state.patrolIndex = this.patrolIndex;
+        state.alertState = this.alertState;
+        state.alertTarget = (this.alertTarget != null) ? this.alertTarget.copy () : null;
+        state.alertTurns = this.alertTurns;
+        return state;
+    };
+
+    /**
+     * Restore the state of this entity to the state that was captured by a previous call to saveState().
+     *
+     * @param {Object} state the state object previously returned from saveState()
+     */
+    nurdz.sneak.GuardBase.prototype.restoreState = function (state)
+    {
+        nurdz.sneak.Watcher.prototype.restoreState.call (this, state);
+
+        // The next patrol point is just an alias for the waypoint at the patrol index, so there is no
+        // need to store it; put it back based on the index. The index is negative when we are not patrolling.
+        this.patrolIndex = state.patrolIndex;
+        this.nextPatrolPoint = (this.patrolPoints != null && this.patrolIndex >= 0)
+            ? this.patrolPoints[this.patrolIndex]
+            : null;
+
+        this.alertState = state.alertState;
+        this.alertTarget = (state.alertTarget != null) ? state.alertTarget.copy () : null;
+        this.alertTurns = state.alertTurns;
+    };
+
     /**
      * The size (in pixels) of border to apply on all edges of the cell that the guard is in when
      * rendering it.
@@ -382,13 +392,19 @@ nurdz.sneak.GuardBase = function (stage, x, y, properties)
     var MARGIN = Math.floor (nurdz.game.TILE_SIZE * 0.15);
 
     /**
-     * The number of rays that we cast when generating our vision cones for guards. The higher the value,
-     * the better the fidelity of the generated cone, but the higher the point count on the generated polygon.
+     * How guards in each of the alert states are displayed. For each state this gives the color that the
+     * vision cone is drawn in, the icon that is drawn above the guard (null for none), and the color of
+     * the icon.
      *
      * @const
-     * @type {Number}
+     * @type {Object.<String,{cone: String, icon: String|null, iconColor: String|null}>}
      */
-    var RAY_COUNT = 60;
+    var ALERT_DISPLAY = {};
+    ALERT_DISPLAY[nurdz.sneak.constants.GUARD_PATROL] =     {cone: "green", icon: null, iconColor: null};
+    ALERT_DISPLAY[nurdz.sneak.constants.GUARD_SUSPICIOUS] = {cone: "yellow", icon: "?", iconColor: "yellow"};
+    ALERT_DISPLAY[nurdz.sneak.constants.GUARD_CHASING] =    {cone: "red", icon: "!", iconColor: "red"};
+    ALERT_DISPLAY[nurdz.sneak.constants.GUARD_SEARCHING] =  {cone: "orange", icon: "?", iconColor: "orange"};
+    ALERT_DISPLAY[nurdz.sneak.constants.GUARD_RETURNING] =  {cone: "#4080FF", icon: null, iconColor: null};
 
     /**
      * Render this actor to the stage provided. The base class version renders a positioning box for this
@@ -401,391 +417,455 @@ nurdz.sneak.GuardBase = function (stage, x, y, properties)
         // Render the guard if its visible, otherwise, chain to the superclass version.
         if (this.properties.visible)
         {
-            this.startRendering (stage, this.properties.facing);
-            stage.fillRect (-(this.width / 2) + MARGIN, -(this.height / 2) + MARGIN,
-                            this.width - (2 * MARGIN), this.height - (2 * MARGIN),
-                            this.debugColor);
-            stage.setArrowStyle ("#000000");
-            stage.drawArrow (-(this.width / 2) + MARGIN, 0, (this.width / 2) - MARGIN, 0);
-            this.endRendering (stage);
-
-            // If there is a vision cone, render it now.
-            if (this.visionCone.length > 1)
+            // Render our sprite rotated to our facing, or a box with an arrow if there isn't one.
+            if (this.renderSprite (stage, 0, this.properties.facing) == false)
             {
-                stage.canvasContext.save();
-
-                // Set up drawing.
-                stage.canvasContext.fillStyle = "green";
-                stage.canvasContext.globalAlpha = 0.4;
+                this.startRendering (stage, this.properties.facing);
+                stage.fillRect (-(this.width / 2) + MARGIN, -(this.height / 2) + MARGIN,
+                                this.width - (2 * MARGIN), this.height - (2 * MARGIN),
+                                this.debugColor);
+                stage.setArrowStyle ("#000000");
+                stage.drawArrow (-(this.width / 2) + MARGIN, 0, (this.width / 2) - MARGIN, 0);
+                this.endRendering (stage);
+            }
 
-                // Draw the cone now. The path starts at the casting location.
-                stage.canvasContext.beginPath ();
-                stage.canvasContext.moveTo (this.visionCone[0].x, this.visionCone[0].y);
+            // How we display depends on our alert state.
+            var display = ALERT_DISPLAY[this.alertState];
 
-                // Now connect all of the points with a line
-                for (var i = 1 ; i < this.visionCone.length ; i++)
-                    this.stage.canvasContext.lineTo (this.visionCone[i].x, this.visionCone[i].y);
+            // Render our vision cone; its color shows our alert state.
+            this.renderVisionCone (stage, display.cone);
 
-                // Fill and restore the canvas context.
-                stage.canvasContext.fill ();
+            // If our alert state has an icon, display it centered just above us.
+            if (display.icon != null)
+            {
+                stage.canvasContext.save ();
+                stage.canvasContext.textAlign = "center";
+                stage.drawTxt (display.icon, this.position.x + (this.width / 2), this.position.y + MARGIN,
+                               display.iconColor);
                 stage.canvasContext.restore ();
             }
         }
         else
-            nurdz.sneak.ChronoEntity.prototype.render.call (this, stage);
+            nurdz.sneak.Watcher.prototype.render.call (this, stage);
     };
 
-    //noinspection JSUnusedLocalSymbols
     /**
-     * Entities are actors, which means tha they have an update and a render function. The update function
-     * in an entity is meant to do things like visually update its appearance. The step function is used
-     * to give the entity a "tick" to see if there is something that it wants to do. This might be
-     * initiate a chase, decide a door needs to close, etc.
+     * Change the alert state of this guard to the state provided, which is one of the GUARD_* values in
+     * nurdz.sneak.constants. Changing to the state the guard is already in does nothing.
      *
-     * The entity is given a reference to the level that contains it to assist in this.
+     * When the guard starts returning to its patrol, this selects the point that it is going to return to.
      *
-     * @param {nurdz.game.Level} level the level the entity is contained in
+     * @param {String} newState the new alert state
      */
-    nurdz.sneak.GuardBase.prototype.step = function (level)
+    nurdz.sneak.GuardBase.prototype.setAlertState = function (newState)
     {
-        // We don't have to do anything if we don't have a patrol point yet.
-        if (this.nextPatrolPoint == null)
+        if (newState == this.alertState)
             return;
 
-        // Duplicate the current position, then translate that position to take a step in the direction of
-        // the next waypoint on the patrol route. We also record what the map facing would be in the move
-        // were to go in that direction.
-        var movePos = this.mapPosition.copy ();
-        var moveFacing;
-        if (this.mapPosition.x == this.nextPatrolPoint.mapPosition.x)
+        this.publishEvent (nurdz.sneak.constants.EVENT_GUARD_ALERTED,
+                           {guard: this, previousState: this.alertState, state: newState});
+        this.alertState = newState;
+        this.alertTurns = 0;
+
+        switch (newState)
         {
-            moveFacing = (this.mapPosition.y > this.nextPatrolPoint.mapPosition.y) ? 270 : 90;
-            movePos.translateXY (0, moveFacing == 270 ? -1 : 1);
+            case nurdz.sneak.constants.GUARD_PATROL:
+                this.alertTarget = null;
+                break;
+
+            case nurdz.sneak.constants.GUARD_RETURNING:
+                this.alertTarget = this.selectReturnPoint ();
+                break;
         }
-        else
+    };
+
+    /**
+     * Select the point that this guard should go to in order to get back to its patrol, and return its
+     * map position.
+     *
+     * For a guard with a patrol, this is the waypoint on the patrol that is closest to where the guard
+     * currently is; the patrol is set up so that this is the next patrol point, allowing the patrol to
+     * carry on from there. A guard without a patrol returns to its spawn point.
+     *
+     * @returns {nurdz.game.Point} the map position to return to
+     */
+    nurdz.sneak.GuardBase.prototype.selectReturnPoint = function ()
+    {
+        if (this.patrolPoints == null)
+            return this.spawnEntity.mapPosition.copy ();
+
+        // Find the closest waypoint, measured in the number of steps needed to get there.
+        var closest = 0;
+        var closestDistance = Number.MAX_VALUE;
+        for (var i = 0 ; i < this.patrolPoints.length ; i++)
         {
-            moveFacing = (this.mapPosition.x > this.nextPatrolPoint.mapPosition.x) ? 180 : 0;
-            movePos.translateXY (moveFacing == 180 ? -1 : 1, 0);
+            var pos = this.patrolPoints[i].mapPosition;
+            var distance = Math.abs (pos.x - this.mapPosition.x) + Math.abs (pos.y - this.mapPosition.y);
+            if (distance < closestDistance)
+            {
+                closest = i;
+                closestDistance = distance;
+            }
         }
 
+        this.patrolIndex = closest;
+        this.nextPatrolPoint = this.patrolPoints[closest];
+        return this.nextPatrolPoint.mapPosition.copy ();
+    };
+
+    /**
+     * Determine if this guard has caught the entity provided. This is the case when the guard is chasing
+     * and the entity is on a tile that is directly next to the guard.
+     *
+     * @param {nurdz.game.Entity} entity the entity to check
+     * @returns {Boolean} true if the guard has caught the entity, false otherwise
+     */
+    nurdz.sneak.GuardBase.prototype.hasCaught = function (entity)
+    {
+        var distance = Math.abs (entity.mapPosition.x - this.mapPosition.x) +
+                       Math.abs (entity.mapPosition.y - this.mapPosition.y);
+
+        return this.alertState == nurdz.sneak.constants.GUARD_CHASING && distance <= 1;
+    };
+
+    /**
+     * Try to take a single step towards the map position provided, following the shortest path there
+     * that the level can find. If the direction of the first step on the path is not the way we're facing,
+     * we turn to face it instead of moving; turning takes a turn.
+     *
+     * Entities that block movement will stop us from moving, but we will try to trigger them in case that
+     * allows for passage (e.g. doors). Like all triggers, this takes effect on the next step.
+     *
+     * @param {nurdz.game.Level} level the level the guard is contained in
+     * @param {nurdz.game.Point} target the map position to move towards
+     * @returns {Boolean} false if there is no path to the target, true otherwise
+     * @see nurdz.game.Level.findPath
+     */
+    nurdz.sneak.GuardBase.prototype.stepTowards = function (level, target)
+    {
+        // Find the path; if there isn't one we can't move, and if it's empty we're already there.
+        var path = level.findPath (this.mapPosition, target, this);
+        if (path == null)
+            return false;
+        if (path.length == 0)
+            return true;
+
+        // Determine the facing that we need in order to take the first step on the path.
+        var movePos = path[0];
+        var moveFacing;
+        if (movePos.x == this.mapPosition.x)
+            moveFacing = (movePos.y < this.mapPosition.y) ? 270 : 90;
+        else
+            moveFacing = (movePos.x < this.mapPosition.x) ? 180 : 0;
+
         // If the direction that we would have to move in is not the direction that we're facing, we just
         // need to change our facing and leave; turning takes a turn.
         if (moveFacing != this.properties.facing)
         {
             this.setFacing (this.calculateTurnFacing (moveFacing));
-            return;
-        }
-
-        // Get the tile at the position the move would take us to.
-        var dTile = level.tileAt (movePos);
-
-        // If we did not find a tile or we did but it blocks movement, that's bad for us and we can't move.
-        if (dTile == null || dTile.blocksActorMovement ())
-        {
-            console.log ("Halting patrol; move is blocked by map geometry or is out of world");
-            this.nextPatrolPoint = null;
-            this.patrolIndex = -2;
-            return;
+            return true;
         }
 
-        // There is not a world block. Check to see if there are any entities that block movement on the
-        // target square. Note that we know that the entities will never be null because if the location
-        // was invalid, the movement test would have blocked the move already.
+        // Paths don't go through the world, but they can go through entities that block movement. Check
+        // to see if there are any on the target square. Note that we know that the entities will never be
+        // null because paths never leave the world.
         var entities = level.entitiesAtMapPosition (movePos);
         if (entities.length > 0)
         {
-            // TODO Opening of doors should be deferred
-            // Specifically, instead of immediately invoking trigger right now on the door, the movement
-            // should be blocked right now but the attempt to trigger the door should be registered with a
-            // global action queue, so that the door opens the turn after the turn that the guard triggers it.
-            //
-            // In fact, all such triggers everywhere should work this way, with all triggers going to a
-            // queue to be invoked at the start of the next step. This should also include actions like
-            // moving. This is important for the ability to scroll time back and forth. So it doesn't need
-            // to be implemented right away.
-
             // There is at least one entity in the position that we want to move to. Using the filter
             // method, check to see which ones block actor movement, and only keep the entities that block
             // movement.
             //
             // In the filter, if we find any entities that block us but which we think we can trigger so
-            // that they don't, we try to trigger them and then check again to see if they still block.
+            // that they don't, we ask the level to trigger them. Triggers are deferred until the start of
+            // the next step, so the entity still blocks us for now; the door opens on the next turn and we
+            // can try the move again then.
             entities = entities.filter (function (entity)
                                         {
                                             // Does this entity block movement by actors?
                                             if (entity.blocksActorMovement ())
                                             {
-                                                // Doors can be triggered to open, so try to open the door
-                                                // and then  check again.
+                                                // Doors can be triggered to open, so try to open the door.
                                                 if (entity instanceof nurdz.sneak.Door)
-                                                {
-                                                    entity.trigger (this);
-                                                    return entity.blocksActorMovement ();
-                                                }
+                                                    level.queueTrigger (entity, this);
 
                                                 return true;
                                             }
 
                                             return false;
-                                        });
+                                        }, this);
 
             // If the number of entities in the array is not 0, the movement is currently blocked because
             // something is in the way. In that case, just leave and maybe the situation will resolve.
             if (entities.length != 0)
-            {
-                console.log ("Patrol blocked by one or more entities; skipping this step");
-                return;
-            }
+                return true;
         }
 
-        // The move must be valid, so move to the new position.
-        this.setMapPosition (movePos);
+        // The move must be valid, so ask the level to move us to the new position. This happens at the
+        // start of the next step, at which point the level checks again that the move is not blocked.
+        level.queueMove (this, movePos);
+        return true;
+    };
 
-        // If our current position is the position of the patrol point, it is time to move on to the next
-        // point now.
-        if (this.mapPosition.equals (this.nextPatrolPoint.mapPosition))
-            this.selectNextPatrolWaypoint ();
+    //noinspection JSUnusedLocalSymbols
+    /**
+     * Entities are actors, which means tha they have an update and a render function. The update function
+     * in an entity is meant to do things like visually update its appearance. The step function is used
+     * to give the entity a "tick" to see if there is something that it wants to do. This might be
+     * initiate a chase, decide a door needs to close, etc.
+     *
+     * The entity is given a reference to the level that contains it to assist in this.
+     *
+     * What the guard does depends on its current alert state.
+     *
+     * @param {nurdz.game.Level} level the level the entity is contained in
+     */
+    nurdz.sneak.GuardBase.prototype.step = function (level)
+    {
+        switch (this.alertState)
+        {
+            case nurdz.sneak.constants.GUARD_PATROL:
+                this.stepPatrol (level);
+                break;
+
+            case nurdz.sneak.constants.GUARD_SUSPICIOUS:
+            case nurdz.sneak.constants.GUARD_CHASING:
+                this.stepInvestigate (level);
+                break;
+
+            case nurdz.sneak.constants.GUARD_SEARCHING:
+                this.stepSearch (level);
+                break;
+
+            case nurdz.sneak.constants.GUARD_RETURNING:
+                this.stepReturn (level);
+                break;
+        }
     };
 
     /**
-     * When invoked, this calculates what the vision cone of this guard should be based on its current
-     * location, facing, and vision FOV.
+     * Take a step while patrolling, which moves the guard one step closer to the next point on its patrol.
+     *
+     * @param {nurdz.game.Level} level the level the entity is contained in
      */
-    nurdz.sneak.GuardBase.prototype.calculateVisionCone = function ()
+    nurdz.sneak.GuardBase.prototype.stepPatrol = function (level)
     {
-        // Fetch the level that the guard is in. If we don't know what this is, then we have to leave;
-        // without the level we can't see where our raycasting should stop.
-        //
-        // This happens when our position gets set but the scene that we're in is not the current scene.
-        var level = this.stage.currentScene ().level;
-        if (level == null)
-            return;
+        // Our moves are deferred until the start of the step after the one in which we decided to make
+        // them, so this is the first chance we get to notice that the last move took us to the patrol
+        // point we were heading for. If it did, it is time to move on to the next point now.
+        if (this.nextPatrolPoint != null && this.mapPosition.equals (this.nextPatrolPoint.mapPosition))
+            this.selectNextPatrolWaypoint ();
 
-        // Calculate the eye position of the guard. We make a copy of the position of ourselves and translate
-        // it so that it is in the center of the tile that we're standing on. We then determine the point 1/4
-        // of the size of a tile ahead of us, which puts the eye position half way between the center of the
-        // tile and the edge of the tile itself.
-        var eyePosition = this.position.copyTranslatedXY (TILE_SIZE / 2, TILE_SIZE / 2);
-        eyePosition = eyePosition.pointAtAngle (this.properties.facing, TILE_SIZE / 4);
+        // We don't have to do anything if we don't have a patrol point yet.
+        if (this.nextPatrolPoint == null)
+            return;
 
-        // Make a copy of the FOV and split it in half, since we sweep from the left hand side of the cone
-        // to the right.
-        var FOV = this.properties.fov / 2;
+        // Take a step towards the patrol point. If there's no longer any way to get there, that's bad for
+        // us and the patrol is over.
+        if (this.stepTowards (level, this.nextPatrolPoint.mapPosition) == false)
+        {
+            this.publishEvent (nurdz.sneak.constants.EVENT_GUARD_STUCK,
+                               {guard: this, target: this.nextPatrolPoint.mapPosition});
+            this.nextPatrolPoint = null;
+            this.patrolIndex = -2;
+        }
+    };
 
-        // Calculate how many degrees each ray needs to be in order to get a full set of rays cast.
-        var sweepAngle = this.properties.fov / RAY_COUNT;
+    /**
+     * Take a step while suspicious or chasing, which moves the guard one step closer to where the player
+     * was last seen. Once the guard gets there (or gives up trying), it starts searching.
+     *
+     * @param {nurdz.game.Level} level the level the entity is contained in
+     */
+    nurdz.sneak.GuardBase.prototype.stepInvestigate = function (level)
+    {
+        this.alertTurns++;
+        if (this.mapPosition.equals (this.alertTarget) ||
+            this.alertTurns > this.properties.investigateTurns ||
+            this.stepTowards (level, this.alertTarget) == false)
+        {
+            this.setAlertState (nurdz.sneak.constants.GUARD_SEARCHING);
+            this.stepSearch (level);
+        }
+    };
 
-        // Reset the vision cone array.
-        this.visionCone = [eyePosition];
+    /**
+     * Take a step while searching, which turns the guard to look in a new direction. Once the guard has
+     * searched for long enough, it returns to its patrol.
+     *
+     * @param {nurdz.game.Level} level the level the entity is contained in
+     */
+    nurdz.sneak.GuardBase.prototype.stepSearch = function (level)
+    {
+        this.alertTurns++;
+        if (this.alertTurns > this.properties.searchTurns)
+        {
+            this.setAlertState (nurdz.sneak.constants.GUARD_RETURNING);
+            this.stepReturn (level);
+            return;
+        }
 
-        // We cast in a sweep. The start of the cone is to the left of the viewing angle and is half of
-        // the total view, following all the way to the right over the range of the whole FOV.
-        for (var angle = this.properties.facing - FOV ; angle <= this.properties.facing + FOV ; angle += sweepAngle)
-            this.castRay (level, eyePosition.x, eyePosition.y, this.normalizeAngle (angle));
+        // Look around by turning in the direction of our handedness.
+        this.setFacing (this.normalizeFacingAngle (this.properties.facing +
+                                                   (this.properties.handedness !== false ? 90 : -90)));
     };
 
     /**
-     * Calculate the ray information for the provided ray angle, which is expressed in degrees. The ray is
-     * cast from the current casting position.
+     * Take a step while returning to the patrol, which moves the guard one step closer to the point that
+     * it is returning to. Once the guard gets there, it goes back to patrolling.
      *
-     * @param {nurdz.game.Level} level the level that the guard is in, for determining geometry
-     * @param {Number} x the X coordinate (world space not map space) to start the ray from
-     * @param {Number} y the Y coordinate (world space not map space) to start the ray from
-     * @param {Number} rayAngle the angle (in degrees) to cast for.
+     * @param {nurdz.game.Level} level the level the entity is contained in
      */
-    nurdz.sneak.GuardBase.prototype.castRay = function (level, x, y, rayAngle)
+    nurdz.sneak.GuardBase.prototype.stepReturn = function (level)
     {
-        // Convert the incoming angle to radians and then perform a tangent call on it. Tangent is
-        // infinite at the vertical asymptotes of 90 and 270 degrees.
-        var tanAngle = Math.tan (toRadians (rayAngle));
-
-        // These values are the X and Y intersections of the rays that we are casting. Each set of
-        // intersections is a point on the grid that the trace is colliding with.
-        var xHorzIntersect, yHorzIntersect;
-        var xVertIntersect, yVertIntersect;
-
-        // The calculated distances from the casting location to the horizontal and vertical intersections.
-        var horizontalDistance, verticalDistance;
-
-        // After we get our initial intersection points, we know that the distance to the next intersections
-        // always have the same values. One of the two values here is always TILE_SIZE (or -TILE_SIZE) and
-        // the other is easily calculated by knowing the angle and that the other side is TILE_SIZE.
-        var xIncrement, yIncrement;
-
-        //// Store the initial point to start with. This is where the trace begins.
-        //this.debugPoint(this.castPos.x, this.castPos.y);
-
-        // The first thing that we do is find horizontal intersections. However, if the angle is exactly 0
-        // or 180, there can be no intersections with horizontal lines because the ray is parallel to the
-        // grid in the horizontal direction.
-        if (rayAngle != 0 && rayAngle != 180)
+        if (this.mapPosition.equals (this.alertTarget))
         {
-            // STEP 1: First Horizontal Intersection
-            //
-            // Determine the location of the first intersection with this ray and a horizontal line. We know
-            // that every intersection with this ray and a horizontal line is going to fall where the Y value
-            // is an even multiple of the tile size, because rays can only intersect tiles.
-            //
-            // Based on the direction that the ray is going, select the nearest Y value either above or below
-            // the current casting position.
-            if (rayAngle > 180)
-                yHorzIntersect = Math.floor (y / TILE_SIZE) * TILE_SIZE;
-            else
-                yHorzIntersect = Math.floor (y / TILE_SIZE) * TILE_SIZE + TILE_SIZE;
-
-            // Using the point-slope version of the line equation, determine where the X point on this
-            // intersection is. This equation is:
-            //     (y2 - y1) / (x2 - x1) = m
-            //
-            // This is essentially the slope formula. In order to solve this equation you need two points and
-            // the slope of the line. As it happens, we have one point (the casting position), one piece of
-            // the other point (the Y intersect) and the slope of the line, which is just the tangent of the
-            // line, since the slope is (y/x) and the tangent is opposite/adjacent or (y/x).
-            //
-            // Note however that our view angles are reversed and so when we calculate the tangent we need to
-            // reflect the slope in order to get the correct value.
-            xHorzIntersect = x + (y - yHorzIntersect) / tanAngle * -1;
+            this.setAlertState (nurdz.sneak.constants.GUARD_PATROL);
+            this.stepPatrol (level);
+            return;
+        }
 
-            // STEP 2: Determine the X and Y increment to the next intersection.
-            //
-            // The ray that we are casting is the hypotenuse of a right triangle. By breaking this down into a
-            // series of stacked (and offset) smaller right triangles, we see that each such sub triangle has
-            // the same height, which is the height of a tile. Since the tangent of the angle is equal to the
-            // opposite (y) over the adjacent (x), we can determine what X increment we need to go with that Y
-            // increment.
-            //
-            // Start with the Y increment, which is either going to increase or decrease depending on the
-            // direction the ray is going.
-            if (rayAngle > 180)
-                yIncrement = -TILE_SIZE;
-            else
-                yIncrement = TILE_SIZE;
-
-            // Now the X increment. Using the formula for tangent, get the adjacent (x) side of a triangle
-            // with an opposite side and angle that we know of. Since the tangent of the angle depends on the
-            // quadrant, we need to reflect the tangent by -1 if we're facing downward in order to get the
-            // correct sign.
-            //
-            // Additionally, the tangent is an asymptote at angles of 90 or 270 because the line is purely
-            // vertical. In those cases the X increment is 0 for obvious reasons.
-            if (rayAngle == 90 || rayAngle == 270)
-                xIncrement = 0;
-            else
-                xIncrement = TILE_SIZE / tanAngle * (rayAngle >= 180 ? -1 : 1);
-
-            // Now we know the position of the first horizontal intersection and the amount to add to that
-            // intersection in order to get to the next one. Keep looping, checking intersections until we hit
-            // something that stops the ray or hit the edge of the screen.
-            while (1)
-            {
-                // Check to see if the map is blocked or not. Note that the coordinates that we get need
-                // to be rounded down to a multiple of the tile size. If the ray is going upwards (the Y
-                // increment is negative) we need to subtract one from the value because it's actually the
-                // cell above that we want to check.
-                if (level.isBlockedAtXY (Math.floor (xHorzIntersect / TILE_SIZE),
-                                         Math.floor (yHorzIntersect / TILE_SIZE) + (yIncrement < 0 ? -1 : 0)))
-                    break;
-
-                // Stop if this point is out of bounds.
-                if (xHorzIntersect <= 0 || yHorzIntersect <= 0 || xHorzIntersect >= this.stage.width || yHorzIntersect >= this.stage.height)
-                    break;
-
-                // Find the next point.
-                xHorzIntersect += xIncrement;
-                yHorzIntersect += yIncrement;
-            }
+        if (this.stepTowards (level, this.alertTarget) == false)
+            this.publishEvent (nurdz.sneak.constants.EVENT_GUARD_STUCK,
+                               {guard: this, target: this.alertTarget});
+    };
 
-            // Calculate the horizontal distance now
-            horizontalDistance = Math.pow (xHorzIntersect - x, 2) + Math.pow (yHorzIntersect - y, 2);
-        }
+    /**
+     * Turn one step towards the map position provided, so that we end up facing in the direction that it
+     * is mostly in. This does nothing if we're already there.
+     *
+     * @param {nurdz.game.Point} target the map position to turn towards
+     */
+    nurdz.sneak.GuardBase.prototype.turnTowards = function (target)
+    {
+        var dx = target.x - this.mapPosition.x;
+        var dy = target.y - this.mapPosition.y;
+        if (dx == 0 && dy == 0)
+            return;
 
-        // We're not casting in this direction, so make the distance to the horizontal intersection
-        // arbitrarily large.
+        if (Math.abs (dx) >= Math.abs (dy))
+            this.setFacing (this.calculateTurnFacing (dx > 0 ? 0 : 180));
         else
-            horizontalDistance = Number.MAX_VALUE;
+            this.setFacing (this.calculateTurnFacing (dy > 0 ? 90 : 270));
+    };
 
-        // Now we do vertical intersections. Like the horizontal intersections above, we can't find
-        // intersections with vertical grid points if the angle is 90 or 279 because in those cases the
-        // ray is parallel to them.
-        if (rayAngle != 90 && rayAngle != 270)
+    /**
+     * Find the noise made this turn that is the loudest where this guard is standing. Noises made by
+     * guards are ignored, since guards know what other guards sound like.
+     *
+     * @param {nurdz.sneak.SneakLevel} level the level the entity is contained in
+     * @returns {Object|null} the loudest noise that the guard can hear, or null if it can't hear any
+     * @see nurdz.sneak.SneakLevel.makeNoise
+     */
+    nurdz.sneak.GuardBase.prototype.loudestNoise = function (level)
+    {
+        var loudest = null;
+        var loudestLoudness = -1;
+
+        for (var i = 0 ; i < level.noises.length ; i++)
         {
-            // STEP 3: First Vertical Intersection
-            //
-            // This uses the same principles as above, but now we are solving for the Y instead of the X. The
-            // constants are still the same because our tiles are square.
-            //
-            // Here we need the X intersect to be on the right hand side if we're moving to the right or on
-            // the left if we are moving left.
-            if (rayAngle >= 270 || rayAngle < 90)
-                xVertIntersect = Math.floor (x / TILE_SIZE) * TILE_SIZE + TILE_SIZE;
-            else
-                xVertIntersect = Math.floor(x / TILE_SIZE) * TILE_SIZE;
-
-            // Now calculate the Y intersect. Notice that in this formula the slope (tangent) is multiplied
-            // instead of being divided. Work the algebra on the point-slope form of the line to see why this
-            // is so.
-            yVertIntersect = y + (x - xVertIntersect) * tanAngle * -1;
-
-            // Now as above, calculate the X and Y increment values. Here the formula is slightly flipped,
-            // since the X portion is constant instead of the Y portion./
-            if (rayAngle >= 270 || rayAngle < 90)
-                xIncrement = TILE_SIZE;
-            else
-                xIncrement = -TILE_SIZE;
-
-            // Now we multiply the tangent instead of dividing it. If the angle is 0 or 180 we set the
-            // yIncrement to be 0 because in these cases the line is horizontal. This is not really
-            // needed, but just to make the numbers for the intersections be correct, this is what we do.
-            //
-            // Without this, they will be almost but not quite 0 due to how PI is an irrational number.
-            // This is DOUBLE redundant because when the angle is 0, the math actually works out, but this
-            // is clearer.
-            if (rayAngle == 0 || rayAngle == 180)
-                yIncrement = 0;
-            else
-                yIncrement = TILE_SIZE * tanAngle * (rayAngle >= 270 || rayAngle < 90 ? 1 : -1);
-
-            while (1)
+            var noise = level.noises[i];
+            if (noise.source instanceof nurdz.sneak.GuardBase)
+                continue;
+
+            var loudness = level.noiseLoudnessAt (noise, this.mapPosition);
+            if (loudness > loudestLoudness)
             {
-                // Check to see if the map is blocked or not. Note that the coordinates that we get need
-                // to be rounded down to a multiple of the tile size. If the ray is going left (the X
-                // increment is negative) we need to subtract one from the value because it's actually the
-                // cell to the left that we want to check.
-                if (level.isBlockedAtXY (Math.floor (xVertIntersect / TILE_SIZE) + (xIncrement < 0 ? -1 : 0),
-                                         Math.floor (yVertIntersect / TILE_SIZE)))
-                    break;
-
-                // Stop if this point is out of bounds.
-                if (xVertIntersect <= 0 || yVertIntersect <= 0 || xVertIntersect >= this.stage.width || yVertIntersect >= this.stage.height)
-                    break;
-
-                // Find the next point.
-                xVertIntersect += xIncrement;
-                yVertIntersect += yIncrement;
+                loudest = noise;
+                loudestLoudness = loudness;
             }
-
-            // Calculate the vertical distance now
-            verticalDistance = Math.pow(xVertIntersect - x, 2) + Math.pow (yVertIntersect - y, 2);
         }
 
-        // We're not casting in this direction, so make the distance to the vertical intersection
-        // arbitrarily large.
-        else
-            verticalDistance = Number.MAX_VALUE;
+        return loudest;
+    };
 
-        // Choose the point that was closest.
-        // If the horizontal distance is smaller and the vertical distance actually exists, the horizontal
-        // intersection is closer.
-        if (horizontalDistance < verticalDistance)
+    /**
+     * Unless the guard is already chasing the player, this turns the guard towards the map position
+     * provided and makes it suspicious, so that it goes there to investigate.
+     *
+     * @param {nurdz.game.Point} position the map position to investigate
+     */
+    nurdz.sneak.GuardBase.prototype.investigate = function (position)
+    {
+        if (this.alertState == nurdz.sneak.constants.GUARD_CHASING)
+            return;
+
+        this.setAlertState (nurdz.sneak.constants.GUARD_SUSPICIOUS);
+        this.alertTarget = position.copy ();
+        this.alertTurns = 0;
+        this.turnTowards (position);
+    };
+
+    /**
+     * Invoked when the guard hears a noise without seeing the player. The guard investigates where the
+     * noise came from.
+     *
+     * @param {Object} noise the noise that was heard
+     * @see nurdz.sneak.GuardBase.loudestNoise
+     * @see nurdz.sneak.GuardBase.investigate
+     */
+    nurdz.sneak.GuardBase.prototype.hearNoise = function (noise)
+    {
+        this.investigate (noise.position);
+    };
+
+    //noinspection JSUnusedGlobalSymbols
+    /**
+     * This method is invoked whenever this entity gets triggered by another entity. This can happen
+     * programmatically or in response to interactions with other entities, which does not include
+     * collision (see triggerTouch() for that).
+     *
+     * Guards treat being triggered as an alarm, and go to investigate whatever the trigger is about (e.g.
+     * where a security camera saw the player). Triggers without an activator are ignored.
+     *
+     * @param {nurdz.game.Actor|null} activator the actor that triggered this entity, or null if unknown
+     * @see nurdz.game.Entity.triggerTouch
+     */
+    nurdz.sneak.GuardBase.prototype.trigger = function (activator)
+    {
+        if (activator instanceof nurdz.sneak.ChronoEntity)
+            this.investigate (activator.triggerPosition ());
+        else if (activator != null)
+            this.investigate (activator.mapPosition);
+    };
+
+    /**
+     * This is invoked at the end of every turn, and is where the guard looks for the player. Depending on
+     * the current alert state of the guard, seeing the player makes the guard suspicious or makes it
+     * start chasing them; either way, the guard remembers where the player was seen.
+     *
+     * When the guard can't see the player, it listens for noises instead.
+     *
+     * @param {nurdz.game.Level} level the level the entity is contained in
+     */
+    nurdz.sneak.GuardBase.prototype.observe = function (level)
+    {
+        if (this.lookForPlayers (level) == null)
         {
-            this.visionCone.push (new nurdz.game.Point (xHorzIntersect, yHorzIntersect));
-            //this.debugPoint(xHorzIntersect, yHorzIntersect);
+            var noise = this.loudestNoise (level);
+            if (noise != null)
+                this.hearNoise (noise);
+            return;
         }
-        else
+
+        switch (this.alertState)
         {
-            this.visionCone.push (new nurdz.game.Point (xVertIntersect, yVertIntersect));
-            //this.debugPoint(xVertIntersect, yVertIntersect);
+            case nurdz.sneak.constants.GUARD_PATROL:
+            case nurdz.sneak.constants.GUARD_RETURNING:
+                this.setAlertState (this.properties.chaseOnSight
+                                        ? nurdz.sneak.constants.GUARD_CHASING
+                                        : nurdz.sneak.constants.GUARD_SUSPICIOUS);
+                break;
+
+            case nurdz.sneak.constants.GUARD_SUSPICIOUS:
+            case nurdz.sneak.constants.GUARD_SEARCHING:
+                this.setAlertState (nurdz.sneak.constants.GUARD_CHASING);
+                break;
         }
+
+        // Remember where we saw the player; the count of turns since we last saw them starts over.
+        this.alertTarget = this.spottedEntity.mapPosition.copy ();
+        this.alertTurns = 0;
     };
 
     /**
@@ -802,3 +882,6 @@ nurdz.sneak.GuardBase = function (stage, x, y, properties)
                               this.properties.patrolLoop);
     };
 } ());
+
+// Register this entity so that it can be created from level data.
+nurdz.sneak.entityRegistry.register ("GuardBase", nurdz.sneak.GuardBase, ["Guard"]);
@@ -3,9 +3,7 @@
  * happen by either stepping onto the goal or also by otherwise triggering it, such as with a button or
  * console.
  *
- * This entity supports the following properties:
- *    - 'winLevel': true or false (default: true)
- *       - Controls whether the trigger causes a level win or failure
+ * The properties that this entity supports are declared in its propertySchema.
  *
  * @param {nurdz.game.Stage} stage the stage that will manage this entity
  * @param {Number} x the X coordinate of the entity, in map coordinates
@@ -17,11 +15,6 @@ nurdz.sneak.LevelGoal = function (stage, x, y, properties)
 {
     "use strict";
 
-    // By default, triggering a level goal wins the level.
-    this.defaultProperties = {
-        winLevel: true
-    };
-
     // Call the super class constructor.
     nurdz.sneak.ChronoEntity.call (this, "LevelGoal", stage, x, y, properties, 1, 'yellow');
 };
@@ -43,18 +36,18 @@ nurdz.sneak.LevelGoal = function (stage, x, y, properties)
     });
 
     /**
-     * This is automatically invoked at the end of the constructor to validate that the properties object
-     * that we have is valid as far as we can tell (i.e. needed properties exist and have a sensible value).
+     * The schema for the properties that this entity supports, in addition to the ones that it inherits
+     * from nurdz.sneak.ChronoEntity.
      *
-     * This validates that
+     * @type {Object.<String,Object>}
+     * @see nurdz.sneak.ChronoEntity.propertySchema
      */
-    nurdz.sneak.LevelGoal.prototype.validateProperties = function ()
-    {
-        // A property that indicates if this causes a level success or failure
-        this.isPropertyValid ("winLevel", "boolean", true);
-
-        // Chain to the super to check properties it might have inserted or know about.
-        nurdz.sneak.ChronoEntity.prototype.validateProperties.call (this);
+    nurdz.sneak.LevelGoal.prototype.propertySchema = {
+        winLevel: {
+            type:        "boolean",
+            default:     true,
+            description: "Whether reaching the goal wins or fails the level."
+        }
     };
 
     /**
@@ -68,6 +61,18 @@ nurdz.sneak.LevelGoal = function (stage, x, y, properties)
         return false;
     };
 
+    /**
+     * Query whether or not this entity is allowed to be placed in a tile that blocks movement (i.e. a
+     * wall) in the level data.
+     *
+     * @returns {Boolean} true if this entity can be placed in a wall, or false otherwise
+     */
+    nurdz.sneak.LevelGoal.prototype.allowedInWall = function ()
+    {
+        // A goal in a wall can still be triggered by another entity.
+        return true;
+    };
+
     /**
      * Render this actor to the stage provided. The base class version renders a positioning box for this
      * actor using its position and size, using the debug color provided in the constructor.
@@ -76,9 +81,13 @@ nurdz.sneak.LevelGoal = function (stage, x, y, properties)
      */
     nurdz.sneak.LevelGoal.prototype.render = function (stage)
     {
-        // If the entity is visible, draw a target. Otherwise, chain to the superclass version.
+        // If the entity is visible, draw our sprite, or a target if there isn't one. Otherwise, chain to the
+        // superclass version.
         if (this.properties.visible)
         {
+            if (this.renderSprite (stage, 0))
+                return;
+
             // This is redundant, but it turns out that for our purposes here, I don't care. It renders a
             // target as three circles when it could conceivably use only two with a hole in the center of the
             // second one or some such. Life is too short.
@@ -97,14 +106,20 @@ nurdz.sneak.LevelGoal = function (stage, x, y, properties)
      * This method gets invoked by the other trigger functions and abstracts what actually happens when
      * this entity gets triggered, since the circumstances of who can trigger us is different depending on
      * how it happens.
+     *
+     * This tells the game scene that the level is over once this turn is complete, and whether it was won
+     * or lost.
+     *
      * @param {nurdz.game.Actor|null} activator the actor that triggered this entity, or null if unknown
+     * @see nurdz.sneak.GameScene.queueEndLevel
      */
     nurdz.sneak.LevelGoal.prototype.handleTrigger = function (activator)
     {
-        if (this.properties.winLevel)
-            console.log ("You have completed the level successfully!");
+        var scene = this.stage.currentScene ();
+        if (scene instanceof nurdz.sneak.GameScene)
+            scene.queueEndLevel (this.properties.winLevel);
         else
-            console.log ("You lose!");
+            console.log ("Level goal triggered outside of the game scene; ignoring");
     };
 
     /**
@@ -154,3 +169,6 @@ nurdz.sneak.LevelGoal = function (stage, x, y, properties)
                               this.properties.winLevel);
     };
 } ());
+
+// Register this entity so that it can be created from level data.
+nurdz.sneak.entityRegistry.register ("LevelGoal", nurdz.sneak.LevelGoal, ["Goal"]);
@@ -0,0 +1,145 @@
+/**
+ * This entity is a light source. A level that contains any lights is dark everywhere except where they
+ * shine, which makes it harder for guards to see the player; a level without any lights is lit everywhere.
+ *
+ * A light shines on every map location within its radius that it has a clear line of sight to, and is
+ * brightest closest to itself. Every time the light is triggered (e.g. by a button), it switches on or off.
+ *
+ * The properties that this entity supports are declared in its propertySchema.
+ *
+ * @param {nurdz.game.Stage} stage the stage that will manage this entity
+ * @param {Number} x the X coordinate of the entity, in map coordinates
+ * @param {Number} y the Y coordinate of the entity, in map coordinates
+ * @param {Object|null} [properties={}] the properties specific to this entity, or null for none
+ * @see nurdz.sneak.SneakLevel.calculateLightMap
+ * @constructor
+ */
+nurdz.sneak.Light = function (stage, x, y, properties)
+{
+    "use strict";
+
+    // Call the super class constructor.
+    nurdz.sneak.ChronoEntity.call (this, "Light", stage, x, y, properties, 1, '#FFE040');
+};
+
+// Now define the various member functions and any static stage.
+(function ()
+{
+    "use strict";
+
+    // Now set our prototype to be an instance of our super class, making sure that the prototype knows to
+    // use the correct constructor function.
+    nurdz.sneak.Light.prototype = Object.create (nurdz.sneak.ChronoEntity.prototype, {
+        constructor: {
+            configurable: true,
+            enumerable:   true,
+            writable:     true,
+            value:        nurdz.sneak.Light
+        }
+    });
+
+    /**
+     * The schema for the properties that this entity supports, in addition to the ones that it inherits
+     * from nurdz.sneak.ChronoEntity.
+     *
+     * @type {Object.<String,Object>}
+     * @see nurdz.sneak.ChronoEntity.propertySchema
+     */
+    nurdz.sneak.Light.prototype.propertySchema = {
+        on:     {
+            type:        "boolean",
+            default:     true,
+            description: "Whether the light is on or off. Toggles on trigger."
+        },
+        radius: {
+            type:        "number",
+            default:     4,
+            description: "The distance (in tiles) that the light shines."
+        }
+    };
+
+    /**
+     * Query whether or not this entity blocks movement of actors or not.
+     *
+     * @returns {Boolean} true if actor movement is blocked by this tile, or false otherwise
+     */
+    nurdz.sneak.Light.prototype.blocksActorMovement = function ()
+    {
+        // Lights hang from the ceiling, so everything can pass under them.
+        return false;
+    };
+
+    /**
+     * Determine how brightly this light shines on a map location that is the distance provided away from
+     * it, assuming that it has a clear line of sight to that location.
+     *
+     * @param {Number} distance the distance (in tiles) from the light to the map location
+     * @returns {Number} the brightness, from 0 (dark) to 1 (fully lit)
+     */
+    nurdz.sneak.Light.prototype.brightnessAt = function (distance)
+    {
+        if (this.properties.on == false || distance > this.properties.radius)
+            return 0;
+
+        return 1 - (distance / (this.properties.radius + 1));
+    };
+
+    /**
+     * Render this actor to the stage provided. The base class version renders a positioning box for this
+     * actor using its position and size, using the debug color provided in the constructor.
+     *
+     * @param {nurdz.game.Stage} stage the stage to render to
+     */
+    nurdz.sneak.Light.prototype.render = function (stage)
+    {
+        // If the entity is visible, draw our sprite, or a bulb if there isn't one. Otherwise, chain to the
+        // superclass version.
+        if (this.properties.visible)
+        {
+            if (this.renderSprite (stage, this.properties.on ? 0 : 1))
+                return;
+
+            this.startRendering (stage);
+            stage.fillCircle (0, 0, Math.floor (this.width * 0.25), 'black');
+            stage.fillCircle (0, 0, Math.floor (this.width * 0.20), this.properties.on ? this.debugColor : '#606060');
+            this.endRendering (stage);
+        }
+        else
+            nurdz.sneak.ChronoEntity.prototype.render.call (this, stage);
+    };
+
+    //noinspection JSUnusedGlobalSymbols,JSUnusedLocalSymbols
+    /**
+     * This method is invoked whenever this entity gets triggered by another entity. This can happen
+     * programmatically or in response to interactions with other entities, which does not include
+     * collision (see triggerTouch() for that).
+     *
+     * The method gets passed the Actor that caused the trigger to happen, although this can be null
+     * depending on how the trigger happened.
+     *
+     * @param {nurdz.game.Actor|null} activator the actor that triggered this entity, or null if unknown
+     * @see nurdz.game.Entity.triggerTouch
+     */
+    nurdz.sneak.Light.prototype.trigger = function (activator)
+    {
+        // Switch on or off.
+        this.properties.on = !this.properties.on;
+    };
+
+    /**
+     * Return a string representation of the object, for debugging purposes.
+     *
+     * @returns {String}
+     */
+    nurdz.sneak.Light.prototype.toString = function ()
+    {
+        return String.format ("[Light id='{0}' pos={1} on={2} radius={3}]",
+                              this.properties.id,
+                              this.mapPosition.toString(),
+                              this.properties.on,
+                              this.properties.radius);
+    };
+} ());
+
+// Register this entity so that it can be created from level data.
+nurdz.sneak.entityRegistry.register ("Light", nurdz.sneak.Light);
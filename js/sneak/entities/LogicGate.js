@@ -0,0 +1,378 @@
+/**
+ * This entity is an invisible relay that sits in the middle of a trigger network, so that entities can be
+ * triggered based on a combination of other triggers instead of just a single one; for example, a door
+ * that only opens when two buttons have both been pressed, or some number of turns after a switch is
+ * thrown.
+ *
+ * The entities that have this gate in their 'trigger' property are its inputs. Inputs that are either on
+ * or off (see ChronoEntity.triggerState(), e.g. a button is on while it is pressed) are on whenever their
+ * entity is; the gate keeps track of its other inputs itself, and every time one of those triggers the
+ * gate, that input switches on or off. What the gate does with its inputs depends on its type:
+ *    - "and", "or", "xor", "not": The gate has an output that is on when all of its inputs are on, any of
+ *      them are on, an odd number of them are on, or none of them are on, respectively. Every time the
+ *      output changes, the gate triggers all of its linked entities. Since triggering a door toggles it,
+ *      a door linked to a gate opens and closes as the output of the gate changes. The output is also
+ *      checked at the end of every turn, since an input can turn off without triggering the gate (e.g. a
+ *      button that resets itself).
+ *
+ *      A "not" gate starts with its output on, but nothing is triggered for that, so the entities that
+ *      it triggers have to start in the state that matches an output that is on; e.g. a door that is
+ *      linked to a "not" gate has to start open, so that it closes when an input turns on. The level
+ *      linter reports doors that don't.
+ *    - "counter": The gate triggers all of its linked entities once for every 'count' triggers that it
+ *      receives, from any of its inputs.
+ *    - "delay": The gate triggers all of its linked entities 'delay' turns after each trigger that it
+ *      receives.
+ *
+ * Like all triggers, the triggers that a gate sends take effect at the start of the next step, so each
+ * gate in a chain of triggers can add a turn to how long the chain takes; a gate whose inputs have a
+ * state of their own sees them change at the end of the turn that they change in.
+ *
+ * The properties that this entity supports are declared in its propertySchema.
+ *
+ * @param {nurdz.game.Stage} stage the stage that will manage this entity
+ * @param {Number} x the X coordinate of the entity, in map coordinates
+ * @param {Number} y the Y coordinate of the entity, in map coordinates
+ * @param {Object|null} [properties={}] the properties specific to this entity, or null for none
+ * @constructor
+ */
+nurdz.sneak.LogicGate = function (stage, x, y, properties)
+{
+    "use strict";
+
+    /**
+     * The state of each of the inputs of this gate that has triggered it so far, keyed by the ID of the
+     * input entity; true means that the input is on. Inputs that have never triggered the gate are off.
+     * This is only used for the inputs that don't have a state of their own.
+     *
+     * @type {Object.<String,Boolean>}
+     */
+    this.inputs = {};
+
+    /**
+     * The number of triggers that a counter gate has received since it last triggered its linked
+     * entities.
+     *
+     * @type {Number}
+     */
+    this.triggerCount = 0;
+
+    /**
+     * For a delay gate, the number of turns left until each of the triggers that it has received but not
+     * passed on yet gets passed on, in the order that they were received.
+     *
+     * @type {Number[]}
+     */
+    this.pending = [];
+
+    // Call the super class constructor.
+    nurdz.sneak.ChronoEntity.call (this, "LogicGate", stage, x, y, properties, 1, '#00C0C0');
+
+    // NOTE: The code below is below the constructor call because it is the super constructor that will
+    // apply the defaults to the properties given, so it's not until that call returns that we can access
+    // the values in the properties safely.
+
+    /**
+     * The current output of this gate. This is only used by the gates that combine their inputs; it starts
+     * as what those gates output when none of their inputs are on, which the entities that the gate
+     * triggers are expected to already match.
+     *
+     * @type {Boolean}
+     */
+    this.output = (this.properties.gate == "not");
+};
+
+// Now define the various member functions and any static stage.
+(function ()
+{
+    "use strict";
+
+    // Now set our prototype to be an instance of our super class, making sure that the prototype knows to
+    // use the correct constructor function.
+    nurdz.sneak.LogicGate.prototype = Object.create (nurdz.sneak.ChronoEntity.prototype, {
+        constructor: {
+            configurable: true,
+            enumerable:   true,
+            writable:     true,
+            value:        nurdz.sneak.LogicGate
+        }
+    });
+
+    /**
+     * The schema for the properties that this entity supports, in addition to the ones that it inherits
+     * from nurdz.sneak.ChronoEntity.
+     *
+     * @type {Object.<String,Object>}
+     * @see nurdz.sneak.ChronoEntity.propertySchema
+     */
+    nurdz.sneak.LogicGate.prototype.propertySchema = {
+        // Gates are just wiring, so they are not meant to be visible.
+        visible: {default: false},
+        gate:    {
+            type:        "string",
+            default:     "and",
+            values:      ["and", "or", "xor", "not", "counter", "delay"],
+            description: "The type of the gate, which controls how it combines its inputs."
+        },
+        count:   {
+            type:        "number",
+            default:     2,
+            description: "For counter gates, the number of triggers that it takes to trigger the linked " +
+                         "entities."
+        },
+        delay:   {
+            type:        "number",
+            default:     1,
+            description: "For delay gates, the number of turns between a trigger and the linked entities " +
+                         "being triggered."
+        }
+    };
+
+    /**
+     * Query whether or not this entity blocks movement of actors or not.
+     *
+     * @returns {Boolean} true if actor movement is blocked by this tile, or false otherwise
+     */
+    nurdz.sneak.LogicGate.prototype.blocksActorMovement = function ()
+    {
+        // Gates are only wiring, so they don't block.
+        return false;
+    };
+
+    /**
+     * Query whether or not this entity is allowed to be placed in a tile that blocks movement (i.e. a
+     * wall) in the level data. This is used when validating levels.
+     *
+     * @returns {Boolean} true if this entity can be placed in a wall, or false otherwise
+     */
+    nurdz.sneak.LogicGate.prototype.allowedInWall = function ()
+    {
+        // The wiring can run through the walls.
+        return true;
+    };
+
+    /**
+     * Capture the current state of this entity so that it can be put back later via restoreState(). In
+     * addition to the base state, this also captures the state of the inputs and output of the gate, and
+     * any triggers that it is counting or delaying.
+     *
+     * @returns {Object} an object that represents the current state of this entity
+     */
+    nurdz.sneak.LogicGate.prototype.saveState = function ()
+    {
+        var state = nurdz.sneak.ChronoEntity.prototype.saveState.call (this);
+        state.inputs = nurdz.copyProperties ({}, this.inputs);
+        state.output = this.output;
+        state.triggerCount = this.triggerCount;
+        state.pending = this.pending.slice ();
+        return state;
+    };
+
+    /**
+     * Restore the state of this entity to the state that was captured by a previous call to saveState().
+     *
+     * @param {Object} state the state object previously returned from saveState()
+     */
+    nurdz.sneak.LogicGate.prototype.restoreState = function (state)
+    {
+        nurdz.sneak.ChronoEntity.prototype.restoreState.call (this, state);
+        this.inputs = nurdz.copyProperties ({}, state.inputs);
+        this.output = state.output;
+        this.triggerCount = state.triggerCount;
+        this.pending = state.pending.slice ();
+    };
+
+    /**
+     * Find all of the entities in the level provided that are inputs to this gate, which are the ones that
+     * trigger it.
+     *
+     * @param {nurdz.game.Level} level the level the entity is contained in
+     * @returns {nurdz.sneak.ChronoEntity[]} the inputs of this gate (may be empty)
+     */
+    nurdz.sneak.LogicGate.prototype.findInputs = function (level)
+    {
+        var id = this.properties.id;
+        return level.entities.filter (function (entity)
+                                      {
+                                          return entity.properties.trigger != null &&
+                                              entity.properties.trigger.indexOf (id) != -1;
+                                      });
+    };
+
+    /**
+     * Get the state of the input provided. This is the state of the input entity itself when it has one,
+     * and otherwise the state that the gate has been keeping track of for it.
+     *
+     * @param {nurdz.sneak.ChronoEntity} input the input entity
+     * @returns {Boolean} true if the input is on, false otherwise
+     */
+    nurdz.sneak.LogicGate.prototype.inputState = function (input)
+    {
+        var state = input.triggerState ();
+        return (state != null) ? state : this.inputs[input.properties.id] == true;
+    };
+
+    /**
+     * Check if the output of this gate has changed, based on the current state of its inputs, and trigger
+     * all of the linked entities if it has. This is only meaningful for the gates that combine their
+     * inputs.
+     *
+     * @param {nurdz.game.Level} level the level the entity is contained in
+     */
+    nurdz.sneak.LogicGate.prototype.updateOutput = function (level)
+    {
+        var output = this.calculateOutput (level);
+        if (output != this.output)
+        {
+            this.output = output;
+            this.triggerLinkedEntities ();
+        }
+    };
+
+    /**
+     * Calculate what the output of this gate should be, based on the current state of its inputs. This is
+     * only meaningful for the gates that combine their inputs.
+     *
+     * @param {nurdz.game.Level} level the level the entity is contained in
+     * @returns {Boolean} the output of the gate
+     */
+    nurdz.sneak.LogicGate.prototype.calculateOutput = function (level)
+    {
+        var inputs = this.findInputs (level);
+        var onCount = 0;
+        for (var i = 0 ; i < inputs.length ; i++)
+        {
+            if (this.inputState (inputs[i]))
+                onCount++;
+        }
+
+        switch (this.properties.gate)
+        {
+            case "and":
+                return inputs.length > 0 && onCount == inputs.length;
+
+            case "or":
+                return onCount > 0;
+
+            case "xor":
+                return onCount % 2 == 1;
+
+            case "not":
+                return onCount == 0;
+        }
+
+        return false;
+    };
+
+    //noinspection JSUnusedLocalSymbols
+    /**
+     * This is invoked every time the player takes a turn. A delay gate counts down the turns until each
+     * trigger that it is delaying gets passed on.
+     *
+     * @param {nurdz.game.Level} level the level the entity is contained in
+     */
+    nurdz.sneak.LogicGate.prototype.step = function (level)
+    {
+        var waiting = [];
+        for (var i = 0 ; i < this.pending.length ; i++)
+        {
+            if (this.pending[i] <= 1)
+                this.triggerLinkedEntities ();
+            else
+                waiting.push (this.pending[i] - 1);
+        }
+
+        this.pending = waiting;
+    };
+
+    /**
+     * This is invoked at the end of every turn. The gates that combine their inputs check if their output
+     * has changed, since inputs that have a state of their own can turn off without triggering the gate.
+     *
+     * @param {nurdz.game.Level} level the level the entity is contained in
+     */
+    nurdz.sneak.LogicGate.prototype.observe = function (level)
+    {
+        if (this.properties.gate != "counter" && this.properties.gate != "delay")
+            this.updateOutput (level);
+    };
+
+    /**
+     * Get the state that this entity is signalling to the entities that it triggers. The gates that
+     * combine their inputs are on while their output is; the other gates only send triggers.
+     *
+     * @returns {Boolean|null} the output of the gate, or null for a counter or delay gate
+     */
+    nurdz.sneak.LogicGate.prototype.triggerState = function ()
+    {
+        if (this.properties.gate == "counter" || this.properties.gate == "delay")
+            return null;
+
+        return this.output;
+    };
+
+    //noinspection JSUnusedGlobalSymbols
+    /**
+     * This method is invoked whenever this entity gets triggered by another entity. This can happen
+     * programmatically or in response to interactions with other entities, which does not include
+     * collision (see triggerTouch() for that).
+     *
+     * The method gets passed the Actor that caused the trigger to happen, although this can be null
+     * depending on how the trigger happened.
+     *
+     * @param {nurdz.game.Actor|null} activator the actor that triggered this entity, or null if unknown
+     * @see nurdz.game.Entity.triggerTouch
+     */
+    nurdz.sneak.LogicGate.prototype.trigger = function (activator)
+    {
+        var id, level;
+
+        switch (this.properties.gate)
+        {
+            case "counter":
+                this.triggerCount++;
+                if (this.triggerCount >= this.properties.count)
+                {
+                    this.triggerCount = 0;
+                    this.triggerLinkedEntities ();
+                }
+                break;
+
+            case "delay":
+                this.pending.push (this.properties.delay);
+                break;
+
+            default:
+                // Switch the input for whatever triggered us if it doesn't have a state of its own, and then
+                // pass on a trigger if the output changed. We need the level to know what all of our
+                // inputs are.
+                if (activator == null || activator.triggerState == null || activator.triggerState () == null)
+                {
+                    id = (activator != null) ? activator.properties.id : "";
+                    this.inputs[id] = !this.inputs[id];
+                }
+
+                level = this.stage.currentScene ().level;
+                if (level != null)
+                    this.updateOutput (level);
+                break;
+        }
+    };
+
+    /**
+     * Return a string representation of the object, for debugging purposes.
+     *
+     * @returns {String}
+     */
+    nurdz.sneak.LogicGate.prototype.toString = function ()
+    {
+        return String.format ("[LogicGate id='{0}' pos={1} gate={2} output={3}]",
+                              this.properties.id,
+                              this.mapPosition.toString(),
+                              this.properties.gate,
+                              this.output);
+    };
+} ());
+
+// Register this entity so that it can be created from level data.
+nurdz.sneak.entityRegistry.register ("LogicGate", nurdz.sneak.LogicGate, ["Gate"]);
@@ -0,0 +1,147 @@
+/**
+ * This entity is an item lying around the level for the player to pick up, such as a keycard or a tool.
+ * When the player steps onto it, the item is added to the inventory of the player and the pickup
+ * disappears from the level. Some doors need the player to be carrying a particular item (see
+ * nurdz.sneak.Door).
+ *
+ * Items are identified by name, so two pickups with the same item name give the player the same item.
+ *
+ * The properties that this entity supports are declared in its propertySchema.
+ *
+ * @param {nurdz.game.Stage} stage the stage that will manage this entity
+ * @param {Number} x the X coordinate of the entity, in map coordinates
+ * @param {Number} y the Y coordinate of the entity, in map coordinates
+ * @param {Object|null} [properties={}] the properties specific to this entity, or null for none
+ * @see nurdz.sneak.Player.inventory
+ * @constructor
+ */
+nurdz.sneak.Pickup = function (stage, x, y, properties)
+{
+    "use strict";
+
+    // Call the super class constructor.
+    nurdz.sneak.ChronoEntity.call (this, "Pickup", stage, x, y, properties, 1, '#40C0FF');
+};
+
+// Now define the various member functions and any static stage.
+(function ()
+{
+    "use strict";
+
+    // Now set our prototype to be an instance of our super class, making sure that the prototype knows to
+    // use the correct constructor function.
+    nurdz.sneak.Pickup.prototype = Object.create (nurdz.sneak.ChronoEntity.prototype, {
+        constructor: {
+            configurable: true,
+            enumerable:   true,
+            writable:     true,
+            value:        nurdz.sneak.Pickup
+        }
+    });
+
+    /**
+     * The schema for the properties that this entity supports, in addition to the ones that it inherits
+     * from nurdz.sneak.ChronoEntity.
+     *
+     * @type {Object.<String,Object>}
+     * @see nurdz.sneak.ChronoEntity.propertySchema
+     */
+    nurdz.sneak.Pickup.prototype.propertySchema = {
+        item:  {
+            type:        "string",
+            required:    true,
+            description: "The name of the item that the player picks up, e.g. \"red keycard\" or " +
+                         "\"crowbar\"."
+        },
+        color: {
+            type:        "string",
+            description: "The color to draw the pickup in when there is no sprite for it, e.g. the color of " +
+                         "a keycard. When not given, a default color is used."
+        },
+        taken: {
+            type:        "boolean",
+            default:     false,
+            description: "Whether or not the item has already been picked up."
+        }
+    };
+
+    /**
+     * Query whether or not this entity blocks movement of actors or not.
+     *
+     * @returns {Boolean} true if actor movement is blocked by this tile, or false otherwise
+     */
+    nurdz.sneak.Pickup.prototype.blocksActorMovement = function ()
+    {
+        // The player has to be able to walk onto the pickup to pick it up.
+        return false;
+    };
+
+    /**
+     * Render this actor to the stage provided. The base class version renders a positioning box for this
+     * actor using its position and size, using the debug color provided in the constructor.
+     *
+     * @param {nurdz.game.Stage} stage the stage to render to
+     */
+    nurdz.sneak.Pickup.prototype.render = function (stage)
+    {
+        // Once the item is taken, there is nothing left to see.
+        if (this.properties.taken)
+            return;
+
+        // If the entity is visible, draw our sprite, or a card if there isn't one. Otherwise, chain to the
+        // superclass version.
+        if (this.properties.visible)
+        {
+            if (this.renderSprite (stage, 0))
+                return;
+
+            this.startRendering (stage);
+            stage.fillRect (-Math.floor (this.width * 0.25), -Math.floor (this.height * 0.15),
+                            Math.floor (this.width * 0.5), Math.floor (this.height * 0.3),
+                            this.properties.color || this.debugColor);
+            this.endRendering (stage);
+        }
+        else
+            nurdz.sneak.ChronoEntity.prototype.render.call (this, stage);
+    };
+
+    /**
+     * This method is invoked whenever this entity gets triggered by another entity as a result of a
+     * direct collision (touch). This can happen programmatically or in response to interactions with other
+     * entities. This does not include non-collision interactions (see trigger() for that).
+     *
+     * The method gets passed the Actor that caused the trigger to happen, although this can be null
+     * depending on how the trigger happened.
+     *
+     * @param {nurdz.game.Actor} activator the actor that triggered this entity
+     * @see nurdz.game.Entity.trigger
+     */
+    nurdz.sneak.Pickup.prototype.triggerTouch = function (activator)
+    {
+        // Only the player picks things up, and each pickup can only be picked up once.
+        if (activator instanceof nurdz.sneak.Player && this.properties.taken == false)
+        {
+            activator.addItem (this.properties.item);
+            this.properties.taken = true;
+            this.publishEvent (nurdz.sneak.constants.EVENT_ITEM_PICKED_UP,
+                               {player: activator, item: this.properties.item, pickup: this});
+        }
+    };
+
+    /**
+     * Return a string representation of the object, for debugging purposes.
+     *
+     * @returns {String}
+     */
+    nurdz.sneak.Pickup.prototype.toString = function ()
+    {
+        return String.format ("[Pickup id='{0}' pos={1} item='{2}' taken={3}]",
+                              this.properties.id,
+                              this.mapPosition.toString(),
+                              this.properties.item,
+                              this.properties.taken);
+    };
+} ());
+
+// Register this entity so that it can be created from level data.
+nurdz.sneak.entityRegistry.register ("Pickup", nurdz.sneak.Pickup);
@@ -2,6 +2,9 @@
  * The ChronoEntity that represents the player in the game. Actions that the player takes are carried out
  * on this entity type.
  *
+ * The player carries an inventory of the items that they have picked up (see nurdz.sneak.Pickup), which
+ * is a part of their state, so stepping back in time takes away items that were picked up later.
+ *
  * @param {nurdz.game.Stage} stage the stage that will manage this entity
  * @param {Number} x the X coordinate of the entity, in map coordinates
  * @param {Number} y the Y coordinate of the entity, in map coordinates
@@ -12,12 +15,13 @@ nurdz.sneak.Player = function (stage, x, y, properties)
 {
     "use strict";
 
-    // Set up the default properties for entities of this type. Waypoints are not meant to be visible,
-    // they're just markers.
-    this.defaultProperties = {
-        id:         "player",
-        handedness: "right"
-    };
+    /**
+     * The names of the items that the player is carrying, in the order that they were picked up.
+     *
+     * @type {String[]}
+     * @see nurdz.sneak.Pickup
+     */
+    this.inventory = [];
 
     // Call the super class constructor.
     nurdz.sneak.ChronoEntity.call (this, 'Player', stage, x, y, properties, 10, '#009000');
@@ -39,6 +43,21 @@ nurdz.sneak.Player = function (stage, x, y, properties)
         }
     });
 
+    /**
+     * The schema for the properties that this entity supports, in addition to the ones that it inherits
+     * from nurdz.sneak.ChronoEntity.
+     *
+     * @type {Object.<String,Object>}
+     * @see nurdz.sneak.ChronoEntity.propertySchema
+     */
+    nurdz.sneak.Player.prototype.propertySchema = {
+        id:         {
+            default:     "player",
+            description: "The ID of the player, which has to be \"player\"."
+        },
+        handedness: {default: "right"}
+    };
+
     /**
      * The size (in pixels) of border to apply on all edges of the cell that the player is in when
      * rendering it.
@@ -49,12 +68,61 @@ nurdz.sneak.Player = function (stage, x, y, properties)
     var MARGIN = Math.floor (nurdz.game.TILE_SIZE * 0.15);
 
     /**
-     * Render this actor to the stage provided. We simply render a box using the debug color.
+     * Add the item with the name provided to the inventory of the player.
+     *
+     * @param {String} item the name of the item to add
+     */
+    nurdz.sneak.Player.prototype.addItem = function (item)
+    {
+        this.inventory.push (item);
+    };
+
+    /**
+     * Query whether or not the player is carrying the item with the name provided.
+     *
+     * @param {String} item the name of the item to check for
+     * @returns {Boolean} true if the player is carrying the item, or false otherwise
+     */
+    nurdz.sneak.Player.prototype.hasItem = function (item)
+    {
+        return this.inventory.indexOf (item) != -1;
+    };
+
+    /**
+     * Capture the current state of this entity so that it can be put back later via restoreState(). In
+     * addition to the base state, this also captures the inventory of the player.
+     *
+     * @returns {Object} an object that represents the current state of this entity
+     */
+    nurdz.sneak.Player.prototype.saveState = function ()
+    {
+        var state = nurdz.sneak.ChronoEntity.prototype.saveState.call (this);
+        state.inventory = this.inventory.slice ();
+        return state;
+    };
+
+    /**
+     * Restore the state of this entity to the state that was captured by a previous call to saveState().
+     *
+     * @param {Object} state the state object previously returned from saveState()
+     */
+    nurdz.sneak.Player.prototype.restoreState = function (state)
+    {
+        nurdz.sneak.ChronoEntity.prototype.restoreState.call (this, state);
+        this.inventory = state.inventory.slice ();
+    };
+
+    /**
+     * Render this actor to the stage provided. We render our sprite rotated to our facing, or if there
+     * isn't one, a box using the debug color.
      *
      * @param {nurdz.game.Stage} stage the stage to render to
      */
     nurdz.sneak.Player.prototype.render = function (stage)
     {
+        if (this.renderSprite (stage, 0, this.properties.facing))
+            return;
+
         this.startRendering (stage, this.properties.facing);
         stage.fillRect (-(this.width / 2) + MARGIN, -(this.height / 2) + MARGIN,
                         this.width - (2 * MARGIN), this.height - (2 * MARGIN),
@@ -76,3 +144,6 @@ nurdz.sneak.Player = function (stage, x, y, properties)
                               this.mapPosition.toString());
     };
 } ());
+
+// Register this entity so that it can be created from level data.
+nurdz.sneak.entityRegistry.register ("Player", nurdz.sneak.Player);
@@ -0,0 +1,250 @@
+/**
+ * This entity is a security camera. Cameras see in the same way that guards do (see nurdz.sneak.Watcher),
+ * but they never move; instead they can sweep their view back and forth around the direction that they
+ * are facing, on a schedule of turns.
+ *
+ * When the camera spots the player (after not being able to see them the turn before), it triggers all of
+ * its linked entities, so that it can sound the alarm for linked guards (who head for where the player
+ * was seen) or slam a linked door that stands open.
+ *
+ * The properties that this entity supports are declared in its propertySchema.
+ *
+ * @param {nurdz.game.Stage} stage the stage that will manage this entity
+ * @param {Number} x the X coordinate of the entity, in map coordinates
+ * @param {Number} y the Y coordinate of the entity, in map coordinates
+ * @param {Object|null} [properties={}] the properties specific to this entity, or null for none
+ * @constructor
+ */
+nurdz.sneak.SecurityCamera = function (stage, x, y, properties)
+{
+    "use strict";
+
+    /**
+     * The number of turns into its sweep period that the camera currently is, which controls which way it
+     * is looking.
+     *
+     * @type {Number}
+     * @see nurdz.sneak.SecurityCamera.viewAngle
+     */
+    this.sweepTurn = 0;
+
+    /**
+     * The map position that the player was at when the camera last spotted them, or null if it never
+     * has.
+     *
+     * @type {nurdz.game.Point|null}
+     */
+    this.spottedAt = null;
+
+    // Call the super class constructor.
+    nurdz.sneak.Watcher.call (this, "SecurityCamera", stage, x, y, properties, 2, '#A0A0A0');
+};
+
+// Now define the various member functions and any static stage.
+(function ()
+{
+    "use strict";
+
+    // Now set our prototype to be an instance of our super class, making sure that the prototype knows to
+    // use the correct constructor function.
+    nurdz.sneak.SecurityCamera.prototype = Object.create (nurdz.sneak.Watcher.prototype, {
+        constructor: {
+            configurable: true,
+            enumerable:   true,
+            writable:     true,
+            value:        nurdz.sneak.SecurityCamera
+        }
+    });
+
+    /**
+     * The schema for the properties that this entity supports, in addition to the ones that it inherits
+     * from nurdz.sneak.Watcher.
+     *
+     * @type {Object.<String,Object>}
+     * @see nurdz.sneak.ChronoEntity.propertySchema
+     */
+    nurdz.sneak.SecurityCamera.prototype.propertySchema = {
+        fov:        {default: 60},
+        sweepRange: {
+            type:        "number",
+            default:     0,
+            description: "The complete size of the arc (in degrees) that the center of the view of the " +
+                         "camera sweeps across, centered on the facing of the camera. A value of 0 makes " +
+                         "a stationary camera."
+        },
+        period:     {
+            type:        "number",
+            default:     8,
+            description: "The number of turns that it takes the camera to sweep from one side of its arc to " +
+                         "the other and back again."
+        }
+    };
+
+    /**
+     * Query whether or not this entity blocks movement of actors or not.
+     *
+     * @returns {Boolean} true if actor movement is blocked by this tile, or false otherwise
+     */
+    nurdz.sneak.SecurityCamera.prototype.blocksActorMovement = function ()
+    {
+        // Cameras are mounted up high, so everything can pass under them.
+        return false;
+    };
+
+    /**
+     * Query whether or not this camera sweeps its view around, or always looks in the same direction.
+     *
+     * @returns {Boolean} true if the camera sweeps, or false if it is stationary
+     */
+    nurdz.sneak.SecurityCamera.prototype.isSweeping = function ()
+    {
+        return this.properties.sweepRange > 0 && this.properties.period > 0;
+    };
+
+    /**
+     * Get the angle (in degrees) that this camera is looking in, which is the center of its field of view.
+     *
+     * A sweeping camera starts looking at one end of its arc, turns at a steady rate to the other end over
+     * the first half of its period, and then turns back again over the second half.
+     *
+     * @returns {Number} the angle that this camera is looking in
+     */
+    nurdz.sneak.SecurityCamera.prototype.viewAngle = function ()
+    {
+        if (this.isSweeping () == false)
+            return this.properties.facing;
+
+        // How far through the sweep we are, from 0 at the start of the arc to 1 at the end of it.
+        var progress = (2 * this.sweepTurn) / this.properties.period;
+        if (progress > 1)
+            progress = 2 - progress;
+
+        var sweepRange = this.properties.sweepRange;
+        return this.normalizeAngle (this.properties.facing - (sweepRange / 2) + (sweepRange * progress));
+    };
+
+    /**
+     * Capture the current state of this entity so that it can be put back later via restoreState(). In
+     * addition to the base state, this also captures how far through its sweep the camera is and where it
+     * last spotted the player.
+     *
+     * @returns {Object} an object that represents the current state of this entity
+     */
+    nurdz.sneak.SecurityCamera.prototype.saveState = function ()
+    {
+        var state = nurdz.sneak.Watcher.prototype.saveState.call (this);
+        state.sweepTurn = this.sweepTurn;
+        state.spottedAt = (this.spottedAt != null) ? this.spottedAt.copy () : null;
+        return state;
+    };
+
+    /**
+     * Restore the state of this entity to the state that was captured by a previous call to saveState().
+     *
+     * @param {Object} state the state object previously returned from saveState()
+     */
+    nurdz.sneak.SecurityCamera.prototype.restoreState = function (state)
+    {
+        nurdz.sneak.Watcher.prototype.restoreState.call (this, state);
+        this.sweepTurn = state.sweepTurn;
+        this.spottedAt = (state.spottedAt != null) ? state.spottedAt.copy () : null;
+    };
+
+    //noinspection JSUnusedLocalSymbols
+    /**
+     * This is invoked every time the player takes a turn. A sweeping camera turns a little further through
+     * its sweep.
+     *
+     * @param {nurdz.game.Level} level the level the entity is contained in
+     */
+    nurdz.sneak.SecurityCamera.prototype.step = function (level)
+    {
+        if (this.isSweeping () == false)
+            return;
+
+        this.sweepTurn = (this.sweepTurn + 1) % this.properties.period;
+        this.calculateVisionCone ();
+    };
+
+    /**
+     * This is invoked at the end of every turn, and is where the camera looks for the player. When the
+     * player comes into view, all of the linked entities are triggered.
+     *
+     * @param {nurdz.game.Level} level the level the entity is contained in
+     */
+    nurdz.sneak.SecurityCamera.prototype.observe = function (level)
+    {
+        var wasSpotted = this.spottedEntity != null;
+        if (this.lookForPlayers (level) != null && wasSpotted == false)
+        {
+            this.spottedAt = this.spottedEntity.mapPosition.copy ();
+            this.triggerLinkedEntities ();
+        }
+    };
+
+    /**
+     * Get the map position that the triggers this entity sends are about. This is where the camera last
+     * spotted the player, since the camera itself is in a wall.
+     *
+     * @returns {nurdz.game.Point} the map position that the triggers of this entity are about
+     */
+    nurdz.sneak.SecurityCamera.prototype.triggerPosition = function ()
+    {
+        return (this.spottedAt != null) ? this.spottedAt : this.mapPosition;
+    };
+
+    /**
+     * The margin (in pixels) to leave around the body of the camera when rendering it without a sprite.
+     *
+     * @const
+     * @type {Number}
+     */
+    var MARGIN = Math.floor (nurdz.game.TILE_SIZE * 0.25);
+
+    /**
+     * Render this actor to the stage provided. The base class version renders a positioning box for this
+     * actor using its position and size, using the debug color provided in the constructor.
+     *
+     * @param {nurdz.game.Stage} stage the stage to render to
+     */
+    nurdz.sneak.SecurityCamera.prototype.render = function (stage)
+    {
+        // Render the camera if its visible, otherwise, chain to the superclass version.
+        if (this.properties.visible)
+        {
+            // Render our sprite rotated to where we are looking, or a box with an arrow if there isn't one.
+            if (this.renderSprite (stage, 0, this.viewAngle ()) == false)
+            {
+                this.startRendering (stage, this.viewAngle ());
+                stage.fillRect (-(this.width / 2) + MARGIN, -(this.height / 2) + MARGIN,
+                                this.width - (2 * MARGIN), this.height - (2 * MARGIN),
+                                this.debugColor);
+                stage.setArrowStyle ("#000000");
+                stage.drawArrow (-(this.width / 2) + MARGIN, 0, (this.width / 2) - MARGIN, 0);
+                this.endRendering (stage);
+            }
+
+            // Render our vision cone; it turns red while we can see the player.
+            this.renderVisionCone (stage, this.spottedEntity != null ? "red" : "white");
+        }
+        else
+            nurdz.sneak.Watcher.prototype.render.call (this, stage);
+    };
+
+    /**
+     * Return a string representation of the object, for debugging purposes.
+     *
+     * @returns {String}
+     */
+    nurdz.sneak.SecurityCamera.prototype.toString = function ()
+    {
+        return String.format ("[SecurityCamera id='{0}' pos={1} facing={2} view={3}]",
+                              this.properties.id,
+                              this.mapPosition.toString(),
+                              this.properties.facing,
+                              this.viewAngle ());
+    };
+} ());
+
+// Register this entity so that it can be created from level data.
+nurdz.sneak.entityRegistry.register ("SecurityCamera", nurdz.sneak.SecurityCamera, ["Camera"]);
@@ -0,0 +1,273 @@
+/**
+ * This entity is a laser tripwire. The emitter is mounted on a wall and shines a beam in the direction
+ * that it is facing, across every map location up to the first one that blocks sight (so a closed door
+ * cuts the beam but glass does not).
+ *
+ * When the player steps into the beam (after not being in it the turn before), the tripwire triggers all
+ * of its linked entities. A linked guard goes to investigate where the beam was broken, and a linked door
+ * swaps between open and closed. Every time the tripwire is triggered (e.g. by a button), it switches on
+ * or off.
+ *
+ * The properties that this entity supports are declared in its propertySchema.
+ *
+ * @param {nurdz.game.Stage} stage the stage that will manage this entity
+ * @param {Number} x the X coordinate of the entity, in map coordinates
+ * @param {Number} y the Y coordinate of the entity, in map coordinates
+ * @param {Object|null} [properties={}] the properties specific to this entity, or null for none
+ * @constructor
+ */
+nurdz.sneak.Tripwire = function (stage, x, y, properties)
+{
+    "use strict";
+
+    /**
+     * True when the player was in the beam at the end of the last turn. The linked entities are only
+     * triggered when the player first crosses the beam, not for every turn that they stand in it.
+     *
+     * @type {Boolean}
+     */
+    this.tripped = false;
+
+    /**
+     * The map position that the player was at when they last tripped the tripwire, or null if they never
+     * have.
+     *
+     * @type {nurdz.game.Point|null}
+     */
+    this.trippedAt = null;
+
+    // Call the super class constructor.
+    nurdz.sneak.ChronoEntity.call (this, "Tripwire", stage, x, y, properties, 1, '#FF2020');
+};
+
+// Now define the various member functions and any static stage.
+(function ()
+{
+    "use strict";
+
+    // Now set our prototype to be an instance of our super class, making sure that the prototype knows to
+    // use the correct constructor function.
+    nurdz.sneak.Tripwire.prototype = Object.create (nurdz.sneak.ChronoEntity.prototype, {
+        constructor: {
+            configurable: true,
+            enumerable:   true,
+            writable:     true,
+            value:        nurdz.sneak.Tripwire
+        }
+    });
+
+    /**
+     * The schema for the properties that this entity supports, in addition to the ones that it inherits
+     * from nurdz.sneak.ChronoEntity.
+     *
+     * @type {Object.<String,Object>}
+     * @see nurdz.sneak.ChronoEntity.propertySchema
+     */
+    nurdz.sneak.Tripwire.prototype.propertySchema = {
+        on: {
+            type:        "boolean",
+            default:     true,
+            description: "Whether the beam is on or off. Toggles on trigger."
+        }
+    };
+
+    /**
+     * Query whether or not this entity blocks movement of actors or not.
+     *
+     * @returns {Boolean} true if actor movement is blocked by this tile, or false otherwise
+     */
+    nurdz.sneak.Tripwire.prototype.blocksActorMovement = function ()
+    {
+        // The emitter is mounted on the wall, which blocks movement well enough on its own.
+        return false;
+    };
+
+    /**
+     * Query whether or not this entity is allowed to be placed in a tile that blocks movement (i.e. a
+     * wall) in the level data. This is used when validating levels.
+     *
+     * @returns {Boolean} true if this entity can be placed in a wall, or false otherwise
+     */
+    nurdz.sneak.Tripwire.prototype.allowedInWall = function ()
+    {
+        return true;
+    };
+
+    /**
+     * Capture the current state of this entity so that it can be put back later via restoreState(). In
+     * addition to the base state, this also captures whether the tripwire is tripped, and where.
+     *
+     * @returns {Object} an object that represents the current state of this entity
+     */
+    nurdz.sneak.Tripwire.prototype.saveState = function ()
+    {
+        var state = nurdz.sneak.ChronoEntity.prototype.saveState.call (this);
+        state.tripped = this.tripped;
+        state.trippedAt = (this.trippedAt != null) ? this.trippedAt.copy () : null;
+        return state;
+    };
+
+    /**
+     * Restore the state of this entity to the state that was captured by a previous call to saveState().
+     *
+     * @param {Object} state the state object previously returned from saveState()
+     */
+    nurdz.sneak.Tripwire.prototype.restoreState = function (state)
+    {
+        nurdz.sneak.ChronoEntity.prototype.restoreState.call (this, state);
+        this.tripped = state.tripped;
+        this.trippedAt = (state.trippedAt != null) ? state.trippedAt.copy () : null;
+    };
+
+    /**
+     * Calculate the map locations that the beam of this tripwire currently crosses. The beam starts at the
+     * location in front of the emitter and stops before the first location that blocks sight. A tripwire
+     * that is off has no beam.
+     *
+     * @param {nurdz.game.Level} level the level the entity is contained in
+     * @returns {nurdz.game.Point[]} the map locations that the beam crosses (may be empty)
+     */
+    nurdz.sneak.Tripwire.prototype.beamPositions = function (level)
+    {
+        var retVal = [];
+        if (this.properties.on == false)
+            return retVal;
+
+        // Facings are always one of the four cardinal directions, so this is a single step. This doesn't
+        // use Point.pointAtAngle(), which floors its result and so turns the tiny rounding errors of the
+        // trig functions into a whole step to the left or up.
+        var angle = this.properties.facing * Math.PI / 180;
+        var dx = Math.round (Math.cos (angle));
+        var dy = Math.round (Math.sin (angle));
+
+        // Locations outside of the level block sight, so this always stops.
+        var x = this.mapPosition.x + dx;
+        var y = this.mapPosition.y + dy;
+        while (level.isSightBlockedAtXY (x, y) == false)
+        {
+            retVal.push (new nurdz.game.Point (x, y));
+            x += dx;
+            y += dy;
+        }
+
+        return retVal;
+    };
+
+    /**
+     * This is invoked at the end of every turn, and is where the tripwire checks to see if the player is
+     * in the beam. When the player first crosses the beam, all of the linked entities are triggered.
+     *
+     * @param {nurdz.game.Level} level the level the entity is contained in
+     */
+    nurdz.sneak.Tripwire.prototype.observe = function (level)
+    {
+        var wasTripped = this.tripped;
+        var beam = this.beamPositions (level);
+
+        this.tripped = false;
+        for (var i = 0 ; i < beam.length && this.tripped == false ; i++)
+        {
+            var entities = level.entitiesAtMapPosition (beam[i]);
+            for (var j = 0 ; j < entities.length ; j++)
+            {
+                if (entities[j] instanceof nurdz.sneak.Player)
+                {
+                    this.tripped = true;
+                    this.trippedAt = beam[i].copy ();
+                }
+            }
+        }
+
+        if (this.tripped && wasTripped == false)
+            this.triggerLinkedEntities ();
+    };
+
+    /**
+     * Get the map position that the triggers this entity sends are about. This is where the player
+     * tripped the tripwire, since the emitter itself is in a wall.
+     *
+     * @returns {nurdz.game.Point} the map position that the triggers of this entity are about
+     */
+    nurdz.sneak.Tripwire.prototype.triggerPosition = function ()
+    {
+        return (this.trippedAt != null) ? this.trippedAt : this.mapPosition;
+    };
+
+    /**
+     * Render this actor to the stage provided. The base class version renders a positioning box for this
+     * actor using its position and size, using the debug color provided in the constructor.
+     *
+     * @param {nurdz.game.Stage} stage the stage to render to
+     */
+    nurdz.sneak.Tripwire.prototype.render = function (stage)
+    {
+        // If the entity is visible, draw the beam and then our sprite, or an emitter if there isn't one.
+        // Otherwise, chain to the superclass version.
+        if (this.properties.visible)
+        {
+            var level = this.stage.currentScene ().level;
+            var beam = (level != null) ? this.beamPositions (level) : [];
+            if (beam.length > 0)
+            {
+                var tileSize = nurdz.game.TILE_SIZE;
+                var start = this.position.copyTranslatedXY (tileSize / 2, tileSize / 2);
+                var end = beam[beam.length - 1].copyScaled (tileSize).translateXY (tileSize / 2, tileSize / 2);
+                stage.canvasContext.save ();
+                stage.setLineStyle (this.tripped ? "yellow" : this.debugColor, 2);
+                stage.canvasContext.globalAlpha = 0.7;
+                stage.canvasContext.beginPath ();
+                stage.canvasContext.moveTo (start.x, start.y);
+                stage.canvasContext.lineTo (end.x, end.y);
+                stage.canvasContext.stroke ();
+                stage.canvasContext.restore ();
+            }
+
+            if (this.renderSprite (stage, this.properties.on ? 0 : 1, this.properties.facing))
+                return;
+
+            this.startRendering (stage);
+            stage.fillCircle (0, 0, Math.floor (this.width * 0.20), 'black');
+            stage.fillCircle (0, 0, Math.floor (this.width * 0.15), this.properties.on ? this.debugColor : '#606060');
+            this.endRendering (stage);
+        }
+        else
+            nurdz.sneak.ChronoEntity.prototype.render.call (this, stage);
+    };
+
+    //noinspection JSUnusedGlobalSymbols,JSUnusedLocalSymbols
+    /**
+     * This method is invoked whenever this entity gets triggered by another entity. This can happen
+     * programmatically or in response to interactions with other entities, which does not include
+     * collision (see triggerTouch() for that).
+     *
+     * The method gets passed the Actor that caused the trigger to happen, although this can be null
+     * depending on how the trigger happened.
+     *
+     * @param {nurdz.game.Actor|null} activator the actor that triggered this entity, or null if unknown
+     * @see nurdz.game.Entity.triggerTouch
+     */
+    nurdz.sneak.Tripwire.prototype.trigger = function (activator)
+    {
+        // Switch on or off. Switching off also resets the tripwire.
+        this.properties.on = !this.properties.on;
+        if (this.properties.on == false)
+            this.tripped = false;
+    };
+
+    /**
+     * Return a string representation of the object, for debugging purposes.
+     *
+     * @returns {String}
+     */
+    nurdz.sneak.Tripwire.prototype.toString = function ()
+    {
+        return String.format ("[Tripwire id='{0}' pos={1} facing={2} on={3}]",
+                              this.properties.id,
+                              this.mapPosition.toString(),
+                              this.properties.facing,
+                              this.properties.on);
+    };
+} ());
+
+// Register this entity so that it can be created from level data.
+nurdz.sneak.entityRegistry.register ("Tripwire", nurdz.sneak.Tripwire);
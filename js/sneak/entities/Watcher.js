@@ -0,0 +1,624 @@
+/**
+ * This is the base class for entities that can see, such as guards and security cameras. A watcher has a
+ * field of view centered on the angle that it is looking in and a vision cone that shows what it can see,
+ * which stops at anything that blocks sight.
+ *
+ * A player can be seen when any part of the tile that they are on is inside of the field of view and in
+ * clear line of sight of the watcher, unless they are hidden (see isHiddenFrom()).
+ *
+ * The properties that this entity supports are declared in its propertySchema.
+ *
+ * @param {String} name the internal name of this actor instance, for debugging
+ * @param {nurdz.game.Stage} stage the stage that will manage this entity
+ * @param {Number} x x location for this entity, in map coordinates
+ * @param {Number} y y location for this entity, in map coordinates
+ * @param {Object} [properties={}] entity specific properties to apply to this entity, or null for none
+ * @param {Number} [zOrder=1] the Z-Order of this entity when rendered (smaller numbers go below larger ones)
+ * @param {String} [debugColor='white'] the color specification to use in debug rendering for this actor
+ * @constructor
+ */
+nurdz.sneak.Watcher = function (name, stage, x, y, properties, zOrder, debugColor)
+{
+    "use strict";
+
+    /**
+     * This is an array of points that determine where the vision cone for this watcher visually extends.
+     * This is only used for display on the map; other mechanisms are used to determine what the watcher
+     * can actually detect.
+     *
+     * The contents of this is an array of points that should be joined together in order to form the
+     * cone. The array is empty at startup, and then will have 1 or more points. A single point means that
+     * no rays have been cast yet.
+     *
+     * The final result is a list of points which, when connected, form the vision cone. The first point
+     * is the eye position of the watcher, which is somewhere inside of the tile that the watcher is
+     * currently sitting in.
+     *
+     * @type {nurdz.game.Point[]}
+     */
+    this.visionCone = [];
+
+    /**
+     * When the watcher could see the player the last time that it looked, this is the player entity;
+     * otherwise it is null.
+     *
+     * @type {nurdz.sneak.Player|null}
+     * @see nurdz.sneak.Watcher.lookForPlayers
+     */
+    this.spottedEntity = null;
+
+    // Call the super class constructor.
+    nurdz.sneak.ChronoEntity.call (this, name, stage, x, y, properties, zOrder, debugColor);
+};
+
+// Now define the various member functions and any static stage.
+(function ()
+{
+    "use strict";
+
+    // Now set our prototype to be an instance of our super class, making sure that the prototype knows to
+    // use the correct constructor function.
+    nurdz.sneak.Watcher.prototype = Object.create (nurdz.sneak.ChronoEntity.prototype, {
+        constructor: {
+            configurable: true,
+            enumerable:   true,
+            writable:     true,
+            value:        nurdz.sneak.Watcher
+        }
+    });
+
+    /**
+     * Our cached copy of the tile size. This value is used extensively in the raycasting process so we
+     * want an easier way to access it.
+     *
+     * @type {Number}
+     */
+    var TILE_SIZE = nurdz.game.TILE_SIZE;
+
+    /**
+     * Convert an angle in degrees to radians.
+     *
+     * @param {Number} degrees an angle in degrees
+     * @returns {number}
+     */
+    var toRadians = function (degrees)
+    {
+        return degrees * (Math.PI / 180);
+    };
+
+    /**
+     * Convert an angle in radians to degrees.
+     *
+     * @param {Number} radians an angle in radians
+     * @returns {number}
+     */
+    var toDegrees = function (radians)
+    {
+        return radians * (180 / Math.PI);
+    };
+
+    /**
+     * The schema for the properties that this entity supports, in addition to the ones that it inherits
+     * from nurdz.sneak.ChronoEntity.
+     *
+     * @type {Object.<String,Object>}
+     * @see nurdz.sneak.ChronoEntity.propertySchema
+     */
+    nurdz.sneak.Watcher.prototype.propertySchema = {
+        fov: {
+            type:        "number",
+            required:    true,
+            description: "The complete size of the vision cone that this entity can see in, in degrees. The " +
+                         "field of vision is centered on the view angle of the entity."
+        }
+    };
+
+    /**
+     * Capture the current state of this entity so that it can be put back later via restoreState(). In
+     * addition to the base state, this also captures who the watcher could see.
+     *
+     * @returns {Object} an object that represents the current state of this entity
+     */
+    nurdz.sneak.Watcher.prototype.saveState = function ()
+    {
+        var state = nurdz.sneak.ChronoEntity.prototype.saveState.call (this);
+        state.spottedEntity = this.spottedEntity;
+        return state;
+    };
+
+    /**
+     * Restore the state of this entity to the state that was captured by a previous call to saveState().
+     *
+     * @param {Object} state the state object previously returned from saveState()
+     */
+    nurdz.sneak.Watcher.prototype.restoreState = function (state)
+    {
+        nurdz.sneak.ChronoEntity.prototype.restoreState.call (this, state);
+        this.spottedEntity = state.spottedEntity;
+    };
+
+    /**
+     * Change the facing of this entity to the angle (in degrees) passed in, and update the vision cone to
+     * match.
+     *
+     * As a result of ChronoSneak being a grid based game, the facing is constrained to one of the four
+     * cardinal directions.
+     *
+     * @param {Number} newFacing the new facing
+     */
+    nurdz.sneak.Watcher.prototype.setFacing = function (newFacing)
+    {
+        // Invoke the super method to do the actual work, then recalculate what our vision cone is.
+        nurdz.sneak.ChronoEntity.prototype.setFacing.call (this, newFacing);
+        this.calculateVisionCone ();
+    };
+
+    /**
+     * Set the position of this entity by setting its position on the stage (world coordinates). The
+     * position of the entity on the map will automatically be updated.
+     *
+     * @param {Number} x the X coordinate of the new stage position
+     * @param {Number} y the Y coordinate of the new stage position
+     */
+    nurdz.sneak.Watcher.prototype.setStagePositionXY = function (x, y)
+    {
+        // Invoke the super method to do the actual work, then recalculate what our vision cone is.
+        nurdz.sneak.ChronoEntity.prototype.setStagePositionXY.call (this, x, y);
+        this.calculateVisionCone ();
+    };
+
+    /**
+     * Set the position of this entity by setting its position in the level (map coordinates). The
+     * position of the entity on the stage will automatically be updated.
+     *
+     * @param {Number} x the X coordinate of the new stage position
+     * @param {Number} y the Y coordinate of the new stage position
+     */
+    nurdz.sneak.Watcher.prototype.setMapPositionXY = function (x, y)
+    {
+        // Invoke the super method to do the actual work, then recalculate what our vision cone is.
+        nurdz.sneak.ChronoEntity.prototype.setMapPositionXY.call (this, x, y);
+        this.calculateVisionCone ();
+    };
+
+    /**
+     * Get the angle (in degrees) that this watcher is looking in, which is the center of its field of view.
+     * The base version looks in the direction that the watcher is facing; subclasses can override this to
+     * look around without changing their facing.
+     *
+     * @returns {Number} the angle that this watcher is looking in
+     */
+    nurdz.sneak.Watcher.prototype.viewAngle = function ()
+    {
+        return this.properties.facing;
+    };
+
+    /**
+     * The number of rays that we cast when generating our vision cones for watchers. The higher the value,
+     * the better the fidelity of the generated cone, but the higher the point count on the generated polygon.
+     *
+     * @const
+     * @type {Number}
+     */
+    var RAY_COUNT = 60;
+
+    /**
+     * Calculate and return the eye position of the watcher, which is the point (in world coordinates) that
+     * the watcher sees from.
+     *
+     * We make a copy of the position of ourselves and translate it so that it is in the center of the tile
+     * that we're standing on. We then determine the point 1/4 of the size of a tile ahead of us, which puts
+     * the eye position half way between the center of the tile and the edge of the tile itself.
+     *
+     * @returns {nurdz.game.Point} the eye position of the watcher
+     */
+    nurdz.sneak.Watcher.prototype.eyePosition = function ()
+    {
+        var eyePosition = this.position.copyTranslatedXY (TILE_SIZE / 2, TILE_SIZE / 2);
+        return eyePosition.pointAtAngle (this.viewAngle (), TILE_SIZE / 4);
+    };
+
+    /**
+     * The points within a tile that are checked to see if a watcher can see an entity on that tile. The
+     * values are offsets from the top left corner of the tile, expressed as a fraction of the tile size.
+     * The center of the tile is checked first, since it is the most likely to be visible.
+     *
+     * @const
+     * @type {Number[][]}
+     */
+    var SIGHT_SAMPLES = [
+        [0.50, 0.50],
+        [0.25, 0.25],
+        [0.75, 0.25],
+        [0.25, 0.75],
+        [0.75, 0.75]
+    ];
+
+    /**
+     * The furthest distance (in tiles, counting diagonals as a single tile) that a watcher can see a player
+     * that is standing on a tile that hides them.
+     *
+     * @const
+     * @type {Number}
+     */
+    var HIDDEN_SIGHT_DISTANCE = 1;
+
+    /**
+     * The furthest distance (in tiles, counting diagonals as a single tile) that a watcher can see a player
+     * that is standing somewhere dark.
+     *
+     * @const
+     * @type {Number}
+     */
+    var DARK_SIGHT_DISTANCE = 2;
+
+    /**
+     * The brightness (from 0 to 1) below which a map location counts as dark, for the purposes of watchers
+     * trying to see the player there.
+     *
+     * @const
+     * @type {Number}
+     */
+    var DARK_BRIGHTNESS = 0.25;
+
+    /**
+     * Determine if the player provided is hidden from this watcher by where they are standing. Tiles that
+     * hide the player only do so from watchers that are further away than HIDDEN_SIGHT_DISTANCE, unless
+     * they also block sight (such as a vent), in which case they hide the player from everything. Standing
+     * somewhere dark hides the player from watchers that are further away than DARK_SIGHT_DISTANCE.
+     *
+     * @param {nurdz.sneak.SneakLevel} level the level that the watcher is in
+     * @param {nurdz.sneak.Player} player the player to check
+     * @returns {Boolean} true if the player is hidden from the watcher, or false otherwise
+     */
+    nurdz.sneak.Watcher.prototype.isHiddenFrom = function (level, player)
+    {
+        var distance = Math.max (Math.abs (player.mapPosition.x - this.mapPosition.x),
+                                 Math.abs (player.mapPosition.y - this.mapPosition.y));
+
+        var tile = level.tileAt (player.mapPosition);
+        if (tile != null && tile.hidesPlayer () && (tile.blocksSight () || distance > HIDDEN_SIGHT_DISTANCE))
+            return true;
+
+        return level.lightAt (player.mapPosition) < DARK_BRIGHTNESS && distance > DARK_SIGHT_DISTANCE;
+    };
+
+    /**
+     * Determine if this watcher can currently see the entity provided. The watcher can see the entity if any
+     * part of the tile that it is on falls within the field of view of the watcher and there is a clear line
+     * of sight to it from the eye position of the watcher.
+     *
+     * A player that is standing on a tile that hides them (such as a shadow) can only be seen by a watcher
+     * that is standing right next to them, one that is in a vent can't be seen at all, and one that is
+     * standing somewhere dark can only be seen by a watcher that is close by.
+     *
+     * @param {nurdz.game.Level} level the level that the watcher is in
+     * @param {nurdz.game.Entity} entity the entity to check
+     * @returns {Boolean} true if the entity is visible to the watcher, false otherwise
+     */
+    nurdz.sneak.Watcher.prototype.canSeeEntity = function (level, entity)
+    {
+        if (entity instanceof nurdz.sneak.Player && this.isHiddenFrom (level, entity))
+            return false;
+
+        var eye = this.eyePosition ();
+        var viewAngle = this.viewAngle ();
+        var halfFOV = this.properties.fov / 2;
+
+        for (var i = 0 ; i < SIGHT_SAMPLES.length ; i++)
+        {
+            var target = entity.position.copyTranslatedXY (TILE_SIZE * SIGHT_SAMPLES[i][0],
+                                                          TILE_SIZE * SIGHT_SAMPLES[i][1]);
+
+            // Determine the angle from our eye to this point and see if it falls inside of our field of
+            // view, which is centered on our view angle.
+            var angle = this.normalizeAngle (toDegrees (Math.atan2 (target.y - eye.y, target.x - eye.x)));
+            if (180 - Math.abs (Math.abs (viewAngle - angle) - 180) > halfFOV)
+                continue;
+
+            if (level.hasLineOfSight (eye, target))
+                return true;
+        }
+
+        return false;
+    };
+
+    /**
+     * When invoked, this calculates what the vision cone of this watcher should be based on its current
+     * location, view angle, and vision FOV.
+     */
+    nurdz.sneak.Watcher.prototype.calculateVisionCone = function ()
+    {
+        // Fetch the level that the watcher is in. If we don't know what this is, then we have to leave;
+        // without the level we can't see where our raycasting should stop.
+        //
+        // This happens when our position gets set but the scene that we're in is not the current scene.
+        var level = this.stage.currentScene ().level;
+        if (level == null)
+            return;
+
+        // Get the eye position of the watcher; all of our rays are cast from there.
+        var eyePosition = this.eyePosition ();
+
+        // Make a copy of the FOV and split it in half, since we sweep from the left hand side of the cone
+        // to the right.
+        var FOV = this.properties.fov / 2;
+
+        // Calculate how many degrees each ray needs to be in order to get a full set of rays cast.
+        var sweepAngle = this.properties.fov / RAY_COUNT;
+
+        // Reset the vision cone array.
+        this.visionCone = [eyePosition];
+
+        // We cast in a sweep. The start of the cone is to the left of the viewing angle and is half of
+        // the total view, following all the way to the right over the range of the whole FOV.
+        var viewAngle = this.viewAngle ();
+        for (var angle = viewAngle - FOV ; angle <= viewAngle + FOV ; angle += sweepAngle)
+            this.castRay (level, eyePosition.x, eyePosition.y, this.normalizeAngle (angle));
+    };
+
+    /**
+     * Calculate the ray information for the provided ray angle, which is expressed in degrees. The ray is
+     * cast from the current casting position.
+     *
+     * @param {nurdz.game.Level} level the level that the watcher is in, for determining geometry
+     * @param {Number} x the X coordinate (world space not map space) to start the ray from
+     * @param {Number} y the Y coordinate (world space not map space) to start the ray from
+     * @param {Number} rayAngle the angle (in degrees) to cast for.
+     */
+    nurdz.sneak.Watcher.prototype.castRay = function (level, x, y, rayAngle)
+    {
+        // Convert the incoming angle to radians and then perform a tangent call on it. Tangent is
+        // infinite at the vertical asymptotes of 90 and 270 degrees.
+        var tanAngle = Math.tan (toRadians (rayAngle));
+
+        // These values are the X and Y intersections of the rays that we are casting. Each set of
+        // intersections is a point on the grid that the trace is colliding with.
+        var xHorzIntersect, yHorzIntersect;
+        var xVertIntersect, yVertIntersect;
+
+        // The calculated distances from the casting location to the horizontal and vertical intersections.
+        var horizontalDistance, verticalDistance;
+
+        // After we get our initial intersection points, we know that the distance to the next intersections
+        // always have the same values. One of the two values here is always TILE_SIZE (or -TILE_SIZE) and
+        // the other is easily calculated by knowing the angle and that the other side is TILE_SIZE.
+        var xIncrement, yIncrement;
+
+        // The size of the level in world space; a ray that leaves the level stops.
+        var levelWidth = level.width * TILE_SIZE;
+        var levelHeight = level.height * TILE_SIZE;
+
+        //// Store the initial point to start with. This is where the trace begins.
+        //this.debugPoint(this.castPos.x, this.castPos.y);
+
+        // The first thing that we do is find horizontal intersections. However, if the angle is exactly 0
+        // or 180, there can be no intersections with horizontal lines because the ray is parallel to the
+        // grid in the horizontal direction.
+        if (rayAngle != 0 && rayAngle != 180)
+        {
+            // STEP 1: First Horizontal Intersection
+            //
+            // Determine the location of the first intersection with this ray and a horizontal line. We know
+            // that every intersection with this ray and a horizontal line is going to fall where the Y value
+            // is an even multiple of the tile size, because rays can only intersect tiles.
+            //
+            // Based on the direction that the ray is going, select the nearest Y value either above or below
+            // the current casting position.
+            if (rayAngle > 180)
+                yHorzIntersect = Math.floor (y / TILE_SIZE) * TILE_SIZE;
+            else
+                yHorzIntersect = Math.floor (y / TILE_SIZE) * TILE_SIZE + TILE_SIZE;
+
+            // Using the point-slope version of the line equation, determine where the X point on this
+            // intersection is. This equation is:
+            //     (y2 - y1) / (x2 - x1) = m
+            //
+            // This is essentially the slope formula. In order to solve this equation you need two points and
+            // the slope of the line. As it happens, we have one point (the casting position), one piece of
+            // the other point (the Y intersect) and the slope of the line, which is just the tangent of the
+            // line, since the slope is (y/x) and the tangent is opposite/adjacent or (y/x).
+            //
+            // Note however that our view angles are reversed and so when we calculate the tangent we need to
+            // reflect the slope in order to get the correct value.
+            xHorzIntersect = x + (y - yHorzIntersect) / tanAngle * -1;
+
+            // STEP 2: Determine the X and Y increment to the next intersection.
+            //
+            // The ray that we are casting is the hypotenuse of a right triangle. By breaking this down into a
+            // series of stacked (and offset) smaller right triangles, we see that each such sub triangle has
+            // the same height, which is the height of a tile. Since the tangent of the angle is equal to the
+            // opposite (y) over the adjacent (x), we can determine what X increment we need to go with that Y
+            // increment.
+            //
+            // Start with the Y increment, which is either going to increase or decrease depending on the
+            // direction the ray is going.
+            if (rayAngle > 180)
+                yIncrement = -TILE_SIZE;
+            else
+                yIncrement = TILE_SIZE;
+
+            // Now the X increment. Using the formula for tangent, get the adjacent (x) side of a triangle
+            // with an opposite side and angle that we know of. Since the tangent of the angle depends on the
+            // quadrant, we need to reflect the tangent by -1 if we're facing downward in order to get the
+            // correct sign.
+            //
+            // Additionally, the tangent is an asymptote at angles of 90 or 270 because the line is purely
+            // vertical. In those cases the X increment is 0 for obvious reasons.
+            if (rayAngle == 90 || rayAngle == 270)
+                xIncrement = 0;
+            else
+                xIncrement = TILE_SIZE / tanAngle * (rayAngle >= 180 ? -1 : 1);
+
+            // Now we know the position of the first horizontal intersection and the amount to add to that
+            // intersection in order to get to the next one. Keep looping, checking intersections until we hit
+            // something that stops the ray or hit the edge of the level.
+            while (1)
+            {
+                // Check to see if the map blocks sight or not. Note that the coordinates that we get need
+                // to be rounded down to a multiple of the tile size. If the ray is going upwards (the Y
+                // increment is negative) we need to subtract one from the value because it's actually the
+                // cell above that we want to check.
+                if (level.isSightBlockedAtXY (Math.floor (xHorzIntersect / TILE_SIZE),
+                                              Math.floor (yHorzIntersect / TILE_SIZE) + (yIncrement < 0 ? -1 : 0)))
+                    break;
+
+                // Stop if this point is out of bounds.
+                if (xHorzIntersect <= 0 || yHorzIntersect <= 0 || xHorzIntersect >= levelWidth || yHorzIntersect >= levelHeight)
+                    break;
+
+                // Find the next point.
+                xHorzIntersect += xIncrement;
+                yHorzIntersect += yIncrement;
+            }
+
+            // Calculate the horizontal distance now
+            horizontalDistance = Math.pow (xHorzIntersect - x, 2) + Math.pow (yHorzIntersect - y, 2);
+        }
+
+        // We're not casting in this direction, so make the distance to the horizontal intersection
+        // arbitrarily large.
+        else
+            horizontalDistance = Number.MAX_VALUE;
+
+        // Now we do vertical intersections. Like the horizontal intersections above, we can't find
+        // intersections with vertical grid points if the angle is 90 or 279 because in those cases the
+        // ray is parallel to them.
+        if (rayAngle != 90 && rayAngle != 270)
+        {
+            // STEP 3: First Vertical Intersection
+            //
+            // This uses the same principles as above, but now we are solving for the Y instead of the X. The
+            // constants are still the same because our tiles are square.
+            //
+            // Here we need the X intersect to be on the right hand side if we're moving to the right or on
+            // the left if we are moving left.
+            if (rayAngle >= 270 || rayAngle < 90)
+                xVertIntersect = Math.floor (x / TILE_SIZE) * TILE_SIZE + TILE_SIZE;
+            else
+                xVertIntersect = Math.floor(x / TILE_SIZE) * TILE_SIZE;
+
+            // Now calculate the Y intersect. Notice that in this formula the slope (tangent) is multiplied
+            // instead of being divided. Work the algebra on the point-slope form of the line to see why this
+            // is so.
+            yVertIntersect = y + (x - xVertIntersect) * tanAngle * -1;
+
+            // Now as above, calculate the X and Y increment values. Here the formula is slightly flipped,
+            // since the X portion is constant instead of the Y portion./
+            if (rayAngle >= 270 || rayAngle < 90)
+                xIncrement = TILE_SIZE;
+            else
+                xIncrement = -TILE_SIZE;
+
+            // Now we multiply the tangent instead of dividing it. If the angle is 0 or 180 we set the
+            // yIncrement to be 0 because in these cases the line is horizontal. This is not really
+            // needed, but just to make the numbers for the intersections be correct, this is what we do.
+            //
+            // Without this, they will be almost but not quite 0 due to how PI is an irrational number.
+            // This is DOUBLE redundant because when the angle is 0, the math actually works out, but this
+            // is clearer.
+            if (rayAngle == 0 || rayAngle == 180)
+                yIncrement = 0;
+            else
+                yIncrement = TILE_SIZE * tanAngle * (rayAngle >= 270 || rayAngle < 90 ? 1 : -1);
+
+            while (1)
+            {
+                // Check to see if the map blocks sight or not. Note that the coordinates that we get need
+                // to be rounded down to a multiple of the tile size. If the ray is going left (the X
+                // increment is negative) we need to subtract one from the value because it's actually the
+                // cell to the left that we want to check.
+                if (level.isSightBlockedAtXY (Math.floor (xVertIntersect / TILE_SIZE) + (xIncrement < 0 ? -1 : 0),
+                                              Math.floor (yVertIntersect / TILE_SIZE)))
+                    break;
+
+                // Stop if this point is out of bounds.
+                if (xVertIntersect <= 0 || yVertIntersect <= 0 || xVertIntersect >= levelWidth || yVertIntersect >= levelHeight)
+                    break;
+
+                // Find the next point.
+                xVertIntersect += xIncrement;
+                yVertIntersect += yIncrement;
+            }
+
+            // Calculate the vertical distance now
+            verticalDistance = Math.pow(xVertIntersect - x, 2) + Math.pow (yVertIntersect - y, 2);
+        }
+
+        // We're not casting in this direction, so make the distance to the vertical intersection
+        // arbitrarily large.
+        else
+            verticalDistance = Number.MAX_VALUE;
+
+        // Choose the point that was closest.
+        // If the horizontal distance is smaller and the vertical distance actually exists, the horizontal
+        // intersection is closer.
+        if (horizontalDistance < verticalDistance)
+        {
+            this.visionCone.push (new nurdz.game.Point (xHorzIntersect, yHorzIntersect));
+            //this.debugPoint(xHorzIntersect, yHorzIntersect);
+        }
+        else
+        {
+            this.visionCone.push (new nurdz.game.Point (xVertIntersect, yVertIntersect));
+            //this.debugPoint(xVertIntersect, yVertIntersect);
+        }
+    };
+
+    /**
+     * Render the vision cone of this watcher (if it has one) to the stage provided, as a translucent
+     * polygon.
+     *
+     * @param {nurdz.game.Stage} stage the stage to render to
+     * @param {String} color the color to render the cone in
+     */
+    nurdz.sneak.Watcher.prototype.renderVisionCone = function (stage, color)
+    {
+        if (this.visionCone.length <= 1)
+            return;
+
+        stage.canvasContext.save ();
+
+        // Set up drawing.
+        stage.canvasContext.fillStyle = color;
+        stage.canvasContext.globalAlpha = 0.4;
+
+        // Draw the cone now. The path starts at the casting location.
+        stage.canvasContext.beginPath ();
+        stage.canvasContext.moveTo (this.visionCone[0].x, this.visionCone[0].y);
+
+        // Now connect all of the points with a line
+        for (var i = 1 ; i < this.visionCone.length ; i++)
+            stage.canvasContext.lineTo (this.visionCone[i].x, this.visionCone[i].y);
+
+        // Fill and restore the canvas context.
+        stage.canvasContext.fill ();
+        stage.canvasContext.restore ();
+    };
+
+    /**
+     * Look for the player, remembering whether or not they could be seen in spottedEntity.
+     *
+     * @param {nurdz.game.Level} level the level the entity is contained in
+     * @returns {nurdz.sneak.Player|null} the player that was seen, or null if no player could be seen
+     */
+    nurdz.sneak.Watcher.prototype.lookForPlayers = function (level)
+    {
+        var players = level.entitiesWithType (nurdz.sneak.Player);
+        var previouslySpotted = this.spottedEntity;
+
+        this.spottedEntity = null;
+        for (var i = 0 ; i < players.length && this.spottedEntity == null ; i++)
+        {
+            if (this.canSeeEntity (level, players[i]))
+                this.spottedEntity = players[i];
+        }
+
+        // Only seeing the player when we couldn't see them before counts as spotting them.
+        if (this.spottedEntity != null && this.spottedEntity != previouslySpotted)
+            this.publishEvent (nurdz.sneak.constants.EVENT_PLAYER_SPOTTED,
+                               {watcher: this, player: this.spottedEntity});
+
+        return this.spottedEntity;
+    };
+} ());
@@ -12,12 +12,6 @@ nurdz.sneak.Waypoint = function (stage, x, y, properties)
 {
     "use strict";
 
-    // Set up the default properties for entities of this type. Waypoints are not meant to be visible,
-    // they're just markers.
-    this.defaultProperties = {
-        visible: true
-    };
-
     // Call the super class constructor.
     nurdz.sneak.ChronoEntity.call (this, "Waypoint", stage, x, y, properties, 1, 'black');
 };
@@ -60,6 +54,9 @@ nurdz.sneak.Waypoint = function (stage, x, y, properties)
         // Draw a small dot to mark the waypoint if it's visible, otherwise, chain to the superclass version.
         if (this.properties.visible)
         {
+            if (this.renderSprite (stage, 0))
+                return;
+
             // Simple dot.
             this.startRendering (stage);
             stage.fillCircle (0, 0, Math.floor (this.width * 0.125), this.debugColor);
@@ -81,3 +78,6 @@ nurdz.sneak.Waypoint = function (stage, x, y, properties)
                               this.mapPosition.toString());
     };
 } ());
+
+// Register this entity so that it can be created from level data.
+nurdz.sneak.entityRegistry.register ("Waypoint", nurdz.sneak.Waypoint);
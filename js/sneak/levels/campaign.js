@@ -0,0 +1,19 @@
+/**
+ * The campaign that is played in the ChronoSneak web prototype. This lists all of the levels in the order
+ * that they are played, along with their display names and what needs to be done to unlock them.
+ *
+ * @type {nurdz.sneak.Campaign}
+ */
+nurdz.sneak.levels.campaign = new nurdz.sneak.Campaign ("main", [
+    {
+        id:     "level1",
+        name:   "The Facility",
+        create: nurdz.sneak.levels.getLevelOne
+    },
+
+    {
+        id:     "level2",
+        name:   "Guard Post",
+        create: nurdz.sneak.levels.getLevelTwo
+    }
+]);
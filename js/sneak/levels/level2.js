@@ -0,0 +1,104 @@
+/**
+ * When invoked, this returns the data for ChronoSneak test level two.
+ *
+ * @param {nurdz.game.Stage} stage the stage that the level will be displayed on
+ * @returns {nurdz.game.LevelData} the level data for level two
+ */
+nurdz.sneak.levels.getLevelTwo = function (stage)
+{
+    // Create and return the object.
+    return new nurdz.sneak.SneakLevelData (stage, "level2", 25, 18, [
+        2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2,
+        2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2,
+        2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2,
+        2, 0, 0, 0, 0, 2, 2, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2,
+        2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2,
+        2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 2, 2, 0, 0, 0, 2, 0, 0, 0, 2,
+        2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2,
+        2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2,
+        2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2,
+        2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2,
+        2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2,
+        2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2,
+        2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 2, 0, 0, 0, 0, 2, 2, 0, 0, 2,
+        2, 0, 0, 0, 0, 2, 2, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2,
+        2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2,
+        2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2,
+        2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2,
+        2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2
+    ], [
+    /***************************************************
+     * The Player
+     **************************************************/
+
+        {
+            class:   "Player", position: [3, 8],
+            facing:  'right',
+            visible: true
+        },
+
+    /***************************************************
+     * Level Goals
+     **************************************************/
+
+        {
+            class: "LevelGoal", position: [22, 8],
+            id:    'winGoal'
+        },
+
+    /***************************************************
+     * Doors
+     **************************************************/
+
+        {
+            class: "Door", position: [12, 8],
+            id:    "gate",
+
+            open:     false,
+            openTime: 4
+        },
+
+    /***************************************************
+     * Buttons
+     **************************************************/
+
+        {
+            class:     "Button", position: [12, 10],
+            panel:     true,
+            facing:    "left",
+            cycleTime: 4,
+
+            trigger: "gate"
+        },
+
+    /***************************************************
+     * Tripwires
+     **************************************************/
+
+        {
+            class:  "Tripwire", position: [16, 17],
+            facing: "up",
+
+            trigger: "guard"
+        },
+
+    /***************************************************
+     * Waypoints
+     **************************************************/
+        {class: "Waypoint", position: [18, 2], id: "gStart1"},
+        {class: "Waypoint", position: [18, 15], id: "way1"},
+
+    /***************************************************
+     * Guards
+     **************************************************/
+        {
+            class:      "GuardBase", position: [0, 0],
+            id:         "guard",
+            facing:     "down",
+            spawnPoint: "gStart1",
+
+            patrolLoop: true,
+            patrol:     ["way1", "gStart1"]
+        }
+    ], nurdz.sneak.stdTiles);
+};
@@ -0,0 +1,227 @@
+/**
+ * A subclass of the Scene class that lists the keys that perform each of the actions in the game scene,
+ * and allows the player to change them. Changes are saved by the input map of the game scene, so they
+ * are remembered the next time the game is played.
+ *
+ * This scene is navigated with fixed keys that can't be changed, so that it can't be made unusable by
+ * changing the bindings: the up and down arrows select an action, Enter changes its key, Delete removes
+ * its keys, R puts all of the keys back to their defaults and Esc goes back to the game. The key that
+ * shows this scene can be changed but not removed, so that the game can't be left without a way back.
+ *
+ * @param {nurdz.game.Stage} stage the stage that will be associated with this scene
+ * @param {nurdz.sneak.GameScene} gameScene the game scene whose controls are displayed and changed
+ * @see nurdz.game.InputMap
+ * @extends nurdz.game.Scene
+ * @constructor
+ */
+nurdz.sneak.ControlsScene = function (stage, gameScene)
+{
+    "use strict";
+
+    // Call the super constructor.
+    nurdz.game.Scene.call (this, "Controls Screen", stage);
+
+    /**
+     * The game scene whose controls are displayed and changed, and which we go back to.
+     *
+     * @type {nurdz.sneak.GameScene}
+     */
+    this.gameScene = gameScene;
+
+    /**
+     * The index of the action in the input map of the game scene that is currently selected.
+     *
+     * @type {Number}
+     */
+    this.selected = 0;
+
+    /**
+     * This is true while we are waiting for the player to press the new key for the selected action.
+     *
+     * @type {Boolean}
+     */
+    this.waitingForKey = false;
+
+    /**
+     * A note to the player about the last change that they tried to make, such as why it couldn't be
+     * made, or null if there is nothing to say.
+     *
+     * @type {String|null}
+     */
+    this.notice = null;
+};
+
+(function ()
+{
+    "use strict";
+
+    // Now set our prototype to be an instance of our super class, making sure that the prototype knows to
+    // use the correct constructor function.
+    nurdz.sneak.ControlsScene.prototype = Object.create (nurdz.game.Scene.prototype, {
+        constructor: {
+            configurable: true,
+            enumerable:   true,
+            writable:     true,
+            value:        nurdz.sneak.ControlsScene
+        }
+    });
+
+    /**
+     * The vertical position of the first action in the list, in pixels.
+     *
+     * @const
+     * @type {Number}
+     */
+    var LIST_TOP = 100;
+
+    /**
+     * The vertical distance between the actions in the list, in pixels.
+     *
+     * @const
+     * @type {Number}
+     */
+    var ROW_HEIGHT = 24;
+
+    /**
+     * Invoked when we become active. We use this to set up the rendering properties that we want.
+     *
+     * @param {nurdz.game.Scene|null} previousScene
+     */
+    nurdz.sneak.ControlsScene.prototype.activating = function (previousScene)
+    {
+        this.stage.canvasContext.font = "20px monospace";
+        this.waitingForKey = false;
+        this.notice = null;
+
+        nurdz.game.Scene.prototype.activating.call (this, previousScene);
+    };
+
+    /**
+     * This method is invoked every frame after the update() method is invoked to allow this scene to
+     * render to the screen everything that it visually wants to appear.
+     */
+    nurdz.sneak.ControlsScene.prototype.render = function ()
+    {
+        var inputMap = this.gameScene.inputMap;
+        var centerX = this.stage.width / 2;
+
+        this.stage.clear ();
+        this.stage.canvasContext.save ();
+
+        this.stage.canvasContext.textAlign = "center";
+        this.stage.drawTxt ("Controls", centerX, 50, "white");
+
+        // List every action with its keys; the selected action is highlighted, and actions with no keys
+        // are pointed out since they can't be performed.
+        for (var i = 0 ; i < inputMap.actions.length ; i++)
+        {
+            var action = inputMap.actions[i];
+            var keys = inputMap.describeKeysFor (action.name);
+            var y = LIST_TOP + i * ROW_HEIGHT;
+            var color = (i == this.selected) ? "yellow" : "white";
+
+            if (i == this.selected && this.waitingForKey)
+                keys = "press a key...";
+
+            this.stage.canvasContext.textAlign = "right";
+            this.stage.drawTxt (action.description, centerX - 20, y, color);
+            this.stage.canvasContext.textAlign = "left";
+            this.stage.drawTxt (keys != "" ? keys : "(none)", centerX + 20, y, keys != "" ? color : "red");
+        }
+
+        // Now tell the player what they can do.
+        this.stage.canvasContext.textAlign = "center";
+        this.stage.drawTxt ("Hold Shift while moving to run", centerX, LIST_TOP + (i + 1) * ROW_HEIGHT,
+                            "white");
+        if (this.notice != null)
+            this.stage.drawTxt (this.notice, centerX, LIST_TOP + (i + 2) * ROW_HEIGHT, "red");
+        if (this.waitingForKey)
+            this.stage.drawTxt ("Press the new key, or Esc to cancel", centerX, this.stage.height - 40,
+                                "white");
+        else
+        {
+            this.stage.drawTxt ("Up/Down: select   Enter: change   Delete: clear", centerX,
+                                this.stage.height - 40, "white");
+            this.stage.drawTxt ("R: reset all to defaults   Esc: back to the game", centerX,
+                                this.stage.height - 14, "white");
+        }
+
+        this.stage.canvasContext.restore ();
+    };
+
+    /**
+     * Get the note to show the player when a change to the keys is refused because it would leave a
+     * required action without any keys, which names the actions that are required.
+     *
+     * @returns {String} the note to show
+     */
+    nurdz.sneak.ControlsScene.prototype.refusedNotice = function ()
+    {
+        var required = this.gameScene.inputMap.actions.filter (function (action)
+                                                                {
+                                                                    return action.required == true;
+                                                                });
+
+        return required.map (function (action) { return "\"" + action.description + "\""; }).join (", ") +
+            " must always have a key";
+    };
+
+    /**
+     * Handle keyboard down events for the controls scene.
+     *
+     * @param {Event} eventObj the keyboard event
+     * @returns {Boolean} true if we handle the key event, false otherwise
+     */
+    nurdz.sneak.ControlsScene.prototype.inputKeyDown = function (eventObj)
+    {
+        var inputMap = this.gameScene.inputMap;
+        var keyName = inputMap.keyName (eventObj);
+        var action = inputMap.actions[this.selected];
+
+        // While waiting for a key, the next key becomes the only key for the selected action, unless it's
+        // Esc, which cancels.
+        if (this.waitingForKey)
+        {
+            if (keyName == null)
+                return false;
+
+            if (keyName != "Escape" && inputMap.bind (action.name, [keyName]) == false)
+                this.notice = this.refusedNotice ();
+
+            this.waitingForKey = false;
+            return true;
+        }
+
+        this.notice = null;
+        switch (keyName)
+        {
+            case "ArrowUp":
+                this.selected = (this.selected + inputMap.actions.length - 1) % inputMap.actions.length;
+                return true;
+
+            case "ArrowDown":
+                this.selected = (this.selected + 1) % inputMap.actions.length;
+                return true;
+
+            case "Enter":
+                this.waitingForKey = true;
+                return true;
+
+            case "Delete":
+            case "Backspace":
+                if (inputMap.bind (action.name, []) == false)
+                    this.notice = this.refusedNotice ();
+                return true;
+
+            case "KeyR":
+                inputMap.resetAndSave ();
+                return true;
+
+            case "Escape":
+                this.stage.switchToScene (nurdz.sneak.constants.SCENE_GAME);
+                return true;
+        }
+
+        return false;
+    };
+} ());
@@ -0,0 +1,1131 @@
+/**
+ * A subclass of the Scene class that is an editor for levels. Tiles from the tileset of the level can be
+ * painted, and entities can be placed, moved and deleted, with their properties edited in a panel on the
+ * page beside the stage. Trigger links and guard patrols are always displayed, the same way that the debug
+ * key in the game scene displays them.
+ *
+ * The level being edited is kept in the same form as level data is given to SneakLevelData: the tiles as
+ * an array of tile ID values and the entities as a list of entity descriptors. A preview level is created
+ * from that every time that it changes, which is what is displayed. Entity descriptors that can't be used
+ * to create an entity (for example, a guard with no spawn point yet) are displayed as a red box, with the
+ * reason shown in the panel when they're selected.
+ *
+ * The level is exported as JSON text in the format that nurdz.sneak.LevelLoader loads, which can also be
+ * imported again.
+ *
+ * @param {nurdz.game.Stage} stage the stage that will be associated with this scene
+ * @param {nurdz.sneak.GameScene} gameScene the game scene, which levels are play tested in
+ * @param {String} panelID the ID of the element on the page to put the editing panel into
+ * @throws {ReferenceError} if there is no element with the panel ID provided
+ * @see nurdz.game.Scene
+ * @extends nurdz.game.Scene
+ * @constructor
+ */
+nurdz.sneak.EditorScene = function (stage, gameScene, panelID)
+{
+    "use strict";
+
+    // Call the super constructor.
+    nurdz.game.Scene.call (this, "Editor Screen", stage);
+
+    /**
+     * The game scene, which is where levels are play tested and where we get the level to edit from.
+     *
+     * @type {nurdz.sneak.GameScene}
+     */
+    this.gameScene = gameScene;
+
+    /**
+     * The loader used to import levels and to create the level data for play tests.
+     *
+     * @type {nurdz.sneak.LevelLoader}
+     */
+    this.loader = new nurdz.sneak.LevelLoader (stage);
+
+    /**
+     * The ID of the campaign level that the game scene was playing the last time that the editor loaded a
+     * level from it, or null if it never has. When the editor is opened while the game scene is playing a
+     * different campaign level, that level is loaded instead of keeping the level being edited.
+     *
+     * @type {String|null}
+     */
+    this.gameLevelID = null;
+
+    /**
+     * The name of the level being edited.
+     *
+     * @type {String}
+     */
+    this.levelName = "";
+
+    /**
+     * The width of the level being edited, in tiles.
+     *
+     * @type {Number}
+     */
+    this.levelWidth = 0;
+
+    /**
+     * The height of the level being edited, in tiles.
+     *
+     * @type {Number}
+     */
+    this.levelHeight = 0;
+
+    /**
+     * The tileset of the level being edited.
+     *
+     * @type {nurdz.game.Tileset|null}
+     */
+    this.tileset = null;
+
+    /**
+     * The tile ID values of the level being edited, or null before there is a level.
+     *
+     * @type {Number[]|null}
+     */
+    this.tiles = null;
+
+    /**
+     * The entity descriptors for all of the entities in the level being edited.
+     *
+     * @type {Object[]}
+     */
+    this.descriptors = [];
+
+    /**
+     * The entities in the preview level, in the same order as the descriptors they were created from. The
+     * entry for a descriptor that could not be created is null.
+     *
+     * @type {Array.<nurdz.sneak.ChronoEntity|null>}
+     */
+    this.previewEntities = [];
+
+    /**
+     * The reason that each descriptor could not be created, in the same order as the descriptors. The
+     * entry for a descriptor that was created is null.
+     *
+     * @type {Array.<String|null>}
+     */
+    this.entityErrors = [];
+
+    /**
+     * The preview level, which is created from the level being edited every time that it changes.
+     *
+     * @type {nurdz.game.Level|null}
+     */
+    this.level = null;
+
+    /**
+     * The class names of all of the kinds of entity that can be placed, sorted by name.
+     *
+     * @type {String[]}
+     */
+    this.entityClasses = [];
+
+    /**
+     * The index in the list of entity classes of the kind of entity that clicking places.
+     *
+     * @type {Number}
+     */
+    this.entityClassIndex = 0;
+
+    /**
+     * The ID of the tile that clicking paints.
+     *
+     * @type {Number}
+     */
+    this.paintTileID = 0;
+
+    /**
+     * True when clicking paints tiles, false when clicking selects and places entities.
+     *
+     * @type {Boolean}
+     */
+    this.paintMode = true;
+
+    /**
+     * The descriptor of the entity that is selected, or null if there is no selection.
+     *
+     * @type {Object|null}
+     */
+    this.selected = null;
+
+    /**
+     * The map position that the mouse is over, or null if we don't know yet.
+     *
+     * @type {nurdz.game.Point|null}
+     */
+    this.mousePos = null;
+
+    /**
+     * The elements of the editing panel that get changed as the editor is used. This is filled out when
+     * the panel is created.
+     *
+     * @type {Object.<String,HTMLElement>}
+     * @see nurdz.sneak.EditorScene.createPanel
+     */
+    this.panel = {};
+
+    // The kinds of entities that can be placed are all of the ones that are registered.
+    this.entityClasses = nurdz.sneak.entityRegistry.classNames ();
+
+    // Create the panel now.
+    this.createPanel (panelID);
+};
+
+(function ()
+{
+    "use strict";
+
+    // Now set our prototype to be an instance of our super class, making sure that the prototype knows to
+    // use the correct constructor function.
+    nurdz.sneak.EditorScene.prototype = Object.create (nurdz.game.Scene.prototype, {
+        constructor: {
+            configurable: true,
+            enumerable:   true,
+            writable:     true,
+            value:        nurdz.sneak.EditorScene
+        }
+    });
+
+    /**
+     * The help text shown at the top of the editing panel, one entry per line.
+     *
+     * @const
+     * @type {String[]}
+     */
+    var HELP_LINES = [
+        "1-9: select a tile to paint; click or drag on the level to paint it",
+        "Tab/Shift+Tab: select a kind of entity; click an empty tile to place one, or a used one to select",
+        "A: add an entity under the mouse, M: move the selection there, Delete: delete the selection",
+        "P: play test the level (F2 comes back), N: start a new level, Esc: back to the game",
+        "Arrow keys: scroll levels that are larger than the screen"
+    ];
+
+    /**
+     * The fields of an entity descriptor that say how to create it, and so are not properties.
+     *
+     * @const
+     * @type {String[]}
+     */
+    var DESCRIPTOR_FIELDS = ["class", "position"];
+
+    /**
+     * Create an element with the tag given, optionally giving it a class name and some text content.
+     *
+     * @param {String} tag the tag of the element to create
+     * @param {String} [className] the class name to give the element
+     * @param {String} [text] the text to give the element
+     * @returns {HTMLElement} the new element
+     */
+    var element = function (tag, className, text)
+    {
+        var result = document.createElement (tag);
+        if (className)
+            result.className = className;
+        if (text != null)
+            result.textContent = text;
+
+        return result;
+    };
+
+    /**
+     * Make a deep copy of the value provided, which has to be something that can be represented as JSON.
+     *
+     * @param {*} value the value to copy
+     * @returns {*} the copied value
+     */
+    var deepCopy = function (value)
+    {
+        return JSON.parse (JSON.stringify (value));
+    };
+
+    /**
+     * Determine if the entity descriptor provided describes an entity of the class given (or a subclass of
+     * it). The class of the descriptor can be given by any of its names in the entity registry.
+     *
+     * @param {Object} descriptor the entity descriptor to check
+     * @param {Function} constructor the constructor of the class to check for
+     * @returns {Boolean} true if the descriptor describes an entity of that class, or false otherwise
+     */
+    var describes = function (descriptor, constructor)
+    {
+        var descriptorClass = nurdz.sneak.entityRegistry.lookup (descriptor.class);
+        return descriptorClass != null &&
+            (descriptorClass == constructor || descriptorClass.prototype instanceof constructor);
+    };
+
+    /**
+     * Create the editing panel inside of the element with the ID given. It starts out hidden, and is shown
+     * while the editor is active.
+     *
+     * @param {String} panelID the ID of the element to put the panel into
+     * @throws {ReferenceError} if there is no element with the ID provided
+     */
+    nurdz.sneak.EditorScene.prototype.createPanel = function (panelID)
+    {
+        var scene = this;
+        var container = document.getElementById (panelID);
+        if (container == null)
+            throw new ReferenceError ("No editor panel found with ID '" + panelID + "'");
+
+        container.style.display = "none";
+        this.panel.container = container;
+
+        // The help text.
+        container.appendChild (element ("h4", null, "Level Editor"));
+        for (var i = 0 ; i < HELP_LINES.length ; i++)
+            container.appendChild (element ("div", "text-muted", HELP_LINES[i]));
+
+        // The name of the level.
+        this.panel.name = element ("input", "form-control");
+        this.panel.name.addEventListener ("change", function ()
+        {
+            scene.levelName = scene.panel.name.value;
+        });
+        container.appendChild (element ("h5", null, "Level name"));
+        container.appendChild (this.panel.name);
+
+        // The properties of the selected entity are put into this table when the selection changes.
+        this.panel.entity = element ("h5");
+        this.panel.entityError = element ("div", "text-danger");
+        this.panel.properties = element ("table", "table table-condensed");
+        container.appendChild (this.panel.entity);
+        container.appendChild (this.panel.entityError);
+        container.appendChild (this.panel.properties);
+
+        // The JSON text of the level, along with the buttons that export and import it and a place to
+        // show the problems with an import or play test.
+        this.panel.json = element ("textarea", "form-control");
+        this.panel.json.rows = 12;
+        this.panel.problems = element ("pre", "text-danger");
+        this.panel.problems.style.display = "none";
+
+        var exportBtn = element ("button", "btn btn-default", "Export");
+        exportBtn.addEventListener ("click", function ()
+        {
+            scene.panel.json.value = scene.exportLevel ();
+        });
+
+        var importBtn = element ("button", "btn btn-default", "Import");
+        importBtn.addEventListener ("click", function ()
+        {
+            scene.importLevel (scene.panel.json.value);
+        });
+
+        container.appendChild (element ("h5", null, "Level JSON"));
+        container.appendChild (this.panel.json);
+        container.appendChild (exportBtn);
+        container.appendChild (importBtn);
+        container.appendChild (this.panel.problems);
+    };
+
+    /**
+     * Start editing the level data provided. The level data has to have been created by SneakLevelData,
+     * since the entity descriptors that it was created from are what is edited.
+     *
+     * @param {nurdz.sneak.SneakLevelData} levelData the level data to edit
+     */
+    nurdz.sneak.EditorScene.prototype.editLevelData = function (levelData)
+    {
+        this.editLevel (levelData.name, levelData.width, levelData.height, levelData.levelData,
+                        levelData.entityDescriptors, levelData.tileset);
+    };
+
+    /**
+     * Start editing the level provided. The tiles and entity descriptors are copied, so the ones given are
+     * not changed by editing.
+     *
+     * @param {String} name the name of the level
+     * @param {Number} width the width of the level, in tiles
+     * @param {Number} height the height of the level, in tiles
+     * @param {Number[]} tiles the tile ID values of the level
+     * @param {Object[]} descriptors the entity descriptors of the level
+     * @param {nurdz.game.Tileset} tileset the tileset of the level
+     */
+    nurdz.sneak.EditorScene.prototype.editLevel = function (name, width, height, tiles, descriptors, tileset)
+    {
+        this.levelName = name;
+        this.levelWidth = width;
+        this.levelHeight = height;
+        this.tileset = tileset;
+        this.tiles = tiles.slice ();
+        this.descriptors = deepCopy (descriptors);
+        this.paintTileID = this.tileIDs ()[0];
+        this.panel.name.value = this.levelName;
+
+        this.selectEntity (null);
+        this.showProblems (null);
+        this.rebuildLevel ();
+
+        // The camera might be showing more than the level now, if it is smaller than the last one.
+        this.scrollCamera (0, 0);
+    };
+
+    /**
+     * Start editing a new level that is the size of the stage, with a wall around the outside and the
+     * player in the top left corner.
+     */
+    nurdz.sneak.EditorScene.prototype.newLevel = function ()
+    {
+        var width = nurdz.game.STAGE_TILE_WIDTH;
+        var height = nurdz.game.STAGE_TILE_HEIGHT;
+        var tileset = nurdz.sneak.stdTiles;
+        var floor = tileset.tileForName ("FLOOR").tileID;
+        var wall = tileset.tileForName ("WALL").tileID;
+
+        var tiles = [];
+        for (var y = 0 ; y < height ; y++)
+        {
+            for (var x = 0 ; x < width ; x++)
+                tiles.push ((x == 0 || y == 0 || x == width - 1 || y == height - 1) ? wall : floor);
+        }
+
+        this.editLevel ("newLevel", width, height, tiles, [{class: "Player", position: [1, 1]}], tileset);
+    };
+
+    /**
+     * Get the ID values of all of the tiles in the tileset of the level being edited, in order.
+     *
+     * @returns {Number[]} the tile ID values
+     */
+    nurdz.sneak.EditorScene.prototype.tileIDs = function ()
+    {
+        var retVal = [];
+        for (var i = 0 ; i < this.tileset.tilesByValue.length ; i++)
+        {
+            if (this.tileset.isValidTileID (i))
+                retVal.push (i);
+        }
+
+        return retVal;
+    };
+
+    /**
+     * Create the preview level from the level being edited. Every entity descriptor is created on its
+     * own, so that one that can't be created doesn't stop the others from being displayed.
+     *
+     * The preview level is not given actual level data, since level data refuses to be created when the
+     * level has problems, and a level that is being edited usually has some until it's finished.
+     *
+     * Guards are displayed at their spawn point, since that is where they will start in the game.
+     */
+    nurdz.sneak.EditorScene.prototype.rebuildLevel = function ()
+    {
+        var entities = [];
+        var i;
+
+        this.previewEntities = [];
+        this.entityErrors = [];
+        for (i = 0 ; i < this.descriptors.length ; i++)
+        {
+            try
+            {
+                var entity = nurdz.sneak.SneakLevelData.prototype.createEntities (this.stage,
+                                                                                  [this.descriptors[i]])[0];
+                entities.push (entity);
+                this.previewEntities.push (entity);
+                this.entityErrors.push (null);
+            }
+            catch (error)
+            {
+                this.previewEntities.push (null);
+                this.entityErrors.push (error.message);
+            }
+        }
+
+        var entitiesByID = {};
+        for (i = 0 ; i < entities.length ; i++)
+            entitiesByID[entities[i].properties.id] = entities[i];
+
+        this.level = new nurdz.game.Level (this.stage, {
+            width:        this.levelWidth,
+            height:       this.levelHeight,
+            levelData:    this.tiles,
+            entities:     entities,
+            entitiesByID: entitiesByID,
+            tileset:      this.tileset
+        });
+
+        for (i = 0 ; i < entities.length ; i++)
+        {
+            if (entities[i] instanceof nurdz.sneak.GuardBase)
+            {
+                var spawn = this.level.entitiesByID[entities[i].properties.spawnPoint];
+                entities[i].setMapPosition (spawn instanceof nurdz.sneak.Waypoint ? spawn.mapPosition
+                                                : entities[i].mapPosition);
+            }
+        }
+
+        // Display all of the entities in the level.
+        this.actorList = [];
+        this.addActorArray (entities);
+        this.sortActors ();
+    };
+
+    /**
+     * Get the map position that the entity descriptor at the index given is displayed at.
+     *
+     * @param {Number} index the index of the descriptor
+     * @returns {nurdz.game.Point} the map position of the entity
+     */
+    nurdz.sneak.EditorScene.prototype.displayPosition = function (index)
+    {
+        if (this.previewEntities[index] != null)
+            return this.previewEntities[index].mapPosition;
+
+        var position = this.descriptors[index].position;
+        return new nurdz.game.Point (position[0], position[1]);
+    };
+
+    /**
+     * Get all of the entity descriptors whose entities are displayed at the map position provided.
+     *
+     * @param {nurdz.game.Point} mapPos the map position to check
+     * @returns {Object[]} the entity descriptors at this position (may be empty)
+     */
+    nurdz.sneak.EditorScene.prototype.descriptorsAt = function (mapPos)
+    {
+        var retVal = [];
+        for (var i = 0 ; i < this.descriptors.length ; i++)
+        {
+            if (this.displayPosition (i).equals (mapPos))
+                retVal.push (this.descriptors[i]);
+        }
+
+        return retVal;
+    };
+
+    /**
+     * Paint the map position provided with the tile that is selected for painting.
+     *
+     * @param {nurdz.game.Point} mapPos the map position to paint
+     */
+    nurdz.sneak.EditorScene.prototype.paintTile = function (mapPos)
+    {
+        var index = mapPos.y * this.levelWidth + mapPos.x;
+        if (this.tiles[index] != this.paintTileID)
+        {
+            this.tiles[index] = this.paintTileID;
+            this.rebuildLevel ();
+        }
+    };
+
+    /**
+     * Add a new entity of the selected kind at the map position provided, and select it.
+     *
+     * @param {nurdz.game.Point} mapPos the map position to add the entity at
+     */
+    nurdz.sneak.EditorScene.prototype.addEntity = function (mapPos)
+    {
+        var descriptor = {class: this.entityClasses[this.entityClassIndex], position: [mapPos.x, mapPos.y]};
+
+        this.descriptors.push (descriptor);
+        this.rebuildLevel ();
+        this.selectEntity (descriptor);
+    };
+
+    /**
+     * Move the selected entity to the map position provided. Since guards are displayed at their spawn
+     * point, moving a guard moves the waypoint it spawns at as well.
+     *
+     * @param {nurdz.game.Point} mapPos the map position to move the entity to
+     */
+    nurdz.sneak.EditorScene.prototype.moveSelected = function (mapPos)
+    {
+        if (this.selected == null)
+            return;
+
+        this.selected.position = [mapPos.x, mapPos.y];
+        if (describes (this.selected, nurdz.sneak.GuardBase))
+        {
+            for (var i = 0 ; i < this.descriptors.length ; i++)
+            {
+                if (describes (this.descriptors[i], nurdz.sneak.Waypoint) && this.descriptors[i].id != null &&
+                    this.descriptors[i].id == this.selected.spawnPoint)
+                    this.descriptors[i].position = [mapPos.x, mapPos.y];
+            }
+        }
+
+        this.rebuildLevel ();
+    };
+
+    /**
+     * Delete the selected entity from the level.
+     */
+    nurdz.sneak.EditorScene.prototype.deleteSelected = function ()
+    {
+        if (this.selected == null)
+            return;
+
+        this.descriptors.splice (this.descriptors.indexOf (this.selected), 1);
+        this.selectEntity (null);
+        this.rebuildLevel ();
+    };
+
+    /**
+     * Select the entity descriptor provided (or nothing, for null) and show its properties in the panel.
+     *
+     * @param {Object|null} descriptor the descriptor to select, or null to select nothing
+     */
+    nurdz.sneak.EditorScene.prototype.selectEntity = function (descriptor)
+    {
+        this.selected = descriptor;
+        this.updatePanel ();
+    };
+
+    /**
+     * Change a property of the selected entity. The value is parsed as JSON if possible, and is used as a
+     * string otherwise; an empty value removes the property.
+     *
+     * @param {String} name the name of the property to change
+     * @param {String} valueText the text of the new value
+     */
+    nurdz.sneak.EditorScene.prototype.setProperty = function (name, valueText)
+    {
+        if (this.selected == null || name == "" || DESCRIPTOR_FIELDS.indexOf (name) != -1)
+            return;
+
+        if (valueText == "")
+            delete this.selected[name];
+        else
+        {
+            try
+            {
+                this.selected[name] = JSON.parse (valueText);
+            }
+            catch (error)
+            {
+                this.selected[name] = valueText;
+            }
+        }
+
+        this.rebuildLevel ();
+        this.updatePanel ();
+    };
+
+    /**
+     * Get the values that the property with the schema entry provided can be set to in the panel, when
+     * there is a fixed set of them: the allowed values, true and false, or the ID values of the entities
+     * that a property that refers to a single entity can refer to. Only entities that were given an ID are
+     * included, since generated ID values change every time that the level is created.
+     *
+     * @param {Object} entry the schema entry of the property
+     * @returns {Array|null} the values to choose from, or null if any value can be entered
+     * @see nurdz.sneak.ChronoEntity.propertySchema
+     */
+    nurdz.sneak.EditorScene.prototype.propertyChoices = function (entry)
+    {
+        if (entry.values != null)
+            return entry.values;
+        if (entry.type == "boolean")
+            return [true, false];
+        if (entry.type != "string" || entry.reference == null)
+            return null;
+
+        // A reference to no class in particular can be to any entity.
+        var expected = (entry.reference === true) ? null : nurdz.sneak.entityRegistry.lookup (entry.reference);
+        if (expected == null)
+            expected = nurdz.sneak.ChronoEntity;
+
+        return this.descriptors.filter (function (descriptor)
+                                        {
+                                            return typeof (descriptor.id) == "string" &&
+                                                describes (descriptor, expected);
+                                        })
+                                .map (function (descriptor) { return descriptor.id; });
+    };
+
+    /**
+     * Update the part of the panel that shows the selected entity. The properties that the descriptor has
+     * can be edited, and the other properties in the schema of the entity class are shown with their
+     * defaults as placeholders. Properties that have a fixed set of values are chosen from a list, and
+     * hovering over a property shows its documentation.
+     */
+    nurdz.sneak.EditorScene.prototype.updatePanel = function ()
+    {
+        var scene = this;
+        var table = this.panel.properties;
+        var constructor = (this.selected != null) ? nurdz.sneak.entityRegistry.lookup (this.selected.class) : null;
+        var schema = (constructor != null) ? constructor.prototype.completePropertySchema () : {};
+
+        // Add a row to the property table for the property given, using the schema entry for it if there
+        // is one.
+        var addRow = function (name, value)
+        {
+            var row = element ("tr");
+            var entry = schema[name];
+            var choices = (entry != null) ? scene.propertyChoices (entry) : null;
+            var input, option;
+
+            if (choices != null)
+            {
+                // The first choice leaves the property out, so that it gets its default. A value that is
+                // not one of the choices is still shown, so that it can be seen to be wrong.
+                input = element ("select", "form-control");
+                option = input.appendChild (element ("option", null, (entry.default !== undefined)
+                    ? "(default: " + JSON.stringify (entry.default) + ")" : "(none)"));
+                option.value = "";
+
+                if (value !== undefined && choices.indexOf (value) == -1)
+                    choices = choices.concat ([value]);
+                for (var i = 0 ; i < choices.length ; i++)
+                {
+                    option = input.appendChild (element ("option", null, JSON.stringify (choices[i])));
+                    option.value = JSON.stringify (choices[i]);
+                }
+            }
+            else
+            {
+                input = element ("input", "form-control");
+                if (entry != null && entry.default !== undefined)
+                    input.placeholder = JSON.stringify (entry.default);
+            }
+
+            input.value = (value === undefined) ? "" : JSON.stringify (value);
+            if (entry != null)
+                row.title = constructor.prototype.describeProperty (name);
+
+            input.addEventListener ("change", function ()
+            {
+                scene.setProperty (name, input.value);
+            });
+
+            row.appendChild (element ("td", null, name));
+            row.appendChild (element ("td")).appendChild (input);
+            table.appendChild (row);
+        };
+
+        while (table.firstChild)
+            table.removeChild (table.firstChild);
+
+        if (this.selected == null)
+        {
+            this.panel.entity.textContent = "No entity selected";
+            this.panel.entityError.textContent = "";
+            return;
+        }
+
+        var index = this.descriptors.indexOf (this.selected);
+        this.panel.entity.textContent = this.selected.class + " at [" + this.selected.position.join (", ") + "]";
+        this.panel.entityError.textContent = this.entityErrors[index] || "";
+
+        // The properties in the descriptor, then the rest of the ones in the schema.
+        var name;
+        for (name in this.selected)
+        {
+            if (this.selected.hasOwnProperty (name) && DESCRIPTOR_FIELDS.indexOf (name) == -1)
+                addRow (name, this.selected[name]);
+        }
+
+        for (name in schema)
+        {
+            if (schema.hasOwnProperty (name) && this.selected.hasOwnProperty (name) == false)
+                addRow (name, undefined);
+        }
+
+        // Lastly, a row that can add any other property.
+        var row = element ("tr");
+        var nameInput = element ("input", "form-control");
+        var valueInput = element ("input", "form-control");
+        nameInput.placeholder = "new property";
+        valueInput.addEventListener ("change", function ()
+        {
+            scene.setProperty (nameInput.value, valueInput.value);
+        });
+
+        row.appendChild (element ("td")).appendChild (nameInput);
+        row.appendChild (element ("td")).appendChild (valueInput);
+        table.appendChild (row);
+    };
+
+    /**
+     * Show the problems provided in the panel, or hide them if there are none.
+     *
+     * @param {String|null} problems the problems to show, or null to hide them
+     */
+    nurdz.sneak.EditorScene.prototype.showProblems = function (problems)
+    {
+        this.panel.problems.textContent = problems || "";
+        this.panel.problems.style.display = problems ? "block" : "none";
+    };
+
+    /**
+     * Export the level being edited as JSON text that nurdz.sneak.LevelLoader can load. Each row of tiles
+     * and each entity is on a line of its own, so that the problems that the loader reports are easy to
+     * find.
+     *
+     * @returns {String} the level as JSON text
+     */
+    nurdz.sneak.EditorScene.prototype.exportLevel = function ()
+    {
+        var rows = [];
+        for (var y = 0 ; y < this.levelHeight ; y++)
+            rows.push ("        " + this.tiles.slice (y * this.levelWidth, (y + 1) * this.levelWidth).join (", "));
+
+        var entities = [];
+        for (var i = 0 ; i < this.descriptors.length ; i++)
+            entities.push ("        " + JSON.stringify (this.descriptors[i]));
+
+        return "{\n" +
+               "    \"name\": " + JSON.stringify (this.levelName) + ",\n" +
+               "    \"width\": " + this.levelWidth + ",\n" +
+               "    \"height\": " + this.levelHeight + ",\n" +
+               "    \"tileset\": " + JSON.stringify (this.tileset.name) + ",\n" +
+               "    \"tiles\": [\n" + rows.join (",\n") + "\n    ],\n" +
+               "    \"entities\": [\n" + entities.join (",\n") + "\n    ]\n" +
+               "}\n";
+    };
+
+    /**
+     * Import a level from JSON text and start editing it. If the level can't be loaded, the problems are
+     * shown in the panel and the level being edited is left alone.
+     *
+     * @param {String} text the JSON text of the level
+     * @returns {Boolean} true if the level was imported, false otherwise
+     */
+    nurdz.sneak.EditorScene.prototype.importLevel = function (text)
+    {
+        try
+        {
+            var levelData = this.loader.load (text, "import");
+        }
+        catch (error)
+        {
+            this.showProblems (error.message);
+            return false;
+        }
+
+        this.editLevelData (levelData);
+        return true;
+    };
+
+    /**
+     * Play test the level being edited in the game scene. If the level can't be played, the problems are
+     * shown in the panel and we stay in the editor.
+     */
+    nurdz.sneak.EditorScene.prototype.playTest = function ()
+    {
+        var loader = this.loader;
+        var text = this.exportLevel ();
+
+        try
+        {
+            this.gameScene.startPlayTest (function (stage)
+            {
+                return loader.load (text, "editor");
+            });
+        }
+        catch (error)
+        {
+            this.showProblems (error.message);
+            return;
+        }
+
+        this.showProblems (null);
+        this.stage.switchToScene (nurdz.sneak.constants.SCENE_GAME);
+    };
+
+    /**
+     * Invoked when we become active. The panel is shown, and if the game scene has moved on to a campaign
+     * level other than the one it was playing when we last loaded a level from it (or we have not edited
+     * anything yet), we start editing that level. Coming back from a play test leaves the level being
+     * edited alone.
+     *
+     * @param {nurdz.game.Scene|null} previousScene
+     */
+    nurdz.sneak.EditorScene.prototype.activating = function (previousScene)
+    {
+        this.stage.canvasContext.font = "20px monospace";
+        this.panel.container.style.display = "block";
+
+        if (this.gameScene.playTestLevel == null &&
+            (this.tiles == null || this.gameLevelID != this.gameScene.levelID))
+        {
+            this.gameLevelID = this.gameScene.levelID;
+            this.editLevelData (this.gameScene.campaign.createLevelData (this.gameLevelID, this.stage));
+        }
+        else
+            this.rebuildLevel ();
+
+        // The camera stays where the game left it, as long as that's inside of the level.
+        this.scrollCamera (0, 0);
+
+        nurdz.game.Scene.prototype.activating.call (this, previousScene);
+    };
+
+    /**
+     * Invoked when we are no longer the active scene; the panel is hidden.
+     *
+     * @param {nurdz.game.Scene} nextScene
+     */
+    nurdz.sneak.EditorScene.prototype.deactivating = function (nextScene)
+    {
+        this.panel.container.style.display = "none";
+        nurdz.game.Scene.prototype.deactivating.call (this, nextScene);
+    };
+
+    /**
+     * The editor shares the calculation of where to draw trigger links with the game scene; it only
+     * depends on the level of the scene.
+     *
+     * @see nurdz.sneak.GameScene.calculateEntityTriggerLinks
+     */
+    nurdz.sneak.EditorScene.prototype.calculateEntityTriggerLinks =
+        nurdz.sneak.GameScene.prototype.calculateEntityTriggerLinks;
+
+    /**
+     * The editor shares the calculation of where to draw guard patrols with the game scene; it only
+     * depends on the level of the scene.
+     *
+     * @see nurdz.sneak.GameScene.calculateGuardPatrol
+     */
+    nurdz.sneak.EditorScene.prototype.calculateGuardPatrol = nurdz.sneak.GameScene.prototype.calculateGuardPatrol;
+
+    /**
+     * This method is invoked every frame after the update() method is invoked to allow this scene to
+     * render to the screen everything that it visually wants to appear.
+     */
+    nurdz.sneak.EditorScene.prototype.render = function ()
+    {
+        var i, j, points, position;
+        var tSize = nurdz.game.TILE_SIZE;
+
+        // Clear the screen and render the level and all of the entities that could be created, as seen by
+        // the camera.
+        this.stage.clear ();
+        this.stage.applyCamera ();
+        this.level.render (this.stage);
+        nurdz.game.Scene.prototype.render.call (this);
+
+        // Entities that could not be created are marked with a red box.
+        this.stage.setLineStyle ("red", 2);
+        for (i = 0 ; i < this.descriptors.length ; i++)
+        {
+            if (this.previewEntities[i] == null)
+            {
+                position = this.displayPosition (i);
+                this.stage.canvasContext.strokeRect (position.x * tSize + 2, position.y * tSize + 2,
+                                                     tSize - 4, tSize - 4);
+            }
+        }
+
+        // Draw the trigger links for every entity that has them.
+        this.stage.setArrowStyle ("red", 2);
+        for (i = 0 ; i < this.level.entities.length ; i++)
+        {
+            points = this.calculateEntityTriggerLinks (this.level.entities[i]);
+            for (j = 1 ; points != null && j < points.length ; j++)
+                this.stage.drawArrow (points[0].x, points[0].y, points[j].x, points[j].y);
+        }
+
+        // Draw the patrol of every guard that has one.
+        this.stage.setArrowStyle ("blue", 2);
+        for (i = 0 ; i < this.level.entities.length ; i++)
+        {
+            var entity = this.level.entities[i];
+            if (entity instanceof nurdz.sneak.GuardBase && entity.properties.patrol)
+            {
+                points = this.calculateGuardPatrol (entity);
+                for (j = 0 ; j < points.length - 1 ; j++)
+                    this.stage.drawArrow (points[j].x, points[j].y, points[j + 1].x, points[j + 1].y);
+            }
+        }
+
+        // Outline the selected entity and the tile under the mouse.
+        if (this.selected != null)
+        {
+            position = this.displayPosition (this.descriptors.indexOf (this.selected));
+            this.stage.setLineStyle ("yellow", 3);
+            this.stage.canvasContext.strokeRect (position.x * tSize, position.y * tSize, tSize, tSize);
+        }
+
+        if (this.mousePos != null)
+        {
+            this.stage.setLineStyle ("white", 1);
+            this.stage.canvasContext.strokeRect (this.mousePos.x * tSize, this.mousePos.y * tSize, tSize, tSize);
+        }
+
+        // The status stays in place on the stage as the camera moves.
+        this.stage.restore ();
+
+        // Show what clicking does at the bottom of the screen.
+        var status = this.paintMode
+            ? "Paint: " + this.tileset.tilesByValue[this.paintTileID].name
+            : "Place: " + this.entityClasses[this.entityClassIndex];
+        if (this.mousePos != null)
+            status = this.mousePos.toString () + " " + status;
+
+        this.stage.drawTxt (status, 16, this.stage.height - 6, "white");
+    };
+
+    /**
+     * Scroll the camera by the number of tiles given in each direction, without showing anything outside
+     * of the level. The tile under the mouse is forgotten, since the level moved out from under it.
+     *
+     * @param {Number} xTiles the number of tiles to scroll horizontally
+     * @param {Number} yTiles the number of tiles to scroll vertically
+     */
+    nurdz.sneak.EditorScene.prototype.scrollCamera = function (xTiles, yTiles)
+    {
+        var tSize = nurdz.game.TILE_SIZE;
+        this.stage.setCameraXY (this.stage.camera.x + xTiles * tSize, this.stage.camera.y + yTiles * tSize,
+                                this.levelWidth * tSize, this.levelHeight * tSize);
+        this.mousePos = null;
+    };
+
+    /**
+     * Get the map position of the mouse event provided, or null if it is not inside of the level.
+     *
+     * @param {Event} eventObj the mouse event
+     * @returns {nurdz.game.Point|null} the map position of the event, or null
+     */
+    nurdz.sneak.EditorScene.prototype.eventMapPosition = function (eventObj)
+    {
+        var mapPos = this.stage.calculateMousePos (eventObj).reduce (nurdz.game.TILE_SIZE);
+        if (mapPos.x < 0 || mapPos.y < 0 || mapPos.x >= this.levelWidth || mapPos.y >= this.levelHeight)
+            return null;
+
+        return mapPos;
+    };
+
+    /**
+     * This gets triggered while the game is running, this scene is the current scene, and the mouse
+     * is clicked on the stage. This paints a tile, or selects or places an entity.
+     *
+     * @param {Event} eventObj the event object
+     */
+    nurdz.sneak.EditorScene.prototype.inputMouseClick = function (eventObj)
+    {
+        var mapPos = this.eventMapPosition (eventObj);
+        if (mapPos == null)
+            return;
+
+        if (this.paintMode)
+        {
+            this.paintTile (mapPos);
+            return;
+        }
+
+        // Select the entity here, cycling through them when there is more than one and one of them is
+        // already selected. With nothing here, a new entity is placed.
+        var descriptors = this.descriptorsAt (mapPos);
+        if (descriptors.length == 0)
+            this.addEntity (mapPos);
+        else
+            this.selectEntity (descriptors[(descriptors.indexOf (this.selected) + 1) % descriptors.length]);
+    };
+
+    /**
+     * This gets triggered while the game is running, this scene is the current scene, and the mouse
+     * moves over the stage. When painting tiles, holding the button down paints as the mouse moves.
+     *
+     * @param {Event} eventObj the event object
+     */
+    nurdz.sneak.EditorScene.prototype.inputMouseMove = function (eventObj)
+    {
+        this.mousePos = this.eventMapPosition (eventObj);
+        if (this.mousePos != null && this.paintMode && (eventObj.buttons & 1))
+            this.paintTile (this.mousePos);
+    };
+
+    /**
+     * Handle keyboard down events for the editor scene. Keys that are pressed while typing in the panel
+     * are left alone.
+     *
+     * @param {Event} eventObj the keyboard event
+     * @returns {Boolean} true if we handle the key event, false otherwise
+     */
+    nurdz.sneak.EditorScene.prototype.inputKeyDown = function (eventObj)
+    {
+        var target = eventObj.target;
+        if (target != null && (target.tagName == "INPUT" || target.tagName == "TEXTAREA"))
+            return false;
+
+        // The keys of the editor are fixed, but they are named the same way as the keys of the game scene.
+        var keyName = this.gameScene.inputMap.keyName (eventObj);
+
+        // The number keys select the tile to paint.
+        if (/^Digit[1-9]$/.test (keyName))
+        {
+            var tileIDs = this.tileIDs ();
+            var index = Number (keyName.charAt (5)) - 1;
+            if (index >= tileIDs.length)
+                return false;
+
+            this.paintTileID = tileIDs[index];
+            this.paintMode = true;
+            return true;
+        }
+
+        switch (keyName)
+        {
+            // Select the next (or with shift, the previous) kind of entity to place.
+            case "Tab":
+                if (this.paintMode == false)
+                {
+                    this.entityClassIndex += (eventObj.shiftKey ? this.entityClasses.length - 1 : 1);
+                    this.entityClassIndex %= this.entityClasses.length;
+                }
+                this.paintMode = false;
+                return true;
+
+            case "KeyA":
+                if (this.mousePos != null)
+                    this.addEntity (this.mousePos);
+                return true;
+
+            case "KeyM":
+                if (this.mousePos != null)
+                    this.moveSelected (this.mousePos);
+                return true;
+
+            case "Delete":
+            case "Backspace":
+                this.deleteSelected ();
+                return true;
+
+            case "KeyN":
+                this.newLevel ();
+                return true;
+
+            case "KeyP":
+                this.playTest ();
+                return true;
+
+            // Scroll levels that are larger than the stage.
+            case "ArrowLeft":
+                this.scrollCamera (-1, 0);
+                return true;
+
+            case "ArrowRight":
+                this.scrollCamera (1, 0);
+                return true;
+
+            case "ArrowUp":
+                this.scrollCamera (0, -1);
+                return true;
+
+            case "ArrowDown":
+                this.scrollCamera (0, 1);
+                return true;
+
+            // Go back to the game. If the game scene was play testing, it goes back to the campaign level
+            // that it was playing before.
+            case "Escape":
+            case "F2":
+                if (this.gameScene.playTestLevel != null)
+                    this.gameScene.loadLevel (this.gameScene.levelID);
+                this.stage.switchToScene (nurdz.sneak.constants.SCENE_GAME);
+                return true;
+
+            // This key opens a new tab/window with a copy of the current frame displayed.
+            case "F5":
+                this.screenshot ("ChronoSneak_Editor_", "ChronoSneak Editor Screenshot");
+                return true;
+        }
+
+        return false;
+    };
+} ());
@@ -1,12 +1,16 @@
 /**
  * A subclass of the Scene class that handles all action on the title screen.
  *
+ * The levels that are played come from a campaign. The scene starts out at the first level of the
+ * campaign, and moves on through the campaign as the player wins levels.
+ *
  * @param {nurdz.game.Stage} stage the stage that will be associated with this scene
+ * @param {nurdz.sneak.Campaign} campaign the campaign that contains the levels to play
  * @see nurdz.game.Scene
  * @extends nurdz.game.Scene
  * @constructor
  */
-nurdz.sneak.GameScene = function (stage)
+nurdz.sneak.GameScene = function (stage, campaign)
 {
     "use strict";
 
@@ -14,11 +18,37 @@ nurdz.sneak.GameScene = function (stage)
     nurdz.game.Scene.call (this, "Game Screen", stage);
 
     /**
-     * Load the level that we will be displaying.
+     * The campaign that the levels we play come from.
+     *
+     * @type {nurdz.sneak.Campaign}
+     */
+    this.campaign = campaign;
+
+    /**
+     * The ID of the level in the campaign that we are playing. This is set when the level is loaded.
+     *
+     * @type {String|null}
+     * @see nurdz.sneak.GameScene.loadLevel
+     */
+    this.levelID = null;
+
+    /**
+     * When the level being played is a play test of a level from the editor, this is the function that
+     * creates the level data for it; it is given the stage and returns the level data. This is null when
+     * the level being played is from the campaign.
+     *
+     * @type {Function|null}
+     * @see nurdz.sneak.GameScene.startPlayTest
+     */
+    this.playTestLevel = null;
+
+    /**
+     * The level that we are displaying. This is set when the level is loaded.
      *
-     * @type {nurdz.game.Level}
+     * @type {nurdz.sneak.SneakLevel|null}
+     * @see nurdz.sneak.GameScene.loadLevel
      */
-    this.level = new nurdz.sneak.SneakLevel (stage, nurdz.sneak.levels.getLevelOne (stage));
+    this.level = null;
 
     /**
      * The size of tiles in the game. Cached for quicker access.
@@ -71,25 +101,99 @@ nurdz.sneak.GameScene = function (stage)
      */
     this.debugTargetPatrol = null;
 
+    /**
+     * When this is true, the noises that were made during the current turn are rendered over the level,
+     * showing how far each of them spread. This is toggled by a debugging key.
+     *
+     * @type {Boolean}
+     */
+    this.debugShowNoise = false;
+
+    /**
+     * This is true when the player has been caught by a guard at the current turn, which fails the level.
+     * While this is set, the player can't take any more turns; they can only step back in time to a turn
+     * where they were not caught.
+     *
+     * @type {Boolean}
+     */
+    this.playerCaught = false;
+
+    /**
+     * This is true when at least one guard could see the player at the end of the current turn.
+     *
+     * @type {Boolean}
+     */
+    this.playerSeen = false;
+
+    /**
+     * The number of times that the player has been spotted by guards while playing this level; this counts
+     * every time the player goes from being unseen to being seen while taking a turn. Turns that are
+     * undone by stepping back in time still count.
+     *
+     * @type {Number}
+     */
+    this.timesSpotted = 0;
+
+    /**
+     * The number of times that the player has stepped back in time while playing this level.
+     *
+     * @type {Number}
+     */
+    this.rewindsUsed = 0;
+
+    /**
+     * This is true once the level has ended, either in victory or defeat. Once the level is over, input
+     * is ignored while we wait for the results scene to take over.
+     *
+     * @type {Boolean}
+     * @see nurdz.sneak.GameScene.endLevel
+     */
+    this.levelOver = false;
+
+    /**
+     * When the level is over, this indicates if the player won (true) or lost (false).
+     *
+     * @type {Boolean}
+     */
+    this.levelWon = false;
+
+    /**
+     * When something during a turn has ended the level, this is whether the player won (true) or lost
+     * (false); the level ends once the turn is complete. This is null when the level is not ending.
+     *
+     * @type {Boolean|null}
+     * @see nurdz.sneak.GameScene.queueEndLevel
+     */
+    this.pendingLevelEnd = null;
+
     /**
      * The player in the game. This comes from the entity information attached to the level, although we
-     * verify that the ID is correct and that it is an instance of the appropriate class.
-     *
-     * @type {nurdz.sneak.Player}
-     */
-    this.player = this.level.entitiesByID["player"];
-    if (this.player == null || this.player instanceof nurdz.sneak.Player == false)
-        throw new Error ("Unable to find player entity or entity is not a player");
-
-    // Add the player and all of the entities in the level to the list of actors in the scene, so that the
-    // update and render methods of all of them will get invoked automatically.
-    //
-    // NOTE: Since this is supposed to be a turn based game, the "update" method can be used to change the
-    // visual appearance of an actor/entity, but all of the internal logic regarding updates, position
-    // changes etc should happen in the step() method. This only gets invoked by the scene when the player
-    // actually takes a turn or does something that burns time (like waiting).
-    this.addActorArray (this.level.entities);
-    this.sortActors ();
+     * verify that the ID is correct and that it is an instance of the appropriate class. This is set when
+     * the level is loaded.
+     *
+     * @type {nurdz.sneak.Player|null}
+     */
+    this.player = null;
+
+    /**
+     * The heads up display that is rendered over the level, which also keeps the log of messages about
+     * what is happening in the level.
+     *
+     * @type {nurdz.sneak.Hud}
+     */
+    this.hud = new nurdz.sneak.Hud (stage);
+
+    /**
+     * The map of keys to the actions that they perform while playing. The player can change the bindings
+     * on the controls screen; they are saved in local storage.
+     *
+     * @type {nurdz.game.InputMap}
+     * @see nurdz.sneak.GameScene.inputActions
+     */
+    this.inputMap = new nurdz.game.InputMap ("ChronoSneak.controls", this.inputActions);
+
+    // Start with the first level in the campaign.
+    this.loadLevel (campaign.firstLevelID ());
 };
 
 (function ()
@@ -107,6 +211,233 @@ nurdz.sneak.GameScene = function (stage)
         }
     });
 
+    /**
+     * The radius (in tiles) of the noise that the player makes for every step that they take while
+     * running.
+     *
+     * @const
+     * @type {Number}
+     */
+    var RUN_NOISE = 5;
+
+    /**
+     * The color that the spread of noises is rendered in while debugging.
+     *
+     * @const
+     * @type {String}
+     */
+    var NOISE_COLOR = "#FF40FF";
+
+    /**
+     * The actions that can be performed while playing, in the order that they are listed on the controls
+     * screen, with the keys that they are bound to by default.
+     *
+     * Holding Shift while moving makes the player run; that is not an action of its own. The action that
+     * shows the controls screen always has a key, so that the keys can always be changed back.
+     *
+     * @type {{name: String, description: String, keys: String[], required: Boolean}[]}
+     * @see nurdz.game.InputMap
+     */
+    nurdz.sneak.GameScene.prototype.inputActions = [
+        {name: "moveUp", description: "Move (or turn) up", keys: ["KeyW", "ArrowUp"]},
+        {name: "moveDown", description: "Move (or turn) down", keys: ["KeyS", "ArrowDown"]},
+        {name: "moveLeft", description: "Move (or turn) left", keys: ["KeyA", "ArrowLeft"]},
+        {name: "moveRight", description: "Move (or turn) right", keys: ["KeyD", "ArrowRight"]},
+        {name: "turnLeft", description: "Turn left", keys: ["KeyC"]},
+        {name: "turnRight", description: "Turn right", keys: ["KeyV"]},
+        {name: "interact", description: "Interact", keys: ["Space", "KeyQ"]},
+        {name: "wait", description: "Wait a turn", keys: ["KeyE", "Enter"]},
+        {name: "rewind", description: "Step back in time", keys: ["KeyZ"]},
+        {name: "replay", description: "Step forward in time", keys: ["KeyX"]},
+        {name: "giveUp", description: "Give up once caught", keys: ["Escape"]},
+        {name: "controls", description: "Show the controls", keys: ["KeyH"], required: true},
+        {name: "debugInfo", description: "Debug: show entity info", keys: ["F1"]},
+        {name: "editor", description: "Debug: level editor", keys: ["F2"]},
+        {name: "debugNoise", description: "Debug: show noises", keys: ["F3"]},
+        {name: "screenshot", description: "Take a screenshot", keys: ["F5"]}
+    ];
+
+    /**
+     * The actions that can still be performed once the player has been caught; none of them take a turn.
+     *
+     * @const
+     * @type {String[]}
+     */
+    var CAUGHT_ACTIONS = ["rewind", "replay", "giveUp", "controls", "debugInfo", "editor", "debugNoise",
+                          "screenshot"];
+
+    /**
+     * Load the level from the campaign that has the ID provided, putting it into its initial state and
+     * resetting all of the statistics that we keep about how the level was played.
+     *
+     * This does not check that the level is unlocked.
+     *
+     * @param {String} levelID the ID of the level in the campaign to load
+     * @throws {ReferenceError} if the campaign does not have a level with this ID
+     */
+    nurdz.sneak.GameScene.prototype.loadLevel = function (levelID)
+    {
+        this.setupLevel (this.campaign.createLevelData (levelID, this.stage));
+        this.levelID = levelID;
+        this.playTestLevel = null;
+    };
+
+    /**
+     * Start a play test of a level from the editor. The function provided is used to create the level
+     * data for the level, both now and whenever the level is restarted. The campaign level that was being
+     * played is remembered, so that it can be loaded again once the play test is over.
+     *
+     * @param {Function} createLevel a function that takes the stage and returns the level data to play
+     * @throws {Error} if the level data is not valid or there is no player in it
+     */
+    nurdz.sneak.GameScene.prototype.startPlayTest = function (createLevel)
+    {
+        this.setupLevel (createLevel (this.stage));
+        this.playTestLevel = createLevel;
+    };
+
+    /**
+     * Set up the scene to play the level with the level data provided, putting it into its initial state
+     * and resetting all of the statistics that we keep about how the level was played.
+     *
+     * If the level is not valid, an error is thrown and the level that was being played is left alone.
+     *
+     * @param {nurdz.game.LevelData} levelData the level data for the level to play
+     * @throws {Error} if the level data is not valid or there is no player in it
+     */
+    nurdz.sneak.GameScene.prototype.setupLevel = function (levelData)
+    {
+        // Create the level and find the player in it.
+        var level = new nurdz.sneak.SneakLevel (this.stage, levelData);
+        var player = level.entitiesByID["player"];
+        if (player == null || player instanceof nurdz.sneak.Player == false)
+            throw new Error ("Unable to find player entity or entity is not a player");
+
+        this.level = level;
+        this.player = player;
+
+        // Reset the state of play.
+        this.playerCaught = false;
+        this.playerSeen = false;
+        this.timesSpotted = 0;
+        this.rewindsUsed = 0;
+        this.levelOver = false;
+        this.levelWon = false;
+        this.pendingLevelEnd = null;
+
+        // Throw away any debug information and messages, since they're about the old level.
+        this.debugTargetLinks = null;
+        this.debugTargetPatrol = null;
+        this.hud.clearMessages ();
+
+        // Add the player and all of the entities in the level to the list of actors in the scene, so that
+        // the update and render methods of all of them will get invoked automatically. Any actors from a
+        // previous play of the level are thrown away first.
+        //
+        // NOTE: Since this is supposed to be a turn based game, the "update" method can be used to change
+        // the visual appearance of an actor/entity, but all of the internal logic regarding updates,
+        // position changes etc should happen in the step() method. This only gets invoked by the scene when
+        // the player actually takes a turn or does something that burns time (like waiting).
+        this.actorList = [];
+        this.addActorArray (this.level.entities);
+        this.sortActors ();
+    };
+
+    /**
+     * Start the current level over again from the beginning.
+     */
+    nurdz.sneak.GameScene.prototype.startLevel = function ()
+    {
+        if (this.playTestLevel != null)
+            this.startPlayTest (this.playTestLevel);
+        else
+            this.loadLevel (this.levelID);
+    };
+
+    /**
+     * Determine if there is a level that follows this one in the campaign, which the player can move on to
+     * because it is unlocked.
+     *
+     * @returns {Boolean} true if there is a next level, false otherwise
+     */
+    nurdz.sneak.GameScene.prototype.hasNextLevel = function ()
+    {
+        // A play test is just the one level.
+        if (this.playTestLevel != null)
+            return false;
+
+        var nextID = this.campaign.nextLevelID (this.levelID);
+        return nextID != null && this.campaign.isUnlocked (nextID);
+    };
+
+    /**
+     * Move on to the level that follows this one in the campaign and start it. This should only be
+     * invoked when hasNextLevel() says that there is a next level.
+     */
+    nurdz.sneak.GameScene.prototype.startNextLevel = function ()
+    {
+        if (this.hasNextLevel () == false)
+            throw new Error ("There is no next level to start");
+
+        this.loadLevel (this.campaign.nextLevelID (this.levelID));
+    };
+
+    /**
+     * End the level, with the player either winning or losing. This stops the player from taking any more
+     * turns and switches to the results scene, which will show how the level went.
+     *
+     * @param {Boolean} won true if the player won the level, false if they lost
+     * @see nurdz.sneak.GameScene.levelResults
+     */
+    nurdz.sneak.GameScene.prototype.endLevel = function (won)
+    {
+        // The level can only end once.
+        if (this.levelOver)
+            return;
+
+        this.levelOver = true;
+        this.levelWon = won;
+        this.pendingLevelEnd = null;
+
+        // Winning the level completes it in the campaign, which may unlock more levels.
+        if (won && this.playTestLevel == null)
+            this.campaign.markCompleted (this.levelID);
+
+        this.stage.events.publish (won ? nurdz.sneak.constants.EVENT_LEVEL_WON
+                                       : nurdz.sneak.constants.EVENT_LEVEL_FAILED, this.levelResults ());
+        this.stage.switchToScene (nurdz.sneak.constants.SCENE_RESULTS);
+    };
+
+    /**
+     * End the level once the current turn is complete, with the player either winning or losing. This is
+     * for ending the level from something that happens during a turn, so that the turn is counted and
+     * finished before the results are shown. Only the first request in a turn counts.
+     *
+     * @param {Boolean} won true if the player won the level, false if they lost
+     * @see nurdz.sneak.GameScene.endLevel
+     */
+    nurdz.sneak.GameScene.prototype.queueEndLevel = function (won)
+    {
+        if (this.pendingLevelEnd == null)
+            this.pendingLevelEnd = won;
+    };
+
+    /**
+     * Get the results of playing the level, for display once the level is over.
+     *
+     * @returns {{name: String, won: Boolean, turns: Number, timesSpotted: Number, rewindsUsed: Number}}
+     */
+    nurdz.sneak.GameScene.prototype.levelResults = function ()
+    {
+        return {
+            name:         this.playTestLevel != null ? "Play test" : this.campaign.levelInfo (this.levelID).name,
+            won:          this.levelWon,
+            turns:        this.level.turnIndex,
+            timesSpotted: this.timesSpotted,
+            rewindsUsed:  this.rewindsUsed
+        };
+    };
+
     /**
      * Invoked when we become active. We use this to make sure some persistent rendering properties are
      * set the way we want them for this scene.
@@ -133,7 +464,7 @@ nurdz.sneak.GameScene = function (stage)
         for (var i = 0 ; i < this.level.entities.length ; i++)
         {
             var entity = this.level.entities[i];
-            if (entity instanceof nurdz.sneak.GuardBase)
+            if (entity instanceof nurdz.sneak.Watcher)
                 entity.setStagePosition (entity.position);
         }
 
@@ -148,6 +479,9 @@ nurdz.sneak.GameScene = function (stage)
     {
         // Let the super class call update on all registered actors.
         nurdz.game.Scene.prototype.update.call (this);
+
+        // Keep the camera centered on the player, so that levels larger than the stage scroll.
+        this.level.centerCameraOn (this.player.position.copyTranslatedXY (this.tileSize / 2, this.tileSize / 2));
     };
 
     /**
@@ -161,20 +495,14 @@ nurdz.sneak.GameScene = function (stage)
     {
         var i, startPos, endPos;
 
-        // Clear the screen and render the level.
+        // Clear the screen and render the level, as seen by the camera.
         this.stage.clear ();
+        this.stage.applyCamera ();
         this.level.render (this.stage);
 
         // Call the super to display all actors registered with the stage. This includes the player.
         nurdz.game.Scene.prototype.render.call (this);
 
-        // Display our debug text at the bottom of the screen now
-        if (this.debugTxt != null)
-            this.stage.drawTxt (this.debugTxt, 16, this.stage.height - 6, 'white');
-
-        // Render the current FPS to the screen
-        this.stage.drawTxt(this.stage.fps ().toFixed (0), 6, 20, "red");
-
         // If there are debug target links, render them now.
         if (this.debugTargetLinks != null)
         {
@@ -216,6 +544,70 @@ nurdz.sneak.GameScene = function (stage)
                 this.stage.drawArrow (startPos.x, startPos.y, endPos.x, endPos.y);
             }
         }
+
+        // If we're showing noises, render them now.
+        if (this.debugShowNoise)
+            this.renderNoises ();
+
+        // Everything else stays in place on the stage as the camera moves.
+        this.stage.restore ();
+
+        // Display our debug text at the bottom of the screen now
+        if (this.debugTxt != null)
+            this.stage.drawTxt (this.debugTxt, 16, this.stage.height - 6, 'white');
+
+        // Render the current FPS to the screen
+        this.stage.drawTxt(this.stage.fps ().toFixed (0), 6, 20, "red");
+
+        // Show the turn, the alert level, the messages and what the player is carrying and can do.
+        this.hud.render (this);
+
+        // If the player has been caught, say so where the interaction prompt would be; there is nothing
+        // left to interact with.
+        if (this.playerCaught)
+        {
+            this.stage.canvasContext.save ();
+            this.stage.canvasContext.textAlign = "center";
+            this.stage.drawTxt ("Caught! Press " + this.inputMap.describeKeysFor ("rewind") +
+                                " to step back in time or " + this.inputMap.describeKeysFor ("giveUp") +
+                                " to give up.", this.stage.width / 2, this.stage.height - 34, "red");
+            this.stage.canvasContext.restore ();
+        }
+    };
+
+    /**
+     * Render all of the noises that were made during the current turn. Every map location where a noise
+     * can be heard is shaded, more strongly the louder the noise is there, and the place where the noise
+     * was made is outlined.
+     */
+    nurdz.sneak.GameScene.prototype.renderNoises = function ()
+    {
+        var tSize = this.tileSize;
+        var noises = this.level.noises;
+
+        this.stage.canvasContext.save ();
+        for (var i = 0 ; i < noises.length ; i++)
+        {
+            var noise = noises[i];
+            for (var y = 0 ; y < this.level.height ; y++)
+            {
+                for (var x = 0 ; x < this.level.width ; x++)
+                {
+                    var loudness = noise.loudness[y * this.level.width + x];
+                    if (loudness < 0)
+                        continue;
+
+                    this.stage.canvasContext.globalAlpha = 0.1 + 0.4 * (loudness / noise.radius);
+                    this.stage.fillRect (x * tSize, y * tSize, tSize, tSize, NOISE_COLOR);
+                }
+            }
+
+            this.stage.canvasContext.globalAlpha = 1;
+            this.stage.setLineStyle (NOISE_COLOR, 2);
+            this.stage.canvasContext.strokeRect (noise.position.x * tSize + 1, noise.position.y * tSize + 1,
+                                                 tSize - 2, tSize - 2);
+        }
+        this.stage.canvasContext.restore ();
     };
 
     /**
@@ -227,6 +619,10 @@ nurdz.sneak.GameScene = function (stage)
      */
     nurdz.sneak.GameScene.prototype.inputMouseClick = function (eventObj)
     {
+        // Once the level is over, the player can't be moved around any more.
+        if (this.levelOver)
+            return;
+
         // Calculate where the mouse was clicked and jump the player there.
         var clickPos = this.stage.calculateMousePos (eventObj);
         this.player.setMapPosition (clickPos.reduce(nurdz.game.TILE_SIZE));
@@ -318,9 +714,51 @@ nurdz.sneak.GameScene = function (stage)
         return retVal;
     };
 
+    /**
+     * Collect the trigger links of the entity provided into the list provided, as calculated by
+     * calculateEntityTriggerLinks(). Logic gates only exist to relay triggers, so the links of any logic
+     * gates that the entity triggers are collected as well, all the way down the chain; for a logic gate,
+     * the links into it from its inputs are also collected.
+     *
+     * @param {nurdz.game.Entity} entity the entity to collect trigger links for
+     * @param {nurdz.game.Point[][]} links the list to add the trigger links to
+     * @param {nurdz.game.Entity[]} visited the entities whose links have already been collected
+     * @see nurdz.sneak.GameScene.calculateEntityTriggerLinks
+     */
+    nurdz.sneak.GameScene.prototype.collectTriggerLinks = function (entity, links, visited)
+    {
+        var i;
+
+        // Trigger networks can loop, so only visit every entity once.
+        if (visited.indexOf (entity) != -1)
+            return;
+        visited.push (entity);
+
+        var triggerLinks = this.calculateEntityTriggerLinks (entity);
+        if (triggerLinks)
+            links.push (triggerLinks);
+
+        if (entity instanceof nurdz.sneak.LogicGate)
+        {
+            var inputs = entity.findInputs (this.level);
+            for (i = 0 ; i < inputs.length ; i++)
+            {
+                if (visited.indexOf (inputs[i]) == -1)
+                    links.push (this.calculateEntityTriggerLinks (inputs[i]));
+            }
+        }
+
+        var targets = this.level.entitiesWithIDs (entity.properties.trigger || []);
+        for (i = 0 ; i < targets.length ; i++)
+        {
+            if (targets[i] instanceof nurdz.sneak.LogicGate)
+                this.collectTriggerLinks (targets[i], links, visited);
+        }
+    };
+
     /**
      * Given an entity that is a guard, return back an array of points that specify all of the points on
-     * the patrol.
+     * the patrol. Any of the spawn point or waypoints that can't be found are left out.
      *
      * @param {nurdz.sneak.GuardBase} guard the guard whose patrol
      * @returns {nurdz.game.Point[]} the list of patrol waypoint locations
@@ -338,13 +776,14 @@ nurdz.sneak.GameScene = function (stage)
         // Store the spawn position as the first point and the waypoints as the following positions. Each
         // point is offset by half the tile size so that when the patrol path is displayed, it centers in
         // the tiles instead of pointing at the corners of the tiles.
-        retVal.push (spawnPos.position.copyTranslatedXY (offset, offset));
+        if (spawnPos != null)
+            retVal.push (spawnPos.position.copyTranslatedXY (offset, offset));
         for (var i = 0 ; i < waypoints.length ; i++)
             retVal.push (waypoints[i].position.copyTranslatedXY (offset, offset));
 
         // If the guard is supposed to loop its patrol, add the first waypoint again to cycle the path
         // back to where it started.
-        if (guard.properties.patrolLoop)
+        if (guard.properties.patrolLoop && waypoints.length > 0)
             retVal.push (waypoints[0].position.copyTranslatedXY (offset, offset));
 
         return retVal;
@@ -381,13 +820,13 @@ nurdz.sneak.GameScene = function (stage)
                 // Log this entity and then all of its properties. We single out the id property for
                 // easier reading.
                 console.log (entity.name + ":", entity.properties.id);
+
+                // Check if this entity has any triggers and if so, add them to our links array, along with
+                // the links through any logic gates that they lead to.
+                this.collectTriggerLinks (entity, links, []);
+
                 for (var name in entity.properties)
                 {
-                    // Check if this entity has any triggers and if so, add then to our links array.
-                    var triggerLinks = this.calculateEntityTriggerLinks (entity);
-                    if (triggerLinks)
-                        links.push (triggerLinks);
-
                     // Now display all properties except for the ID property, which we already displayed.
                     if (entity.properties.hasOwnProperty (name) && name != "id")
                         console.log ("\t" + name + ":", entity.properties[name]);
@@ -414,11 +853,10 @@ nurdz.sneak.GameScene = function (stage)
      * player is facing directly, then the tile that is adjacent to the player to the right or left (based
      * on the handedness of the player), and lastly the other side.
      *
-     * These checks stop as soon as any entities are found, so it does not include every entity that could
-     * be interacted with on the tile and in the three adjacent tiles.
-     *
-     * The list of found entities (if any) are filtered down to only those entities that are currently
-     * willing to interact with the player entity.
+     * These checks stop as soon as any entities that are currently willing to interact with the player
+     * are found, so it does not include every entity that could be interacted with on the tile and in the
+     * three adjacent tiles. Entities that are not willing to interact (such as an item that the player is
+     * standing on) don't stop the search.
      *
      * @returns {nurdz.sneak.ChronoEntity[]} list of entities to interact with (may be an empty array)
      */
@@ -445,45 +883,106 @@ nurdz.sneak.GameScene = function (stage)
          */
         var handedness = this.player.properties.handedness;
 
+        /**
+         * Filter the list of entities provided down to only those entities that are currently willing to
+         * interact with the player entity.
+         *
+         * @param {nurdz.sneak.ChronoEntity[]|null} entities the entities to filter
+         * @returns {nurdz.sneak.ChronoEntity[]} the entities that can be interacted with
+         */
+        var interactive = function (entities)
+        {
+            return (entities || []).filter (function (entity)
+                                            {
+                                                return entity.canInteractWith (this.player);
+                                            }, this);
+        }.bind (this);
+
         // Start off by collecting all of the entities that are on the tile that the player is currently
         // standing on.
-        var entities = this.level.entitiesAtMapPosition (this.player.mapPosition);
+        var entities = interactive (this.level.entitiesAtMapPosition (this.player.mapPosition));
 
         // If we didn't find anything, then try to look up entities on the tile that the player is
-        // currently facing instead. Note that since we checked the player location, and the player is an
-        // entity, it shows up in this list, so we need to exclude it.
-        if (entities == null || entities.length <= 1)
-            entities = this.level.entitiesAtMapPositionFacing (mapPos, facing);
+        // currently facing instead.
+        if (entities.length == 0)
+            entities = interactive (this.level.entitiesAtMapPositionFacing (mapPos, facing));
 
         // If we STILL didn't find anything, then check 90 degrees to the left or right. We search in the
         // direction of the handedness of the player (true means right).
-        if (entities == null || entities.length == 0)
-            entities = this.level.entitiesAtMapPositionFacing (mapPos,
-                                                               this.player.normalizeFacingAngle (
-                                                        facing + (handedness ? +90 : -90)));
+        if (entities.length == 0)
+            entities = interactive (this.level.entitiesAtMapPositionFacing (mapPos,
+                                                                            this.player.normalizeFacingAngle (
+                                                                     facing + (handedness ? +90 : -90))));
 
         // Do one last check for the other side.
-        if (entities == null || entities.length == 0)
-            entities = this.level.entitiesAtMapPositionFacing (mapPos,
-                                                               this.player.normalizeFacingAngle (
-                                                        facing + (handedness ? -90 : +90)));
-
-        // If we still didn't find anything, return back an empty array.
-        if (entities == null || entities.length == 0)
-            return entities || [];
-
-        // At this point we have found something that we might be able to interact with. Filter this down
-        // to the list of entities that are currently willing to interact with the player and return that
-        // list.
-        return entities.filter (function (entity)
-                                {
-                                    return entity.canInteractWith (this.player);
-                                }, this);
+        if (entities.length == 0)
+            entities = interactive (this.level.entitiesAtMapPositionFacing (mapPos,
+                                                                            this.player.normalizeFacingAngle (
+                                                                     facing + (handedness ? -90 : +90))));
+
+        return entities;
+    };
+
+
+    /**
+     * This gets invoked every time the player takes an action that uses up a turn, after all entities
+     * have had their turn and the action of the player has been carried out.
+     */
+    nurdz.sneak.GameScene.prototype.turnComplete = function ()
+    {
+        // Record the state of the level at the end of this turn so that we can come back to it later.
+        this.level.recordTurn ();
+
+        // Now that everything has moved, see what the guards know about the player.
+        this.checkGuards (true);
+
+        this.stage.events.publish (nurdz.sneak.constants.EVENT_TURN_ENDED,
+                                   {level: this.level, turn: this.level.turnIndex});
+
+        // If something that happened during the turn ended the level, it's over now.
+        if (this.pendingLevelEnd != null)
+            this.endLevel (this.pendingLevelEnd);
     };
 
+    /**
+     * Check to see if any guards can see or have caught the player, and update the state of the scene to
+     * match. Being caught fails the level at the current turn; this gets invoked whenever the current turn
+     * changes, so stepping back to a turn where the player was not caught allows play to continue.
+     *
+     * @param {Boolean} turnTaken true if this is being invoked because a turn was taken, or false if the
+     * current turn changed because of stepping through time; only new turns count towards being spotted
+     */
+    nurdz.sneak.GameScene.prototype.checkGuards = function (turnTaken)
+    {
+        var i, watchers, guards;
+        var wasSeen = this.playerSeen;
+        var wasCaught = this.playerCaught;
+
+        // See if any guards (or anything else that can see, such as cameras) can see the player.
+        watchers = this.level.entitiesWithType (nurdz.sneak.Watcher);
+        this.playerSeen = false;
+        for (i = 0 ; i < watchers.length ; i++)
+        {
+            if (watchers[i].spottedEntity === this.player)
+                this.playerSeen = true;
+        }
+
+        if (turnTaken && this.playerSeen && wasSeen == false)
+            this.timesSpotted++;
+
+        // Now see if any have caught the player.
+        guards = this.level.guardsThatCaught (this.player);
+        this.playerCaught = guards.length > 0;
+
+        // Only a new turn is news; stepping through time to a turn where the player was caught isn't.
+        if (turnTaken && this.playerCaught && wasCaught == false)
+            this.stage.events.publish (nurdz.sneak.constants.EVENT_PLAYER_CAUGHT,
+                                       {guard: guards[0], player: this.player});
+    };
 
     /**
-     * Handle keyboard down events for the title screen scene.
+     * Handle keyboard down events for the title screen scene. Keys are handled by the action that they
+     * are bound to in our input map, rather than by the key itself.
      *
      * @param {Event} eventObj the keyboard event
      * @returns {Boolean} true if we handle the key event, false otherwise
@@ -491,6 +990,7 @@ nurdz.sneak.GameScene = function (stage)
     nurdz.sneak.GameScene.prototype.inputKeyDown = function (eventObj)
     {
         var entities, i;
+        var action = this.inputAction (eventObj);
 
         // Get the map location of the player and his facing.
         var mapPos = this.player.mapPosition;
@@ -512,56 +1012,71 @@ nurdz.sneak.GameScene = function (stage)
          */
         var newFacing = null;
 
-        // Check for valid keys.
-        // If a valid movement key was seen, check to see if the position that was moved to is blocked.
+        // Once the level is over, we don't take any more input.
+        if (this.levelOver)
+            return false;
+
+        // Once the player has been caught, the level has failed and no further turns can be taken; only
+        // actions that don't take a turn can be performed.
+        if (this.playerCaught && CAUGHT_ACTIONS.indexOf (action) == -1)
+            return false;
 
-        switch (eventObj.keyCode)
+        // Check for valid actions.
+        // If a valid movement action was seen, check to see if the position that was moved to is blocked.
+
+        switch (action)
         {
             // This key will display information about all entities at the current mouse position to the
             // console and turn on visual arrows that show where the triggers on the entities point (if any).
-            case this.keys.KEY_F1:
+            case "debugInfo":
                 this.displayEntityInfo ();
                 return true;
 
+            // This key switches to the level editor; this is how a play test gets back to the editor.
+            case "editor":
+                this.stage.switchToScene (nurdz.sneak.constants.SCENE_EDITOR);
+                return true;
+
+            // This key toggles the display of the noises made during the current turn.
+            case "debugNoise":
+                this.debugShowNoise = !this.debugShowNoise;
+                return true;
+
             // This key opens a new tab/window with a copy of the current frame displayed.
-            case this.keys.KEY_F5:
+            case "screenshot":
                 this.screenshot ("ChronoSneak_", "ChronoSneak Screenshot");
                 return true;
 
-            case this.keys.KEY_C:
+            case "turnLeft":
                 newFacing = this.player.normalizeFacingAngle(this.player.properties.facing - 90);
                 break;
 
-            case this.keys.KEY_V:
+            case "turnRight":
                 newFacing = this.player.normalizeFacingAngle(this.player.properties.facing + 90);
                 break;
 
-            case this.keys.KEY_UP:
-            case this.keys.KEY_W:
+            case "moveUp":
                 if (mapFacing == 270)
                     targetPos = mapPos.copyTranslatedXY (0, -1);
                 else
                     newFacing = 270;
                 break;
 
-            case this.keys.KEY_DOWN:
-            case this.keys.KEY_S:
+            case "moveDown":
                 if (mapFacing == 90)
                     targetPos = mapPos.copyTranslatedXY (0, 1);
                 else
                     newFacing = 90;
                 break;
 
-            case this.keys.KEY_LEFT:
-            case this.keys.KEY_A:
+            case "moveLeft":
                 if (mapFacing == 180)
                     targetPos = mapPos.copyTranslatedXY (-1, 0);
                 else
                     newFacing = 180;
                 break;
 
-            case this.keys.KEY_RIGHT:
-            case this.keys.KEY_D:
+            case "moveRight":
                 if (mapFacing == 0)
                     targetPos = mapPos.copyTranslatedXY (1, 0);
                 else
@@ -574,61 +1089,92 @@ nurdz.sneak.GameScene = function (stage)
             // Doing this counts as an action, which means that all other entities step and thus get a turn.
             // An attempt to activate when there is nothing to activate has no effect. If you want to kill
             // time, use the wait key instead.
-            case this.keys.KEY_SPACEBAR:
-            case this.keys.KEY_Q:
+            case "interact":
                 // Get the entities that we might interact with. This could be an empty list.
                 entities = this.getInteractionEntities ();
                 if (entities.length > 0)
                 {
-                    // Step all entities.
-                    this.level.stepAllEntities ();
-
-                    // Now trigger everything that is on the same tile as us, except for ourselves.
+                    // Queue up a trigger for everything that we're interacting with; these happen at the
+                    // start of the step.
                     for (i = 0 ; i < entities.length ; i++)
-                    {
-                        entities[i].trigger (this.player);
-                    }
+                        this.level.queueTrigger (entities[i], this.player);
 
+                    // Step all entities.
+                    this.level.stepAllEntities ();
+                    this.turnComplete ();
                     return true;
                 }
                 else
-                    console.log ("Cannot activate: no eligible entities found");
+                    this.hud.addMessage ("There is nothing here to use.");
                 return false;
 
             // This key causes a "wait" action, which allows all entities to have a turn without the
             // player doing anything.
-            case this.keys.KEY_E:
-            case this.keys.KEY_ENTER:
+            case "wait":
                 this.level.stepAllEntities ();
+                this.turnComplete ();
+                return true;
+
+            // These keys step backwards and forwards through the turns that have been taken so far. This
+            // does not take a turn; the level just changes to the state it was in at that turn.
+            case "rewind":
+                if (this.level.rewindTurn ())
+                    this.rewindsUsed++;
+                else
+                    this.hud.addMessage ("You can't go back any further than the first turn.");
+                this.checkGuards (false);
+                return true;
+
+            case "replay":
+                if (this.level.replayTurn () == false)
+                    this.hud.addMessage ("You can't go forward any further than the most recent turn.");
+                this.checkGuards (false);
+                return true;
+
+            // Once the player has been caught, this key gives up on the level instead of stepping back in
+            // time.
+            case "giveUp":
+                if (this.playerCaught == false)
+                    return false;
+
+                this.endLevel (false);
+                return true;
+
+            // This key shows the controls screen, where the keys for all of these actions can be changed.
+            case "controls":
+                this.stage.switchToScene (nurdz.sneak.constants.SCENE_CONTROLS);
                 return true;
         }
 
         // If a turn happened, OR a move happened that is not blocked, then move the player and allow all
-        // entities a turn. This will also trigger entities that the player is now standing on.
+        // entities a turn. The move is carried out at the start of the step, after anything that was
+        // already queued; the level triggers the entities the player ends up standing on.
         if (newFacing != null ||
-            (targetPos != null && this.level.isBlockedAt (targetPos) == false))
+            (targetPos != null && this.level.isBlockedAt (targetPos, this.player) == false))
         {
             // Turn if we're turning.
             if (newFacing != null)
                 this.player.setFacing (this.player.calculateTurnFacing (newFacing));
 
-            // Move if we're moving.
+            // Move if we're moving. While the shift key is held the player runs, which takes them a second
+            // step in the same direction (if that is not blocked) but makes noise for every step.
             if (targetPos != null)
-                this.player.setMapPosition (targetPos);
+            {
+                if (eventObj.shiftKey)
+                {
+                    var runPos = targetPos.copyTranslatedXY (targetPos.x - mapPos.x, targetPos.y - mapPos.y);
+
+                    this.level.queueMove (this.player, targetPos, RUN_NOISE);
+                    if (this.level.isBlockedAt (runPos, this.player) == false)
+                        this.level.queueMove (this.player, runPos, RUN_NOISE);
+                }
+                else
+                    this.level.queueMove (this.player, targetPos);
+            }
 
             // Now let all entities have a turn.
             this.level.stepAllEntities ();
-
-            // If we moved, then find all entities at the position that the player moved to and trigger them.
-            //
-            // This happens after the move and the entity gets a turn so that the entities have a chance
-            // to move during their step such that they are no longer where the player might have ended up.
-            if (targetPos != null)
-            {
-                entities = this.level.entitiesAtMapPosition (targetPos);
-                for (i = 0 ; i < entities.length ; i++)
-                    entities[i].triggerTouch (this.player);
-            }
+            this.turnComplete ();
             return true;
         }
 
@@ -0,0 +1,118 @@
+/**
+ * A subclass of the Scene class that loads all of the sprite sheets that the game renders with, showing
+ * the progress while it does so. Once everything has finished loading (or failed to), the sprite sheets
+ * are given to the tile sets that use them and the scene switches to the scene provided.
+ *
+ * @param {nurdz.game.Stage} stage the stage that will be associated with this scene
+ * @param {String} nextSceneName the name of the scene to switch to once loading is done
+ * @see nurdz.sneak.sprites
+ * @extends nurdz.game.Scene
+ * @constructor
+ */
+nurdz.sneak.LoadingScene = function (stage, nextSceneName)
+{
+    "use strict";
+
+    // Call the super constructor.
+    nurdz.game.Scene.call (this, "Loading Screen", stage);
+
+    /**
+     * The name of the scene to switch to once loading is done.
+     *
+     * @type {String}
+     */
+    this.nextSceneName = nextSceneName;
+
+    /**
+     * True once everything has finished loading; this is set by the preloader when it is done.
+     *
+     * @type {Boolean}
+     */
+    this.loaded = false;
+};
+
+(function ()
+{
+    "use strict";
+
+    // Now set our prototype to be an instance of our super class, making sure that the prototype knows to
+    // use the correct constructor function.
+    nurdz.sneak.LoadingScene.prototype = Object.create (nurdz.game.Scene.prototype, {
+        constructor: {
+            configurable: true,
+            enumerable:   true,
+            writable:     true,
+            value:        nurdz.sneak.LoadingScene
+        }
+    });
+
+    /**
+     * The width of the progress bar, in pixels.
+     *
+     * @const
+     * @type {Number}
+     */
+    var BAR_WIDTH = 400;
+
+    /**
+     * The height of the progress bar, in pixels.
+     *
+     * @const
+     * @type {Number}
+     */
+    var BAR_HEIGHT = 20;
+
+    /**
+     * Invoked when we become active. This starts everything loading.
+     *
+     * @param {nurdz.game.Scene|null} previousScene
+     */
+    nurdz.sneak.LoadingScene.prototype.activating = function (previousScene)
+    {
+        var scene = this;
+
+        this.stage.canvasContext.font = "20px monospace";
+        this.loaded = false;
+        nurdz.sneak.sprites.load (function () { scene.loaded = true; });
+
+        nurdz.game.Scene.prototype.activating.call (this, previousScene);
+    };
+
+    /**
+     * This method is invoked at the start of every game frame to allow this scene to update the state of
+     * all objects that it contains. Once loading is done, the tile sets get their sprite sheets and the
+     * next scene is switched to.
+     */
+    nurdz.sneak.LoadingScene.prototype.update = function ()
+    {
+        if (this.loaded == false)
+            return;
+
+        for (var name in nurdz.sneak.tilesets)
+        {
+            if (nurdz.sneak.tilesets.hasOwnProperty (name))
+                nurdz.sneak.tilesets[name].spriteSheet = nurdz.sneak.sprites.spriteSheet ("tileset." + name);
+        }
+
+        this.stage.switchToScene (this.nextSceneName);
+    };
+
+    /**
+     * This method is invoked every frame after the update() method is invoked to allow this scene to
+     * render to the screen everything that it visually wants to appear. This shows how much has loaded.
+     */
+    nurdz.sneak.LoadingScene.prototype.render = function ()
+    {
+        var x = (this.stage.width - BAR_WIDTH) / 2;
+        var y = this.stage.height / 2;
+
+        this.stage.clear ();
+        this.stage.canvasContext.save ();
+        this.stage.canvasContext.textAlign = "center";
+        this.stage.drawTxt ("Loading...", this.stage.width / 2, y - 20, "white");
+        this.stage.canvasContext.restore ();
+
+        this.stage.fillRect (x, y, BAR_WIDTH, BAR_HEIGHT, "#404040");
+        this.stage.fillRect (x, y, BAR_WIDTH * nurdz.sneak.sprites.progress (), BAR_HEIGHT, "white");
+    };
+} ());
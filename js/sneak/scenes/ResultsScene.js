@@ -0,0 +1,144 @@
+/**
+ * A subclass of the Scene class that shows the results of playing a level once the level is over, either
+ * in victory or in defeat. From here the player can retry the level, or move on to the next level if they
+ * won and there is one.
+ *
+ * The results are collected from the game scene when this scene becomes active, so the game scene should
+ * be the scene that switches to this one.
+ *
+ * @param {nurdz.game.Stage} stage the stage that will be associated with this scene
+ * @see nurdz.game.Scene
+ * @extends nurdz.game.Scene
+ * @constructor
+ */
+nurdz.sneak.ResultsScene = function (stage)
+{
+    "use strict";
+
+    // Call the super constructor.
+    nurdz.game.Scene.call (this, "Results Screen", stage);
+
+    /**
+     * The game scene whose results we are displaying. This is set when we become active, and is the scene
+     * that we go back to when the player wants to play again.
+     *
+     * @type {nurdz.sneak.GameScene|null}
+     */
+    this.gameScene = null;
+
+    /**
+     * The results of the level that was just played, as returned from the game scene. This is set when we
+     * become active.
+     *
+     * @type {{name: String, won: Boolean, turns: Number, timesSpotted: Number, rewindsUsed: Number}|null}
+     * @see nurdz.sneak.GameScene.levelResults
+     */
+    this.results = null;
+};
+
+(function ()
+{
+    "use strict";
+
+    // Now set our prototype to be an instance of our super class, making sure that the prototype knows to
+    // use the correct constructor function.
+    nurdz.sneak.ResultsScene.prototype = Object.create (nurdz.game.Scene.prototype, {
+        constructor: {
+            configurable: true,
+            enumerable:   true,
+            writable:     true,
+            value:        nurdz.sneak.ResultsScene
+        }
+    });
+
+    /**
+     * Invoked when we become active. We use this to collect the results of the level from the game scene
+     * that was just active, and to set up the rendering properties that we want.
+     *
+     * @param {nurdz.game.Scene|null} previousScene
+     */
+    nurdz.sneak.ResultsScene.prototype.activating = function (previousScene)
+    {
+        if (previousScene instanceof nurdz.sneak.GameScene == false)
+            throw new Error ("The results scene can only be switched to from the game scene");
+
+        this.gameScene = previousScene;
+        this.results = previousScene.levelResults ();
+        this.stage.canvasContext.font = "20px monospace";
+
+        nurdz.game.Scene.prototype.activating.call (this, previousScene);
+    };
+
+    /**
+     * This method is invoked every frame after the update() method is invoked to allow this scene to
+     * render to the screen everything that it visually wants to appear.
+     */
+    nurdz.sneak.ResultsScene.prototype.render = function ()
+    {
+        var x = this.stage.width / 2;
+        var y = this.stage.height / 3;
+
+        this.stage.clear ();
+        this.stage.canvasContext.save ();
+        this.stage.canvasContext.textAlign = "center";
+
+        // Display the level and the outcome, followed by the statistics.
+        this.stage.drawTxt (this.results.name, x, y - 30, "white");
+        if (this.results.won)
+            this.stage.drawTxt ("Level complete!", x, y, "yellow");
+        else
+            this.stage.drawTxt ("Level failed", x, y, "red");
+
+        this.stage.drawTxt ("Turns taken: " + this.results.turns, x, y + 60, "white");
+        this.stage.drawTxt ("Times spotted: " + this.results.timesSpotted, x, y + 90, "white");
+        this.stage.drawTxt ("Rewinds used: " + this.results.rewindsUsed, x, y + 120, "white");
+
+        // Now tell the player what they can do next.
+        this.stage.drawTxt ("Press R to retry the level", x, y + 180, "white");
+        if (this.results.won && this.gameScene.hasNextLevel ())
+            this.stage.drawTxt ("Press N to play the next level", x, y + 210, "white");
+        if (this.gameScene.playTestLevel != null)
+            this.stage.drawTxt ("Press F2 to go back to the editor", x, y + 210, "white");
+
+        this.stage.canvasContext.restore ();
+    };
+
+    /**
+     * Handle keyboard down events for the results scene.
+     *
+     * @param {Event} eventObj the keyboard event
+     * @returns {Boolean} true if we handle the key event, false otherwise
+     */
+    nurdz.sneak.ResultsScene.prototype.inputKeyDown = function (eventObj)
+    {
+        // The keys here are fixed, but the input map of the game scene still knows what they are called.
+        switch (this.gameScene.inputMap.keyName (eventObj))
+        {
+            // Play the same level again.
+            case "KeyR":
+            case "Enter":
+                this.gameScene.startLevel ();
+                this.stage.switchToScene (nurdz.sneak.constants.SCENE_GAME);
+                return true;
+
+            // Move on to the next level, if the player is allowed to.
+            case "KeyN":
+                if (this.results.won == false || this.gameScene.hasNextLevel () == false)
+                    return false;
+
+                this.gameScene.startNextLevel ();
+                this.stage.switchToScene (nurdz.sneak.constants.SCENE_GAME);
+                return true;
+
+            // Go back to the editor after a play test.
+            case "F2":
+                if (this.gameScene.playTestLevel == null)
+                    return false;
+
+                this.stage.switchToScene (nurdz.sneak.constants.SCENE_EDITOR);
+                return true;
+        }
+
+        return false;
+    };
+} ());
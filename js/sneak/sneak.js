@@ -13,13 +13,225 @@ nurdz.createOrGetNamespace ("nurdz.sneak");
 nurdz.sneak.constants = (function ()
 {
     return {
+        /**
+         * The loading scene in the game. This is shown while the images that the game uses are loaded.
+         *
+         * @const
+         * @type {String}
+         */
+        SCENE_LOADING: "loading",
+
         /**
          * The game scene in the game. This is where the game is actually played.
          *
          * @const
          * @type {String}
          */
-        SCENE_GAME: "game"
+        SCENE_GAME: "game",
+
+        /**
+         * The results scene in the game. This is shown when a level ends, to show how it went.
+         *
+         * @const
+         * @type {String}
+         */
+        SCENE_RESULTS: "results",
+
+        /**
+         * The level editor scene in the game. This is where levels are created and changed.
+         *
+         * @const
+         * @type {String}
+         */
+        SCENE_EDITOR: "editor",
+
+        /**
+         * The controls scene in the game. This lists the keys that perform each action while playing, and
+         * allows them to be changed.
+         *
+         * @const
+         * @type {String}
+         */
+        SCENE_CONTROLS: "controls",
+
+        /**
+         * The alert state of a guard that is going about its normal business, following its patrol route
+         * (if it has one).
+         *
+         * @const
+         * @type {String}
+         */
+        GUARD_PATROL: "patrol",
+
+        /**
+         * The alert state of a guard that caught a glimpse of the player and is going to investigate the
+         * position where it saw them.
+         *
+         * @const
+         * @type {String}
+         */
+        GUARD_SUSPICIOUS: "suspicious",
+
+        /**
+         * The alert state of a guard that is actively pursuing the player. A chasing guard that gets next
+         * to the player catches them.
+         *
+         * @const
+         * @type {String}
+         */
+        GUARD_CHASING: "chasing",
+
+        /**
+         * The alert state of a guard that lost track of the player and is looking around the area where
+         * they were last seen.
+         *
+         * @const
+         * @type {String}
+         */
+        GUARD_SEARCHING: "searching",
+
+        /**
+         * The alert state of a guard that gave up searching and is heading back to its patrol route.
+         *
+         * @const
+         * @type {String}
+         */
+        GUARD_RETURNING: "returning",
+
+        /**
+         * The event published when a door opens. The data is {door}, the door that opened.
+         *
+         * @const
+         * @type {String}
+         */
+        EVENT_DOOR_OPENED: "doorOpened",
+
+        /**
+         * The event published when a door closes. The data is {door}, the door that closed.
+         *
+         * @const
+         * @type {String}
+         */
+        EVENT_DOOR_CLOSED: "doorClosed",
+
+        /**
+         * The event published when something tries to open or close a door that is locked against it. The
+         * data is {door, activator}, the door and the actor that tried to use it (which may be null).
+         *
+         * @const
+         * @type {String}
+         */
+        EVENT_DOOR_LOCKED: "doorLocked",
+
+        /**
+         * The event published when a door can't close because something is standing in the doorway. A
+         * door that closes by itself keeps trying, so this is published every turn that it is kept open.
+         * The data is {door}, the door that can't close.
+         *
+         * @const
+         * @type {String}
+         */
+        EVENT_DOOR_BLOCKED: "doorBlocked",
+
+        /**
+         * The event published when a button is pressed. The data is {button, activator}, the button and the
+         * actor that pressed it (which may be null).
+         *
+         * @const
+         * @type {String}
+         */
+        EVENT_BUTTON_PRESSED: "buttonPressed",
+
+        /**
+         * The event published when a pressed button is released, either because its cycle time ran out or
+         * because something reset it. The data is {button}, the button that was released.
+         *
+         * @const
+         * @type {String}
+         */
+        EVENT_BUTTON_RELEASED: "buttonReleased",
+
+        /**
+         * The event published when the player picks up an item. The data is {player, item, pickup}, the
+         * player, the name of the item and the pickup that it came from.
+         *
+         * @const
+         * @type {String}
+         */
+        EVENT_ITEM_PICKED_UP: "itemPickedUp",
+
+        /**
+         * The event published when a guard or camera that could not see the player a moment ago spots them.
+         * The data is {watcher, player}, the entity that spotted the player and the player.
+         *
+         * @const
+         * @type {String}
+         */
+        EVENT_PLAYER_SPOTTED: "playerSpotted",
+
+        /**
+         * The event published when a guard catches the player. The data is {guard, player}, the guard that
+         * caught the player and the player.
+         *
+         * @const
+         * @type {String}
+         */
+        EVENT_PLAYER_CAUGHT: "playerCaught",
+
+        /**
+         * The event published when the alert state of a guard changes. The data is {guard, previousState,
+         * state}, the guard and the GUARD_* values of the alert state that it was and is now in.
+         *
+         * @const
+         * @type {String}
+         */
+        EVENT_GUARD_ALERTED: "guardAlerted",
+
+        /**
+         * The event published when a guard can't find a path to where it is trying to go; a patrolling
+         * guard stops patrolling, and a guard returning to its patrol waits and tries again next turn. The
+         * data is {guard, target}, the guard and the map position that it can't get to.
+         *
+         * @const
+         * @type {String}
+         */
+        EVENT_GUARD_STUCK: "guardStuck",
+
+        /**
+         * The event published when a queued move doesn't happen because something is now in the way. The
+         * data is {entity, position}, the entity that was moving and the map position it was moving to.
+         *
+         * @const
+         * @type {String}
+         */
+        EVENT_MOVE_ABANDONED: "moveAbandoned",
+
+        /**
+         * The event published when every entity in the level has finished taking a turn. The data is
+         * {level, turn}, the level and the number of turns that have been taken in it so far.
+         *
+         * @const
+         * @type {String}
+         */
+        EVENT_TURN_ENDED: "turnEnded",
+
+        /**
+         * The event published when the player completes a level. The data is the results of the level, as
+         * returned by nurdz.sneak.GameScene.levelResults().
+         *
+         * @const
+         * @type {String}
+         */
+        EVENT_LEVEL_WON: "levelWon",
+
+        /**
+         * The event published when the player fails a level. The data is the results of the level, as
+         * returned by nurdz.sneak.GameScene.levelResults().
+         *
+         * @const
+         * @type {String}
+         */
+        EVENT_LEVEL_FAILED: "levelFailed"
     };
 } ());
 
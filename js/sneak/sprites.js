@@ -0,0 +1,54 @@
+/**
+ * The preloader for all of the sprite sheets that the game renders with. These are loaded by the loading
+ * scene before the game starts; anything whose image is missing or fails to load renders with its debug
+ * rendering instead, without complaint. There is no artwork yet, so for now everything renders that way;
+ * a sheet is used as soon as its image is added as images/tilesets/<name>.png or images/entities/<name>.png
+ * with the layout given below.
+ *
+ * Every tile set has a sprite sheet named "tileset.<name>" where <name> is the name of the tile set, in
+ * which the sprites for each tile are in the row whose number is its tile ID. Tiles that look the same
+ * everywhere use the first sprite in the row; walls look at their 8 neighbours, so their row has one
+ * sprite for each of their 47 variants.
+ *
+ * Every type of entity has a sprite sheet named "entity.<name>" where <name> is the name of the entity.
+ * Entities that are rotated to their facing are drawn facing right. The sprites that each uses are:
+ *   - Player, GuardBase, LevelGoal, Waypoint: 0
+ *   - Door: 0 when closed, 1 when open, drawn as a horizontal door
+ *   - Button: 0 and 1 for a released and pressed button, 2 and 3 for a released and pressed panel, drawn
+ *     on the right hand side of the tile
+ *   - Light: 0 when on, 1 when off
+ *   - SecurityCamera: 0, rotated to where it is looking
+ *   - Tripwire: 0 when on, 1 when off
+ *   - Pickup: 0, drawn until the item is picked up
+ *
+ * @type {nurdz.game.Preloader}
+ * @see nurdz.sneak.LoadingScene
+ */
+nurdz.sneak.sprites = new nurdz.game.Preloader ();
+
+(function ()
+{
+    "use strict";
+
+    /**
+     * The names of all of the entities that have sprite sheets.
+     *
+     * @const
+     * @type {String[]}
+     */
+    var ENTITY_NAMES = ["Player", "GuardBase", "Door", "Button", "LevelGoal", "Waypoint", "Light",
+                        "SecurityCamera", "Tripwire", "Pickup"];
+
+    var tileSize = nurdz.game.TILE_SIZE;
+
+    for (var name in nurdz.sneak.tilesets)
+    {
+        if (nurdz.sneak.tilesets.hasOwnProperty (name))
+            nurdz.sneak.sprites.addSpriteSheet ("tileset." + name, "images/tilesets/" + name + ".png",
+                                                tileSize, tileSize);
+    }
+
+    for (var i = 0 ; i < ENTITY_NAMES.length ; i++)
+        nurdz.sneak.sprites.addSpriteSheet ("entity." + ENTITY_NAMES[i], "images/entities/" + ENTITY_NAMES[i] + ".png",
+                                            tileSize, tileSize);
+} ());
@@ -0,0 +1,71 @@
+/**
+ * A Tile that represents a loose, creaky floorboard. Creaky floors are floors, but moving onto them makes
+ * a noise.
+ *
+ * @constructor
+ */
+nurdz.sneak.CreakyFloorTile = function ()
+{
+    "use strict";
+
+    // Call the super class constructor.
+    nurdz.game.Tile.call (this, "CREAKY_FLOOR", 6, '#b0b0c0');
+};
+
+// Now define the various member functions and any static stage.
+(function ()
+{
+    "use strict";
+
+    // Now set our prototype to be an instance of our super class, making sure that the prototype knows to
+    // use the correct constructor function.
+    nurdz.sneak.CreakyFloorTile.prototype = Object.create (nurdz.sneak.FloorTile.prototype, {
+        constructor: {
+            configurable: true,
+            enumerable:   true,
+            writable:     true,
+            value:        nurdz.sneak.CreakyFloorTile
+        }
+    });
+
+    /**
+     * The distance (in tiles) that the creak of this floor can be heard from.
+     *
+     * @const
+     * @type {Number}
+     */
+    var CREAK_DISTANCE = 5;
+
+    /**
+     * Query how much noise is made by moving onto this tile, as the distance (in tiles) that it can be
+     * heard from.
+     *
+     * @returns {Number} the distance that the noise can be heard from, or 0 if moving here makes no noise
+     */
+    nurdz.sneak.CreakyFloorTile.prototype.noise = function ()
+    {
+        return CREAK_DISTANCE;
+    };
+
+    /**
+     * Render this tile to the location provided.
+     *
+     * @param {nurdz.game.Stage} stage the stage to render to
+     * @param {Number} x the X-coordinate to draw the tile at
+     * @param {Number} y the Y-coordinate to draw the tile at
+     * @param {nurdz.game.SpriteSheet|null} [spriteSheet=null] the sprite sheet of the tileset that the tile
+     * is being rendered from
+     * @param {Number} [mask=0] the neighbour mask of the tile
+     */
+    nurdz.sneak.CreakyFloorTile.prototype.render = function (stage, x, y, spriteSheet, mask)
+    {
+        // Render as a floor; if it's not rendering a sprite, draw the cracks between the boards.
+        nurdz.sneak.FloorTile.prototype.render.call (this, stage, x, y, spriteSheet, mask);
+        if (this.spriteIndex (spriteSheet, mask) == -1)
+        {
+            var third = Math.floor (this.size / 3);
+            stage.fillRect (x + 1, y + third, this.size - 2, 1, '#907050');
+            stage.fillRect (x + 1, y + 2 * third, this.size - 2, 1, '#907050');
+        }
+    };
+} ());
@@ -37,17 +37,31 @@ nurdz.sneak.FloorTile = function ()
         return false;
     };
 
+    /**
+     * Query whether or not this tile blocks sight, so that nothing can be seen through it.
+     *
+     * @returns {Boolean} true if this tile can't be seen through, or false otherwise
+     */
+    nurdz.sneak.FloorTile.prototype.blocksSight = function ()
+    {
+        return false;
+    };
+
     /**
      * Render this tile to the location provided.
      *
      * @param {nurdz.game.Stage} stage the stage to render to
      * @param {Number} x the X-coordinate to draw the tile at
      * @param {Number} y the Y-coordinate to draw the tile at
+     * @param {nurdz.game.SpriteSheet|null} [spriteSheet=null] the sprite sheet of the tileset that the tile
+     * is being rendered from
+     * @param {Number} [mask=0] the neighbour mask of the tile
      */
-    nurdz.sneak.FloorTile.prototype.render = function (stage, x, y)
+    nurdz.sneak.FloorTile.prototype.render = function (stage, x, y, spriteSheet, mask)
     {
-        // Let the base class render, then do a bit of a fill.
-        nurdz.game.Tile.prototype.render.call (this, stage, x, y);
-        stage.fillRect (x + 1, y + 1, this.size - 2, this.size - 2, '#c8c8c8');
+        // Let the base class render; if it's not rendering a sprite, do a bit of a fill.
+        nurdz.game.Tile.prototype.render.call (this, stage, x, y, spriteSheet, mask);
+        if (this.spriteIndex (spriteSheet, mask) == -1)
+            stage.fillRect (x + 1, y + 1, this.size - 2, this.size - 2, '#c8c8c8');
     };
 } ());
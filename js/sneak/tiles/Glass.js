@@ -0,0 +1,79 @@
+/**
+ * A Tile that represents a glass wall or window. Glass blocks movement like a wall does, but it can be
+ * seen through.
+ *
+ * @constructor
+ */
+nurdz.sneak.GlassTile = function ()
+{
+    "use strict";
+
+    // Call the super class constructor.
+    nurdz.game.Tile.call (this, "GLASS", 3, '#a8d8f0');
+};
+
+// Now define the various member functions and any static stage.
+(function ()
+{
+    "use strict";
+
+    // Now set our prototype to be an instance of our super class, making sure that the prototype knows to
+    // use the correct constructor function.
+    nurdz.sneak.GlassTile.prototype = Object.create (nurdz.game.Tile.prototype, {
+        constructor: {
+            configurable: true,
+            enumerable:   true,
+            writable:     true,
+            value:        nurdz.sneak.GlassTile
+        }
+    });
+
+    /**
+     * The size (in pixels) of the frame around the glass when rendering it.
+     *
+     * @const
+     * @type {Number}
+     */
+    var FRAME = Math.floor (nurdz.game.TILE_SIZE * 0.125);
+
+    /**
+     * Query whether or not this tile blocks movement of actors or not.
+     *
+     * @returns {Boolean} true if actor movement is blocked by this tile, or false otherwise
+     */
+    nurdz.sneak.GlassTile.prototype.blocksActorMovement = function ()
+    {
+        return true;
+    };
+
+    /**
+     * Query whether or not this tile blocks sight, so that nothing can be seen through it.
+     *
+     * @returns {Boolean} true if this tile can't be seen through, or false otherwise
+     */
+    nurdz.sneak.GlassTile.prototype.blocksSight = function ()
+    {
+        return false;
+    };
+
+    /**
+     * Render this tile to the location provided.
+     *
+     * @param {nurdz.game.Stage} stage the stage to render to
+     * @param {Number} x the X-coordinate to draw the tile at
+     * @param {Number} y the Y-coordinate to draw the tile at
+     * @param {nurdz.game.SpriteSheet|null} [spriteSheet=null] the sprite sheet of the tileset that the tile
+     * is being rendered from
+     * @param {Number} [mask=0] the neighbour mask of the tile
+     */
+    nurdz.sneak.GlassTile.prototype.render = function (stage, x, y, spriteSheet, mask)
+    {
+        // Let the base class render; if it's not rendering a sprite, put the glass in a frame.
+        nurdz.game.Tile.prototype.render.call (this, stage, x, y, spriteSheet, mask);
+        if (this.spriteIndex (spriteSheet, mask) == -1)
+        {
+            stage.setLineStyle ('#004890', FRAME, 'butt');
+            stage.canvasContext.strokeRect (x + FRAME / 2, y + FRAME / 2, this.size - FRAME, this.size - FRAME);
+        }
+    };
+} ());
@@ -0,0 +1,58 @@
+/**
+ * A Tile that represents a patch of floor that is in deep shadow. Shadows are floors, but they hide the
+ * player when they are standing in them, so that guards can only see them from close by.
+ *
+ * @constructor
+ */
+nurdz.sneak.ShadowTile = function ()
+{
+    "use strict";
+
+    // Call the super class constructor.
+    nurdz.game.Tile.call (this, "SHADOW", 5, '#b0b0c0');
+};
+
+// Now define the various member functions and any static stage.
+(function ()
+{
+    "use strict";
+
+    // Now set our prototype to be an instance of our super class, making sure that the prototype knows to
+    // use the correct constructor function.
+    nurdz.sneak.ShadowTile.prototype = Object.create (nurdz.sneak.FloorTile.prototype, {
+        constructor: {
+            configurable: true,
+            enumerable:   true,
+            writable:     true,
+            value:        nurdz.sneak.ShadowTile
+        }
+    });
+
+    /**
+     * Query whether or not this tile hides the player standing on it, so that they are harder to detect.
+     *
+     * @returns {Boolean} true if this tile hides the player, or false otherwise
+     */
+    nurdz.sneak.ShadowTile.prototype.hidesPlayer = function ()
+    {
+        return true;
+    };
+
+    /**
+     * Render this tile to the location provided.
+     *
+     * @param {nurdz.game.Stage} stage the stage to render to
+     * @param {Number} x the X-coordinate to draw the tile at
+     * @param {Number} y the Y-coordinate to draw the tile at
+     * @param {nurdz.game.SpriteSheet|null} [spriteSheet=null] the sprite sheet of the tileset that the tile
+     * is being rendered from
+     * @param {Number} [mask=0] the neighbour mask of the tile
+     */
+    nurdz.sneak.ShadowTile.prototype.render = function (stage, x, y, spriteSheet, mask)
+    {
+        // Let the base class render; if it's not rendering a sprite, do a dark fill.
+        nurdz.game.Tile.prototype.render.call (this, stage, x, y, spriteSheet, mask);
+        if (this.spriteIndex (spriteSheet, mask) == -1)
+            stage.fillRect (x + 1, y + 1, this.size - 2, this.size - 2, '#484858');
+    };
+} ());
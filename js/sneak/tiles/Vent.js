@@ -0,0 +1,94 @@
+/**
+ * A Tile that represents a ventilation duct. Only the player is small enough to fit through vents; they
+ * block the movement of everything else. Nothing can be seen through a vent, so a player that is in one
+ * can't be seen.
+ *
+ * @constructor
+ */
+nurdz.sneak.VentTile = function ()
+{
+    "use strict";
+
+    // Call the super class constructor.
+    nurdz.game.Tile.call (this, "VENT", 4, '#505058');
+};
+
+// Now define the various member functions and any static stage.
+(function ()
+{
+    "use strict";
+
+    // Now set our prototype to be an instance of our super class, making sure that the prototype knows to
+    // use the correct constructor function.
+    nurdz.sneak.VentTile.prototype = Object.create (nurdz.game.Tile.prototype, {
+        constructor: {
+            configurable: true,
+            enumerable:   true,
+            writable:     true,
+            value:        nurdz.sneak.VentTile
+        }
+    });
+
+    /**
+     * The number of slats in the grille that is drawn over the vent when rendering it.
+     *
+     * @const
+     * @type {Number}
+     */
+    var SLATS = 4;
+
+    /**
+     * Query whether or not this tile blocks movement of actors or not. Only the player can move through a
+     * vent.
+     *
+     * @param {nurdz.game.Actor|null} [actor=null] the actor that is trying to move, if known
+     * @returns {Boolean} true if actor movement is blocked by this tile, or false otherwise
+     */
+    nurdz.sneak.VentTile.prototype.blocksActorMovement = function (actor)
+    {
+        return actor instanceof nurdz.sneak.Player == false;
+    };
+
+    /**
+     * Query whether or not this tile blocks sight, so that nothing can be seen through it.
+     *
+     * @returns {Boolean} true if this tile can't be seen through, or false otherwise
+     */
+    nurdz.sneak.VentTile.prototype.blocksSight = function ()
+    {
+        return true;
+    };
+
+    /**
+     * Query whether or not this tile hides the player standing on it, so that they are harder to detect.
+     * Since nothing can be seen through a vent, a player in one is hidden from everything.
+     *
+     * @returns {Boolean} true if this tile hides the player, or false otherwise
+     */
+    nurdz.sneak.VentTile.prototype.hidesPlayer = function ()
+    {
+        return true;
+    };
+
+    /**
+     * Render this tile to the location provided.
+     *
+     * @param {nurdz.game.Stage} stage the stage to render to
+     * @param {Number} x the X-coordinate to draw the tile at
+     * @param {Number} y the Y-coordinate to draw the tile at
+     * @param {nurdz.game.SpriteSheet|null} [spriteSheet=null] the sprite sheet of the tileset that the tile
+     * is being rendered from
+     * @param {Number} [mask=0] the neighbour mask of the tile
+     */
+    nurdz.sneak.VentTile.prototype.render = function (stage, x, y, spriteSheet, mask)
+    {
+        // Let the base class render; if it's not rendering a sprite, draw a grille over it.
+        nurdz.game.Tile.prototype.render.call (this, stage, x, y, spriteSheet, mask);
+        if (this.spriteIndex (spriteSheet, mask) == -1)
+        {
+            var gap = this.size / (SLATS + 1);
+            for (var i = 1 ; i <= SLATS ; i++)
+                stage.fillRect (x + 2, y + Math.floor (gap * i) - 1, this.size - 4, 2, '#909098');
+        }
+    };
+} ());
@@ -1,5 +1,6 @@
 /**
- * A Tile that represents a wall. Walls block movement.
+ * A Tile that represents a wall. Walls block movement. Walls look at all 8 of their neighbours so that they
+ * can be drawn with edges and corners where they meet other tiles.
  *
  * @constructor
  */
@@ -36,4 +37,85 @@ nurdz.sneak.WallTile = function ()
     {
         return true;
     };
+
+    /**
+     * Query whether or not this tile blocks sight, so that nothing can be seen through it.
+     *
+     * @returns {Boolean} true if this tile can't be seen through, or false otherwise
+     */
+    nurdz.sneak.WallTile.prototype.blocksSight = function ()
+    {
+        return true;
+    };
+
+    /**
+     * The width of the edges that are drawn where a wall meets something that is not a wall, in pixels.
+     *
+     * @const
+     * @type {Number}
+     */
+    var EDGE_SIZE = Math.floor (nurdz.game.TILE_SIZE * 0.125);
+
+    /**
+     * The color of the edges that are drawn where a wall meets something that is not a wall.
+     *
+     * @const
+     * @type {String}
+     */
+    var EDGE_COLOR = '#3080d0';
+
+    /**
+     * Query how many of its neighbours this tile looks at to pick how it looks. Walls look at all of them,
+     * so that they get both edges and inside corners.
+     *
+     * @returns {Number} 0, 4 or 8
+     */
+    nurdz.sneak.WallTile.prototype.autotileNeighbours = function ()
+    {
+        return 8;
+    };
+
+    /**
+     * Render this tile to the location provided. When there is no sprite for the wall, it is drawn with
+     * its debug color, with an edge along every side that does not meet another wall and in every inside
+     * corner.
+     *
+     * @param {nurdz.game.Stage} stage the stage to render to
+     * @param {Number} x the X-coordinate to draw the tile at
+     * @param {Number} y the Y-coordinate to draw the tile at
+     * @param {nurdz.game.SpriteSheet|null} [spriteSheet=null] the sprite sheet of the tileset that the tile
+     * is being rendered from
+     * @param {Number} [mask=0] the neighbour mask of the tile
+     */
+    nurdz.sneak.WallTile.prototype.render = function (stage, x, y, spriteSheet, mask)
+    {
+        var size = this.size;
+        var far = size - EDGE_SIZE;
+
+        nurdz.game.Tile.prototype.render.call (this, stage, x, y, spriteSheet, mask);
+        if (this.spriteIndex (spriteSheet, mask) != -1)
+            return;
+
+        // The sides, in the order of the bits in the mask: north, east, south, west.
+        mask = mask || 0;
+        if ((mask & 1) == 0)
+            stage.fillRect (x, y, size, EDGE_SIZE, EDGE_COLOR);
+        if ((mask & 2) == 0)
+            stage.fillRect (x + far, y, EDGE_SIZE, size, EDGE_COLOR);
+        if ((mask & 4) == 0)
+            stage.fillRect (x, y + far, size, EDGE_SIZE, EDGE_COLOR);
+        if ((mask & 8) == 0)
+            stage.fillRect (x, y, EDGE_SIZE, size, EDGE_COLOR);
+
+        // The corners, in the order of the bits in the mask: north east, south east, south west, north
+        // west. There is only an inside corner when both sides next to it are walls but the corner isn't.
+        if ((mask & (1 | 2 | 16)) == (1 | 2))
+            stage.fillRect (x + far, y, EDGE_SIZE, EDGE_SIZE, EDGE_COLOR);
+        if ((mask & (2 | 4 | 32)) == (2 | 4))
+            stage.fillRect (x + far, y + far, EDGE_SIZE, EDGE_SIZE, EDGE_COLOR);
+        if ((mask & (4 | 8 | 64)) == (4 | 8))
+            stage.fillRect (x, y + far, EDGE_SIZE, EDGE_SIZE, EDGE_COLOR);
+        if ((mask & (8 | 1 | 128)) == (8 | 1))
+            stage.fillRect (x, y, EDGE_SIZE, EDGE_SIZE, EDGE_COLOR);
+    };
 } ());
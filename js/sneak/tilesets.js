@@ -5,6 +5,19 @@
  */
 nurdz.sneak.stdTiles = new nurdz.game.Tileset ("standardTiles", [
     new nurdz.sneak.FloorTile (),
-    new nurdz.sneak.WallTile ()
+    new nurdz.sneak.WallTile (),
+    new nurdz.sneak.GlassTile (),
+    new nurdz.sneak.VentTile (),
+    new nurdz.sneak.ShadowTile (),
+    new nurdz.sneak.CreakyFloorTile ()
 ]);
 
+
+/**
+ * All of the tile sets that levels can use, keyed by their names. Levels that are loaded from JSON refer to
+ * their tile set by name, which is looked up here.
+ *
+ * @type {Object.<String,nurdz.game.Tileset>}
+ */
+nurdz.sneak.tilesets = {};
+nurdz.sneak.tilesets[nurdz.sneak.stdTiles.name] = nurdz.sneak.stdTiles;